@@ -23,6 +23,7 @@ const {
   API_ROUTE,
   PUBLIC_FOLDER,
   FRONTEND_URL,
+  TRUST_PROXY,
 } = require('./utils/globals');
 const AppError = require('./utils/classes/AppError');
 const errorHandler = require('./controllers/errorController');
@@ -32,8 +33,8 @@ const {
   env: { NODE_ENV },
 } = process;
 
-// Enable proxies (when the app is deployed on the web)
-// app.enable('trust proxy');
+// Trust the reverse proxies, such that req.ip is the address of the client (used by the brute-force protection) instead of the one of the proxy
+app.set('trust proxy', TRUST_PROXY);
 
 // Set static directory
 app.use('/public', express.static(path.join(__dirname, PUBLIC_FOLDER)));
@@ -65,8 +66,15 @@ const limiter = rateLimit({
 
 app.use('/', limiter);
 
-// JSON body content reading and limitation of size to max 10kb
-app.use(express.json({ limit: '10kb' }));
+// JSON body content reading and limitation of size to max 10kb (the raw body is kept to verify the signature of the payment webhooks)
+app.use(
+  express.json({
+    limit: '10kb',
+    verify: (req, _, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 
 // body parser for content sent as multipart/form-data
 app.use(bodyParser.json());
@@ -5,16 +5,199 @@
 const {
   catchAsync,
   createSendToken,
-  sendPinCode,
+  sendSessionTokens,
+  clearSessionCookies,
+  createPreAuthToken,
   getToken,
   connectUser,
 } = require('../utils/utils');
+const { sendPinCode } = require('../utils/pins');
+const {
+  rotateSession,
+  revokeSessions,
+  revokeRefreshToken,
+} = require('../utils/sessions');
+const {
+  verifyGoogleIdToken,
+  getGoogleUser,
+  getGoogleAuthUrl,
+  consumeAuthState,
+  exchangeGoogleCode,
+  createHandoffCode,
+  consumeHandoffCode,
+} = require('../utils/google');
+const { consumeTotpCode, consumeRecoveryCode } = require('../utils/totp');
+const {
+  getThrottleError,
+  registerFailedAttempt,
+  resetFailedAttempts,
+} = require('../utils/bruteForce');
+const { canPerform } = require('../utils/permissions');
 const AppError = require('../utils/classes/AppError');
 const User = require('../models/userModel');
-const { FRONTEND_URL } = require('../utils/globals');
+const {
+  FRONTEND_URL,
+  PIN_MAX_ATTEMPTS,
+  PIN_LOCKOUT_DURATION,
+  TOTP_REQUIRED_ROLES,
+} = require('../utils/globals');
 const crypto = require('crypto');
 const Email = require('../utils/classes/Email');
 
+/**
+ * Function used to get the error returned to an user whose second factor confirmation is locked after too many wrong codes.
+ * @param {import('../models/userModel').User} user The user trying to sign in or to confirm his second factor, with his pinLockedUntil field selected.
+ * @returns {AppError|null} The lock error, or null if the second factor confirmation of the user isn't locked.
+ */
+const getPinLockError = user => {
+  const { pinLockedUntil } = user;
+
+  if (!pinLockedUntil || pinLockedUntil <= Date.now()) return null;
+
+  return new AppError(
+    `Too many wrong codes were typed. Please retry in ${Math.ceil(
+      (pinLockedUntil - Date.now()) / 60000,
+    )} minutes.`,
+    429,
+  );
+};
+
+/**
+ * Async function used to count a wrong code (PIN, TOTP or recovery code) typed by an user, and lock his second factor confirmation after too many of them.
+ * @param {import('express').Request} req The request object of the Express framework, containing the user and used to get his IP address.
+ * @param {string} message The message of the error returned if the confirmation isn't locked yet.
+ * @returns {Promise<AppError>} The error returned to the user.
+ */
+const registerWrongCode = async (req, message) => {
+  const {
+    user: { _id: userId, email },
+  } = req;
+
+  await registerFailedAttempt(req, email);
+
+  const { pinAttempts } = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { pinAttempts: 1 } },
+    { new: true },
+  ).select('+pinAttempts');
+
+  if (pinAttempts < PIN_MAX_ATTEMPTS) return new AppError(message, 401);
+
+  // Lock the confirmation and invalidate the current PIN code
+  await User.updateOne(
+    { _id: userId },
+    {
+      pinAttempts: 0,
+      pinLockedUntil: Date.now() + PIN_LOCKOUT_DURATION,
+      $unset: { pinCode: 1, pinCodeExpires: 1 },
+    },
+  );
+
+  return new AppError(
+    `Too many wrong codes were typed. Please retry in ${
+      PIN_LOCKOUT_DURATION / 60000
+    } minutes.`,
+    429,
+  );
+};
+
+/**
+ * Function used to send the pre-authentication token of an user who has to confirm his second factor, i.e. the PIN code sent to him or the code of his authenticator app.
+ * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+ * @param {number} statusCode The status code of the response.
+ * @param {import('../models/userModel').User} user The user who has to confirm his second factor.
+ * @param {Date} [pinCodeExpires] The expiration date of the PIN code sent to the user, undefined if he uses an authenticator app.
+ */
+const sendPreAuthToken = (res, statusCode, user, pinCodeExpires) => {
+  res.status(statusCode).json({
+    status: 'success',
+    message: pinCodeExpires
+      ? 'Please confirm with the PIN code sent to your phone number.'
+      : 'Please confirm with the code of your authenticator app.',
+    secondFactor: pinCodeExpires ? 'pin' : 'totp',
+    preAuthToken: createPreAuthToken(user._id),
+    pinCodeExpires,
+  });
+};
+
+/**
+ * Async function used to ask an user who proved his identity for his second factor, sending him a PIN code if he doesn't use an authenticator app.
+ * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+ * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+ * @param {import('../models/userModel').User} user The user, with his pinLockedUntil and isTotpEnabled fields selected.
+ */
+const requestSecondFactor = async (res, next, user) => {
+  const lockError = getPinLockError(user);
+
+  if (lockError) {
+    next(lockError);
+    return;
+  }
+
+  // The users with an authenticator app confirm with it instead of a PIN code
+  if (user.isTotpEnabled) {
+    sendPreAuthToken(res, 200, user);
+    return;
+  }
+
+  let pinCodeExpires;
+
+  try {
+    pinCodeExpires = await sendPinCode(user);
+  } catch (err) {
+    if (err.isOperational) {
+      next(err);
+      return;
+    }
+    next(
+      new AppError(
+        'There was an error sending the pin code. Please retry or contact us at admin@parknshare.com.',
+        500,
+      ),
+    );
+    console.error(err);
+    return;
+  }
+
+  // The session token is only given once the PIN code is confirmed
+  sendPreAuthToken(res, 200, user, pinCodeExpires);
+};
+
+/**
+ * Async function used to open the session of an user who confirmed his second factor.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+ * @param {import('../models/userModel').User} user The user, with his isConfirmed field selected.
+ */
+const sendConfirmedSession = async (req, res, user) => {
+  const { isConfirmed } = user;
+
+  if (!isConfirmed) user.isConfirmed = true;
+  user.pinCode = undefined;
+  user.pinCodeExpires = undefined;
+  user.pinAttempts = 0;
+  user.pinLockedUntil = undefined;
+
+  await user.save({ validateBeforeSave: false });
+  await resetFailedAttempts(req, user.email);
+  // Create jwt token and authenticate the user if he correctly signed in/up
+  const resObject = await createSendToken(req, res, user._id);
+
+  resObject['message'] = isConfirmed
+    ? 'Welcome back!'
+    : "Successful registration. Welcome to Park'N'Share!";
+  resObject.roles = [user.role];
+
+  try {
+    if (!isConfirmed) await new Email(user).sendWelcome();
+  } catch (err) {
+    console.error('Error while trying to send the confirmation email.');
+    console.error(err);
+  }
+
+  return resObject;
+};
+
 exports.signup = catchAsync(
   /**
    * Function used to handle the signup process of a guest user.
@@ -44,101 +227,137 @@ exports.signup = catchAsync(
 
     const newUser = await User.create(creationObj);
 
-    let pins;
+    let pinCodeExpires;
 
     try {
-      pins = await sendPinCode(newUser);
+      pinCodeExpires = await sendPinCode(newUser);
     } catch (err) {
+      if (!err.isOperational) console.error(err);
+
+      // The account is created anyway: the client still gets a pre-authentication token and receives a new PIN code when signing in
+      res.status(201).json({
+        status: 'success',
+        message: `Your account was created, but the PIN code couldn't be sent${
+          err.isOperational ? ` (${err.message})` : ''
+        }. Please sign in to receive a new one.`,
+        secondFactor: 'pin',
+        preAuthToken: createPreAuthToken(newUser._id),
+      });
+      return;
+    }
+
+    // The session token is only given once the PIN code is confirmed
+    sendPreAuthToken(res, 201, newUser, pinCodeExpires);
+  },
+);
+
+exports.confirmPin = catchAsync(
+  /**
+   * Function used to handle the pin confirmation of an user in the signin / signup request, authenticated with his pre-authentication token.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      body: { pinCode },
+    } = req;
+
+    const user = await User.findById(userId).select(
+      '+isConfirmed +pinCode +pinCodeExpires +pinAttempts +pinLockedUntil',
+    );
+
+    const lockError =
+      getPinLockError(user) || (await getThrottleError(req, res, user.email));
+
+    if (lockError) {
+      next(lockError);
+      return;
+    }
+
+    if (!user.pinCode || user.pinCodeExpires <= Date.now()) {
       next(
         new AppError(
-          'There was an error sending the pin code. Please retry or contact us at admin@parknshare.com.',
-          500,
+          'The PIN code has expired. Please sign in again to receive a new one.',
+          401,
         ),
       );
-      console.error(err);
       return;
     }
 
-    const [pinCode, pinCodeExpires] = pins;
-
-    /*res.status(201).json({
-      status: 'success',
-      message: 'Please confirm with the PIN code sent to your phone number.',
-      pinCode,
-      pinCodeExpires,
-    });*/
-    const { resObject, cookieOptions } = createSendToken(req, newUser._id);
-
-    resObject.pinCode = pinCode;
-    resObject.pinCodeExpires = pinCodeExpires;
-    resObject['message'] = "Successful registration. Welcome to Park'N'Share!";
-    resObject.roles = [newUser.role];
+    const cryptedPin = crypto
+      .createHash('sha256')
+      .update(`${pinCode}`)
+      .digest('hex');
 
-    try {
-      if (!isConfirmed) await new Email(newUser).sendWelcome();
-    } catch (err) {
-      console.error('Error while trying to send the confirmation email.');
-      console.error(err);
+    if (
+      !crypto.timingSafeEqual(
+        Buffer.from(cryptedPin, 'hex'),
+        Buffer.from(user.pinCode, 'hex'),
+      )
+    ) {
+      next(await registerWrongCode(req, 'Invalid PIN Code.'));
+      return;
     }
 
-    // send the token as a httpOnly cookie
-    res.cookie('jwt', resObject.token, cookieOptions);
-
-    res.status(200).json(resObject);
+    res.status(200).json(await sendConfirmedSession(req, res, user));
   },
 );
 
-exports.confirmPin = catchAsync(
+exports.confirmTotp = catchAsync(
   /**
-   * Function used to handle the pin confirmation of an user in the signin / signup request.
+   * Function used to handle the confirmation of the signin of an user with the code of his authenticator app or one of his recovery codes, authenticated with his pre-authentication token.
    * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
    * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
    * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
    */
   async (req, res, next) => {
     const {
-      body: { email, pinCode },
+      user: { _id: userId },
+      body: { code, recoveryCode },
     } = req;
 
-    const cryptedPin = crypto
-      .createHash('sha256')
-      .update(`${pinCode}`)
-      .digest('hex');
+    const user = await User.findById(userId).select(
+      '+isConfirmed +isTotpEnabled +totpSecret +totpLastTimestep +pinAttempts +pinLockedUntil',
+    );
 
-    const user = await User.findOne({
-      email,
-      pinCode: cryptedPin,
-      pinCodeExpires: { $gt: Date.now() },
-    }).select('+isConfirmed +pinCode +pinCodeExpires');
-
-    if (!user) {
-      next(new AppError('Invalid PIN Code.', 401));
+    if (!user.isTotpEnabled) {
+      next(
+        new AppError(
+          'The two-factor authentication with an authenticator app is not enabled on your account.',
+          400,
+        ),
+      );
       return;
     }
 
-    const { isConfirmed } = user;
+    const lockError =
+      getPinLockError(user) || (await getThrottleError(req, res, user.email));
 
-    if (!isConfirmed) user.isConfirmed = true;
-    user.pinCode = undefined;
-    user.pinCodeExpires = undefined;
+    if (lockError) {
+      next(lockError);
+      return;
+    }
 
-    await user.save({ validateBeforeSave: false });
-    // Create jwt token and authenticate the user if he correctly signed in/up
-    const { resObject, cookieOptions } = createSendToken(req, user._id);
+    let recoveryCodesLeft;
 
-    resObject['message'] = isConfirmed
-      ? 'Welcome back!'
-      : "Successful registration. Welcome to Park'N'Share!";
+    if (recoveryCode) {
+      recoveryCodesLeft = await consumeRecoveryCode(userId, recoveryCode);
 
-    try {
-      if (!isConfirmed) await new Email(user).sendWelcome();
-    } catch (err) {
-      console.error('Error while trying to send the confirmation email.');
-      console.error(err);
+      if (recoveryCodesLeft === null) {
+        next(await registerWrongCode(req, 'Invalid recovery code.'));
+        return;
+      }
+    } else if (!(await consumeTotpCode(user, code))) {
+      next(await registerWrongCode(req, 'Invalid code.'));
+      return;
     }
 
-    // send the token as a httpOnly cookie
-    res.cookie('jwt', resObject.token, cookieOptions);
+    const resObject = await sendConfirmedSession(req, res, user);
+
+    if (recoveryCodesLeft !== undefined)
+      resObject.recoveryCodesLeft = recoveryCodesLeft;
 
     res.status(200).json(resObject);
   },
@@ -192,54 +411,219 @@ exports.signin = catchAsync(
       return;
     }
 
+    const throttleError = await getThrottleError(req, res, email);
+
+    if (throttleError) {
+      next(throttleError);
+      return;
+    }
+
     const user = await User.findOne({ email }, null, {
       disableMiddlewares: true,
-    }).select('+password +isConfirmed');
+    }).select('+password +isConfirmed +pinLockedUntil +isTotpEnabled');
 
     if (
       !user ||
       !user?.isConfirmed ||
+      !user.password ||
       !(await user.correctPassword(password, user.password))
     ) {
+      await registerFailedAttempt(req, email);
       next(new AppError('Incorrect credentials.', 401));
       return;
     }
 
-    let pins;
+    await requestSecondFactor(res, next, user);
+  },
+);
+
+/**
+ * Async function used to send the session token of an user who signed in with his Google account.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+ * @param {import('../models/userModel').User} user The connected user.
+ */
+const sendGoogleSession = async (req, res, user) => {
+  // The users with an authenticator app still have to confirm with it
+  if (await User.exists({ _id: user._id, isTotpEnabled: true })) {
+    sendPreAuthToken(res, 200, user);
+    return;
+  }
+
+  const resObject = await createSendToken(req, res, user._id);
+
+  resObject['message'] =
+    "Successfully signed in with Google. Welcome to Park'N'Share!";
+  resObject.roles = [user.role];
+
+  res.status(200).json(resObject);
+};
+
+exports.googleSignin = catchAsync(
+  /**
+   * Function used to sign in an user with the Google ID token obtained by the frontend, linking or creating his account if needed.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      body: { idToken },
+    } = req;
+
+    const user = await getGoogleUser(await verifyGoogleIdToken(idToken));
+
+    await sendGoogleSession(req, res, user);
+  },
+);
+
+/**
+ * Function used to redirect the user to the Google consent screen.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+ */
+exports.redirectToGoogle = (req, res) => {
+  res.redirect(getGoogleAuthUrl());
+};
+
+exports.googleCallback = catchAsync(
+  /**
+   * Function used to handle the redirection of the user by Google after the consent screen. The user is sent back to the frontend with a single-use code,
+   * exchanged by the frontend against the session token, or with the reason of the failure.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      query: { code, state, error },
+    } = req;
+
+    const redirectUrl = `${FRONTEND_URL}/google-callback`;
+
+    if (error || !consumeAuthState(state)) {
+      res.redirect(
+        `${redirectUrl}?error=${encodeURIComponent(
+          'The Google sign-in was cancelled or has expired. Please retry.',
+        )}`,
+      );
+      return;
+    }
+
+    let user;
 
     try {
-      pins = await sendPinCode(user);
+      user = await getGoogleUser(await exchangeGoogleCode(code));
     } catch (err) {
+      if (!err.isOperational) console.error(err);
+      res.redirect(
+        `${redirectUrl}?error=${encodeURIComponent(
+          err.isOperational
+            ? err.message
+            : 'There was an error signing in with Google. Please retry.',
+        )}`,
+      );
+      return;
+    }
+
+    res.redirect(`${redirectUrl}?code=${createHandoffCode(user._id)}`);
+  },
+);
+
+exports.googleHandoff = catchAsync(
+  /**
+   * Function used to exchange the single-use code given to the frontend at the end of a Google sign-in against the session token of the user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      body: { code },
+    } = req;
+
+    const userId = consumeHandoffCode(code);
+    const user = userId && (await User.findById(userId));
+
+    if (!user) {
+      next(new AppError('Invalid or expired Google sign-in code.', 401));
+      return;
+    }
+
+    await sendGoogleSession(req, res, user);
+  },
+);
+
+exports.refresh = catchAsync(
+  /**
+   * Function used to exchange the refresh token of an user against a new access token and a new refresh token.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      body: { refreshToken: bodyRefreshToken },
+      cookies: { refreshToken: cookieRefreshToken },
+    } = req;
+    const refreshToken = bodyRefreshToken || cookieRefreshToken;
+
+    if (!refreshToken) {
+      next(new AppError('Please provide a refresh token.', 401));
+      return;
+    }
+
+    const [session, newRefreshToken] = await rotateSession(req, refreshToken);
+
+    const user = await User.findById(session.user);
+
+    if (!user) {
+      await revokeSessions({ _id: session._id });
       next(
         new AppError(
-          'There was an error sending the pin code. Please retry or contact us at admin@parknshare.com.',
-          500,
+          "The requested account doesn't exist or was deleted.",
+          401,
         ),
       );
-      console.error(err);
       return;
     }
 
-    const [pinCode, pinCodeExpires] = pins;
+    const resObject = sendSessionTokens(req, res, session, newRefreshToken);
 
-    /*res.status(200).json({
-      status: 'success',
-      message: 'Please confirm with the PIN code sent to your phone number.',
-      pinCodeExpires,
-      pinCode,
-    });*/
+    resObject.roles = [user.role];
 
-    const { resObject, cookieOptions } = createSendToken(req, user._id);
+    res.status(200).json(resObject);
+  },
+);
 
-    resObject.pinCode = pinCode;
-    resObject.pinCodeExpires = pinCodeExpires;
-    resObject['message'] = 'Welcome back!';
-    resObject.roles = [user.role];
+exports.logout = catchAsync(
+  /**
+   * Function used to log out an user, by revoking the session of his refresh token (or of his access token if he didn't send it).
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      body: { refreshToken: bodyRefreshToken },
+      cookies: { refreshToken: cookieRefreshToken },
+    } = req;
+    const refreshToken = bodyRefreshToken || cookieRefreshToken;
+    const token = getToken(req);
 
-    // send the token as a httpOnly cookie
-    res.cookie('jwt', resObject.token, cookieOptions);
+    if (refreshToken) await revokeRefreshToken(refreshToken);
+    else if (token) {
+      try {
+        const user = await connectUser(User, token);
+        await revokeSessions({ _id: user.$locals.sessionId });
+      } catch (err) {
+        // the session of an invalid token is already unusable
+      }
+    }
 
-    res.status(200).json(resObject);
+    clearSessionCookies(req, res);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'You were successfully logged out.',
+    });
   },
 );
 
@@ -273,6 +657,29 @@ exports.protect = catchAsync(
   },
 );
 
+exports.protectPreAuth = catchAsync(
+  /**
+   * Function used to check if the user sent the pre-authentication token given in the first step of the signin / signup process. It will continue to the next middleware function if it is the case, otherwise it will throw an error.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, _, next) => {
+    const token = getToken(req);
+
+    if (!token) {
+      next(
+        new AppError('Please sign in before confirming your PIN code.', 401),
+      );
+
+      return;
+    }
+
+    req.user = await connectUser(User, token, 'pre-auth');
+
+    next();
+  },
+);
+
 exports.validate = catchAsync(
   /**
    * Function used to check if the user is logged in. It will continue to the next middleware function if it is the case, otherwise it will throw an error.
@@ -291,25 +698,26 @@ exports.validate = catchAsync(
   },
 );
 
-exports.restrictTo =
+exports.authorize =
   /**
-   * Function used to restrict the access to a route to users if they aren't from a specific one.
-   * @param  {...any} roles The list of roles for which we want to restrict the access of a route.
-   * @returns {import('express').RequestHandler} A request handler function that will check that the user has one of the role specified in the list.
+   * Function used to restrict the access to a route to the users whose role has a permission for an action on a resource.
+   * The users only having the permission on their own documents are let through, the ownership being checked by the controller.
+   * @param {string} action The action performed by the route (i.e. read, manage, cancel).
+   * @param {string} resource The resource the action is performed on (i.e. parking, booking).
+   * @returns {import('express').RequestHandler} A request handler function that will check that the role of the user has the permission.
    */
 
-
-    (...roles) =>
+  (action, resource) =>
     /**
-     * Function that will check that the user have of the specified roles to access a route and deny access if it isn't the case.
+     * Function that will check that the role of the user has the permission to access a route and deny access if it isn't the case.
      * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
      * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
      */
     (req, _, next) => {
       const {
-        user: { role },
+        user: { role, isTotpEnabled },
       } = req;
-      if (!roles.includes(role)) {
+      if (!canPerform(role, action, resource)) {
         next(
           new AppError(
             "You don't have permission to perform this action.",
@@ -319,6 +727,16 @@ exports.restrictTo =
         return;
       }
 
+      if (TOTP_REQUIRED_ROLES.includes(role) && !isTotpEnabled) {
+        next(
+          new AppError(
+            'Please enable the two-factor authentication with an authenticator app to perform this action.',
+            403,
+          ),
+        );
+        return;
+      }
+
       next();
     };
 
@@ -439,13 +857,12 @@ exports.changePassword = catchAsync(
 
     await user.save();
 
-    // authenticate the client again
-    const { resObject, cookieOptions } = createSendToken(req, user._id);
+    // log out the other devices and authenticate the client again
+    await revokeSessions({ user: user._id });
+    const resObject = await createSendToken(req, res, user._id);
 
     resObject['message'] = 'Password successfully updated.';
 
-    res.cookie('jwt', resObject.token, cookieOptions);
-
     // send back the response
     res.status(200).json(resObject);
   },
@@ -555,7 +972,7 @@ exports.resetPassword = catchAsync(
     const user = await User.findOne({
       passwordResetToken,
       passwordResetExpires: { $gt: Date.now() },
-    });
+    }).select('+pinLockedUntil +isTotpEnabled');
 
     if (!user) {
       next(new AppError('The link is invalid or has expired.', 400));
@@ -573,15 +990,9 @@ exports.resetPassword = catchAsync(
 
     await user.save({ validateBeforeSave: false });
 
-    // authenticate the client again
-    const { resObject, cookieOptions } = createSendToken(req, user._id);
-
-    resObject['message'] = 'Password successfully changed!';
-
-    res.cookie('jwt', resObject.token, cookieOptions);
-
-    // send back the response
-    res.status(200).json(resObject);
+    // log out all the devices, the client having to confirm his second factor before getting a new session
+    await revokeSessions({ user: user._id });
+    await requestSecondFactor(res, next, user);
   },
 );
 
@@ -0,0 +1,269 @@
+/**
+ * Functions related to calling the booking resource in the API
+ * @module bookingController
+ */
+const {
+  catchAsync,
+  checkDate,
+  queryById,
+  runTransaction,
+} = require('../utils/utils');
+const {
+  BOOKING_LOCK_DURATION,
+  MAX_BOOKING_DURATION,
+} = require('../utils/globals');
+const { can } = require('../utils/permissions');
+const Booking = require('../models/bookingModel');
+const Parking = require('../models/parkingModel');
+const AppError = require('../utils/classes/AppError');
+
+exports.createBooking = catchAsync(
+  /**
+   * Function used to book a parking for a future time window.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId, username, email },
+      params: { id },
+      body: { start, end },
+    } = req;
+
+    if (
+      !checkDate(
+        start,
+        'Please provide a valid date for the start of your booking.',
+        next,
+      ) ||
+      !checkDate(
+        end,
+        'Please provide a valid date for the end of your booking.',
+        next,
+      )
+    )
+      return;
+
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+
+    if (startDate.getTime() < Date.now()) {
+      next(new AppError("You can't book a parking in the past.", 400));
+      return;
+    }
+
+    if (endDate <= startDate) {
+      next(new AppError('The end of a booking must be after its start.', 400));
+      return;
+    }
+
+    if (endDate - startDate > MAX_BOOKING_DURATION * 24 * 60 * 60 * 1000) {
+      next(
+        new AppError(
+          `A booking can't last more than ${MAX_BOOKING_DURATION} days.`,
+          400,
+        ),
+      );
+      return;
+    }
+
+    const parking = await queryById(Parking, id, { isValidated: true }, [
+      {
+        path: 'owner',
+        select: '_id username email',
+      },
+    ]);
+
+    // Check if parking exists.
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    // Check if the connected user is the owner of the parking
+    if (parking.owner._id.valueOf() === userId.valueOf()) {
+      next(new AppError("You can't book your own parkings.", 400));
+      return;
+    }
+
+    // Check if the owner makes the parking available during the whole time window
+    if (!parking.isAvailableBetween(startDate, endDate)) {
+      next(
+        new AppError(
+          'The requested parking is not available during this time window according to its availability calendar.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    // Lock the parking while checking the conflicts and creating the booking, such that only one of simultaneous overlapping requests can book it
+    const booking = await runTransaction(async (session, onRollback) => {
+      const now = new Date();
+      const lockedParking = await Parking.findOneAndUpdate(
+        {
+          _id: parking._id,
+          $or: [
+            { bookingLockExpires: { $exists: false } },
+            { bookingLockExpires: { $lte: now } },
+          ],
+        },
+        { bookingLockExpires: new Date(now.getTime() + BOOKING_LOCK_DURATION) },
+        { session, runValidators: false },
+      );
+
+      if (!lockedParking)
+        throw new AppError(
+          'Another booking of the requested parking is being processed. Please retry in a few seconds.',
+          409,
+        );
+
+      const releaseLock = () =>
+        Parking.updateOne(
+          { _id: parking._id },
+          { $unset: { bookingLockExpires: 1 } },
+          { session, runValidators: false },
+        );
+
+      onRollback(releaseLock);
+
+      // Check if the time window overlaps another booking or an ongoing occupation
+      if (
+        await Booking.hasConflict(parking._id, startDate, endDate, {}, session)
+      )
+        throw new AppError(
+          'The requested parking is not available during this time window.',
+          400,
+        );
+
+      const [newBooking] = await Booking.create(
+        [
+          {
+            start: startDate,
+            end: endDate,
+            client: userId,
+            parking: parking._id,
+          },
+        ],
+        { session },
+      );
+
+      await releaseLock();
+
+      return newBooking;
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'You successfully booked the parking.',
+      data: {
+        booking: {
+          ...booking._doc,
+          client: { _id: userId, username, email },
+          parking: { _id: parking._id, name: parking.name },
+        },
+      },
+    });
+  },
+);
+
+exports.getBookings = catchAsync(
+  /**
+   * Function used to get the bookings of a parking. The owner of the parking and the admins get all of them, the other users only get their own ones.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      params: { id },
+    } = req;
+
+    const parking = await queryById(Parking, id);
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    const queryObj = { parking: parking._id };
+
+    // The managers of the parking get all its bookings, the other users only their own ones
+    if (!can(user, 'manage', 'parking', parking)) queryObj.client = user._id;
+
+    const bookings = await Booking.find(queryObj)
+      .sort('start')
+      .populate([
+        {
+          path: 'client',
+          select: '_id username email',
+        },
+        {
+          path: 'parking',
+          select: '_id name',
+        },
+      ]);
+
+    res.status(200).json({ status: 'success', data: { bookings } });
+  },
+);
+
+exports.cancelBooking = catchAsync(
+  /**
+   * Function used to cancel an existing booking, either by the client who made it, the owner of the parking or an admin.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      params: { id, bookingId },
+    } = req;
+
+    const booking = await queryById(
+      Booking,
+      bookingId,
+      { parking: id },
+      {
+        path: 'parking',
+        select: '_id name owner',
+      },
+    );
+
+    if (!booking) {
+      next(new AppError("The requested booking doesn't exist.", 404));
+      return;
+    }
+
+    if (!can(user, 'cancel', 'booking', booking)) {
+      next(
+        new AppError("You don't have permission to perform this action.", 403),
+      );
+      return;
+    }
+
+    if (booking.status === 'cancelled') {
+      next(new AppError('This booking was already cancelled.', 400));
+      return;
+    }
+
+    if (booking.end.getTime() < Date.now()) {
+      next(new AppError("You can't cancel a past booking.", 400));
+      return;
+    }
+
+    booking.status = 'cancelled';
+    booking.cancellationDate = Date.now();
+
+    await booking.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The booking was successfully cancelled.',
+      data: { booking },
+    });
+  },
+);
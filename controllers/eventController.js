@@ -0,0 +1,62 @@
+/**
+ * Functions related to streaming the live parking events in the API
+ * @module eventController
+ */
+const { catchAsync, queryById } = require('../utils/utils');
+const { can } = require('../utils/permissions');
+const { openEventStream } = require('../utils/sse');
+const Parking = require('../models/parkingModel');
+const AppError = require('../utils/classes/AppError');
+
+exports.streamParkingEvents = catchAsync(
+  /**
+   * Function used to stream the occupancy changes of a parking, along with its reservations if the connected user is its owner or an admin.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      params: { id },
+    } = req;
+
+    const parking = await queryById(
+      Parking,
+      id,
+      can(user, 'read', 'parking') ? {} : { isValidated: true },
+    );
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    const parkingId = parking._id.valueOf();
+    const isManager = can(user, 'manage', 'parking', parking);
+
+    openEventStream(
+      req,
+      res,
+      ({ type, parking: eventParking }) =>
+        eventParking === parkingId &&
+        (type === 'parking:occupancy' || isManager),
+    );
+  },
+);
+
+/**
+ * Function used to stream the steps of the reservations of the connected user.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+ */
+exports.streamOwnOccupationEvents = (req, res) => {
+  const userId = req.user._id.valueOf();
+
+  openEventStream(
+    req,
+    res,
+    ({ type, data: { occupation } }) =>
+      type.startsWith('reservation:') && `${occupation.client}` === userId,
+  );
+};
@@ -0,0 +1,125 @@
+/**
+ * Functions related to calling the incident resource in the API
+ * @module incidentController
+ */
+const { catchAsync, queryById } = require('../utils/utils');
+const { can } = require('../utils/permissions');
+const Incident = require('../models/incidentModel');
+const Parking = require('../models/parkingModel');
+const Occupation = require('../models/occupationModel');
+const AppError = require('../utils/classes/AppError');
+const { EVENT_BUS } = require('../utils/globals');
+
+/**
+ * Populate object of the incidents.
+ * @type {Object[]}
+ */
+const INCIDENT_POPULATE = [
+  { path: 'parking', select: '_id name' },
+  { path: 'owner', select: '_id username email' },
+];
+
+exports.getIncidents = catchAsync(
+  /**
+   * Function used to get the incidents detected on the parkings of the connected user (all of them for the admins).
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      query: { status, parking },
+    } = req;
+
+    const queryObj = {};
+
+    if (!can(user, 'read', 'incident')) queryObj.owner = user._id;
+
+    if (status) {
+      if (!['open', 'resolved'].includes(status)) {
+        next(
+          new AppError(
+            'Please provide a valid status for the incidents (open or resolved).',
+            400,
+          ),
+        );
+        return;
+      }
+      queryObj.status = status;
+    }
+
+    if (parking) queryObj.parking = parking;
+
+    const incidents = await Incident.find(queryObj)
+      .sort('-detectionDate')
+      .populate(INCIDENT_POPULATE);
+
+    res.status(200).json({ status: 'success', data: { incidents } });
+  },
+);
+
+exports.resolveIncident = catchAsync(
+  /**
+   * Function used to manually resolve an open incident. Resolving an unexpected vehicle incident releases the parking if no occupation is active on it.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      params: { id },
+    } = req;
+
+    const incident = await queryById(Incident, id);
+
+    if (!incident) {
+      next(new AppError("The requested incident doesn't exist.", 404));
+      return;
+    }
+
+    if (!can(user, 'resolve', 'incident', incident)) {
+      next(
+        new AppError("You don't have permission to perform this action.", 403),
+      );
+      return;
+    }
+
+    const resolvedIncident = await Incident.findOneAndUpdate(
+      { _id: incident._id, status: 'open' },
+      {
+        status: 'resolved',
+        resolutionDate: Date.now(),
+        resolution: can(user, 'resolve', 'incident') ? 'admin' : 'owner',
+      },
+      { new: true },
+    ).populate(INCIDENT_POPULATE);
+
+    if (!resolvedIncident) {
+      next(new AppError('This incident was already resolved.', 400));
+      return;
+    }
+
+    // Release the parking blocked by the detected vehicle, unless a client has reserved it in the meantime
+    if (
+      resolvedIncident.type === 'unexpected-vehicle' &&
+      !(await Occupation.exists({ parking: incident.parking, end: undefined }))
+    ) {
+      const { modifiedCount } = await Parking.updateOne(
+        { _id: incident.parking, isOccupied: true },
+        { isOccupied: false },
+        { runValidators: false },
+      );
+
+      if (modifiedCount > 0)
+        EVENT_BUS.publishOccupancy(incident.parking, false);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The incident was successfully resolved.',
+      data: { incident: resolvedIncident },
+    });
+  },
+);
@@ -1,5 +1,12 @@
 const Occupation = require('../models/occupationModel');
-const { catchAsync } = require('../utils/utils');
+const AppError = require('../utils/classes/AppError');
+const { catchAsync, queryById } = require('../utils/utils');
+const { can } = require('../utils/permissions');
+const {
+  getOrCreateInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+} = require('../utils/invoices');
 
 exports.getOwnOccupations = catchAsync(
   /**
@@ -26,3 +33,72 @@ exports.getOwnOccupations = catchAsync(
     res.status(200).json({ status: 'success', data: { occupations } });
   },
 );
+
+exports.getInvoice = catchAsync(
+  /**
+   * Function used to get the invoice of a finished occupation in HTML or PDF, accessible to its client, the owner of the parking and the admins.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      params: { id },
+      query: { format = 'html' },
+    } = req;
+
+    if (!['html', 'pdf'].includes(format)) {
+      next(
+        new AppError(
+          'Please provide a valid invoice format (html or pdf).',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const occupation = await queryById(Occupation, id, {}, [
+      {
+        path: 'parking',
+        select: '_id owner',
+      },
+    ]);
+
+    if (!occupation) {
+      next(new AppError("The requested occupation doesn't exist.", 404));
+      return;
+    }
+
+    // Only the client, the owner of the parking and the admins can get the invoice
+    if (!can(user, 'read', 'occupation', occupation)) {
+      next(
+        new AppError("You don't have permission to perform this action.", 403),
+      );
+      return;
+    }
+
+    if (!occupation.end || occupation.status === 'expired') {
+      next(new AppError('Only the finished occupations can be invoiced.', 400));
+      return;
+    }
+
+    const invoice = await getOrCreateInvoice(occupation._id);
+
+    if (format === 'pdf') {
+      res
+        .status(200)
+        .set({
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `inline; filename="invoice-${invoice.number}.pdf"`,
+        })
+        .send(await renderInvoicePdf(invoice));
+      return;
+    }
+
+    res
+      .status(200)
+      .type('html')
+      .send(await renderInvoiceHtml(invoice));
+  },
+);
@@ -8,16 +8,35 @@ const {
   checkNumber,
   setBoolean,
   checkLocation,
+  checkDate,
   queryById,
-  waitClickButton,
+  runTransaction,
 } = require('../utils/utils');
 const Parking = require('../models/parkingModel');
 const Occupation = require('../models/occupationModel');
+const Booking = require('../models/bookingModel');
+const Payment = require('../models/paymentModel');
+const {
+  authorizePayment,
+  releaseAuthorization,
+  getPaymentSummary,
+} = require('../utils/payments');
+const { getBalance } = require('../utils/wallet');
+const { computePrice } = require('../utils/pricing');
+const { finishOccupation } = require('../utils/reservations');
+const { getComfortScore } = require('../utils/comfort');
 const { uploadImage } = require('../utils/utils');
+const { can } = require('../utils/permissions');
 const {
   PARKINGS_FOLDER,
   GEOAPI_REVERSE_URL,
   GEOAPI_SEARCH_URL,
+  PAYMENT_CURRENCY,
+  WALLET_MINIMUM_BALANCE,
+  RESERVATION_CONFIRMATION_DELAY,
+  MAX_BOOKING_DURATION,
+  OCCUPATION_HORIZON,
+  EVENT_BUS,
 } = require('../utils/globals');
 const AppError = require('../utils/classes/AppError');
 const sharp = require('sharp');
@@ -29,7 +48,15 @@ const crypto = require('crypto');
 const User = require('../models/userModel');
 const Email = require('../utils/classes/Email');
 const mongoose = require('mongoose');
-const moment = require('moment-timezone');
+
+/**
+ * Sorting orders accepted when querying the parkings.
+ * @type {Object}
+ */
+const PARKING_SORTS = {
+  rating: '-ratingsAverage -ratingsQuantity',
+  comfort: '-comfort.score -ratingsAverage',
+};
 
 exports.handleParkingQuery = catchAsync(
   /**
@@ -42,7 +69,7 @@ exports.handleParkingQuery = catchAsync(
 
     const queryObj = {};
 
-    if (req?.user?.role === 'admin' && query.isValidated) {
+    if (can(req.user, 'read', 'parking') && query.isValidated) {
       if (
         !checkBoolean(
           query.isValidated,
@@ -133,6 +160,82 @@ exports.handleParkingQuery = catchAsync(
       };
     }
 
+    let from, to;
+
+    if (query.from || query.to) {
+      if (
+        !checkDate(
+          query.from,
+          'Please provide a valid date for the start of the time window.',
+          next,
+        ) ||
+        !checkDate(
+          query.to,
+          'Please provide a valid date for the end of the time window.',
+          next,
+        )
+      )
+        return;
+
+      from = new Date(query.from);
+      to = new Date(query.to);
+
+      if (to <= from) {
+        next(
+          new AppError(
+            'The end of the time window must be after its start.',
+            400,
+          ),
+        );
+        return;
+      }
+
+      if (to - from > MAX_BOOKING_DURATION * 24 * 60 * 60 * 1000) {
+        next(
+          new AppError(
+            `The time window can't last more than ${MAX_BOOKING_DURATION} days.`,
+            400,
+          ),
+        );
+        return;
+      }
+    }
+
+    if (query.minRating) {
+      if (
+        !checkNumber(
+          query.minRating,
+          'Please provide a numerical value for the minimum rating.',
+          next,
+        )
+      )
+        return;
+      queryObj.ratingsAverage = { $gte: parseFloat(query.minRating) };
+    }
+
+    if (query.sort) {
+      if (!Object.keys(PARKING_SORTS).includes(query.sort)) {
+        next(
+          new AppError(
+            'Please provide a valid sorting order (rating, comfort).',
+            400,
+          ),
+        );
+        return;
+      }
+      req.sort = PARKING_SORTS[query.sort];
+    }
+
+    if (from) {
+      // Exclude the booked or occupied parkings, and the ones matching the other criteria but closed by their availability calendar
+      const [unavailableParkings, closedParkings] = await Promise.all([
+        Booking.getUnavailableParkings(from, to),
+        Parking.getClosedParkings(from, to, queryObj),
+      ]);
+
+      queryObj._id = { $nin: [...unavailableParkings, ...closedParkings] };
+    }
+
     req.query = queryObj;
 
     next();
@@ -167,9 +270,16 @@ exports.validateParking = catchAsync(
       { new: true },
     ).select('+isValidated');
 
-    // Change the status of the owner to provider
-    const owner = await User.findByIdAndUpdate(parking.owner, {
-      role: 'provider',
+    // Change the status of the owner to provider (the moderators and admins keep their role)
+    const owner = await User.findById(parking.owner);
+
+    if (owner?.role === 'client')
+      await User.updateOne({ _id: owner._id }, { role: 'provider' });
+
+    EVENT_BUS.publish('parking:validated', {
+      parking: parking._id,
+      owner: parking.owner,
+      data: { parking: { _id: parking._id, name: updatedParking.name } },
     });
 
     // Send email to owner for validation
@@ -204,12 +314,13 @@ exports.getAllParkings = catchAsync(
    * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
    */
   async (req, res) => {
-    if (!req.own && req?.user?.role !== 'admin') {
+    if (!req.own && !can(req.user, 'read', 'parking')) {
       req.query.isValidated = true;
     }
     const parkings = await Parking.find({
       ...req.query,
     })
+      .sort(req.sort)
       .populate({
         path: 'owner',
         select: '_id username email',
@@ -236,10 +347,11 @@ exports.getParking = catchAsync(
       params: { id },
     } = req;
     const queryObj = {};
+    const canReadAll = can(req.user, 'read', 'parking');
 
-    if (!req.user || req?.user?.role !== 'admin') queryObj.isValidated = true;
+    if (!canReadAll) queryObj.isValidated = true;
 
-    const selectFields = req?.user?.role === 'admin' ? '+isValidated' : '';
+    const selectFields = canReadAll ? '+isValidated' : '';
     const parking = await queryById(
       Parking,
       id,
@@ -253,15 +365,14 @@ exports.getParking = catchAsync(
 
     if (
       !parking ||
-      (req.user &&
-        req.user.role !== 'admin' &&
-        parking.isValidated === false &&
-        parking.owner._id.valueOf() !== req.user._id.valueOf())
+      (parking.isValidated === false &&
+        !can(req.user, 'read', 'parking', parking))
     ) {
       next(new AppError("The requested parking doesn't exist.", 404));
       return;
     }
 
+    parking.comfort = await getComfortScore(parking);
     parking.generateFileAbsolutePath();
 
     res.status(200).json({ status: 'success', data: { parking } });
@@ -325,9 +436,19 @@ exports.startReservation = catchAsync(
     const {
       user: { _id: userId, username, email },
       params: { id },
-      // card: { _id: idCard, cardBalance },
+      body: { paymentMethod },
     } = req;
 
+    if (!paymentMethod) {
+      next(
+        new AppError(
+          'Please provide a payment method for your reservation.',
+          400,
+        ),
+      );
+      return;
+    }
+
     const parking = await queryById(
       Parking,
       id,
@@ -340,7 +461,7 @@ exports.startReservation = catchAsync(
           select: '_id username email',
         },
       ],
-      '+isOccupied',
+      '+isOccupied +thingy',
     );
 
     // Check if parking exists.
@@ -359,79 +480,178 @@ exports.startReservation = catchAsync(
       return;
     }
 
-    // Create an occupation for the parking
-    // N.B. : a transaction is needed such that updating the occupation state of a parking and create a new occupation in the database will be done atomically
-    //const session = await mongoose.startSession();
+    const start = Date.now();
 
-    try {
-      //await session.startTransaction();
-
-      const [[occupation]] = await Promise.all([
-        Occupation.create(
-          [
-            {
-              start,
-              end: undefined,
-              client: userId,
-              parking: parking._id,
-            },
-          ],
-          {
-            /*session*/
-          },
-        ),
-        Parking.updateOne(
-          { _id: parking._id },
-          { isOccupied: true },
-          { /*session,*/ runValidators: false },
+    // Check if the owner makes the parking available at this moment
+    if (!parking.isAvailableAt(start)) {
+      next(
+        new AppError(
+          'The requested parking is not available at this time according to its availability calendar.',
+          400,
         ),
-      ]);
+      );
+      return;
+    }
 
-      const returnedOccupation = {
-        ...occupation._doc,
-        client: {
-          _id: userId,
-          username,
-          email,
-        },
-        parking: {
-          _id: id,
-          name: parking.name,
-        },
-      };
+    // Check if the parking is booked by another user now or within the time the reservation is expected to last
+    if (
+      await Booking.exists({
+        parking: parking._id,
+        client: { $ne: userId },
+        status: 'booked',
+        start: { $lt: start + OCCUPATION_HORIZON },
+        end: { $gt: start },
+      })
+    ) {
+      next(
+        new AppError(
+          `The requested parking is booked by another user within the next ${
+            OCCUPATION_HORIZON / (60 * 60 * 1000)
+          } hours.`,
+          400,
+        ),
+      );
+      return;
+    }
 
-      try {
-        await new Email(parking.owner).sendParkingReserved(
-          username,
-          returnedOccupation._id,
-          parking.name,
-          returnedOccupation.start,
-        );
-      } catch (err) {
-        console.error(
-          'Error while trying to send the parking reservation start to the owner.',
+    const isWalletPayment = paymentMethod === 'wallet';
+    let intent;
+
+    if (isWalletPayment) {
+      // Check if the wallet of the client covers the minimum balance required to start a reservation
+      if ((await getBalance(userId)) < WALLET_MINIMUM_BALANCE) {
+        next(
+          new AppError(
+            `Your wallet balance must be at least ${WALLET_MINIMUM_BALANCE} ${PAYMENT_CURRENCY.toUpperCase()} to start a reservation.`,
+            402,
+          ),
         );
-        console.error(err);
+        return;
       }
-
-      res.status(200).json({
-        status: 'success',
-        message: 'You created a new parking reservation.',
-        data: { occupation: returnedOccupation },
+    } else {
+      // Pre-authorize the payment of the reservation on the payment method of the client
+      intent = await authorizePayment(paymentMethod, parking, {
+        client: userId,
       });
-      //await session.commitTransaction();
+    }
+
+    // The client has to confirm his arrival by pressing the button of the thingy of the parking, if it is equipped with one
+    const isConfirmationRequired = !!parking.thingy;
+
+    // Claim the parking and create an occupation for it atomically, such that only one of simultaneous requests can reserve it
+    let occupation, payment;
+    try {
+      [occupation, payment] = await runTransaction(
+        async (session, onRollback) => {
+          const claimedParking = await Parking.findOneAndUpdate(
+            { _id: parking._id, isValidated: true, isOccupied: false },
+            { isOccupied: true, isPending: isConfirmationRequired },
+            { session, runValidators: false },
+          );
+
+          if (!claimedParking)
+            throw new AppError(
+              'The requested parking is already occupied.',
+              400,
+            );
+
+          onRollback(() =>
+            Parking.updateOne(
+              { _id: parking._id },
+              { isOccupied: false, isPending: false },
+              { runValidators: false },
+            ),
+          );
+
+          const [newOccupation] = await Occupation.create(
+            [
+              {
+                start,
+                end: undefined,
+                client: userId,
+                parking: parking._id,
+                status: isConfirmationRequired ? 'pending' : 'active',
+                confirmationDeadline: isConfirmationRequired
+                  ? start + RESERVATION_CONFIRMATION_DELAY
+                  : undefined,
+              },
+            ],
+            { session },
+          );
+
+          onRollback(() => Occupation.deleteOne({ _id: newOccupation._id }));
+
+          const [newPayment] = await Payment.create(
+            [
+              {
+                occupation: newOccupation._id,
+                client: userId,
+                method: isWalletPayment ? 'wallet' : 'card',
+                intentId: intent?.id,
+                paymentMethod: isWalletPayment ? undefined : paymentMethod,
+                currency: PAYMENT_CURRENCY,
+                amountAuthorized: intent?.amount,
+              },
+            ],
+            { session },
+          );
+
+          return [newOccupation, newPayment];
+        },
+      );
+    } catch (err) {
+      if (intent) await releaseAuthorization(intent.id);
+      throw err;
+    }
+
+    EVENT_BUS.publishOccupancy(parking._id, true);
+    EVENT_BUS.publishReservation('start', occupation, parking.owner._id);
+
+    const returnedOccupation = {
+      ...occupation._doc,
+      client: {
+        _id: userId,
+        username,
+        email,
+      },
+      parking: {
+        _id: id,
+        name: parking.name,
+      },
+    };
+
+    try {
+      await new Email(parking.owner).sendParkingReserved(
+        username,
+        returnedOccupation._id,
+        parking.name,
+        returnedOccupation.start,
+      );
     } catch (err) {
-      //await session.abortTransaction();
-      next(err);
-    } finally {
-      //await session.endSession();
+      console.error(
+        'Error while trying to send the parking reservation start to the owner.',
+      );
+      console.error(err);
     }
+
+    res.status(200).json({
+      status: 'success',
+      message: isConfirmationRequired
+        ? `You created a new parking reservation. Please press the button of the parking within ${
+            RESERVATION_CONFIRMATION_DELAY / 60000
+          } minutes to confirm your arrival.`
+        : 'You created a new parking reservation.',
+      data: {
+        occupation: returnedOccupation,
+        payment: getPaymentSummary(payment),
+      },
+    });
   },
 );
 
 exports.endReservation = catchAsync(
   /**
-   * Function used to create a new parking slot.
+   * Function used to end the reservation of a parking. If the parking is equipped with a thingy, the end is pending until the client confirms his departure by pressing its button.
    * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
    * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
    * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
@@ -460,7 +680,7 @@ exports.endReservation = catchAsync(
             select: '_id username email',
           },
         ],
-        '+isOccupied',
+        '+isOccupied +thingy',
       ),
     ]);
 
@@ -475,65 +695,323 @@ exports.endReservation = catchAsync(
       return;
     }
 
-    //const session = await mongoose.startSession();
-    try {
-      //await session.startTransaction();
-
-      const bill = parseFloat(
-        (
-          (moment(end).diff(moment(occupation.start), 'seconds') *
-            parking.price) /
-          3600
-        ).toFixed(2),
+    // Check if the client has confirmed his arrival
+    if (occupation.status === 'pending') {
+      next(
+        new AppError(
+          'Please confirm your arrival by pressing the button of the parking before ending your reservation.',
+          400,
+        ),
       );
+      return;
+    }
 
-      const [updatedOccupation] = await Promise.all([
-        Occupation.findByIdAndUpdate(
-          occupation._id,
-          { end, bill },
-          { /*session,*/ new: true },
-        ),
-        Parking.updateOne(
-          { _id: parking._id },
-          { isOccupied: false },
-          { /*session,*/ runValidators: false, new: true },
+    // Check if the client has already requested the end of his reservation
+    if (occupation.status === 'ending') {
+      next(
+        new AppError(
+          'You already requested the end of your reservation. Please press the button of the parking to confirm your departure.',
+          400,
         ),
-      ]);
+      );
+      return;
+    }
 
-      const returnedOccupation = {
-        ...updatedOccupation._doc,
-        client: {
-          _id: userId,
-          username,
-          email,
-        },
-        parking: {
-          _id: id,
-          name: parking.name,
-        },
-      };
+    const end = Date.now();
 
-      try {
-        await new Email(parking.owner).sendParkingEndReservation(username);
-      } catch (err) {
-        console.error(
-          'Error while trying to send the parking reservation end to the owner.',
-        );
-        console.error(err);
-      }
+    const returnedParking = {
+      _id: id,
+      name: parking.name,
+    };
+    const returnedClient = {
+      _id: userId,
+      username,
+      email,
+    };
+
+    // Wait for the client to confirm his departure by pressing the button of the thingy of the parking
+    if (parking.thingy) {
+      const endingOccupation = await runTransaction(
+        async (session, onRollback) => {
+          const updatedOccupation = await Occupation.findOneAndUpdate(
+            {
+              _id: occupation._id,
+              end: undefined,
+              status: { $nin: ['pending', 'ending'] },
+            },
+            {
+              status: 'ending',
+              endRequestDate: end,
+              confirmationDeadline: end + RESERVATION_CONFIRMATION_DELAY,
+            },
+            { session, new: true },
+          );
+
+          if (!updatedOccupation)
+            throw new AppError("You haven't reserved this parking.", 400);
+
+          onRollback(() =>
+            Occupation.updateOne(
+              { _id: occupation._id },
+              {
+                status: 'active',
+                $unset: { endRequestDate: 1, confirmationDeadline: 1 },
+              },
+            ),
+          );
+
+          await Parking.updateOne(
+            { _id: parking._id },
+            { isPending: true },
+            { session, runValidators: false },
+          );
 
-      res.status(200).json({
+          return updatedOccupation;
+        },
+      );
+
+      res.status(202).json({
         status: 'success',
-        message: 'You successfully finished your reservation.',
-        data: { occupation: returnedOccupation },
+        message: `Please press the button of the parking within ${
+          RESERVATION_CONFIRMATION_DELAY / 60000
+        } minutes to confirm your departure.`,
+        data: {
+          occupation: {
+            ...endingOccupation._doc,
+            client: returnedClient,
+            parking: returnedParking,
+          },
+        },
       });
-      //await session.commitTransaction();
-    } catch (err) {
-      //await session.abortTransaction();
-      next(err);
-    } finally {
-      //await session.endSession();
+      return;
+    }
+
+    const {
+      occupation: updatedOccupation,
+      payment,
+      invoice,
+    } = await finishOccupation(occupation, parking, end, username);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'You successfully finished your reservation.',
+      data: {
+        occupation: {
+          ...updatedOccupation._doc,
+          client: returnedClient,
+          parking: returnedParking,
+        },
+        payment: getPaymentSummary(payment),
+        invoice: invoice && { _id: invoice._id, number: invoice.number },
+      },
+    });
+  },
+);
+
+exports.getAvailability = catchAsync(
+  /**
+   * Function used to get the availability rules of a parking.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+    } = req;
+
+    const parking = await queryById(
+      Parking,
+      id,
+      { isValidated: true },
+      {},
+      '_id name availability',
+    );
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: { availability: parking.availability },
+    });
+  },
+);
+
+exports.updateAvailability = catchAsync(
+  /**
+   * Function used by the owner of a parking to publish its availability rules (weekly slots and date-specific exceptions).
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+      user,
+      body: { timezone, weekly, exceptions },
+    } = req;
+
+    const parking = await queryById(Parking, id);
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
     }
+
+    // Check if the connected user is the owner of the parking
+    if (!can(user, 'manage', 'parking', parking)) {
+      next(
+        new AppError("You don't have permission to perform this action.", 403),
+      );
+      return;
+    }
+
+    if (timezone !== undefined) parking.availability.timezone = timezone;
+    if (weekly !== undefined) parking.availability.weekly = weekly;
+    if (exceptions !== undefined) parking.availability.exceptions = exceptions;
+
+    await parking.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The availability of your parking was successfully updated.',
+      data: { availability: parking.availability },
+    });
+  },
+);
+
+exports.getQuote = catchAsync(
+  /**
+   * Function used to get the price an occupation of a parking would cost during a time window, according to its pricing rules.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+      query: { start, end },
+    } = req;
+
+    if (
+      !checkDate(
+        start,
+        'Please provide a valid date for the start of the quote.',
+        next,
+      ) ||
+      !checkDate(
+        end,
+        'Please provide a valid date for the end of the quote.',
+        next,
+      )
+    )
+      return;
+
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+
+    if (endDate <= startDate) {
+      next(new AppError('The end of a quote must be after its start.', 400));
+      return;
+    }
+
+    if (endDate - startDate > MAX_BOOKING_DURATION * 24 * 60 * 60 * 1000) {
+      next(
+        new AppError(
+          `A quote can't last more than ${MAX_BOOKING_DURATION} days.`,
+          400,
+        ),
+      );
+      return;
+    }
+
+    const parking = await queryById(
+      Parking,
+      id,
+      { isValidated: true },
+      {},
+      '_id name price pricing availability',
+    );
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quote: {
+          parking: { _id: parking._id, name: parking.name },
+          start: startDate,
+          end: endDate,
+          currency: PAYMENT_CURRENCY,
+          ...computePrice(parking, startDate, endDate),
+        },
+      },
+    });
+  },
+);
+
+exports.updatePricing = catchAsync(
+  /**
+   * Function used by the owner of a parking to publish its pricing rules, replacing the existing ones.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+      user,
+      body: {
+        price,
+        freeMinutes,
+        roundingMinutes,
+        minimumCharge,
+        dailyCap,
+        dailyFlatRate,
+        weekendPrice,
+        night,
+      },
+    } = req;
+
+    const parking = await queryById(Parking, id);
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    // Check if the connected user is the owner of the parking
+    if (!can(user, 'manage', 'parking', parking)) {
+      next(
+        new AppError("You don't have permission to perform this action.", 403),
+      );
+      return;
+    }
+
+    if (price !== undefined) parking.price = price;
+    parking.pricing = {
+      freeMinutes,
+      roundingMinutes,
+      minimumCharge,
+      dailyCap,
+      dailyFlatRate,
+      weekendPrice,
+      night,
+    };
+
+    await parking.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The pricing of your parking was successfully updated.',
+      data: { price: parking.price, pricing: parking.pricing },
+    });
   },
 );
 
@@ -546,7 +1024,7 @@ exports.createParking = catchAsync(
    */
   async (req, res, next) => {
     const {
-      body: { name, description, type, price, coordinates, photos },
+      body: { name, description, type, price, pricing, coordinates, photos },
       user: { _id: id },
     } = req;
 
@@ -588,6 +1066,7 @@ exports.createParking = catchAsync(
       description,
       type,
       price,
+      pricing,
       location,
       photos,
       creationDate: Date.now(),
@@ -0,0 +1,78 @@
+/**
+ * Functions related to calling the payment resource in the API
+ * @module paymentController
+ */
+const Payment = require('../models/paymentModel');
+const AppError = require('../utils/classes/AppError');
+const { catchAsync, checkNumber } = require('../utils/utils');
+const { PAYMENT_PROVIDER } = require('../utils/globals');
+const {
+  handlePaymentEvent,
+  refundPayment,
+  getPaymentSummary,
+} = require('../utils/payments');
+
+exports.handleWebhook = catchAsync(
+  /**
+   * Function used to receive the events sent by the payment provider through its webhooks and synchronize the stored payments with them.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      rawBody,
+      headers: { 'stripe-signature': signature },
+    } = req;
+
+    const event = PAYMENT_PROVIDER.constructEvent(rawBody, signature);
+
+    await handlePaymentEvent(event);
+
+    res.status(200).json({ status: 'success', received: true });
+  },
+);
+
+exports.refundOccupation = catchAsync(
+  /**
+   * Function used to refund (partially or totally) the payment of an occupation.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+      body: { amount },
+    } = req;
+
+    if (
+      amount !== undefined &&
+      !checkNumber(
+        amount,
+        'Please provide a numerical value for the refunded amount.',
+        next,
+      )
+    )
+      return;
+
+    const payment = await Payment.findOne({ occupation: id }).select(
+      '+intentId +charges',
+    );
+
+    if (!payment) {
+      next(new AppError('No payment was found for this occupation.', 404));
+      return;
+    }
+
+    const refundedPayment = await refundPayment(
+      payment,
+      amount !== undefined ? parseFloat(amount) : undefined,
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The payment of the occupation was successfully refunded.',
+      data: { payment: getPaymentSummary(refundedPayment) },
+    });
+  },
+);
@@ -0,0 +1,219 @@
+/**
+ * Functions related to calling the payout and earning resources in the API
+ * @module payoutController
+ */
+const Earning = require('../models/earningModel');
+const Payout = require('../models/payoutModel');
+const AppError = require('../utils/classes/AppError');
+const { catchAsync, checkDate, queryById } = require('../utils/utils');
+const { generatePayouts, settlePayout } = require('../utils/payouts');
+const { PAYMENT_CURRENCY } = require('../utils/globals');
+
+/**
+ * Function used to round an amount of money to the centime.
+ * @param {number} amount The amount we want to round.
+ * @returns {number} The rounded amount.
+ */
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+exports.getMyEarnings = catchAsync(
+  /**
+   * Function used to get the earnings of the connected provider on his parkings, with their totals and his payout statements.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+    } = req;
+
+    const [earnings, payouts] = await Promise.all([
+      Earning.find({ provider: userId })
+        .sort('-creationDate')
+        .populate([
+          {
+            path: 'parking',
+            select: '_id name',
+          },
+          {
+            path: 'occupation',
+            select: '_id start end bill',
+          },
+        ]),
+      Payout.find({ provider: userId }).sort('-creationDate'),
+    ]);
+
+    const summary = earnings.reduce(
+      (total, { gross, commission, net, status }) => {
+        total.gross += gross;
+        total.commission += commission;
+        total.net += net;
+        total[status] += net;
+        return total;
+      },
+      { gross: 0, commission: 0, net: 0, pending: 0, included: 0, settled: 0 },
+    );
+
+    Object.keys(summary).forEach(key => {
+      summary[key] = roundAmount(summary[key]);
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        summary: { ...summary, currency: PAYMENT_CURRENCY },
+        earnings,
+        payouts,
+      },
+    });
+  },
+);
+
+exports.getAllPayouts = catchAsync(
+  /**
+   * Function used to get all payout statements, optionally filtered by provider and status.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      query: { provider, status },
+    } = req;
+
+    const queryObj = {};
+
+    if (provider) queryObj.provider = provider;
+    if (status) queryObj.status = status;
+
+    let payouts;
+    try {
+      payouts = await Payout.find(queryObj)
+        .sort('-creationDate')
+        .populate({ path: 'provider', select: '_id username email' });
+    } catch (err) {
+      if (err.name !== 'CastError') throw err;
+
+      next(new AppError('Please provide a valid provider id.', 400));
+      return;
+    }
+
+    res.status(200).json({ status: 'success', data: { payouts } });
+  },
+);
+
+exports.createPayouts = catchAsync(
+  /**
+   * Function used to generate the payout statements of all providers for their pending earnings created before the end of the period (now by default).
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      body: { periodEnd },
+    } = req;
+
+    if (
+      periodEnd !== undefined &&
+      !checkDate(
+        periodEnd,
+        'Please provide a valid date for the end of the payout period.',
+        next,
+      )
+    )
+      return;
+
+    const end = periodEnd !== undefined ? new Date(periodEnd) : new Date();
+
+    if (end.getTime() > Date.now()) {
+      next(
+        new AppError(
+          "The end of the payout period can't be in the future.",
+          400,
+        ),
+      );
+      return;
+    }
+
+    const payouts = await generatePayouts(end);
+
+    res.status(201).json({
+      status: 'success',
+      message: `${payouts.length} payout(s) were generated.`,
+      data: { payouts },
+    });
+  },
+);
+
+exports.getPayout = catchAsync(
+  /**
+   * Function used to get a single payout statement with the earnings it includes.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+    } = req;
+
+    const payout = await queryById(Payout, id, {}, [
+      { path: 'provider', select: '_id username email' },
+    ]);
+
+    if (!payout) {
+      next(new AppError("The requested payout doesn't exist.", 404));
+      return;
+    }
+
+    const earnings = await Earning.find({ payout: payout._id })
+      .sort('creationDate')
+      .populate([
+        {
+          path: 'parking',
+          select: '_id name',
+        },
+        {
+          path: 'occupation',
+          select: '_id start end bill',
+        },
+      ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: { payout: { ...payout._doc, earnings } },
+    });
+  },
+);
+
+exports.settlePayout = catchAsync(
+  /**
+   * Function used to mark a payout statement as settled once the provider was paid.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+      body: { reference },
+    } = req;
+
+    const payout = await queryById(Payout, id);
+
+    if (!payout) {
+      next(new AppError("The requested payout doesn't exist.", 404));
+      return;
+    }
+
+    const settledPayout = await settlePayout(payout._id, reference);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The payout was successfully settled.',
+      data: { payout: settledPayout },
+    });
+  },
+);
@@ -0,0 +1,244 @@
+/**
+ * Functions related to calling the review resource in the API
+ * @module reviewController
+ */
+const {
+  catchAsync,
+  checkBoolean,
+  setBoolean,
+  queryById,
+} = require('../utils/utils');
+const { can } = require('../utils/permissions');
+const Review = require('../models/reviewModel');
+const Occupation = require('../models/occupationModel');
+const Parking = require('../models/parkingModel');
+const AppError = require('../utils/classes/AppError');
+const { EVENT_BUS } = require('../utils/globals');
+
+exports.getReviews = catchAsync(
+  /**
+   * Function used to get the reviews of a parking, from the most recent to the oldest one. The hidden reviews are only returned to the admins.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+    } = req;
+
+    const parking = await queryById(
+      Parking,
+      id,
+      { isValidated: true },
+      {},
+      '_id name ratingsAverage ratingsQuantity',
+    );
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    const queryObj = { parking: parking._id };
+
+    const isModerator = can(req.user, 'moderate', 'review');
+
+    if (!isModerator) queryObj.isHidden = false;
+
+    const reviews = await Review.find(queryObj)
+      .sort('-creationDate')
+      .select(isModerator ? '' : '-isHidden -moderationReason')
+      .populate({
+        path: 'client',
+        select: '_id username photo',
+      });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ratingsAverage: parking.ratingsAverage,
+        ratingsQuantity: parking.ratingsQuantity,
+        reviews,
+      },
+    });
+  },
+);
+
+exports.createReview = catchAsync(
+  /**
+   * Function used by a client to review a parking after one of his finished occupations of it.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      user: { _id: userId, username },
+      params: { id },
+      body: { occupation: occupationId, rating, text },
+    } = req;
+
+    const occupation = await queryById(Occupation, occupationId, {
+      parking: id,
+    });
+
+    if (!occupation) {
+      next(new AppError("The requested occupation doesn't exist.", 404));
+      return;
+    }
+
+    // Check if the connected user can author a review of the occupation, i.e. he is its client
+    if (!can(user, 'create', 'review', { client: occupation.client })) {
+      next(new AppError('You can only review your own occupations.', 403));
+      return;
+    }
+
+    if (!occupation.end || occupation.status === 'expired') {
+      next(new AppError('You can only review a finished occupation.', 400));
+      return;
+    }
+
+    if (await Review.exists({ occupation: occupation._id })) {
+      next(new AppError('You have already reviewed this occupation.', 400));
+      return;
+    }
+
+    const review = await Review.create({
+      occupation: occupation._id,
+      parking: occupation.parking,
+      client: userId,
+      rating,
+      text,
+    });
+
+    const parking = await Parking.findById(occupation.parking).select('owner');
+
+    EVENT_BUS.publish('review:created', {
+      parking: occupation.parking,
+      owner: parking?.owner,
+      data: {
+        review: {
+          _id: review._id,
+          occupation: review.occupation,
+          client: review.client,
+          rating: review.rating,
+          text: review.text,
+          creationDate: review.creationDate,
+        },
+      },
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Your review was successfully published.',
+      data: {
+        review: {
+          ...review._doc,
+          client: { _id: userId, username },
+        },
+      },
+    });
+  },
+);
+
+exports.replyToReview = catchAsync(
+  /**
+   * Function used by the owner of a parking to reply to a review of it.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user,
+      params: { id, reviewId },
+      body: { text },
+    } = req;
+
+    const review = await queryById(
+      Review,
+      reviewId,
+      { parking: id },
+      {
+        path: 'parking',
+        select: '_id owner',
+      },
+    );
+
+    if (!review) {
+      next(new AppError("The requested review doesn't exist.", 404));
+      return;
+    }
+
+    // Check if the connected user can reply to the review, i.e. he owns the reviewed parking
+    if (!can(user, 'reply', 'review', review)) {
+      next(
+        new AppError(
+          'Only the owner of the parking can reply to its reviews.',
+          403,
+        ),
+      );
+      return;
+    }
+
+    if (!text || typeof text !== 'string' || text.trim() === '') {
+      next(new AppError('Please provide the text of your reply.', 400));
+      return;
+    }
+
+    review.reply = { text, date: Date.now() };
+    review.depopulate('parking');
+
+    await review.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your reply was successfully published.',
+      data: { review },
+    });
+  },
+);
+
+exports.moderateReview = catchAsync(
+  /**
+   * Function used by an admin to hide or show a review, the hidden reviews being excluded from the ratings of the parking.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id, reviewId },
+      body: { isHidden, reason },
+    } = req;
+
+    if (
+      !checkBoolean(
+        `${isHidden}`,
+        'Please provide true or false for the moderation state.',
+        next,
+      )
+    )
+      return;
+
+    const review = await queryById(Review, reviewId, { parking: id });
+
+    if (!review) {
+      next(new AppError("The requested review doesn't exist.", 404));
+      return;
+    }
+
+    review.isHidden = setBoolean(`${isHidden}`);
+    review.moderationReason = review.isHidden ? reason : undefined;
+
+    await review.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The review was successfully moderated.',
+      data: { review },
+    });
+  },
+);
@@ -0,0 +1,170 @@
+/**
+ * Functions related to calling the telemetry of the thingies assigned to the parkings in the API
+ * @module sensorController
+ */
+const {
+  catchAsync,
+  queryById,
+  sendQueryResults,
+  constructBasicPropertyQuery,
+  constructStatisticalQueryOnProperty,
+  constructAggregatedQueryOnProperty,
+} = require('../utils/utils');
+const Parking = require('../models/parkingModel');
+const thingDescription = require('../utils/thingDescription');
+const {
+  INFLUX_BUCKET,
+  INFLUX_MEASUREMENT,
+  SENSOR_STATISTICS,
+  SENSOR_MAXIMUM_RANGE,
+  SENSOR_MAXIMUM_WINDOWS,
+} = require('../utils/globals');
+const AppError = require('../utils/classes/AppError');
+
+/**
+ * Environmental properties of the thing description that can be requested.
+ * @type {string[]}
+ */
+const SENSOR_PROPERTIES = Object.entries(thingDescription.properties)
+  .filter(([, { type }]) => type === 'number')
+  .map(([property]) => property);
+
+/**
+ * Duration in ms of the units accepted in the time ranges and aggregation windows.
+ * @type {Object}
+ */
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Function used to parse a Flux duration made of a positive integer and a unit (m, h or d).
+ * @param {string} duration The duration (e.g., '30m', '24h', '7d').
+ * @returns {number|null} The duration in ms, or null if it is invalid.
+ */
+const parseDuration = duration => {
+  const match = /^([1-9]\d{0,4})([mhd])$/.exec(duration);
+
+  return match ? match[1] * DURATION_UNITS[match[2]] : null;
+};
+
+exports.getSensorData = catchAsync(
+  /**
+   * Function used to get the measures of an environmental property sent by the thingy of a parking, either raw, aggregated over time windows or summarized by a statistic.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id, property },
+      query: { range = '24h', window, statistic },
+    } = req;
+
+    if (!SENSOR_PROPERTIES.includes(property)) {
+      next(
+        new AppError(
+          `Please provide a valid property (${SENSOR_PROPERTIES.join(', ')}).`,
+          400,
+        ),
+      );
+      return;
+    }
+
+    const rangeDuration = parseDuration(range);
+
+    if (!rangeDuration || rangeDuration > SENSOR_MAXIMUM_RANGE) {
+      next(
+        new AppError(
+          'Please provide a valid time range (i.e. 30m, 24h or 7d, 30 days at most).',
+          400,
+        ),
+      );
+      return;
+    }
+
+    if (window) {
+      const windowDuration = parseDuration(window);
+
+      if (
+        !windowDuration ||
+        windowDuration > rangeDuration ||
+        rangeDuration / windowDuration > SENSOR_MAXIMUM_WINDOWS
+      ) {
+        next(
+          new AppError(
+            `Please provide a valid aggregation window (i.e. 5m, 1h or 1d), shorter than the time range and splitting it in ${SENSOR_MAXIMUM_WINDOWS} windows at most.`,
+            400,
+          ),
+        );
+        return;
+      }
+    }
+
+    if (statistic && !SENSOR_STATISTICS.includes(statistic)) {
+      next(
+        new AppError(
+          `Please provide a valid statistic (${SENSOR_STATISTICS.join(', ')}).`,
+          400,
+        ),
+      );
+      return;
+    }
+
+    const parking = await queryById(
+      Parking,
+      id,
+      { isValidated: true },
+      { path: 'thingy', select: 'deviceId' },
+      '+thingy',
+    );
+
+    if (!parking) {
+      next(new AppError("The requested parking doesn't exist.", 404));
+      return;
+    }
+
+    if (!parking.thingy) {
+      next(new AppError('No thingy is assigned to this parking.', 404));
+      return;
+    }
+
+    const {
+      thingy: { deviceId },
+    } = parking;
+
+    let fluxQuery;
+
+    if (window)
+      fluxQuery = constructAggregatedQueryOnProperty(
+        INFLUX_BUCKET,
+        range,
+        INFLUX_MEASUREMENT,
+        deviceId,
+        property,
+        window,
+        statistic || 'mean',
+      );
+    else if (statistic)
+      fluxQuery = constructStatisticalQueryOnProperty(
+        INFLUX_BUCKET,
+        range,
+        INFLUX_MEASUREMENT,
+        deviceId,
+        property,
+        statistic,
+      );
+    else
+      fluxQuery = constructBasicPropertyQuery(
+        INFLUX_BUCKET,
+        range,
+        INFLUX_MEASUREMENT,
+        deviceId,
+        property,
+      );
+
+    sendQueryResults(res, fluxQuery);
+  },
+);
@@ -0,0 +1,97 @@
+/**
+ * Functions related to calling the session resource in the API
+ * @module sessionController
+ */
+const {
+  catchAsync,
+  queryById,
+  clearSessionCookies,
+} = require('../utils/utils');
+const { revokeSessions } = require('../utils/sessions');
+const Session = require('../models/sessionModel');
+const AppError = require('../utils/classes/AppError');
+
+exports.getMySessions = catchAsync(
+  /**
+   * Function used to get the active sessions of the connected user, i.e. the devices he is logged in on.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      user: {
+        _id: userId,
+        $locals: { sessionId },
+      },
+    } = req;
+
+    const sessions = await Session.find({
+      user: userId,
+      revocationDate: { $exists: false },
+      expirationDate: { $gt: Date.now() },
+    }).sort('-lastUsedDate');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toObject(),
+          isCurrent: session._id.valueOf() === sessionId,
+        })),
+      },
+    });
+  },
+);
+
+exports.revokeSession = catchAsync(
+  /**
+   * Function used to revoke a session of the connected user, logging out the corresponding device.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: {
+        _id: userId,
+        $locals: { sessionId },
+      },
+      params: { id },
+    } = req;
+
+    const session = await queryById(Session, id, {
+      user: userId,
+      revocationDate: { $exists: false },
+    });
+
+    if (!session) {
+      next(new AppError("The requested session doesn't exist.", 404));
+      return;
+    }
+
+    await revokeSessions({ _id: session._id });
+
+    if (session._id.valueOf() === sessionId) clearSessionCookies(req, res);
+
+    res.status(204).json({ status: 'success', data: null });
+  },
+);
+
+exports.revokeAllSessions = catchAsync(
+  /**
+   * Function used to revoke all the sessions of the connected user, logging him out of all his devices.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      user: { _id: userId },
+    } = req;
+
+    await revokeSessions({ user: userId });
+
+    clearSessionCookies(req, res);
+
+    res.status(204).json({ status: 'success', data: null });
+  },
+);
@@ -0,0 +1,318 @@
+/**
+ * Functions related to calling the thingy resource in the API
+ * @module thingyController
+ */
+const {
+  catchAsync,
+  checkBoolean,
+  setBoolean,
+  queryById,
+  runTransaction,
+} = require('../utils/utils');
+const { can } = require('../utils/permissions');
+const Thingy = require('../models/thingyModel');
+const Parking = require('../models/parkingModel');
+const AppError = require('../utils/classes/AppError');
+
+/**
+ * Populate object of the parking a thingy is assigned to.
+ * @type {Object}
+ */
+const PARKING_POPULATE = { path: 'parking', select: '_id name' };
+
+exports.getAllThingies = catchAsync(
+  /**
+   * Function used to get all registered thingies, optionally filtered by their assignment state.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      query: { isAssigned },
+    } = req;
+
+    const queryObj = {};
+
+    if (isAssigned) {
+      if (
+        !checkBoolean(
+          isAssigned,
+          'Please provide true or false for the assignment variable.',
+          next,
+        )
+      )
+        return;
+      queryObj.parking = setBoolean(isAssigned) ? { $ne: null } : null;
+    }
+
+    const thingies = await Thingy.find(queryObj)
+      .sort('deviceId')
+      .populate(PARKING_POPULATE);
+
+    res.status(200).json({ status: 'success', data: { thingies } });
+  },
+);
+
+exports.createThingy = catchAsync(
+  /**
+   * Function used to register a new thingy in the device registry.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      body: { deviceId, name, firmware, battery },
+    } = req;
+
+    const thingy = await Thingy.create({ deviceId, name, firmware, battery });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'The thingy was successfully registered.',
+      data: { thingy },
+    });
+  },
+);
+
+exports.getThingy = catchAsync(
+  /**
+   * Function used to get a single registered thingy.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+    } = req;
+
+    const thingy = await queryById(Thingy, id, {}, PARKING_POPULATE);
+
+    if (!thingy) {
+      next(new AppError("The requested thingy doesn't exist.", 404));
+      return;
+    }
+
+    res.status(200).json({ status: 'success', data: { thingy } });
+  },
+);
+
+exports.updateThingy = catchAsync(
+  /**
+   * Function used to update the informations (name, firmware, battery level) of a registered thingy.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+      body: { name, firmware, battery },
+    } = req;
+
+    const thingy = await queryById(Thingy, id);
+
+    if (!thingy) {
+      next(new AppError("The requested thingy doesn't exist.", 404));
+      return;
+    }
+
+    if (name !== undefined) thingy.name = name;
+    if (firmware !== undefined) thingy.firmware = firmware;
+    if (battery !== undefined) thingy.battery = battery;
+
+    await thingy.save();
+    await thingy.populate(PARKING_POPULATE);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The thingy was successfully updated.',
+      data: { thingy },
+    });
+  },
+);
+
+exports.deleteThingy = catchAsync(
+  /**
+   * Function used to remove a thingy from the device registry, unassigning it from its parking.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+    } = req;
+
+    const thingy = await queryById(Thingy, id);
+
+    if (!thingy) {
+      next(new AppError("The requested thingy doesn't exist.", 404));
+      return;
+    }
+
+    await runTransaction(async session => {
+      if (thingy.parking)
+        await Parking.updateOne(
+          { _id: thingy.parking, thingy: thingy._id },
+          { $unset: { thingy: 1, comfort: 1 } },
+          { session },
+        );
+
+      await Thingy.deleteOne({ _id: thingy._id }, { session });
+    });
+
+    res.status(204).json({ status: 'success', data: null });
+  },
+);
+
+/**
+ * Function used to get a parking and check that the connected user is allowed to manage its thingy (owner of the parking or admin).
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+ * @returns {Promise<import('../models/parkingModel').Parking|undefined>} The parking, or undefined if it doesn't exist or the user isn't allowed to manage it.
+ */
+const getManagedParking = async (req, next) => {
+  const {
+    params: { id },
+    user,
+  } = req;
+
+  const parking = await queryById(Parking, id, {}, {}, '+thingy');
+
+  if (!parking) {
+    next(new AppError("The requested parking doesn't exist.", 404));
+    return;
+  }
+
+  // Check if the connected user is the owner of the parking
+  if (!can(user, 'manage', 'parking', parking)) {
+    next(
+      new AppError("You don't have permission to perform this action.", 403),
+    );
+    return;
+  }
+
+  return parking;
+};
+
+exports.assignThingy = catchAsync(
+  /**
+   * Function used to assign a registered thingy to a parking, such that its readings can be mapped back to the parking.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      body: { deviceId },
+    } = req;
+
+    const parking = await getManagedParking(req, next);
+
+    if (!parking) return;
+
+    if (parking.thingy) {
+      next(
+        new AppError(
+          'A thingy is already assigned to this parking, please unassign it first.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    if (!deviceId) {
+      next(new AppError('Please provide the id of the device to assign.', 400));
+      return;
+    }
+
+    const thingy = await runTransaction(async (session, onRollback) => {
+      const claimedThingy = await Thingy.findOneAndUpdate(
+        { deviceId, parking: null },
+        { parking: parking._id },
+        { session, new: true },
+      );
+
+      if (!claimedThingy)
+        throw new AppError(
+          "The requested thingy doesn't exist or is already assigned to a parking.",
+          400,
+        );
+
+      onRollback(() =>
+        Thingy.updateOne(
+          { _id: claimedThingy._id },
+          { $unset: { parking: 1 } },
+        ),
+      );
+
+      const { modifiedCount } = await Parking.updateOne(
+        { _id: parking._id, thingy: null },
+        { thingy: claimedThingy._id },
+        { session },
+      );
+
+      if (modifiedCount === 0)
+        throw new AppError(
+          'A thingy is already assigned to this parking, please unassign it first.',
+          400,
+        );
+
+      return claimedThingy;
+    });
+
+    await thingy.populate(PARKING_POPULATE);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The thingy was successfully assigned to the parking.',
+      data: { thingy },
+    });
+  },
+);
+
+exports.unassignThingy = catchAsync(
+  /**
+   * Function used to unassign the thingy of a parking.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const parking = await getManagedParking(req, next);
+
+    if (!parking) return;
+
+    if (!parking.thingy) {
+      next(new AppError('No thingy is assigned to this parking.', 400));
+      return;
+    }
+
+    const thingy = await runTransaction(async (session, onRollback) => {
+      await Parking.updateOne(
+        { _id: parking._id },
+        { $unset: { thingy: 1, comfort: 1 } },
+        { session },
+      );
+
+      onRollback(() =>
+        Parking.updateOne({ _id: parking._id }, { thingy: parking.thingy }),
+      );
+
+      return Thingy.findOneAndUpdate(
+        { _id: parking.thingy, parking: parking._id },
+        { $unset: { parking: 1 } },
+        { session, new: true },
+      );
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The thingy was successfully unassigned from the parking.',
+      data: { thingy },
+    });
+  },
+);
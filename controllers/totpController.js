@@ -0,0 +1,237 @@
+/**
+ * Functions related to the two-factor authentication of the users with an authenticator app
+ * @module totpController
+ */
+const { catchAsync } = require('../utils/utils');
+const {
+  generateTotpSecret,
+  getTotpUri,
+  createRecoveryCodes,
+  consumeTotpCode,
+  consumeRecoveryCode,
+} = require('../utils/totp');
+const User = require('../models/userModel');
+const AppError = require('../utils/classes/AppError');
+
+/**
+ * Function used to get the error returned to an user who tries to manage a two-factor authentication he didn't enable.
+ * @returns {AppError} The error.
+ */
+const getTotpDisabledError = () =>
+  new AppError(
+    'The two-factor authentication with an authenticator app is not enabled on your account.',
+    400,
+  );
+
+exports.getTotpStatus = catchAsync(
+  /**
+   * Function used to get the status of the two-factor authentication of the connected user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      user: { _id: userId },
+    } = req;
+
+    const { isTotpEnabled, recoveryCodes } = await User.findById(userId).select(
+      '+isTotpEnabled +recoveryCodes',
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        isTotpEnabled,
+        recoveryCodesLeft: isTotpEnabled ? recoveryCodes.length : 0,
+      },
+    });
+  },
+);
+
+exports.enrollTotp = catchAsync(
+  /**
+   * Function used to start the enrollment of the connected user to the two-factor authentication, generating the secret he has to add to his authenticator app.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId, email, isTotpEnabled },
+    } = req;
+
+    if (isTotpEnabled) {
+      next(
+        new AppError(
+          'The two-factor authentication with an authenticator app is already enabled on your account.',
+          409,
+        ),
+      );
+      return;
+    }
+
+    const secret = generateTotpSecret();
+
+    // The secret stays pending until the user confirms it with a first code
+    await User.updateOne(
+      { _id: userId },
+      { totpSecret: secret, $unset: { totpLastTimestep: 1 } },
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message:
+        'Please scan the QR code with your authenticator app and confirm with the generated code.',
+      data: { secret, uri: getTotpUri(secret, email) },
+    });
+  },
+);
+
+exports.activateTotp = catchAsync(
+  /**
+   * Function used to enable the two-factor authentication of the connected user, once he confirmed the pending secret with a first code.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      body: { code },
+    } = req;
+
+    const user = await User.findById(userId).select(
+      '+isTotpEnabled +totpSecret +totpLastTimestep',
+    );
+
+    if (user.isTotpEnabled) {
+      next(
+        new AppError(
+          'The two-factor authentication with an authenticator app is already enabled on your account.',
+          409,
+        ),
+      );
+      return;
+    }
+
+    if (!user.totpSecret) {
+      next(
+        new AppError(
+          'Please start the enrollment of your authenticator app first.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    if (!(await consumeTotpCode(user, code))) {
+      next(new AppError('Invalid code.', 401));
+      return;
+    }
+
+    const [recoveryCodes, hashedRecoveryCodes] = createRecoveryCodes();
+
+    await User.updateOne(
+      { _id: userId },
+      { isTotpEnabled: true, recoveryCodes: hashedRecoveryCodes },
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message:
+        'The two-factor authentication was enabled. Please store your recovery codes in a safe place, they will not be shown again.',
+      data: { recoveryCodes },
+    });
+  },
+);
+
+exports.regenerateRecoveryCodes = catchAsync(
+  /**
+   * Function used to replace the recovery codes of the connected user by new ones.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      body: { code },
+    } = req;
+
+    const user = await User.findById(userId).select(
+      '+isTotpEnabled +totpSecret +totpLastTimestep',
+    );
+
+    if (!user.isTotpEnabled) {
+      next(getTotpDisabledError());
+      return;
+    }
+
+    if (!(await consumeTotpCode(user, code))) {
+      next(new AppError('Invalid code.', 401));
+      return;
+    }
+
+    const [recoveryCodes, hashedRecoveryCodes] = createRecoveryCodes();
+
+    await User.updateOne(
+      { _id: userId },
+      { recoveryCodes: hashedRecoveryCodes },
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message:
+        'Your recovery codes were regenerated. Please store them in a safe place, they will not be shown again.',
+      data: { recoveryCodes },
+    });
+  },
+);
+
+exports.disableTotp = catchAsync(
+  /**
+   * Function used to disable the two-factor authentication of the connected user, confirmed with a code of his authenticator app or one of his recovery codes.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      body: { code, recoveryCode },
+    } = req;
+
+    const user = await User.findById(userId).select(
+      '+isTotpEnabled +totpSecret +totpLastTimestep',
+    );
+
+    if (!user.isTotpEnabled) {
+      next(getTotpDisabledError());
+      return;
+    }
+
+    const isValid = recoveryCode
+      ? (await consumeRecoveryCode(userId, recoveryCode)) !== null
+      : await consumeTotpCode(user, code);
+
+    if (!isValid) {
+      next(
+        new AppError(
+          recoveryCode ? 'Invalid recovery code.' : 'Invalid code.',
+          401,
+        ),
+      );
+      return;
+    }
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        isTotpEnabled: false,
+        $unset: { totpSecret: 1, totpLastTimestep: 1, recoveryCodes: 1 },
+      },
+    );
+
+    res.status(204).json({ status: 'success', data: null });
+  },
+);
@@ -6,6 +6,7 @@ const User = require('../models/userModel');
 const AppError = require('../utils/classes/AppError');
 const { USERS_FOLDER } = require('../utils/globals');
 const { catchAsync, uploadImage, queryById } = require('../utils/utils');
+const { unlockAccount } = require('../utils/bruteForce');
 const sharp = require('sharp');
 
 exports.getAllUsers = catchAsync(
@@ -191,6 +192,40 @@ exports.setRole = catchAsync(
   },
 );
 
+exports.unlockUser = catchAsync(
+  /**
+   * Function used to unlock an user account locked after too many failed sign-in or PIN confirmation attempts.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { id },
+    } = req;
+    const user = await queryById(User, id);
+
+    // 1) check if the user wasn't found
+    if (!user) {
+      next(
+        new AppError("The requested user doesn't exist or was deleted.", 404),
+      );
+      return;
+    }
+
+    // 2) Forget the failed attempts and the lockout of the second factor confirmation
+    await unlockAccount(user.email);
+    await User.updateOne(
+      { _id: user._id },
+      { pinAttempts: 0, $unset: { pinLockedUntil: 1 } },
+    );
+
+    res
+      .status(200)
+      .json({ status: 'success', message: 'The account was unlocked.' });
+  },
+);
+
 /**
  * Multer middleware function that takes care of processing the photo field image associated with the form sent to the server.
  * @returns {import('express').RequestHandler} The request handler function that takes care of processing the sent image.
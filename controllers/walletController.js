@@ -0,0 +1,140 @@
+/**
+ * Functions related to calling the wallet resource in the API
+ * @module walletController
+ */
+const WalletTransaction = require('../models/walletTransactionModel');
+const AppError = require('../utils/classes/AppError');
+const { catchAsync, checkNumber } = require('../utils/utils');
+const { getBalance, topUpWallet } = require('../utils/wallet');
+const {
+  PAYMENT_PROVIDER,
+  PAYMENT_CURRENCY,
+  WALLET_MINIMUM_BALANCE,
+  WALLET_MAXIMUM_TOP_UP,
+} = require('../utils/globals');
+
+exports.getWallet = catchAsync(
+  /**
+   * Function used to get the wallet balance of the connected user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+    } = req;
+
+    const balance = await getBalance(userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        wallet: {
+          balance,
+          currency: PAYMENT_CURRENCY,
+          minimumBalance: WALLET_MINIMUM_BALANCE,
+        },
+      },
+    });
+  },
+);
+
+exports.topUp = catchAsync(
+  /**
+   * Function used to top up the wallet of the connected user by charging the given amount on his payment method.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      body: { amount, paymentMethod },
+    } = req;
+
+    if (
+      !checkNumber(
+        amount,
+        'Please provide a numerical value for the topped-up amount.',
+        next,
+      )
+    )
+      return;
+
+    const toppedUp = Math.round(parseFloat(amount) * 100) / 100;
+
+    if (toppedUp <= 0 || toppedUp > WALLET_MAXIMUM_TOP_UP) {
+      next(
+        new AppError(
+          `Please provide an amount between 0 and ${WALLET_MAXIMUM_TOP_UP} ${PAYMENT_CURRENCY.toUpperCase()}.`,
+          400,
+        ),
+      );
+      return;
+    }
+
+    if (!paymentMethod) {
+      next(
+        new AppError('Please provide a payment method for your top-up.', 400),
+      );
+      return;
+    }
+
+    const intent = await PAYMENT_PROVIDER.createPaymentIntent({
+      amount: toppedUp,
+      currency: PAYMENT_CURRENCY,
+      paymentMethod,
+      capture: true,
+      metadata: { client: userId, type: 'wallet-top-up' },
+    });
+
+    let transaction;
+    try {
+      transaction = await topUpWallet(
+        userId,
+        toppedUp,
+        `Top-up charged on the payment ${intent.id}.`,
+      );
+    } catch (err) {
+      await PAYMENT_PROVIDER.refundPaymentIntent(intent.id, toppedUp);
+      throw err;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your wallet was successfully topped up.',
+      data: {
+        wallet: {
+          balance: transaction.balance,
+          currency: PAYMENT_CURRENCY,
+          minimumBalance: WALLET_MINIMUM_BALANCE,
+        },
+        transaction,
+      },
+    });
+  },
+);
+
+exports.getTransactions = catchAsync(
+  /**
+   * Function used to get the ledger entries of the wallet of the connected user, from the most recent to the oldest one.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+    } = req;
+
+    const transactions = await WalletTransaction.find({ user: userId })
+      .sort('-creationDate')
+      .populate({ path: 'occupation', select: '_id start end bill parking' });
+
+    res.status(200).json({
+      status: 'success',
+      data: { transactions },
+    });
+  },
+);
@@ -0,0 +1,248 @@
+/**
+ * Functions related to calling the webhook resource in the API
+ * @module webhookController
+ */
+const { catchAsync, queryById } = require('../utils/utils');
+const Webhook = require('../models/webhookModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const AppError = require('../utils/classes/AppError');
+const { attemptDelivery } = require('../utils/webhooks');
+const {
+  WEBHOOK_MAXIMUM_SUBSCRIPTIONS,
+  WEBHOOK_DELIVERY_LOG_SIZE,
+} = require('../utils/globals');
+
+/**
+ * Async function used to retrieve a webhook registered by the connected user.
+ * @param {import('express').Request} req The request object of the Express framework, containing the connected user and the id of the webhook.
+ * @param {import('express').NextFunction} next The next function of the Express framework, called with an error if the webhook doesn't exist.
+ * @returns {Promise<import('../models/webhookModel').Webhook|null>} The webhook, or null if it doesn't exist.
+ */
+const getOwnWebhook = async (req, next) => {
+  const {
+    user: { _id: userId },
+    params: { id },
+  } = req;
+
+  const webhook = await queryById(Webhook, id, { user: userId });
+
+  if (!webhook) {
+    next(new AppError("The requested webhook doesn't exist.", 404));
+    return null;
+  }
+
+  return webhook;
+};
+
+exports.getMyWebhooks = catchAsync(
+  /**
+   * Function used to get all the webhooks registered by the connected user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   */
+  async (req, res) => {
+    const {
+      user: { _id: userId },
+    } = req;
+
+    const webhooks = await Webhook.find({ user: userId }).sort('creationDate');
+
+    res.status(200).json({ status: 'success', data: { webhooks } });
+  },
+);
+
+exports.createWebhook = catchAsync(
+  /**
+   * Function used to register a new webhook for the connected user. The signing secret of the webhook is only returned in this response.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      user: { _id: userId },
+      body: { url, events },
+    } = req;
+
+    if (
+      (await Webhook.countDocuments({ user: userId })) >=
+      WEBHOOK_MAXIMUM_SUBSCRIPTIONS
+    ) {
+      next(
+        new AppError(
+          `You can't register more than ${WEBHOOK_MAXIMUM_SUBSCRIPTIONS} webhooks.`,
+          400,
+        ),
+      );
+      return;
+    }
+
+    const webhook = await Webhook.create({ user: userId, url, events });
+
+    res.status(201).json({
+      status: 'success',
+      message:
+        'The webhook was successfully registered. Please store its secret, it will not be shown again.',
+      data: { webhook },
+    });
+  },
+);
+
+exports.getWebhook = catchAsync(
+  /**
+   * Function used to get a single webhook registered by the connected user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const webhook = await getOwnWebhook(req, next);
+
+    if (!webhook) return;
+
+    res.status(200).json({ status: 'success', data: { webhook } });
+  },
+);
+
+exports.updateWebhook = catchAsync(
+  /**
+   * Function used to update the url, the events or the state of a webhook registered by the connected user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      body: { url, events, isActive },
+    } = req;
+
+    const webhook = await getOwnWebhook(req, next);
+
+    if (!webhook) return;
+
+    const updatedWebhook = await Webhook.findByIdAndUpdate(
+      webhook._id,
+      { url, events, isActive },
+      { new: true, runValidators: true },
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The webhook was successfully updated.',
+      data: { webhook: updatedWebhook },
+    });
+  },
+);
+
+exports.deleteWebhook = catchAsync(
+  /**
+   * Function used to delete a webhook registered by the connected user, along with its delivery log.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const webhook = await getOwnWebhook(req, next);
+
+    if (!webhook) return;
+
+    await Promise.all([
+      Webhook.deleteOne({ _id: webhook._id }),
+      WebhookDelivery.deleteMany({ webhook: webhook._id }),
+    ]);
+
+    res.status(204).json({ status: 'success', data: null });
+  },
+);
+
+exports.getDeliveries = catchAsync(
+  /**
+   * Function used to get the most recent deliveries of a webhook registered by the connected user, optionally filtered by their status.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      query: { status },
+    } = req;
+
+    const webhook = await getOwnWebhook(req, next);
+
+    if (!webhook) return;
+
+    const queryObj = { webhook: webhook._id };
+
+    if (status) {
+      if (!['pending', 'delivering', 'succeeded', 'failed'].includes(status)) {
+        next(
+          new AppError(
+            'Please provide a valid delivery status (pending, delivering, succeeded, failed).',
+            400,
+          ),
+        );
+        return;
+      }
+      queryObj.status = status;
+    }
+
+    const deliveries = await WebhookDelivery.find(queryObj)
+      .sort('-creationDate')
+      .limit(WEBHOOK_DELIVERY_LOG_SIZE);
+
+    res.status(200).json({ status: 'success', data: { deliveries } });
+  },
+);
+
+exports.replayDelivery = catchAsync(
+  /**
+   * Function used to deliver again the event of a past delivery of a webhook registered by the connected user.
+   * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+   * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+   * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+   */
+  async (req, res, next) => {
+    const {
+      params: { deliveryId },
+    } = req;
+
+    const webhook = await getOwnWebhook(req, next);
+
+    if (!webhook) return;
+
+    if (!webhook.isActive) {
+      next(
+        new AppError(
+          'Please activate the webhook before replaying its deliveries.',
+          400,
+        ),
+      );
+      return;
+    }
+
+    const delivery = await queryById(WebhookDelivery, deliveryId, {
+      webhook: webhook._id,
+    });
+
+    if (!delivery) {
+      next(new AppError("The requested delivery doesn't exist.", 404));
+      return;
+    }
+
+    const { eventId, eventType, payload } = delivery;
+    const replay = await WebhookDelivery.create({
+      webhook: webhook._id,
+      user: webhook.user,
+      eventId,
+      eventType,
+      payload,
+      replayOf: delivery._id,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'The event was delivered again to the webhook.',
+      data: { delivery: await attemptDelivery(replay) },
+    });
+  },
+);
@@ -0,0 +1,52 @@
+/**
+ * Definition of the Attempt Model used in the application and generating the Attempt Collection in the MongoDB Database.
+ * @module attemptModel
+ */
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the Attempt model
+ * @typedef Attempt
+ * @property {string} key The key the failed attempts are counted for (i.e. account:<email>|<address> or ip:<address>).
+ * @property {number} failures The number of failed attempts since the last reset or lockout.
+ * @property {Date} nextAttemptDate The moment before which no new attempt is allowed (progressive delay).
+ * @property {Date} lockedUntil The end of the lockout of the key.
+ * @property {Date} expirationDate The moment the record is removed if no new failure happens.
+ */
+
+/**
+ * The attempt schema object generated from mongoose.
+ * @type {mongoose.Schema<Attempt>}
+ */
+const attemptSchema = new Schema({
+  key: {
+    type: String,
+    required: [true, 'An attempt record must have a key.'],
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptDate: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  expirationDate: {
+    type: Date,
+    required: [true, 'An attempt record must have an expiration date.'],
+  },
+});
+
+// The expired records are removed by MongoDB
+attemptSchema.index({ expirationDate: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * The Attempt model object generated from mongoose.
+ * @type {mongoose.Model<Attempt>}
+ */
+const Attempt = mongoose.model('Attempt', attemptSchema);
+
+module.exports = Attempt;
@@ -0,0 +1,145 @@
+/**
+ * Definition of the Booking Model used in the application and generating the Booking Collection in the MongoDB Database.
+ * @module bookingModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+const Occupation = require('./occupationModel');
+const { OCCUPATION_HORIZON } = require('../utils/globals');
+
+/**
+ * The representation of the Booking model
+ * @typedef Booking
+ * @property {Date} start The planned starting time of the booking.
+ * @property {Date} end The planned end time of the booking.
+ * @property {mongoose.Schema.ObjectId} client The id reference to the user that booked the parking.
+ * @property {mongoose.Schema.ObjectId} parking The id reference to the booked parking.
+ * @property {string} status The status of the booking (booked / cancelled).
+ * @property {Date} creationDate The creation date of the booking.
+ * @property {Date} cancellationDate The cancellation date of the booking.
+ */
+
+/**
+ * The Booking schema object generated from mongoose.
+ * @type {mongoose.Schema<Booking>}
+ */
+const bookingSchema = new Schema({
+  start: {
+    type: Date,
+    required: [true, 'Please provide a starting time for your booking.'],
+  },
+  end: {
+    type: Date,
+    required: [true, 'Please provide an end time for your booking.'],
+    validate: {
+      validator: function (val) {
+        return val > this.start;
+      },
+      message: 'The end of a booking must be after its start.',
+    },
+  },
+  client: {
+    type: Schema.ObjectId,
+    ref: 'User',
+  },
+  parking: {
+    type: Schema.ObjectId,
+    ref: 'Parking',
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'cancelled'],
+    default: 'booked',
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+  },
+  cancellationDate: {
+    type: Date,
+  },
+});
+
+bookingSchema.index({ parking: 1, start: 1, end: 1 });
+
+/**
+ * Function used to build the query object matching all the active bookings overlapping a given time window.
+ * @param {Date} start The start of the time window.
+ * @param {Date} end The end of the time window.
+ * @returns {Object} The query object matching the overlapping bookings.
+ */
+const overlappingQuery = (start, end) => ({
+  status: 'booked',
+  start: { $lt: end },
+  end: { $gt: start },
+});
+
+/**
+ * Function used to build the query object matching the ongoing occupations blocking a given time window.
+ * An ongoing occupation has no planned end, so it is only expected to last until the occupation horizon: the windows starting after it aren't blocked.
+ * @param {Date} start The start of the time window.
+ * @param {Date} end The end of the time window.
+ * @returns {Object|null} The query object matching the blocking occupations, or null if the window starts after the occupation horizon.
+ */
+const ongoingOccupationQuery = (start, end) =>
+  start < Date.now() + OCCUPATION_HORIZON
+    ? { start: { $lt: end }, end: undefined }
+    : null;
+
+/**
+ * Function used to check if a parking is already booked or occupied during a given time window.
+ * @param {string} parkingId The id of the parking we want to check.
+ * @param {Date} start The start of the time window.
+ * @param {Date} end The end of the time window.
+ * @param {Object} filter Additional filtering conditions applied to the bookings (i.e. excluding the bookings of a client).
+ * @param {mongoose.ClientSession} [session] The session of the transaction in which the check is done.
+ * @returns {boolean} true if the time window overlaps an existing booking or an ongoing occupation expected to last until its start, false otherwise.
+ */
+bookingSchema.statics.hasConflict = async function (
+  parkingId,
+  start,
+  end,
+  filter = {},
+  session = undefined,
+) {
+  const occupationQuery = ongoingOccupationQuery(start, end);
+
+  const [booking, occupation] = await Promise.all([
+    this.exists({
+      parking: parkingId,
+      ...overlappingQuery(start, end),
+      ...filter,
+    }).session(session),
+    occupationQuery &&
+      Occupation.exists({ parking: parkingId, ...occupationQuery }).session(
+        session,
+      ),
+  ]);
+
+  return !!booking || !!occupation;
+};
+
+/**
+ * Function used to retrieve the ids of all the parkings that are booked or occupied during a given time window.
+ * @param {Date} start The start of the time window.
+ * @param {Date} end The end of the time window.
+ * @returns {mongoose.Types.ObjectId[]} The list of the unavailable parking ids.
+ */
+bookingSchema.statics.getUnavailableParkings = async function (start, end) {
+  const occupationQuery = ongoingOccupationQuery(start, end);
+
+  const [booked, occupied] = await Promise.all([
+    this.distinct('parking', overlappingQuery(start, end)),
+    occupationQuery ? Occupation.distinct('parking', occupationQuery) : [],
+  ]);
+
+  return [...booked, ...occupied];
+};
+
+/**
+ * The Booking model object generated from mongoose.
+ * @type {mongoose.Model<Booking>}
+ */
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
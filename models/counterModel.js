@@ -0,0 +1,51 @@
+/**
+ * Definition of the Counter Model used in the application and generating the Counter Collection in the MongoDB Database.
+ * @module counterModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the Counter model
+ * @typedef Counter
+ * @property {string} _id The name of the sequence.
+ * @property {number} seq The last value generated in the sequence.
+ */
+
+/**
+ * The Counter schema object generated from mongoose.
+ * @type {mongoose.Schema<Counter>}
+ */
+const counterSchema = new Schema({
+  _id: {
+    type: String,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+/**
+ * Function used to atomically generate the next value of a sequence.
+ * @param {string} name The name of the sequence.
+ * @param {import('mongoose').ClientSession} session The session of the transaction in which the value is generated.
+ * @returns {Promise<number>} The next value of the sequence.
+ */
+counterSchema.statics.next = async function (name, session) {
+  const { seq } = await this.findByIdAndUpdate(
+    name,
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session },
+  );
+
+  return seq;
+};
+
+/**
+ * The Counter model object generated from mongoose.
+ * @type {mongoose.Model<Counter>}
+ */
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
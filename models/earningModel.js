@@ -0,0 +1,92 @@
+/**
+ * Definition of the Earning Model used in the application and generating the Earning Collection in the MongoDB Database.
+ * Each entry splits the amount collected on an occupation (or refunded on it) between the earnings of the provider and the commission of the platform.
+ * @module earningModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the Earning model
+ * @typedef Earning
+ * @property {mongoose.Schema.ObjectId} occupation The id reference to the occupation that generated the earning.
+ * @property {mongoose.Schema.ObjectId} parking The id reference to the occupied parking.
+ * @property {mongoose.Schema.ObjectId} provider The id reference to the owner of the parking.
+ * @property {string} type The type of the entry (occupation for a collected bill, refund for a refunded amount).
+ * @property {string} method The method used by the client to pay the occupation (card or wallet).
+ * @property {number} gross The amount paid (or refunded, negatively) by the client.
+ * @property {number} commission The part of the gross amount retained by the platform.
+ * @property {number} net The part of the gross amount owed to the provider.
+ * @property {number} commissionRate The commission rate applied to the gross amount.
+ * @property {string} status The status of the entry (pending, included in a payout or settled).
+ * @property {mongoose.Schema.ObjectId} payout The id reference to the payout statement including the entry.
+ * @property {Date} creationDate The creation date of the entry.
+ */
+
+/**
+ * The Earning schema object generated from mongoose.
+ * @type {mongoose.Schema<Earning>}
+ */
+const earningSchema = new Schema({
+  occupation: {
+    type: Schema.ObjectId,
+    ref: 'Occupation',
+  },
+  parking: {
+    type: Schema.ObjectId,
+    ref: 'Parking',
+  },
+  provider: {
+    type: Schema.ObjectId,
+    ref: 'User',
+  },
+  type: {
+    type: String,
+    enum: ['occupation', 'refund'],
+    default: 'occupation',
+  },
+  method: {
+    type: String,
+    enum: ['card', 'wallet'],
+    default: 'card',
+  },
+  gross: {
+    type: Number,
+    default: 0,
+  },
+  commission: {
+    type: Number,
+    default: 0,
+  },
+  net: {
+    type: Number,
+    default: 0,
+  },
+  commissionRate: {
+    type: Number,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'included', 'settled'],
+    default: 'pending',
+  },
+  payout: {
+    type: Schema.ObjectId,
+    ref: 'Payout',
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+earningSchema.index({ provider: 1, status: 1, creationDate: 1 });
+earningSchema.index({ payout: 1 });
+
+/**
+ * The Earning model object generated from mongoose.
+ * @type {mongoose.Model<Earning>}
+ */
+const Earning = mongoose.model('Earning', earningSchema);
+
+module.exports = Earning;
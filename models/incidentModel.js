@@ -0,0 +1,79 @@
+/**
+ * Definition of the Incident Model used in the application and generating the Incident Collection in the MongoDB Database.
+ * @module incidentModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the Incident model
+ * @typedef Incident
+ * @property {string} type The type of the incident (unexpected-vehicle if a vehicle is detected without active occupation, vacant-occupation if an occupation is open while no vehicle is detected).
+ * @property {string} status The status of the incident (open or resolved).
+ * @property {mongoose.Schema.ObjectId} parking The id reference to the parking where the incident happened.
+ * @property {mongoose.Schema.ObjectId} owner The id reference to the owner of the parking, notified of the incident.
+ * @property {mongoose.Schema.ObjectId} occupation The id reference to the occupation concerned by the incident (for the vacant-occupation incidents).
+ * @property {string} deviceId The id of the thingy that reported the mismatch.
+ * @property {Date} detectionDate The moment where the incident was detected.
+ * @property {Date} resolutionDate The moment where the incident was resolved.
+ * @property {string} resolution The way the incident was resolved (sensor if the mismatch disappeared, owner or admin if it was closed manually).
+ */
+
+/**
+ * The Incident schema object generated from mongoose.
+ * @type {mongoose.Schema<Incident>}
+ */
+const incidentSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['unexpected-vehicle', 'vacant-occupation'],
+    required: [true, 'Please provide the type of the incident.'],
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open',
+  },
+  parking: {
+    type: Schema.ObjectId,
+    ref: 'Parking',
+    required: [true, 'Please provide the parking of the incident.'],
+  },
+  owner: {
+    type: Schema.ObjectId,
+    ref: 'User',
+  },
+  occupation: {
+    type: Schema.ObjectId,
+    ref: 'Occupation',
+  },
+  deviceId: {
+    type: String,
+  },
+  detectionDate: {
+    type: Date,
+    default: Date.now,
+  },
+  resolutionDate: {
+    type: Date,
+  },
+  resolution: {
+    type: String,
+    enum: ['sensor', 'owner', 'admin'],
+  },
+});
+
+// Only one incident of each type can be open at the same time on a parking
+incidentSchema.index(
+  { parking: 1, type: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } },
+);
+incidentSchema.index({ owner: 1, detectionDate: -1 });
+
+/**
+ * The Incident model object generated from mongoose.
+ * @type {mongoose.Model<Incident>}
+ */
+const Incident = mongoose.model('Incident', incidentSchema);
+
+module.exports = Incident;
@@ -0,0 +1,107 @@
+/**
+ * Definition of the Invoice Model used in the application and generating the Invoice Collection in the MongoDB Database.
+ * @module invoiceModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the Invoice model
+ * @typedef Invoice
+ * @property {string} number The unique number of the invoice.
+ * @property {mongoose.Schema.ObjectId} occupation The id reference to the invoiced occupation.
+ * @property {mongoose.Schema.ObjectId} client The id reference to the client of the occupation.
+ * @property {mongoose.Schema.ObjectId} seller The id reference to the owner of the parking.
+ * @property {mongoose.Schema.ObjectId} parking The id reference to the occupied parking.
+ * @property {Date} issueDate The issue date of the invoice.
+ * @property {Object} period The start and end of the invoiced occupation.
+ * @property {Object} sellerDetails The name and email of the seller at the issue date.
+ * @property {Object} clientDetails The name and email of the client at the issue date.
+ * @property {Object} parkingDetails The name and address of the parking at the issue date.
+ * @property {Object[]} lines The invoiced items, with their amounts including VAT.
+ * @property {string} currency The currency of the invoice.
+ * @property {number} vatRate The VAT rate applied on the invoice.
+ * @property {number} netAmount The total amount excluding VAT.
+ * @property {number} vatAmount The VAT amount.
+ * @property {number} totalAmount The total amount including VAT.
+ */
+
+/**
+ * The Invoice schema object generated from mongoose.
+ * @type {mongoose.Schema<Invoice>}
+ */
+const invoiceSchema = new Schema({
+  number: {
+    type: String,
+    unique: true,
+  },
+  occupation: {
+    type: Schema.ObjectId,
+    ref: 'Occupation',
+    unique: true,
+  },
+  client: {
+    type: Schema.ObjectId,
+    ref: 'User',
+  },
+  seller: {
+    type: Schema.ObjectId,
+    ref: 'User',
+  },
+  parking: {
+    type: Schema.ObjectId,
+    ref: 'Parking',
+  },
+  issueDate: {
+    type: Date,
+    default: Date.now,
+  },
+  period: {
+    start: Date,
+    end: Date,
+  },
+  sellerDetails: {
+    username: String,
+    email: String,
+  },
+  clientDetails: {
+    username: String,
+    email: String,
+  },
+  parkingDetails: {
+    name: String,
+    address: String,
+  },
+  lines: [
+    {
+      _id: false,
+      description: String,
+      quantity: Number,
+      unit: String,
+      amount: Number,
+    },
+  ],
+  currency: {
+    type: String,
+  },
+  vatRate: {
+    type: Number,
+  },
+  netAmount: {
+    type: Number,
+  },
+  vatAmount: {
+    type: Number,
+  },
+  totalAmount: {
+    type: Number,
+  },
+});
+
+/**
+ * The Invoice model object generated from mongoose.
+ * @type {mongoose.Model<Invoice>}
+ */
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
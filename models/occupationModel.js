@@ -12,6 +12,10 @@ const { mongoose, Schema } = require('mongoose');
  * @property {Date} end The end time of the occupation.
  * @property {mongoose.Schema.ObjectId} client The id reference to the user that occupied the parking during this time.
  * @property {mongoose.Schema.ObjectId} parking The id reference to the parking that is occupied during this time.
+ * @property {number} bill The amount billed to the client for the occupation.
+ * @property {string} status The status of the occupation (pending until the client confirms his arrival on the thingy of the parking, active, ending until he confirms his departure, finished, or expired if his arrival wasn't confirmed in time).
+ * @property {Date} confirmationDeadline The moment before which the pending arrival or departure has to be confirmed.
+ * @property {Date} endRequestDate The moment where the client requested the end of the occupation.
  */
 
 /**
@@ -36,8 +40,20 @@ const occupationSchema = new mongoose.Schema({
   bill: {
     type: Number,
   },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'ending', 'finished', 'expired'],
+  },
+  confirmationDeadline: {
+    type: Date,
+  },
+  endRequestDate: {
+    type: Date,
+  },
 });
 
+occupationSchema.index({ status: 1, confirmationDeadline: 1 });
+
 /**
  * The Occupation model object generated from mongoose.
  * @type {mongoose.Model<Occupation>}
@@ -4,6 +4,7 @@
  */
 
 const { mongoose, Schema } = require('mongoose');
+const moment = require('moment-timezone');
 const {
   PARKINGS_FOLDER,
   BACKEND_URL,
@@ -25,8 +26,197 @@ const {
  * @property {mongoose.Schema.ObjectId} owner The id reference to the owner of the parking slot.
  * @property {string[]} photos The photos of the parking slot.
  * @property {mongoose.Schema.ObjectId} thingy The id of the thingy associated with the parking slot.
+ * @property {Object} availability The availability rules (weekly slots and date-specific exceptions) published by the owner of the parking slot.
+ * @property {number} ratingsAverage The average rating given by the clients in their reviews.
+ * @property {number} ratingsQuantity The number of reviews of the parking slot.
+ * @property {Object} pricing The pricing rules (free minutes, rounding, minimum charge, daily cap and flat rate, night and weekend prices) applied on top of the hourly price of the parking slot.
+ * @property {Object} comfort The environment score of the parking slot, computed from the recent measures of its thingy, with the rating of each property and its computation date.
+ * @property {Date} bookingLockExpires The expiration date of the lock taken on the parking slot while one of its bookings is created.
  */
 
+/**
+ * Regular expression matching a time of the day in the HH:mm format (24:00 being accepted as the end of a day).
+ * @type {RegExp}
+ */
+const TIME_REGEX = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+/**
+ * Regular expression matching a date in the YYYY-MM-DD format.
+ * @type {RegExp}
+ */
+const DATE_REGEX = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Function used to check that the end of a time slot comes after its start.
+ * @param {string} val The end time of the slot.
+ * @returns {boolean} true if the end is after the start or if the slot has no boundaries, false otherwise.
+ */
+const validateSlotEnd = function (val) {
+  if (!val || !this.start) return !val && !this.start;
+  return val > this.start;
+};
+
+/**
+ * The weekly availability slot schema object generated from mongoose.
+ * @type {mongoose.Schema}
+ */
+const weeklySlotSchema = new Schema(
+  {
+    day: {
+      type: Number,
+      required: [true, 'Please provide the day of the week of the slot.'],
+      min: [0, 'The day of the week must be between 0 (sunday) and 6.'],
+      max: [6, 'The day of the week must be between 0 (sunday) and 6.'],
+    },
+    start: {
+      type: String,
+      required: [true, 'Please provide the starting time of the slot.'],
+      match: [TIME_REGEX, 'Please provide a time in the HH:mm format.'],
+    },
+    end: {
+      type: String,
+      required: [true, 'Please provide the end time of the slot.'],
+      match: [TIME_REGEX, 'Please provide a time in the HH:mm format.'],
+      validate: [validateSlotEnd, 'The end of a slot must be after its start.'],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * The date-specific availability exception schema object generated from mongoose.
+ * @type {mongoose.Schema}
+ */
+const exceptionSchema = new Schema(
+  {
+    date: {
+      type: String,
+      required: [true, 'Please provide the date of the exception.'],
+      match: [DATE_REGEX, 'Please provide a date in the YYYY-MM-DD format.'],
+    },
+    isAvailable: {
+      type: Boolean,
+      default: false,
+    },
+    start: {
+      type: String,
+      match: [TIME_REGEX, 'Please provide a time in the HH:mm format.'],
+      validate: [
+        function (val) {
+          return !val || !!this.end;
+        },
+        'Please provide both the start and the end of the exception, the end being after the start.',
+      ],
+    },
+    end: {
+      type: String,
+      match: [TIME_REGEX, 'Please provide a time in the HH:mm format.'],
+      validate: [
+        validateSlotEnd,
+        'Please provide both the start and the end of the exception, the end being after the start.',
+      ],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * The night pricing schema object generated from mongoose.
+ * @type {mongoose.Schema}
+ */
+const nightPricingSchema = new Schema(
+  {
+    price: {
+      type: Number,
+      required: [true, 'Please provide the hourly price of the night period.'],
+      min: [0, "A price can't be negative."],
+    },
+    start: {
+      type: String,
+      required: [true, 'Please provide the starting time of the night period.'],
+      match: [TIME_REGEX, 'Please provide a time in the HH:mm format.'],
+    },
+    end: {
+      type: String,
+      required: [true, 'Please provide the end time of the night period.'],
+      match: [TIME_REGEX, 'Please provide a time in the HH:mm format.'],
+      validate: [
+        function (val) {
+          return val !== this.start;
+        },
+        'The end of the night period must be different from its start.',
+      ],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * The pricing rules schema object generated from mongoose.
+ * @type {mongoose.Schema}
+ */
+const pricingSchema = new Schema(
+  {
+    freeMinutes: {
+      type: Number,
+      default: 0,
+      min: [0, "The number of free minutes can't be negative."],
+    },
+    roundingMinutes: {
+      type: Number,
+      default: 0,
+      min: [0, "The rounding duration can't be negative."],
+      validate: [
+        Number.isInteger,
+        'The rounding duration must be a whole number of minutes.',
+      ],
+    },
+    minimumCharge: {
+      type: Number,
+      default: 0,
+      min: [0, "A price can't be negative."],
+    },
+    dailyCap: {
+      type: Number,
+      min: [0, "A price can't be negative."],
+    },
+    dailyFlatRate: {
+      type: Number,
+      min: [0, "A price can't be negative."],
+    },
+    weekendPrice: {
+      type: Number,
+      min: [0, "A price can't be negative."],
+    },
+    night: {
+      type: nightPricingSchema,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * The environment score schema object generated from mongoose.
+ * @type {mongoose.Schema}
+ */
+const comfortSchema = new Schema(
+  {
+    score: {
+      type: Number,
+      min: 0,
+      max: 5,
+    },
+    ratings: {
+      type: Map,
+      of: Number,
+    },
+    computationDate: {
+      type: Date,
+    },
+  },
+  { _id: false },
+);
+
 /**
  * The parking schema object generated from mongoose.
  * @type {mongoose.Schema<Parking>}
@@ -99,8 +289,42 @@ const parkingSchema = new Schema({
     ref: 'Thingy',
     select: false,
   },
+  availability: {
+    timezone: {
+      type: String,
+      default: 'Europe/Zurich',
+      validate: [
+        value => moment.tz.zone(value) !== null,
+        'Please provide a valid timezone.',
+      ],
+    },
+    weekly: [weeklySlotSchema],
+    exceptions: [exceptionSchema],
+  },
+  pricing: {
+    type: pricingSchema,
+    default: () => ({}),
+  },
+  ratingsAverage: {
+    type: Number,
+    default: 0,
+  },
+  ratingsQuantity: {
+    type: Number,
+    default: 0,
+  },
+  comfort: {
+    type: comfortSchema,
+  },
+  bookingLockExpires: {
+    type: Date,
+    select: false,
+  },
 });
 
+parkingSchema.index({ ratingsAverage: -1, ratingsQuantity: -1 });
+parkingSchema.index({ 'comfort.score': -1 });
+
 /**
  * Function used to generate the absolute path location of the parkings photos of a parking before sending it back to the client that requested it.
  */
@@ -113,6 +337,180 @@ parkingSchema.methods.generateFileAbsolutePath = function () {
     this.owner.photo = `${BACKEND_URL}/${USERS_FOLDER}/${this.owner.photo}`;
 };
 
+/**
+ * Number of minutes in a day.
+ * @type {number}
+ */
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Function used to convert a time of the day in the HH:mm format into the number of minutes since the start of the day.
+ * @param {string} time The time of the day.
+ * @returns {number} The number of minutes since the start of the day.
+ */
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Function used to get the interval of the day covered by a slot.
+ * @param {Object} slot The slot, with its start and end times in the HH:mm format (no boundaries meaning the whole day).
+ * @returns {number[]} The start and the end of the interval, in minutes since the start of the day.
+ */
+const getSlotInterval = slot =>
+  slot.start
+    ? [toMinutes(slot.start), toMinutes(slot.end)]
+    : [0, MINUTES_PER_DAY];
+
+/**
+ * Function used to merge the overlapping and adjacent intervals of a list.
+ * @param {number[][]} intervals The intervals to merge.
+ * @returns {number[][]} The sorted and disjoint merged intervals.
+ */
+const mergeIntervals = intervals =>
+  [...intervals]
+    .sort(([startA], [startB]) => startA - startB)
+    .reduce((merged, [start, end]) => {
+      const last = merged.at(-1);
+
+      if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+      else merged.push([start, end]);
+
+      return merged;
+    }, []);
+
+/**
+ * Function used to remove some intervals from a list of intervals.
+ * @param {number[][]} intervals The intervals.
+ * @param {number[][]} removed The intervals to remove.
+ * @returns {number[][]} The remaining parts of the intervals.
+ */
+const subtractIntervals = (intervals, removed) =>
+  removed.reduce(
+    (remaining, [removedStart, removedEnd]) =>
+      remaining.flatMap(([start, end]) =>
+        [
+          [start, Math.min(end, removedStart)],
+          [Math.max(start, removedEnd), end],
+        ].filter(([partStart, partEnd]) => partStart < partEnd),
+      ),
+    intervals,
+  );
+
+/**
+ * Function used to get the intervals of a day during which the parking slot is available, according to the availability rules published by its owner.
+ * Date-specific exceptions take precedence over the weekly slots, and a parking without weekly slots is considered as always available.
+ * @param {moment.Moment} day The start of the day, in the timezone of the parking.
+ * @returns {number[][]} The sorted and disjoint available intervals, in minutes since the start of the day.
+ */
+parkingSchema.methods.getAvailableIntervals = function (day) {
+  const { weekly = [], exceptions = [] } = this.availability || {};
+  const date = day.format('YYYY-MM-DD');
+  const dayExceptions = exceptions.filter(exception => exception.date === date);
+
+  const weeklyIntervals =
+    weekly.length === 0
+      ? [[0, MINUTES_PER_DAY]]
+      : weekly.filter(slot => slot.day === day.day()).map(getSlotInterval);
+
+  return subtractIntervals(
+    mergeIntervals([
+      ...weeklyIntervals,
+      ...dayExceptions
+        .filter(exception => exception.isAvailable)
+        .map(getSlotInterval),
+    ]),
+    dayExceptions
+      .filter(exception => !exception.isAvailable)
+      .map(getSlotInterval),
+  );
+};
+
+/**
+ * Function used to check if the parking slot is available at a given moment, according to the availability rules published by its owner.
+ * @param {Date} date The moment we want to check.
+ * @returns {boolean} true if the parking is available at this moment, false otherwise.
+ */
+parkingSchema.methods.isAvailableAt = function (date) {
+  const localDate = moment(date).tz(
+    this.availability?.timezone || 'Europe/Zurich',
+  );
+  const minutes = localDate.hours() * 60 + localDate.minutes();
+
+  return this.getAvailableIntervals(localDate.clone().startOf('day')).some(
+    ([start, end]) => start <= minutes && minutes < end,
+  );
+};
+
+/**
+ * Function used to check if the parking slot is available during a whole time window, according to the availability rules published by its owner.
+ * The time window is cut in local days, each part having to be contained in an available interval of its day.
+ * @param {Date} start The start of the time window.
+ * @param {Date} end The end of the time window.
+ * @returns {boolean} true if the parking is available during the whole time window, false otherwise.
+ */
+parkingSchema.methods.isAvailableBetween = function (start, end) {
+  const startTime = moment(start).startOf('minute').valueOf();
+  const endTime = new Date(end).getTime();
+  const day = moment(startTime)
+    .tz(this.availability?.timezone || 'Europe/Zurich')
+    .startOf('day');
+
+  for (; day.valueOf() < endTime; day.add(1, 'day')) {
+    const nextDay = day.clone().add(1, 'day');
+    const partStart = Math.max(startTime, day.valueOf());
+    const partEnd = Math.min(endTime, nextDay.valueOf());
+
+    // The local times of the intervals are converted into moments, taking the daylight saving time changes into account
+    const toTime = minutes =>
+      minutes >= MINUTES_PER_DAY
+        ? nextDay.valueOf()
+        : day
+            .clone()
+            .hours(Math.floor(minutes / 60))
+            .minutes(minutes % 60)
+            .valueOf();
+
+    if (
+      !this.getAvailableIntervals(day).some(
+        ([intervalStart, intervalEnd]) =>
+          toTime(intervalStart) <= partStart && partEnd <= toTime(intervalEnd),
+      )
+    )
+      return false;
+  }
+
+  return true;
+};
+
+/**
+ * Function used to retrieve the ids of the parkings whose availability calendar doesn't cover a whole time window.
+ * @param {Date} start The start of the time window.
+ * @param {Date} end The end of the time window.
+ * @param {Object} filter The filter of the candidate parkings (i.e. the other search criteria), such that only their calendars are evaluated.
+ * @returns {Promise<mongoose.Types.ObjectId[]>} The list of the ids of the closed parkings.
+ */
+parkingSchema.statics.getClosedParkings = async function (
+  start,
+  end,
+  filter = {},
+) {
+  // The parkings without availability rules are always available
+  const parkings = await this.find({
+    ...filter,
+    $or: [
+      { 'availability.weekly.0': { $exists: true } },
+      { 'availability.exceptions.0': { $exists: true } },
+    ],
+  }).select('availability');
+
+  return parkings
+    .filter(parking => !parking.isAvailableBetween(start, end))
+    .map(({ _id }) => _id);
+};
+
 /**
  * The Parking model object generated from mongoose.
  * @type {mongoose.Model<Parking>}
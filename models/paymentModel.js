@@ -0,0 +1,103 @@
+/**
+ * Definition of the Payment Model used in the application and generating the Payment Collection in the MongoDB Database.
+ * @module paymentModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the Payment model
+ * @typedef Payment
+ * @property {mongoose.Schema.ObjectId} occupation The id reference to the occupation paid by the payment.
+ * @property {mongoose.Schema.ObjectId} client The id reference to the user paying the occupation.
+ * @property {string} method The method used to pay the occupation (card or wallet).
+ * @property {string} intentId The id of the pre-authorized payment intent in the payment provider.
+ * @property {string} paymentMethod The id of the payment method (i.e. card) used to pay.
+ * @property {Object[]} charges The captured payment intents (the pre-authorized one and the additional one created when the bill exceeds the pre-authorized amount), with their captured and refunded amounts.
+ * @property {string} currency The currency of the payment.
+ * @property {number} amountAuthorized The amount pre-authorized at the start of the reservation.
+ * @property {number} amountCaptured The amount effectively charged at the end of the reservation.
+ * @property {number} amountRefunded The amount refunded to the client.
+ * @property {number} amountOutstanding The part of the bill that couldn't be charged (the additional payment exceeding the pre-authorized amount failed).
+ * @property {string} status The status of the payment (authorized, captured, cancelled, refunded, failed).
+ * @property {Date} creationDate The creation date of the payment.
+ */
+
+/**
+ * The Payment schema object generated from mongoose.
+ * @type {mongoose.Schema<Payment>}
+ */
+const paymentSchema = new Schema({
+  occupation: {
+    type: Schema.ObjectId,
+    ref: 'Occupation',
+  },
+  client: {
+    type: Schema.ObjectId,
+    ref: 'User',
+  },
+  method: {
+    type: String,
+    enum: ['card', 'wallet'],
+    default: 'card',
+  },
+  intentId: {
+    type: String,
+    select: false,
+  },
+  paymentMethod: {
+    type: String,
+    select: false,
+  },
+  charges: {
+    type: [
+      {
+        _id: false,
+        intentId: String,
+        amount: Number,
+        refunded: { type: Number, default: 0 },
+      },
+    ],
+    select: false,
+  },
+  currency: {
+    type: String,
+  },
+  amountAuthorized: {
+    type: Number,
+    default: 0,
+  },
+  amountCaptured: {
+    type: Number,
+    default: 0,
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0,
+  },
+  amountOutstanding: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['authorized', 'captured', 'cancelled', 'refunded', 'failed'],
+    default: 'authorized',
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+paymentSchema.index({ occupation: 1 });
+paymentSchema.index({ intentId: 1 });
+paymentSchema.index({ 'charges.intentId': 1 });
+
+/**
+ * The Payment model object generated from mongoose.
+ * @type {mongoose.Model<Payment>}
+ */
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
@@ -0,0 +1,85 @@
+/**
+ * Definition of the Payout Model used in the application and generating the Payout Collection in the MongoDB Database.
+ * @module payoutModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the Payout model
+ * @typedef Payout
+ * @property {mongoose.Schema.ObjectId} provider The id reference to the provider receiving the payout.
+ * @property {Date} periodStart The creation date of the oldest earning included in the payout.
+ * @property {Date} periodEnd The end of the period covered by the payout.
+ * @property {number} nbEarnings The number of earnings included in the payout.
+ * @property {number} gross The total amount paid by the clients.
+ * @property {number} commission The total commission retained by the platform.
+ * @property {number} net The total amount owed to the provider.
+ * @property {string} currency The currency of the payout.
+ * @property {string} status The status of the payout (pending or settled).
+ * @property {string} reference The reference of the transfer made to the provider (i.e. bank transfer id).
+ * @property {Date} settlementDate The moment where the payout was marked as settled.
+ * @property {Date} creationDate The creation date of the payout.
+ */
+
+/**
+ * The Payout schema object generated from mongoose.
+ * @type {mongoose.Schema<Payout>}
+ */
+const payoutSchema = new Schema({
+  provider: {
+    type: Schema.ObjectId,
+    ref: 'User',
+  },
+  periodStart: {
+    type: Date,
+  },
+  periodEnd: {
+    type: Date,
+  },
+  nbEarnings: {
+    type: Number,
+    default: 0,
+  },
+  gross: {
+    type: Number,
+    default: 0,
+  },
+  commission: {
+    type: Number,
+    default: 0,
+  },
+  net: {
+    type: Number,
+    default: 0,
+  },
+  currency: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'settled'],
+    default: 'pending',
+  },
+  reference: {
+    type: String,
+    trim: true,
+  },
+  settlementDate: {
+    type: Date,
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+payoutSchema.index({ provider: 1, creationDate: -1 });
+
+/**
+ * The Payout model object generated from mongoose.
+ * @type {mongoose.Model<Payout>}
+ */
+const Payout = mongoose.model('Payout', payoutSchema);
+
+module.exports = Payout;
@@ -0,0 +1,121 @@
+/**
+ * Definition of the Review Model used in the application and generating the Review Collection in the MongoDB Database.
+ * @module reviewModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+const Parking = require('./parkingModel');
+
+/**
+ * The representation of the Review model
+ * @typedef Review
+ * @property {mongoose.Schema.ObjectId} occupation The id reference to the reviewed occupation.
+ * @property {mongoose.Schema.ObjectId} parking The id reference to the reviewed parking.
+ * @property {mongoose.Schema.ObjectId} client The id reference to the client that wrote the review.
+ * @property {number} rating The star rating given to the parking (from 1 to 5).
+ * @property {string} text The text of the review.
+ * @property {Object} reply The reply of the owner of the parking, with its text and date.
+ * @property {boolean} isHidden The moderation state of the review (true if it was hidden by an admin).
+ * @property {string} moderationReason The reason given by the admin that hid the review.
+ * @property {Date} creationDate The creation date of the review.
+ */
+
+/**
+ * The Review schema object generated from mongoose.
+ * @type {mongoose.Schema<Review>}
+ */
+const reviewSchema = new Schema({
+  occupation: {
+    type: Schema.ObjectId,
+    ref: 'Occupation',
+    required: [true, 'Please provide the occupation you want to review.'],
+    unique: true,
+  },
+  parking: {
+    type: Schema.ObjectId,
+    ref: 'Parking',
+  },
+  client: {
+    type: Schema.ObjectId,
+    ref: 'User',
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please provide a rating for the parking.'],
+    min: [1, 'The rating must be between 1 and 5.'],
+    max: [5, 'The rating must be between 1 and 5.'],
+    validate: [Number.isInteger, 'The rating must be a whole number of stars.'],
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxLength: [1000, "A review can't be longer than 1000 characters."],
+  },
+  reply: {
+    text: {
+      type: String,
+      trim: true,
+      maxLength: [1000, "A reply can't be longer than 1000 characters."],
+    },
+    date: Date,
+  },
+  isHidden: {
+    type: Boolean,
+    default: false,
+  },
+  moderationReason: {
+    type: String,
+    trim: true,
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+reviewSchema.index({ parking: 1, creationDate: -1 });
+
+/**
+ * Function used to compute the average rating and the number of visible reviews of a parking and store them in it.
+ * @param {mongoose.Types.ObjectId} parkingId The id of the parking.
+ */
+reviewSchema.statics.calcRatings = async function (parkingId) {
+  const [stats] = await this.aggregate([
+    { $match: { parking: parkingId, isHidden: false } },
+    {
+      $group: {
+        _id: '$parking',
+        ratingsQuantity: { $sum: 1 },
+        ratingsAverage: { $avg: '$rating' },
+      },
+    },
+  ]);
+
+  await Parking.findByIdAndUpdate(
+    parkingId,
+    {
+      ratingsQuantity: stats?.ratingsQuantity || 0,
+      ratingsAverage: stats ? Math.round(stats.ratingsAverage * 10) / 10 : 0,
+    },
+    { runValidators: false },
+  );
+};
+
+reviewSchema.post(
+  'save',
+  /**
+   * Function used to update the ratings of the reviewed parking each time a review is created or moderated.
+   * @param {Review} doc The saved review.
+   */
+  async function (doc) {
+    await doc.constructor.calcRatings(doc.parking);
+  },
+);
+
+/**
+ * The Review model object generated from mongoose.
+ * @type {mongoose.Model<Review>}
+ */
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
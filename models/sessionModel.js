@@ -0,0 +1,76 @@
+/**
+ * Definition of the Session Model used in the application and generating the Session Collection in the MongoDB Database.
+ * @module sessionModel
+ */
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the Session model
+ * @typedef Session
+ * @property {mongoose.Schema.ObjectId} user The id reference to the connected user.
+ * @property {string} refreshToken The hashed refresh token currently valid for the session.
+ * @property {string} previousRefreshToken The hashed refresh token replaced at the last rotation, used to detect the reuse of a stolen token.
+ * @property {string} userAgent The user agent of the device of the session.
+ * @property {string} ip The IP address the session was last used from.
+ * @property {Date} creationDate The creation date of the session (i.e. the login date).
+ * @property {Date} lastUsedDate The last moment the session was used.
+ * @property {Date} expirationDate The expiration date of the refresh token of the session.
+ * @property {Date} revocationDate The moment the session was revoked (logout, revocation by the user or reuse of a refresh token).
+ */
+
+/**
+ * The session schema object generated from mongoose.
+ * @type {mongoose.Schema<Session>}
+ */
+const sessionSchema = new Schema({
+  user: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A session must belong to a user.'],
+  },
+  refreshToken: {
+    type: String,
+    required: [true, 'A session must have a refresh token.'],
+    select: false,
+  },
+  previousRefreshToken: {
+    type: String,
+    select: false,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+  },
+  ip: {
+    type: String,
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedDate: {
+    type: Date,
+    default: Date.now,
+  },
+  expirationDate: {
+    type: Date,
+    required: [true, 'A session must have an expiration date.'],
+  },
+  revocationDate: {
+    type: Date,
+  },
+});
+
+sessionSchema.index({ user: 1, lastUsedDate: -1 });
+sessionSchema.index({ refreshToken: 1 });
+sessionSchema.index({ previousRefreshToken: 1 }, { sparse: true });
+// The expired sessions are removed by MongoDB
+sessionSchema.index({ expirationDate: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * The Session model object generated from mongoose.
+ * @type {mongoose.Model<Session>}
+ */
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
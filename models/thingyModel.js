@@ -0,0 +1,80 @@
+/**
+ * Definition of the Thingy Model used in the application and generating the Thingy Collection in the MongoDB Database.
+ * @module thingyModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the Thingy model
+ * @typedef Thingy
+ * @property {string} deviceId The id of the device, used as the device tag of its readings in InfluxDB.
+ * @property {string} name The display name of the device.
+ * @property {string} firmware The firmware version installed on the device.
+ * @property {Date} lastSeen The last moment where the device sent a message.
+ * @property {number} battery The battery level of the device (in percent).
+ * @property {mongoose.Schema.ObjectId} parking The id reference to the parking the device is assigned to.
+ * @property {Date} creationDate The registration date of the device.
+ */
+
+/**
+ * The Thingy schema object generated from mongoose.
+ * @type {mongoose.Schema<Thingy>}
+ */
+const thingySchema = new Schema({
+  deviceId: {
+    type: String,
+    required: [true, 'Please provide the id of the device.'],
+    unique: true,
+    trim: true,
+    match: [
+      /^[\w-]+$/,
+      'The id of a device can only contain letters, digits, dashes and underscores.',
+    ],
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  firmware: {
+    type: String,
+    trim: true,
+  },
+  lastSeen: {
+    type: Date,
+  },
+  battery: {
+    type: Number,
+    min: [0, 'The battery level must be between 0 and 100.'],
+    max: [100, 'The battery level must be between 0 and 100.'],
+  },
+  parking: {
+    type: Schema.ObjectId,
+    ref: 'Parking',
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+thingySchema.index({ parking: 1 });
+
+/**
+ * Function used to map a device to the parking it is assigned to.
+ * @param {string} deviceId The id of the device.
+ * @returns {Promise<mongoose.Types.ObjectId|null>} The id of the parking, or null if the device is unknown or not assigned.
+ */
+thingySchema.statics.getParkingByDevice = async function (deviceId) {
+  const thingy = await this.findOne({ deviceId }).select('parking');
+
+  return thingy?.parking || null;
+};
+
+/**
+ * The Thingy model object generated from mongoose.
+ * @type {mongoose.Model<Thingy>}
+ */
+const Thingy = mongoose.model('Thingy', thingySchema);
+
+module.exports = Thingy;
@@ -8,6 +8,7 @@ const {
   EMAIL_CONFIRMATION_DELAY,
   USERS_FOLDER,
   BACKEND_URL,
+  ROLE_PERMISSIONS,
 } = require('../utils/globals');
 const bcrypt = require('bcryptjs');
 const { isEmail } = require('validator');
@@ -27,18 +28,26 @@ const validatePassword = value => PASSWORD_VALIDATOR.validate(value);
  * @property {string} photo The profile picture of the user.
  * @property {string} password The password of the user.
  * @property {string} passwordConfirm The password confirmation of the user, which will not be stored in the database.
- * @property {string} role The role of the user.
+ * @property {string} role The role of the user, giving him the permissions of its set.
  * @property {Date} passwordChangedAt The last moment where the user changed his password.
  * @property {string} passwordResetToken The hashed email reset token, generated in the reset email sent to the user when he has forgotten his password.
  * @property {Date} passwordResetExpires The expiration time of the reset email validity.
  * @property {boolean} isConfirmed The confirmation status of the user.
  * @property {string} pinCode The hashed pin code sent to the user when he's trying to connect / register.
  * @property {Date} pinCodeExpires The expiration time of the pin code validity.
+ * @property {number} pinAttempts The number of wrong pin codes typed by the user since his last successful confirmation.
+ * @property {Date} pinLockedUntil The end of the lock of the pin confirmation, set when the user typed too many wrong pin codes.
  * @property {boolean} isEmailConfirmed The confirmation status of the email address.
  * @property {string} confirmEmailToken The hashed email confirmation token, generated in the confirmation email sent to the user.
  * @property {Date} confirmEmailExpires The expiration time of the confirmation email validity.
  * @property {boolean} isDeactivated The activation status of the account.
  * @property {Date} isDeactivatedAt The deactivation date of the account.
+ * @property {number} walletBalance The balance of the prepaid wallet of the user.
+ * @property {string} googleId The id of the Google account linked to the user.
+ * @property {boolean} isTotpEnabled The activation status of the two-factor authentication with an authenticator app.
+ * @property {string} totpSecret The base32 encoded secret shared with the authenticator app of the user (pending until the two-factor authentication is enabled).
+ * @property {number} totpLastTimestep The time step of the last TOTP code used by the user, preventing a code from being used twice.
+ * @property {string[]} recoveryCodes The hashed one-time recovery codes of the user.
  */
 
 /**
@@ -78,13 +87,24 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Please provide your password.'],
+    // The users signed up with Google don't need a password
+    required: [
+      function () {
+        return !this.googleId;
+      },
+      'Please provide your password.',
+    ],
     validate: [validatePassword, 'Please provide a valid password.'],
     select: false,
   },
   passwordConfirm: {
     type: String,
-    required: [true, 'Please confirm your password.'],
+    required: [
+      function () {
+        return !this.googleId;
+      },
+      'Please confirm your password.',
+    ],
     validate: {
       validator: function (val) {
         return val === this.password;
@@ -94,7 +114,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['client', 'provider', 'admin'],
+    enum: Object.keys(ROLE_PERMISSIONS),
     default: 'client',
     select: true,
   },
@@ -123,6 +143,15 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false,
   },
+  pinAttempts: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+  pinLockedUntil: {
+    type: Date,
+    select: false,
+  },
   isEmailConfirmed: {
     type: Boolean,
     select: false,
@@ -145,6 +174,34 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false,
   },
+  walletBalance: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+  googleId: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false,
+  },
+  isTotpEnabled: {
+    type: Boolean,
+    default: false,
+    select: false,
+  },
+  totpSecret: {
+    type: String,
+    select: false,
+  },
+  totpLastTimestep: {
+    type: Number,
+    select: false,
+  },
+  recoveryCodes: {
+    type: [String],
+    select: false,
+  },
 });
 
 // Creation of the user or modification of the password
@@ -196,11 +253,11 @@ userSchema.methods.correctPassword = async (writtenPassword, userPassword) =>
   await bcrypt.compare(writtenPassword, userPassword);
 
 /**
- * Function used to create a 6-digit pin code for 2-step authentication and store an encrypted version of it in the user schema in the database.
- * @returns {string} The encrypted value of the pin code.
+ * Function used to create a random 6-digit pin code for 2-step authentication and store an encrypted version of it in the user schema in the database.
+ * @returns {Array} The clear pin code that has to be sent to the user and its expiration date.
  */
 userSchema.methods.createPinCode = function () {
-  const pinCode = 100000;
+  const pinCode = crypto.randomInt(100000, 1000000);
 
   const cryptedPin = crypto
     .createHash('sha256')
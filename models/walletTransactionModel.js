@@ -0,0 +1,132 @@
+/**
+ * Definition of the WalletTransaction Model used in the application and generating the WalletTransaction Collection in the MongoDB Database.
+ * The collection is an immutable ledger: its entries can only be created, never updated nor deleted, such that the wallet balances can always be reconstructed from it.
+ * @module walletTransactionModel
+ */
+
+const { mongoose, Schema } = require('mongoose');
+
+/**
+ * The representation of the WalletTransaction model
+ * @typedef WalletTransaction
+ * @property {mongoose.Schema.ObjectId} user The id reference to the owner of the wallet.
+ * @property {string} type The type of the transaction (top-up, debit, credit, refund, reversal).
+ * @property {number} amount The signed amount of the transaction (positive for credits, negative for debits).
+ * @property {number} fee The platform fee retained on the transaction.
+ * @property {number} balance The balance of the wallet after the transaction.
+ * @property {mongoose.Schema.ObjectId} occupation The id reference to the occupation related to the transaction.
+ * @property {string} description The description of the transaction.
+ * @property {Date} creationDate The creation date of the transaction.
+ */
+
+/**
+ * The WalletTransaction schema object generated from mongoose.
+ * @type {mongoose.Schema<WalletTransaction>}
+ */
+const walletTransactionSchema = new Schema({
+  user: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true,
+  },
+  type: {
+    type: String,
+    enum: ['top-up', 'debit', 'credit', 'refund', 'reversal'],
+    required: true,
+    immutable: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    immutable: true,
+  },
+  fee: {
+    type: Number,
+    default: 0,
+    immutable: true,
+  },
+  balance: {
+    type: Number,
+    required: true,
+    immutable: true,
+  },
+  occupation: {
+    type: Schema.ObjectId,
+    ref: 'Occupation',
+    immutable: true,
+  },
+  description: {
+    type: String,
+    immutable: true,
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+walletTransactionSchema.index({ user: 1, creationDate: -1 });
+
+walletTransactionSchema.pre(
+  'save',
+  /**
+   * Function used to prevent the modification of an existing ledger entry.
+   * @param {import('mongoose').PreSaveMiddlewareFunction} next The next middleware function that will be called in the pre saving process.
+   */
+  function (next) {
+    if (!this.isNew) {
+      next(new Error('A wallet transaction cannot be modified.'));
+      return;
+    }
+
+    next();
+  },
+);
+
+walletTransactionSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+    'findOneAndRemove',
+  ],
+  /**
+   * Function used to prevent the modification and the deletion of the ledger entries.
+   * @param {Function} next The next middleware function that will be called in the pre query process.
+   */
+  function (next) {
+    next(new Error('The wallet transactions ledger is immutable.'));
+  },
+);
+
+/**
+ * Function used to reconstruct the balance of a wallet from the ledger.
+ * @param {mongoose.Types.ObjectId} userId The id of the owner of the wallet.
+ * @returns {Promise<number>} The balance of the wallet.
+ */
+walletTransactionSchema.statics.computeBalance = async function (userId) {
+  const [result] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: '$user', balance: { $sum: '$amount' } } },
+  ]);
+
+  return Math.round((result?.balance || 0) * 100) / 100;
+};
+
+/**
+ * The WalletTransaction model object generated from mongoose.
+ * @type {mongoose.Model<WalletTransaction>}
+ */
+const WalletTransaction = mongoose.model(
+  'WalletTransaction',
+  walletTransactionSchema,
+);
+
+module.exports = WalletTransaction;
@@ -0,0 +1,97 @@
+/**
+ * Definition of the WebhookDelivery Model used in the application and generating the WebhookDelivery Collection in the MongoDB Database.
+ * @module webhookDeliveryModel
+ */
+const { mongoose, Schema } = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../utils/globals');
+
+/**
+ * The representation of the WebhookDelivery model
+ * @typedef WebhookDelivery
+ * @property {mongoose.Schema.ObjectId} webhook The id reference to the webhook the event is delivered to.
+ * @property {mongoose.Schema.ObjectId} user The id reference to the user who registered the webhook.
+ * @property {string} eventId The id of the delivered event, shared by all its deliveries and replays.
+ * @property {string} eventType The type of the delivered event.
+ * @property {Object} payload The payload posted to the webhook.
+ * @property {string} status The status of the delivery (pending, delivering, succeeded or failed).
+ * @property {number} attempts The number of attempts made to deliver the event.
+ * @property {Date} nextAttemptDate The moment of the next attempt of a pending delivery, or the expiration of the claim of a delivering one.
+ * @property {Date} lastAttemptDate The moment of the last attempt.
+ * @property {number} responseStatus The HTTP status returned by the webhook at the last attempt.
+ * @property {string} error The reason of the failure of the last attempt.
+ * @property {mongoose.Schema.ObjectId} replayOf The id reference to the delivery replayed by this one.
+ * @property {Date} creationDate The creation date of the delivery.
+ */
+
+/**
+ * The webhook delivery schema object generated from mongoose.
+ * @type {mongoose.Schema<WebhookDelivery>}
+ */
+const webhookDeliverySchema = new Schema({
+  webhook: {
+    type: Schema.ObjectId,
+    ref: 'Webhook',
+    required: [true, 'A delivery must belong to a webhook.'],
+  },
+  user: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A delivery must belong to a user.'],
+  },
+  eventId: {
+    type: String,
+    required: [true, 'A delivery must have an event id.'],
+  },
+  eventType: {
+    type: String,
+    enum: WEBHOOK_EVENTS,
+    required: [true, 'A delivery must have an event type.'],
+  },
+  payload: {
+    type: Object,
+    required: [true, 'A delivery must have a payload.'],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'succeeded', 'failed'],
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptDate: {
+    type: Date,
+  },
+  lastAttemptDate: {
+    type: Date,
+  },
+  responseStatus: {
+    type: Number,
+  },
+  error: {
+    type: String,
+  },
+  replayOf: {
+    type: Schema.ObjectId,
+    ref: 'WebhookDelivery',
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+webhookDeliverySchema.index({ webhook: 1, creationDate: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptDate: 1 });
+
+/**
+ * The WebhookDelivery model object generated from mongoose.
+ * @type {mongoose.Model<WebhookDelivery>}
+ */
+const WebhookDelivery = mongoose.model(
+  'WebhookDelivery',
+  webhookDeliverySchema,
+);
+
+module.exports = WebhookDelivery;
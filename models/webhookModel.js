@@ -0,0 +1,108 @@
+/**
+ * Definition of the Webhook Model used in the application and generating the Webhook Collection in the MongoDB Database.
+ * @module webhookModel
+ */
+const { mongoose, Schema } = require('mongoose');
+const { isURL } = require('validator');
+const crypto = require('crypto');
+const { WEBHOOK_EVENTS } = require('../utils/globals');
+const { isPublicUrl } = require('../utils/network');
+
+/**
+ * The representation of the Webhook model
+ * @typedef Webhook
+ * @property {mongoose.Schema.ObjectId} user The id reference to the user who registered the webhook.
+ * @property {string} url The url the events are posted to.
+ * @property {string[]} events The types of the events the webhook is subscribed to.
+ * @property {string} secret The secret used to sign the payloads sent to the webhook.
+ * @property {boolean} isActive The state of the webhook (the inactive webhooks don't receive any event).
+ * @property {Date} creationDate The registration date of the webhook.
+ */
+
+/**
+ * The webhook schema object generated from mongoose.
+ * @type {mongoose.Schema<Webhook>}
+ */
+const webhookSchema = new Schema({
+  user: {
+    type: Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A webhook must belong to a user.'],
+  },
+  url: {
+    type: String,
+    required: [true, 'Please provide the url of the webhook.'],
+    trim: true,
+    validate: [
+      {
+        validator: url =>
+          isURL(url, {
+            protocols: ['http', 'https'],
+            require_protocol: true,
+            require_tld: process.env.NODE_ENV === 'production',
+          }),
+        message: 'Please provide a valid url for the webhook.',
+      },
+      {
+        // The server must not be used to reach its internal network
+        validator: isPublicUrl,
+        message:
+          'The url of the webhook must point to a public address (no loopback, private or link-local address).',
+      },
+    ],
+  },
+  events: {
+    type: [
+      {
+        type: String,
+        enum: {
+          values: WEBHOOK_EVENTS,
+          message: `The events of a webhook must be one of: ${WEBHOOK_EVENTS.join(
+            ', ',
+          )}.`,
+        },
+      },
+    ],
+    validate: [
+      events => events.length > 0,
+      'Please provide at least one event for the webhook.',
+    ],
+  },
+  secret: {
+    type: String,
+    select: false,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  creationDate: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+webhookSchema.index({ user: 1 });
+webhookSchema.index({ events: 1, isActive: 1 });
+
+webhookSchema.pre(
+  'save',
+  /**
+   * Function used to generate the signing secret of a new webhook.
+   * @param {import('mongoose').PreSaveMiddlewareFunction<Webhook>} next The next middleware function that will be called in the pre saving process.
+   */
+  function (next) {
+    if (this.isNew && !this.secret)
+      this.secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+    next();
+  },
+);
+
+/**
+ * The Webhook model object generated from mongoose.
+ * @type {mongoose.Model<Webhook>}
+ */
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
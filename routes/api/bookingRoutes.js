@@ -0,0 +1,373 @@
+/**
+ * Booking resource router of the REST API, nested in the parking resource router.
+ * @module bookingRoutes
+ */
+
+const { Router } = require('express');
+const {
+  createBooking,
+  getBookings,
+  cancelBooking,
+} = require('../../controllers/bookingController');
+const { protect, authorize } = require('../../controllers/authController');
+
+/**
+ * The Booking resource router.
+ * @type {Router}
+ */
+const router = Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Booking:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the booking
+ *           example: 6560b6f3b7ed1dbd25858e9e
+ *         start:
+ *           type: string
+ *           description: The planned starting time of the booking
+ *           example: "2023-11-23T08:00:00.000Z"
+ *         end:
+ *           type: string
+ *           description: The planned end time of the booking
+ *           example: "2023-11-23T12:00:00.000Z"
+ *         status:
+ *           type: string
+ *           description: The status of the booking (booked or cancelled)
+ *           example: booked
+ *         creationDate:
+ *           type: string
+ *           description: The creation date of the booking
+ *           example: "2023-11-22T12:23:24.012Z"
+ *         client:
+ *           type: object
+ *           description: the client that has booked the parking
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 654ca08c20d9213ef42b9443
+ *             username:
+ *               type: string
+ *               example: johndoe23
+ *             email:
+ *               type: string
+ *               example: johndoe23@example.com
+ *         parking:
+ *           type: object
+ *           description: the booked parking
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 6554db94e474b43b04d7b2d2
+ *             name:
+ *               type: string
+ *               example: Beautiful parking in fribourg
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /parkings/{id}/bookings:
+ *   get:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to get the bookings of a parking (all of them for its owner and the admins, the own ones for the other users)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: List of the bookings of the parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bookings:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Booking'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to book a parking for a future time window (accessible to clients and providers only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking we want to book
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The planned time window of the booking
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            required:
+ *              - start
+ *              - end
+ *            properties:
+ *              start:
+ *                type: string
+ *                description: The planned starting time of the booking (ISO 8601)
+ *                example: "2023-11-23T08:00:00.000Z"
+ *              end:
+ *                type: string
+ *                description: The planned end time of the booking (ISO 8601)
+ *                example: "2023-11-23T12:00:00.000Z"
+ *     responses:
+ *       201:
+ *         description: The new created booking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: You successfully booked the parking.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     booking:
+ *                       $ref: '#/components/schemas/Booking'
+ *       400:
+ *         description: Invalid requests done by the user
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidDateExample:
+ *                 summary: Invalid time window
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid date for the start of your booking.
+ *               bookingTooLongExample:
+ *                 summary: Time window longer than the maximum booking duration
+ *                 value:
+ *                   status: fail
+ *                   message: A booking can't last more than 30 days.
+ *               ownParkingBookingExample:
+ *                 summary: Own parking booking attempt
+ *                 value:
+ *                   status: fail
+ *                   message: You can't book your own parkings.
+ *               parkingUnavailableExample:
+ *                 summary: Overlapping booking attempt
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking is not available during this time window.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       409:
+ *         description: Another booking of the parking being created at the same time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Another booking of the requested parking is being processed. Please retry in a few seconds.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/')
+  .get(getBookings)
+  .post(authorize('create', 'booking'), createBooking);
+
+/**
+ * @swagger
+ * /parkings/{id}/bookings/{bookingId}:
+ *   delete:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to cancel a booking (accessible to the client who made it, the owner of the parking and the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the booked parking
+ *         required: true
+ *         type: string
+ *       - name: bookingId
+ *         in: path
+ *         description: The id of the booking we want to cancel
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The cancelled booking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The booking was successfully cancelled.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     booking:
+ *                       $ref: '#/components/schemas/Booking'
+ *       400:
+ *         description: Invalid cancellation attempts
+ *         content:
+ *           application/json:
+ *             examples:
+ *               alreadyCancelledExample:
+ *                 summary: Already cancelled booking
+ *                 value:
+ *                   status: fail
+ *                   message: This booking was already cancelled.
+ *               pastBookingExample:
+ *                 summary: Past booking cancellation attempt
+ *                 value:
+ *                   status: fail
+ *                   message: You can't cancel a past booking.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing booking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested booking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:bookingId')
+  .delete(authorize('cancel', 'booking'), cancelBooking);
+
+module.exports = router;
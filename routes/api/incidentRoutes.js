@@ -0,0 +1,257 @@
+/**
+ * Incident resource router of the REST API.
+ * @module incidentRoutes
+ */
+const { Router } = require('express');
+const {
+  getIncidents,
+  resolveIncident,
+} = require('../../controllers/incidentController');
+const { protect, authorize } = require('../../controllers/authController');
+
+/**
+ * The Incident resource router.
+ * @type {Router}
+ */
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Incident:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the incident
+ *           example: 6579b6f3b7ed1dbd25858e9e
+ *         type:
+ *           type: string
+ *           description: The type of the incident (unexpected-vehicle if a vehicle is detected without active occupation, vacant-occupation if an occupation is open while no vehicle is detected)
+ *           example: unexpected-vehicle
+ *         status:
+ *           type: string
+ *           description: The status of the incident (open or resolved)
+ *           example: open
+ *         deviceId:
+ *           type: string
+ *           description: The id of the thingy that reported the mismatch
+ *           example: orange-3
+ *         occupation:
+ *           type: string
+ *           description: The id of the occupation concerned by the incident
+ *           example: 656226e3e29ee5e2e5a3c2f2
+ *         detectionDate:
+ *           type: string
+ *           description: The moment where the incident was detected
+ *           example: "2023-12-12T10:23:24.012Z"
+ *         resolutionDate:
+ *           type: string
+ *           description: The moment where the incident was resolved
+ *           example: "2023-12-12T10:48:02.512Z"
+ *         resolution:
+ *           type: string
+ *           description: The way the incident was resolved (sensor if the mismatch disappeared, owner or admin if it was closed manually)
+ *           example: sensor
+ *         parking:
+ *           type: object
+ *           description: The parking where the incident happened
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 6554db94e474b43b04d7b2d2
+ *             name:
+ *               type: string
+ *               example: Beautiful parking in fribourg
+ *         owner:
+ *           type: object
+ *           description: The owner of the parking
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 654ca08c20d9213ef42b9443
+ *             username:
+ *               type: string
+ *               example: johndoe23
+ *             email:
+ *               type: string
+ *               example: johndoe23@example.com
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /incidents:
+ *   get:
+ *     tags:
+ *       - Incident
+ *     summary: Route used to get the incidents detected by the thingies on the parkings of the connected user (all of them for the admins)
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         description: The status of the incidents (open or resolved)
+ *         required: false
+ *         type: string
+ *       - name: parking
+ *         in: query
+ *         description: The id of the parking of the incidents
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: List of the incidents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     incidents:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Incident'
+ *       400:
+ *         description: Invalid status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Please provide a valid status for the incidents (open or resolved).
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/').get(authorize('read', 'incident'), getIncidents);
+
+/**
+ * @swagger
+ * /incidents/{id}/resolve:
+ *   patch:
+ *     tags:
+ *       - Incident
+ *     summary: Route used to manually resolve an incident, releasing the parking blocked by an unexpected vehicle (accessible to the owner of the parking and the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the incident
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The resolved incident
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The incident was successfully resolved.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     incident:
+ *                       $ref: '#/components/schemas/Incident'
+ *       400:
+ *         description: Already resolved incident
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: This incident was already resolved.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access to an incident of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing incident
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested incident doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/resolve')
+  .patch(authorize('resolve', 'incident'), resolveIncident);
+
+module.exports = router;
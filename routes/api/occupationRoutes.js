@@ -1,6 +1,13 @@
 const { Router } = require('express');
-const { protect, restrictTo } = require('../../controllers/authController');
-const { getOwnOccupations } = require('../../controllers/occupationController');
+const { protect, authorize } = require('../../controllers/authController');
+const {
+  getOwnOccupations,
+  getInvoice,
+} = require('../../controllers/occupationController');
+const { refundOccupation } = require('../../controllers/paymentController');
+const {
+  streamOwnOccupationEvents,
+} = require('../../controllers/eventController');
 
 const router = Router();
 
@@ -61,6 +68,274 @@ const router = Router();
  */
 router
   .route('/my-occupations')
-  .get(protect, restrictTo('client', 'provider'), getOwnOccupations);
+  .get(protect, authorize('list', 'occupation'), getOwnOccupations);
+
+/**
+ * @swagger
+ * /occupations/my-occupations/events:
+ *   get:
+ *     tags:
+ *       - Occupation
+ *     summary: Route used to stream the steps of the own reservations as Server-Sent Events (accessible to clients and providers only)
+ *     parameters:
+ *       - name: Last-Event-ID
+ *         in: header
+ *         description: The id of the last received event, used to receive the events missed while reconnecting
+ *         required: false
+ *         type: string
+ *       - name: lastEventId
+ *         in: query
+ *         description: The id of the last received event, for the clients that can't set the Last-Event-ID header
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The stream of the steps of the reservations (reservation:start, reservation:confirm and reservation:end), with a heartbeat comment every 15 seconds. The stream ends with a session:end event (reason expired or revoked) when the access token expires or its session is revoked
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 id: 1702375200002
+ *                 event: reservation:end
+ *                 data: {"id":1702375200002,"type":"reservation:end","parking":"6570bfe4d2a2a4f8e8d2a1b3","owner":"6570bf9ad2a2a4f8e8d2a1a7","data":{"occupation":{"_id":"6578300dd2a2a4f8e8d2a1c4","client":"6570bfb2d2a2a4f8e8d2a1ab","start":"2023-12-12T09:00:00.000Z","end":"2023-12-12T10:00:00.000Z","bill":2.5,"status":"finished"}},"date":"2023-12-12T10:00:00.000Z"}
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/my-occupations/events')
+  .get(protect, authorize('list', 'occupation'), streamOwnOccupationEvents);
+
+/**
+ * @swagger
+ * /occupations/{id}/refund:
+ *   post:
+ *     tags:
+ *       - Occupation
+ *     summary: Route used to refund the payment of an occupation (accessible to admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the occupation we want to refund
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The refunded amount (the whole non refunded amount if not specified)
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              amount:
+ *                type: number
+ *                description: The amount we want to refund
+ *                example: 1.5
+ *     responses:
+ *       200:
+ *         description: The refunded payment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The payment of the occupation was successfully refunded.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     payment:
+ *                       $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Invalid refunded amount
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Please provide an amount between 0 and 2.55 CHF.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing payment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: No payment was found for this occupation.
+ *       409:
+ *         description: Payment refunded by a simultaneous request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The payment was refunded by another request in the meantime. Please check its refundable amount and retry.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+/**
+ * @swagger
+ * /occupations/{id}/invoice:
+ *   get:
+ *     tags:
+ *       - Occupation
+ *     summary: Route used to get the invoice of a finished occupation (accessible to its client, the owner of the parking and the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the invoiced occupation
+ *         required: true
+ *         type: string
+ *       - name: format
+ *         in: query
+ *         description: The format of the invoice (html or pdf, html by default)
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The invoice of the occupation
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid invoice requests
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidFormatExample:
+ *                 summary: Invalid format
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid invoice format (html or pdf).
+ *               ongoingOccupationExample:
+ *                 summary: Ongoing occupation
+ *                 value:
+ *                   status: fail
+ *                   message: Only the finished occupations can be invoiced.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access to the occupation of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing occupation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested occupation doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/:id/invoice').get(protect, getInvoice);
+
+router
+  .route('/:id/refund')
+  .post(protect, authorize('refund', 'occupation'), refundOccupation);
 
 module.exports = router;
@@ -14,13 +14,26 @@ const {
   validateParking,
   startReservation,
   endReservation,
+  getAvailability,
+  updateAvailability,
+  getQuote,
+  updatePricing,
 } = require('../../controllers/parkingController');
 const {
   protect,
-  restrictTo,
+  authorize,
   checkConnected,
   checkProvider,
 } = require('../../controllers/authController');
+const { getMyEarnings } = require('../../controllers/payoutController');
+const {
+  assignThingy,
+  unassignThingy,
+} = require('../../controllers/thingyController');
+const { getSensorData } = require('../../controllers/sensorController');
+const { streamParkingEvents } = require('../../controllers/eventController');
+const bookingRouter = require('./bookingRoutes');
+const reviewRouter = require('./reviewRoutes');
 
 /**
  * The Parking resource router.
@@ -55,6 +68,37 @@ const router = Router();
  *           type: number
  *           description: The hourly price for the parking slot rental
  *           example: 3.50
+ *         ratingsAverage:
+ *           type: number
+ *           description: The average rating given by the clients in their reviews
+ *           example: 4.3
+ *         ratingsQuantity:
+ *           type: number
+ *           description: The number of reviews of the parking slot
+ *           example: 12
+ *         comfort:
+ *           type: object
+ *           description: The environment score of the parking slot, computed from the recent measures of its thingy
+ *           properties:
+ *             score:
+ *               type: number
+ *               description: The weighted average of the ratings of the measured properties (out of 5)
+ *               example: 4.2
+ *             ratings:
+ *               type: object
+ *               description: The rating (out of 5) of each measured property
+ *               additionalProperties:
+ *                 type: number
+ *               example:
+ *                 TEMP: 5
+ *                 HUMID: 4.1
+ *                 AIR_QUAL: 3.8
+ *                 CO2_EQUIV: 4.5
+ *             computationDate:
+ *               type: string
+ *               format: date-time
+ *               description: The moment where the score was computed
+ *               example: 2024-01-15T10:00:00.000Z
  *         isOccupied:
  *           type: boolean
  *           description: The occupation state of the parking
@@ -96,6 +140,176 @@ const router = Router();
  *            type: string
  *            example: http://localhost:3001/public/img/parkings/default.jpeg
  *           description: The parking slot pictures.
+ *         availability:
+ *           $ref: '#/components/schemas/Availability'
+ *         pricing:
+ *           $ref: '#/components/schemas/Pricing'
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Availability:
+ *       type: object
+ *       description: The availability rules of a parking slot. A parking without weekly slots is always available, and date-specific exceptions take precedence over the weekly slots.
+ *       properties:
+ *         timezone:
+ *           type: string
+ *           description: The timezone in which the slots are expressed
+ *           example: Europe/Zurich
+ *         weekly:
+ *           type: array
+ *           description: The recurring weekly slots during which the parking can be used
+ *           items:
+ *             type: object
+ *             properties:
+ *               day:
+ *                 type: number
+ *                 description: The day of the week (0 for sunday to 6 for saturday)
+ *                 example: 1
+ *               start:
+ *                 type: string
+ *                 description: The starting time of the slot (HH:mm)
+ *                 example: "07:00"
+ *               end:
+ *                 type: string
+ *                 description: The end time of the slot (HH:mm)
+ *                 example: "19:00"
+ *         exceptions:
+ *           type: array
+ *           description: The date-specific exceptions (additional availabilities or blackouts, for the whole day if no start and end are given)
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 description: The date of the exception (YYYY-MM-DD)
+ *                 example: "2023-12-25"
+ *               isAvailable:
+ *                 type: boolean
+ *                 description: true for an additional availability, false for a blackout
+ *                 example: false
+ *               start:
+ *                 type: string
+ *                 description: The starting time of the exception (HH:mm)
+ *                 example: "08:00"
+ *               end:
+ *                 type: string
+ *                 description: The end time of the exception (HH:mm)
+ *                 example: "12:00"
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Pricing:
+ *       type: object
+ *       description: The pricing rules applied on top of the hourly price of a parking slot. The night price takes precedence over the weekend price, which takes precedence over the hourly price.
+ *       properties:
+ *         freeMinutes:
+ *           type: number
+ *           description: The number of minutes offered at the beginning of each occupation
+ *           example: 60
+ *         roundingMinutes:
+ *           type: number
+ *           description: The number of minutes to which the duration of an occupation is rounded up (0 for a billing to the second)
+ *           example: 15
+ *         minimumCharge:
+ *           type: number
+ *           description: The minimum price of an occupation exceeding the free minutes
+ *           example: 2
+ *         dailyCap:
+ *           type: number
+ *           description: The maximum price charged for a calendar day
+ *           example: 20
+ *         dailyFlatRate:
+ *           type: number
+ *           description: The price charged for each full day (24 hours) of occupation
+ *           example: 15
+ *         weekendPrice:
+ *           type: number
+ *           description: The hourly price applied on saturdays and sundays
+ *           example: 1.5
+ *         night:
+ *           type: object
+ *           description: The night period and its hourly price
+ *           properties:
+ *             price:
+ *               type: number
+ *               description: The hourly price applied during the night
+ *               example: 1
+ *             start:
+ *               type: string
+ *               description: The starting time of the night period (HH:mm)
+ *               example: "22:00"
+ *             end:
+ *               type: string
+ *               description: The end time of the night period (HH:mm), that can be on the next day
+ *               example: "06:00"
+ *     Quote:
+ *       type: object
+ *       properties:
+ *         parking:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 6554db94e474b43b04d7b2d2
+ *             name:
+ *               type: string
+ *               example: Beautiful parking in fribourg
+ *         start:
+ *           type: string
+ *           description: The start of the quoted time window
+ *           example: "2023-11-23T08:00:00.000Z"
+ *         end:
+ *           type: string
+ *           description: The end of the quoted time window
+ *           example: "2023-11-23T12:10:00.000Z"
+ *         currency:
+ *           type: string
+ *           example: chf
+ *         total:
+ *           type: number
+ *           description: The price of an occupation during the time window
+ *           example: 8.13
+ *         duration:
+ *           type: number
+ *           description: The duration of the time window, in minutes
+ *           example: 250
+ *         billedDuration:
+ *           type: number
+ *           description: The duration after rounding, in minutes
+ *           example: 255
+ *         freeDuration:
+ *           type: number
+ *           description: The free duration offered at the beginning, in minutes
+ *           example: 60
+ *         flatDays:
+ *           type: number
+ *           description: The number of full days charged at the daily flat rate
+ *           example: 0
+ *         days:
+ *           type: array
+ *           description: The price charged for each calendar day (outside the flat rate days)
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: "2023-11-23"
+ *               amount:
+ *                 type: number
+ *                 example: 8.13
+ *               capped:
+ *                 type: boolean
+ *                 example: false
+ *         minimumCharged:
+ *           type: boolean
+ *           description: true if the minimum charge was applied
+ *           example: false
  */
 
 /**
@@ -121,6 +335,18 @@ const router = Router();
  *           type: number
  *           description: The bill of the occupation
  *           example: 2.55
+ *         status:
+ *           type: string
+ *           description: The status of the occupation (pending until the client confirms his arrival on the thingy of the parking, active, ending until he confirms his departure, finished, or expired if his arrival wasn't confirmed in time)
+ *           example: finished
+ *         confirmationDeadline:
+ *           type: string
+ *           description: The moment before which the pending arrival or departure has to be confirmed by pressing the button of the parking
+ *           example: "2023-11-22T12:28:24.012Z"
+ *         endRequestDate:
+ *           type: string
+ *           description: The moment where the client requested the end of the occupation
+ *           example: "2023-11-22T12:23:29.491Z"
  *         client:
  *           type: object
  *           description: the client that has reserved the parking
@@ -203,6 +429,31 @@ const router = Router();
  *         schema:
  *           type: number
  *           example: 5
+ *       - name: from
+ *         in: query
+ *         description: 'The start of the time window during which the parkings must be free and open according to their availability calendar (ISO 8601, to be used with the to parameter, the window lasting at most 30 days)'
+ *         schema:
+ *           type: string
+ *           example: "2023-11-23T08:00:00.000Z"
+ *       - name: to
+ *         in: query
+ *         description: 'The end of the time window during which the parkings must be free and open according to their availability calendar (ISO 8601, to be used with the from parameter, the window lasting at most 30 days)'
+ *         schema:
+ *           type: string
+ *           example: "2023-11-23T12:00:00.000Z"
+ *       - name: minRating
+ *         in: query
+ *         description: 'The minimal average rating of the parking (from 1 to 5)'
+ *         schema:
+ *           type: number
+ *           example: 4
+ *       - name: sort
+ *         in: query
+ *         description: 'The order of the parkings (rating for the best rated parkings first, comfort for the parkings with the best environment score first)'
+ *         schema:
+ *           type: string
+ *           enum: [rating, comfort]
+ *           example: rating
  *     responses:
  *       200:
  *         description: List of all parkings
@@ -241,6 +492,16 @@ const router = Router();
  *                 value:
  *                   status: fail
  *                   message: Please provide a numerical value for the maximum price.
+ *               timeWindowExample:
+ *                 summary: Invalid time window
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid date for the start of the time window.
+ *               timeWindowTooLongExample:
+ *                 summary: Time window longer than the maximum booking duration
+ *                 value:
+ *                   status: fail
+ *                   message: The time window can't last more than 30 days.
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -279,6 +540,8 @@ const router = Router();
  *                type: number
  *                description: The hourly price of the parking slot
  *                example: 2.5
+ *              pricing:
+ *                $ref: '#/components/schemas/Pricing'
  *              coordinates:
  *                type: array
  *                description: The coordinates of the parking slot (lat/long)
@@ -390,7 +653,7 @@ router
   .get(checkConnected, handleParkingQuery, getAllParkings)
   .post(
     protect,
-    restrictTo('client', 'provider'),
+    authorize('create', 'parking'),
     uploadParkingImages,
     saveParkingImages,
     createParking,
@@ -453,7 +716,95 @@ router
  */
 router
   .route('/my-parkings')
-  .get(protect, restrictTo('provider'), checkProvider, getAllParkings);
+  .get(protect, authorize('list', 'parking'), checkProvider, getAllParkings);
+
+/**
+ * @swagger
+ * /parkings/my-earnings:
+ *   get:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to get the earnings made on the provided parkings, with their totals and the payout statements (accessible to providers only)
+ *     responses:
+ *       200:
+ *         description: The earnings and payouts of the provider
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       type: object
+ *                       description: The totals of the earnings (gross, commission and net amounts, net amounts pending, included in a payout and settled)
+ *                       properties:
+ *                         gross:
+ *                           type: number
+ *                           example: 54
+ *                         commission:
+ *                           type: number
+ *                           example: 5.4
+ *                         net:
+ *                           type: number
+ *                           example: 48.6
+ *                         pending:
+ *                           type: number
+ *                           example: 8.1
+ *                         included:
+ *                           type: number
+ *                           example: 0
+ *                         settled:
+ *                           type: number
+ *                           example: 40.5
+ *                         currency:
+ *                           type: string
+ *                           example: chf
+ *                     earnings:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Earning'
+ *                     payouts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Payout'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/my-earnings')
+  .get(protect, authorize('read', 'earnings'), getMyEarnings);
 
 /**
  * @swagger
@@ -506,22 +857,26 @@ router
  */
 router.route('/:id').get(checkConnected, getParking);
 
+router.use('/:id/bookings', bookingRouter);
+
+router.use('/:id/reviews', reviewRouter);
+
 /**
  * @swagger
- * /parkings/{id}/validate:
- *   patch:
+ * /parkings/{id}/availability:
+ *   get:
  *     tags:
  *       - Parking
- *     summary: Route used to validate a parking requested by an user (accessible to admins only)
+ *     summary: Route used to get the availability rules of a parking
  *     parameters:
  *       - name: id
  *         in: path
- *         description: The id of the parking we want to validate
+ *         description: The id of the parking
  *         required: true
  *         type: string
  *     responses:
  *       200:
- *         description: The updated validated parking
+ *         description: The availability rules of the parking
  *         content:
  *           application/json:
  *             schema:
@@ -533,29 +888,8 @@ router.route('/:id').get(checkConnected, getParking);
  *                 data:
  *                   type: object
  *                   properties:
- *                     parking:
- *                       $ref: '#/components/schemas/Parking'
- *       401:
- *         description: User login problems
- *         content:
- *           application/json:
- *             examples:
- *               notLoggedInExample:
- *                 $ref: '#/components/examples/notLoggedInExample'
- *               accountNotFoundExample:
- *                 $ref: '#/components/examples/accountNotFoundExample'
- *               passwordChangedExample:
- *                 $ref: '#/components/examples/passwordChangedExample'
- *               InvalidTokenExample:
- *                 $ref: '#/components/examples/InvalidTokenExample'
- *               tokenExpiredExample:
- *                 $ref: '#/components/examples/tokenExpiredExample'
- *       403:
- *         description: Forbidden access due to role
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/RolePermissionError'
+ *                     availability:
+ *                       $ref: '#/components/schemas/Availability'
  *       404:
  *         description: Non existing parking
  *         content:
@@ -575,29 +909,25 @@ router.route('/:id').get(checkConnected, getParking);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ServerError'
- *     security:
- *       - bearerAuth: []
- */
-router
-  .route('/:id/validate')
-  .patch(protect, restrictTo('admin'), validateParking);
-
-/**
- * @swagger
- * /parkings/{id}/start-reservation:
- *   patch:
+ *   put:
  *     tags:
  *       - Parking
- *     summary: Route used to reserve a parking (accessible to clients and providers only)
+ *     summary: Route used to publish the availability rules of a parking (accessible to its owner and the admins only)
  *     parameters:
  *       - name: id
  *         in: path
- *         description: The id of the parking we want to reserve
+ *         description: The id of the parking
  *         required: true
  *         type: string
+ *     requestBody:
+ *       description: The new availability rules (the omitted fields are left unchanged)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Availability'
  *     responses:
  *       200:
- *         description: The new created occupation of the parking
+ *         description: The updated availability rules of the parking
  *         content:
  *           application/json:
  *             schema:
@@ -606,54 +936,27 @@ router
  *                 status:
  *                   type: string
  *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The availability of your parking was successfully updated.
  *                 data:
  *                   type: object
  *                   properties:
- *                     occupation:
- *                       type: object
- *                       properties:
- *                         _id:
- *                           type: string
- *                           example: 654ca08c20d9213ef42b9443
- *                         start:
- *                           type: string
- *                           example: "2023-11-22T12:23:24.012Z"
- *                         client:
- *                           type: object
- *                           properties:
- *                             _id:
- *                               type: string
- *                               example: 654ca08c20d9213ef42b9443
- *                             username:
- *                               type: string
- *                               example: johndoe23
- *                             email:
- *                               type: string
- *                               example: johndoe23@example.com
- *                         parking:
- *                           type: object
- *                           properties:
- *                             _id:
- *                               type: string
- *                               example: 6554db94e474b43b04d7b2d2
- *                             name:
- *                               type: string
- *                               example: Beautiful parking in fribourg
+ *                     availability:
+ *                       $ref: '#/components/schemas/Availability'
  *       400:
- *         description: Invalid requests done by the user
+ *         description: Invalid availability rules
  *         content:
  *           application/json:
- *             examples:
- *               ownParkingReservationExample:
- *                 summary: Own parking reservation attempt
- *                 value:
- *                   status: fail
- *                   message: You can't reserve your own parkings.
- *               parkingOccupiedExample:
- *                 summary: Already occupied parking reservation attempt
- *                 value:
- *                   status: fail
- *                   message: The requested parking is already occupied.
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Invalid input data.
  *       401:
  *         description: User login problems
  *         content:
@@ -670,7 +973,7 @@ router
  *               tokenExpiredExample:
  *                 $ref: '#/components/examples/tokenExpiredExample'
  *       403:
- *         description: Forbidden access due to role
+ *         description: Forbidden access to a parking of another user
  *         content:
  *           application/json:
  *             schema:
@@ -688,19 +991,6 @@ router
  *                 message:
  *                   type: string
  *                   example: The requested parking doesn't exist.
- *       408:
- *         description: Confirmation timeout expired
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: fail
- *                 message:
- *                   type: string
- *                   example: Timeout waiting for button click expired.
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -711,25 +1001,601 @@ router
  *       - bearerAuth: []
  */
 router
-  .route('/:id/start-reservation')
-  .patch(protect, restrictTo('client', 'provider'), startReservation);
+  .route('/:id/availability')
+  .get(getAvailability)
+  .put(protect, authorize('manage', 'parking'), updateAvailability);
 
 /**
  * @swagger
- * /parkings/{id}/end-reservation:
- *   patch:
+ * /parkings/{id}/quote:
+ *   get:
  *     tags:
  *       - Parking
- *     summary: Route used to end a parking reservation (accessible to clients and providers only)
+ *     summary: Route used to get the price of an occupation of a parking during a time window, computed with the same pricing rules as the final bill
  *     parameters:
  *       - name: id
  *         in: path
- *         description: The id of the parking we want to reserve
+ *         description: The id of the parking
  *         required: true
  *         type: string
- *     responses:
- *       200:
- *         description: The updated occupation of the parking
+ *       - name: start
+ *         in: query
+ *         description: The start of the time window (ISO 8601)
+ *         required: true
+ *         type: string
+ *       - name: end
+ *         in: query
+ *         description: The end of the time window (ISO 8601)
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The quote of the parking for the time window
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quote:
+ *                       $ref: '#/components/schemas/Quote'
+ *       400:
+ *         description: Invalid time window
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidDateExample:
+ *                 summary: Invalid date
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid date for the start of the quote.
+ *               invalidWindowExample:
+ *                 summary: End before the start
+ *                 value:
+ *                   status: fail
+ *                   message: The end of a quote must be after its start.
+ *               tooLongWindowExample:
+ *                 summary: Time window too long
+ *                 value:
+ *                   status: fail
+ *                   message: A quote can't last more than 30 days.
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.route('/:id/quote').get(getQuote);
+
+/**
+ * @swagger
+ * /parkings/{id}/pricing:
+ *   put:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to publish the pricing rules of a parking, replacing the existing ones (accessible to its owner and the admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The new pricing rules, and optionally the new hourly price of the parking
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Pricing'
+ *               - type: object
+ *                 properties:
+ *                   price:
+ *                     type: number
+ *                     description: The hourly price of the parking slot
+ *                     example: 2.5
+ *     responses:
+ *       200:
+ *         description: The updated pricing rules of the parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The pricing of your parking was successfully updated.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     price:
+ *                       type: number
+ *                       example: 2.5
+ *                     pricing:
+ *                       $ref: '#/components/schemas/Pricing'
+ *       400:
+ *         description: Invalid pricing rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Invalid input data.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access to a parking of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/pricing')
+  .put(protect, authorize('manage', 'parking'), updatePricing);
+
+/**
+ * @swagger
+ * /parkings/{id}/thingy:
+ *   put:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to assign a registered thingy to a parking, mapping its sensor readings to it (accessible to its owner and the admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The device we want to assign to the parking
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            required:
+ *              - deviceId
+ *            properties:
+ *              deviceId:
+ *                type: string
+ *                description: The id of the device
+ *                example: orange-3
+ *     responses:
+ *       200:
+ *         description: The assigned thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The thingy was successfully assigned to the parking.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thingy:
+ *                       $ref: '#/components/schemas/Thingy'
+ *       400:
+ *         description: Invalid assignment attempts
+ *         content:
+ *           application/json:
+ *             examples:
+ *               alreadyEquippedExample:
+ *                 summary: Parking already equipped with a thingy
+ *                 value:
+ *                   status: fail
+ *                   message: A thingy is already assigned to this parking, please unassign it first.
+ *               unavailableThingyExample:
+ *                 summary: Unknown or already assigned thingy
+ *                 value:
+ *                   status: fail
+ *                   message: The requested thingy doesn't exist or is already assigned to a parking.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access to a parking of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to unassign the thingy of a parking (accessible to its owner and the admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The unassigned thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The thingy was successfully unassigned from the parking.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thingy:
+ *                       $ref: '#/components/schemas/Thingy'
+ *       400:
+ *         description: Parking without thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: No thingy is assigned to this parking.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access to a parking of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/thingy')
+  .put(protect, authorize('manage', 'parking'), assignThingy)
+  .delete(protect, authorize('manage', 'parking'), unassignThingy);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SensorMeasure:
+ *       type: object
+ *       properties:
+ *         device:
+ *           type: string
+ *           description: The id of the thingy that sent the measure (absent from the statistics)
+ *           example: orange-3
+ *         measurement:
+ *           type: string
+ *           description: The InfluxDB measurement of the measure
+ *           example: thingy91
+ *         property:
+ *           type: string
+ *           description: The measured property
+ *           example: TEMP
+ *         value:
+ *           type: number
+ *           description: The measured (or aggregated) value
+ *           example: 21.4
+ *         time:
+ *           type: string
+ *           description: The moment of the measure (or the end of its aggregation window)
+ *           example: "2023-12-12T10:00:00Z"
+ */
+
+/**
+ * @swagger
+ * /parkings/{id}/sensors/{property}:
+ *   get:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to get the environmental measures sent by the thingy of a parking, either raw, aggregated over time windows or summarized by a statistic
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *       - name: property
+ *         in: path
+ *         description: The measured property (TEMP, HUMID, AIR_PRESS, AIR_QUAL or CO2_EQUIV)
+ *         required: true
+ *         type: string
+ *       - name: range
+ *         in: query
+ *         description: The time range of the measures until now, as a number followed by m, h or d (24h by default, 30 days at most)
+ *         required: false
+ *         type: string
+ *       - name: window
+ *         in: query
+ *         description: The duration of the windows the measures are aggregated on, as a number followed by m, h or d
+ *         required: false
+ *         type: string
+ *       - name: statistic
+ *         in: query
+ *         description: The statistic computed on each window, or on the whole range if no window is given (mean, min, max or stddev, mean by default with a window)
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The measures of the property
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SensorMeasure'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidPropertyExample:
+ *                 summary: Unknown property
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid property (TEMP, HUMID, AIR_PRESS, AIR_QUAL, CO2_EQUIV).
+ *               invalidRangeExample:
+ *                 summary: Invalid time range
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid time range (i.e. 30m, 24h or 7d, 30 days at most).
+ *               invalidStatisticExample:
+ *                 summary: Unknown statistic
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid statistic (mean, min, max, stddev).
+ *       404:
+ *         description: Non existing parking or parking without thingy
+ *         content:
+ *           application/json:
+ *             examples:
+ *               parkingNotFoundExample:
+ *                 summary: Non existing parking
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking doesn't exist.
+ *               noThingyExample:
+ *                 summary: Parking without thingy
+ *                 value:
+ *                   status: fail
+ *                   message: No thingy is assigned to this parking.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.route('/:id/sensors/:property').get(getSensorData);
+
+/**
+ * @swagger
+ * /parkings/{id}/events:
+ *   get:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to stream the live occupancy changes of a parking as Server-Sent Events, along with its reservations for its owner and the admins
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking
+ *         required: true
+ *         type: string
+ *       - name: Last-Event-ID
+ *         in: header
+ *         description: The id of the last received event, used to receive the events missed while reconnecting
+ *         required: false
+ *         type: string
+ *       - name: lastEventId
+ *         in: query
+ *         description: The id of the last received event, for the clients that can't set the Last-Event-ID header
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The stream of the events of the parking (parking:occupancy, reservation:start, reservation:confirm and reservation:end), with a heartbeat comment every 15 seconds. The stream ends with a session:end event (reason expired or revoked) when the access token expires or its session is revoked
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 id: 1702375200001
+ *                 event: parking:occupancy
+ *                 data: {"id":1702375200001,"type":"parking:occupancy","parking":"6570bfe4d2a2a4f8e8d2a1b3","data":{"isOccupied":true},"date":"2023-12-12T10:00:00.000Z"}
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/:id/events').get(protect, streamParkingEvents);
+
+/**
+ * @swagger
+ * /parkings/{id}/validate:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to validate a parking requested by an user (accessible to admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking we want to validate
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The updated validated parking
  *         content:
  *           application/json:
  *             schema:
@@ -741,10 +1607,31 @@ router
  *                 data:
  *                   type: object
  *                   properties:
- *                     occupation:
- *                       $ref: '#/components/schemas/Occupation'
- *       400:
- *         description: Non-reserved parking end reservation attempt
+ *                     parking:
+ *                       $ref: '#/components/schemas/Parking'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking
  *         content:
  *           application/json:
  *             schema:
@@ -755,7 +1642,129 @@ router
  *                   example: fail
  *                 message:
  *                   type: string
- *                   example: You haven't reserved this parking.
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/validate')
+  .patch(protect, authorize('validate', 'parking'), validateParking);
+
+/**
+ * @swagger
+ * /parkings/{id}/start-reservation:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to reserve a parking (accessible to clients and providers only). If the parking is equipped with a thingy, the occupation stays pending until the client presses its button, and expires if he doesn't confirm his arrival in time
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking we want to reserve
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The payment method used to pay the reservation, on which an amount is pre-authorized until the end of the reservation
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            required:
+ *              - paymentMethod
+ *            properties:
+ *              paymentMethod:
+ *                type: string
+ *                description: The id of the payment method (i.e. card) of the client, or "wallet" to pay with the prepaid wallet of the client
+ *                example: pm_card_visa
+ *     responses:
+ *       200:
+ *         description: The new created occupation of the parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     occupation:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                           example: 654ca08c20d9213ef42b9443
+ *                         start:
+ *                           type: string
+ *                           example: "2023-11-22T12:23:24.012Z"
+ *                         status:
+ *                           type: string
+ *                           description: active, or pending until the client presses the button of the parking if it is equipped with a thingy
+ *                           example: pending
+ *                         confirmationDeadline:
+ *                           type: string
+ *                           example: "2023-11-22T12:28:24.012Z"
+ *                         client:
+ *                           type: object
+ *                           properties:
+ *                             _id:
+ *                               type: string
+ *                               example: 654ca08c20d9213ef42b9443
+ *                             username:
+ *                               type: string
+ *                               example: johndoe23
+ *                             email:
+ *                               type: string
+ *                               example: johndoe23@example.com
+ *                         parking:
+ *                           type: object
+ *                           properties:
+ *                             _id:
+ *                               type: string
+ *                               example: 6554db94e474b43b04d7b2d2
+ *                             name:
+ *                               type: string
+ *                               example: Beautiful parking in fribourg
+ *                     payment:
+ *                       $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Invalid requests done by the user
+ *         content:
+ *           application/json:
+ *             examples:
+ *               paymentMethodExample:
+ *                 summary: Missing payment method
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a payment method for your reservation.
+ *               ownParkingReservationExample:
+ *                 summary: Own parking reservation attempt
+ *                 value:
+ *                   status: fail
+ *                   message: You can't reserve your own parkings.
+ *               parkingOccupiedExample:
+ *                 summary: Already occupied parking reservation attempt
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking is already occupied.
+ *               parkingUnavailableExample:
+ *                 summary: Reservation outside of the availability calendar
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking is not available at this time according to its availability calendar.
+ *               parkingBookedExample:
+ *                 summary: Parking booked by another user soon
+ *                 value:
+ *                   status: fail
+ *                   message: The requested parking is booked by another user within the next 2 hours.
  *       401:
  *         description: User login problems
  *         content:
@@ -790,8 +1799,136 @@ router
  *                 message:
  *                   type: string
  *                   example: The requested parking doesn't exist.
- *       408:
- *         description: Confirmation timeout expired
+ *       402:
+ *         description: Payment pre-authorization declined or insufficient wallet balance
+ *         content:
+ *           application/json:
+ *             examples:
+ *               cardDeclinedExample:
+ *                 summary: Declined card
+ *                 value:
+ *                   status: fail
+ *                   message: Your card was declined.
+ *               insufficientBalanceExample:
+ *                 summary: Insufficient wallet balance
+ *                 value:
+ *                   status: fail
+ *                   message: Your wallet balance must be at least 10 CHF to start a reservation.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:id/start-reservation')
+  .patch(protect, authorize('reserve', 'parking'), startReservation);
+
+/**
+ * @swagger
+ * /parkings/{id}/end-reservation:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to end a parking reservation (accessible to clients and providers only). If the parking is equipped with a thingy, the end is pending until the client presses its button, and is cancelled if he doesn't confirm his departure in time
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the parking we want to reserve
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The updated occupation of the parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     occupation:
+ *                       $ref: '#/components/schemas/Occupation'
+ *                     payment:
+ *                       $ref: '#/components/schemas/Payment'
+ *                     invoice:
+ *                       type: object
+ *                       description: The invoice generated for the occupation
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                           example: 6573b6f3b7ed1dbd25858e9e
+ *                         number:
+ *                           type: string
+ *                           example: PNS-2023-000042
+ *       202:
+ *         description: The occupation waiting for the client to confirm his departure by pressing the button of the parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Please press the button of the parking within 5 minutes to confirm your departure.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     occupation:
+ *                       $ref: '#/components/schemas/Occupation'
+ *       400:
+ *         description: Invalid end reservation attempts
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notReservedExample:
+ *                 summary: Non-reserved parking end reservation attempt
+ *                 value:
+ *                   status: fail
+ *                   message: You haven't reserved this parking.
+ *               unconfirmedArrivalExample:
+ *                 summary: End of a reservation whose arrival wasn't confirmed
+ *                 value:
+ *                   status: fail
+ *                   message: Please confirm your arrival by pressing the button of the parking before ending your reservation.
+ *               pendingDepartureExample:
+ *                 summary: End already requested
+ *                 value:
+ *                   status: fail
+ *                   message: You already requested the end of your reservation. Please press the button of the parking to confirm your departure.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing parking
  *         content:
  *           application/json:
  *             schema:
@@ -802,7 +1939,7 @@ router
  *                   example: fail
  *                 message:
  *                   type: string
- *                   example: Timeout waiting for button click expired.
+ *                   example: The requested parking doesn't exist.
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -814,6 +1951,6 @@ router
  */
 router
   .route('/:id/end-reservation')
-  .patch(protect, restrictTo('client', 'provider'), endReservation);
+  .patch(protect, authorize('reserve', 'parking'), endReservation);
 
 module.exports = router;
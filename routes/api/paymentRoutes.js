@@ -0,0 +1,122 @@
+/**
+ * Payment resource router of the REST API.
+ * @module paymentRoutes
+ */
+const { Router } = require('express');
+const { handleWebhook } = require('../../controllers/paymentController');
+
+/**
+ * The Payment resource router.
+ * @type {Router}
+ */
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the payment
+ *           example: 6560b6f3b7ed1dbd25858e9e
+ *         method:
+ *           type: string
+ *           description: The method used to pay the occupation (card or wallet)
+ *           example: card
+ *         status:
+ *           type: string
+ *           description: The status of the payment (authorized, captured, cancelled, refunded or failed)
+ *           example: captured
+ *         currency:
+ *           type: string
+ *           description: The currency of the payment
+ *           example: chf
+ *         amountAuthorized:
+ *           type: number
+ *           description: The amount pre-authorized at the start of the reservation
+ *           example: 28
+ *         amountCaptured:
+ *           type: number
+ *           description: The amount charged at the end of the reservation
+ *           example: 2.55
+ *         amountRefunded:
+ *           type: number
+ *           description: The amount refunded to the client
+ *           example: 0
+ *         amountOutstanding:
+ *           type: number
+ *           description: The part of the bill that couldn't be charged on the payment method of the client, the additional payment exceeding the pre-authorized amount having failed
+ *           example: 0
+ */
+
+/**
+ * @swagger
+ * /payments/webhook:
+ *   post:
+ *     tags:
+ *       - Payment
+ *     summary: Route used by the payment provider to notify the payment events (payment intent cancellations and failures, refunds)
+ *     parameters:
+ *       - name: Stripe-Signature
+ *         in: header
+ *         description: The signature of the event (t=timestamp,v1=hmac)
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The event sent by the payment provider
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              id:
+ *                type: string
+ *                example: evt_1NG8Du2eZvKYlo2CUI79vXWy
+ *              type:
+ *                type: string
+ *                example: charge.refunded
+ *              data:
+ *                type: object
+ *                properties:
+ *                  object:
+ *                    type: object
+ *     responses:
+ *       200:
+ *         description: The event was successfully received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 received:
+ *                   type: boolean
+ *                   example: true
+ *       400:
+ *         description: Invalid signature of the event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Invalid webhook signature.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.route('/webhook').post(handleWebhook);
+
+module.exports = router;
@@ -0,0 +1,515 @@
+/**
+ * Payout resource router of the REST API.
+ * @module payoutRoutes
+ */
+const { Router } = require('express');
+const {
+  getAllPayouts,
+  createPayouts,
+  getPayout,
+  settlePayout,
+} = require('../../controllers/payoutController');
+const { protect, authorize } = require('../../controllers/authController');
+
+/**
+ * The Payout resource router.
+ * @type {Router}
+ */
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Earning:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the earning
+ *           example: 6571b6f3b7ed1dbd25858e9e
+ *         type:
+ *           type: string
+ *           description: The type of the earning (occupation for a collected bill, refund for a refunded amount)
+ *           example: occupation
+ *         method:
+ *           type: string
+ *           description: The method used by the client to pay the occupation (card or wallet)
+ *           example: card
+ *         gross:
+ *           type: number
+ *           description: The amount paid (or refunded, negatively) by the client
+ *           example: 4.5
+ *         commission:
+ *           type: number
+ *           description: The part of the gross amount retained by the platform
+ *           example: 0.45
+ *         net:
+ *           type: number
+ *           description: The part of the gross amount owed to the provider
+ *           example: 4.05
+ *         commissionRate:
+ *           type: number
+ *           description: The commission rate applied to the gross amount
+ *           example: 0.1
+ *         status:
+ *           type: string
+ *           description: The status of the earning (pending, included in a payout or settled)
+ *           example: pending
+ *         payout:
+ *           type: string
+ *           description: The id of the payout including the earning
+ *           example: 6572b6f3b7ed1dbd25858e9e
+ *         parking:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 6554db94e474b43b04d7b2d2
+ *             name:
+ *               type: string
+ *               example: Beautiful parking in fribourg
+ *         occupation:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 6560b6f3b7ed1dbd25858e9e
+ *             start:
+ *               type: string
+ *               example: "2023-11-23T08:00:00.000Z"
+ *             end:
+ *               type: string
+ *               example: "2023-11-23T09:30:00.000Z"
+ *             bill:
+ *               type: number
+ *               example: 4.5
+ *         creationDate:
+ *           type: string
+ *           description: The creation date of the earning
+ *           example: "2023-11-23T09:30:01.012Z"
+ *     Payout:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the payout
+ *           example: 6572b6f3b7ed1dbd25858e9e
+ *         provider:
+ *           type: object
+ *           description: The provider receiving the payout
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 654ca08c20d9213ef42b9443
+ *             username:
+ *               type: string
+ *               example: johndoe23
+ *             email:
+ *               type: string
+ *               example: johndoe23@example.com
+ *         periodStart:
+ *           type: string
+ *           description: The creation date of the oldest earning included in the payout
+ *           example: "2023-11-01T09:30:01.012Z"
+ *         periodEnd:
+ *           type: string
+ *           description: The end of the period covered by the payout
+ *           example: "2023-12-01T00:00:00.000Z"
+ *         nbEarnings:
+ *           type: number
+ *           description: The number of earnings included in the payout
+ *           example: 12
+ *         gross:
+ *           type: number
+ *           description: The total amount paid by the clients
+ *           example: 54
+ *         commission:
+ *           type: number
+ *           description: The total commission retained by the platform
+ *           example: 5.4
+ *         net:
+ *           type: number
+ *           description: The total amount owed to the provider
+ *           example: 48.6
+ *         currency:
+ *           type: string
+ *           description: The currency of the payout
+ *           example: chf
+ *         status:
+ *           type: string
+ *           description: The status of the payout (pending or settled)
+ *           example: settled
+ *         reference:
+ *           type: string
+ *           description: The reference of the transfer made to the provider
+ *           example: TRF-2023-12-0042
+ *         settlementDate:
+ *           type: string
+ *           description: The moment where the payout was marked as settled
+ *           example: "2023-12-02T10:00:00.000Z"
+ *         creationDate:
+ *           type: string
+ *           description: The creation date of the payout
+ *           example: "2023-12-01T08:00:00.000Z"
+ */
+
+router.use(protect, authorize('manage', 'payout'));
+
+/**
+ * @swagger
+ * /payouts:
+ *   get:
+ *     tags:
+ *       - Payout
+ *     summary: Route used to get all payout statements (accessible to admins only)
+ *     parameters:
+ *       - name: provider
+ *         in: query
+ *         description: The id of the provider whose payouts we want to retrieve
+ *         required: false
+ *         type: string
+ *       - name: status
+ *         in: query
+ *         description: The status of the payouts we want to retrieve (pending or settled)
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: List of the payouts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     payouts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Payout'
+ *       400:
+ *         description: Invalid provider id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Please provide a valid provider id.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     tags:
+ *       - Payout
+ *     summary: Route used to generate the payout statements of all providers for their pending earnings (accessible to admins only)
+ *     requestBody:
+ *       description: The end of the payout period (now if not specified)
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              periodEnd:
+ *                type: string
+ *                description: The end of the payout period (ISO 8601)
+ *                example: "2023-12-01T00:00:00.000Z"
+ *     responses:
+ *       201:
+ *         description: The generated payouts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: 3 payout(s) were generated.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     payouts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Payout'
+ *       400:
+ *         description: Invalid payout period
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidDateExample:
+ *                 summary: Invalid date
+ *                 value:
+ *                   status: fail
+ *                   message: Please provide a valid date for the end of the payout period.
+ *               futureDateExample:
+ *                 summary: Period ending in the future
+ *                 value:
+ *                   status: fail
+ *                   message: The end of the payout period can't be in the future.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       409:
+ *         description: Concurrent payout generation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The payouts are already being generated, please try again later.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/').get(getAllPayouts).post(createPayouts);
+
+/**
+ * @swagger
+ * /payouts/{id}:
+ *   get:
+ *     tags:
+ *       - Payout
+ *     summary: Route used to get a single payout statement with the earnings it includes (accessible to admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the payout
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The retrieved payout
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     payout:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Payout'
+ *                         - type: object
+ *                           properties:
+ *                             earnings:
+ *                               type: array
+ *                               items:
+ *                                 $ref: '#/components/schemas/Earning'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing payout
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested payout doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/:id').get(getPayout);
+
+/**
+ * @swagger
+ * /payouts/{id}/settle:
+ *   patch:
+ *     tags:
+ *       - Payout
+ *     summary: Route used to mark a payout as settled once the provider was paid (accessible to admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the payout
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The reference of the transfer made to the provider
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              reference:
+ *                type: string
+ *                description: The reference of the transfer made to the provider
+ *                example: TRF-2023-12-0042
+ *     responses:
+ *       200:
+ *         description: The settled payout
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The payout was successfully settled.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     payout:
+ *                       $ref: '#/components/schemas/Payout'
+ *       400:
+ *         description: Already settled payout
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: This payout was already settled.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing payout
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested payout doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/:id/settle').patch(settlePayout);
+
+module.exports = router;
@@ -0,0 +1,501 @@
+/**
+ * Review resource router of the REST API, nested in the parking resource router.
+ * @module reviewRoutes
+ */
+
+const { Router } = require('express');
+const {
+  getReviews,
+  createReview,
+  replyToReview,
+  moderateReview,
+} = require('../../controllers/reviewController');
+const {
+  protect,
+  authorize,
+  checkConnected,
+} = require('../../controllers/authController');
+
+/**
+ * The Review resource router.
+ * @type {Router}
+ */
+const router = Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the review
+ *           example: 6574b6f3b7ed1dbd25858e9e
+ *         occupation:
+ *           type: string
+ *           description: The id of the reviewed occupation
+ *           example: 6560b6f3b7ed1dbd25858e9e
+ *         parking:
+ *           type: string
+ *           description: The id of the reviewed parking
+ *           example: 6554db94e474b43b04d7b2d2
+ *         rating:
+ *           type: number
+ *           description: The star rating given to the parking (from 1 to 5)
+ *           example: 4
+ *         text:
+ *           type: string
+ *           description: The text of the review
+ *           example: Easy to find and well located.
+ *         reply:
+ *           type: object
+ *           description: The reply of the owner of the parking
+ *           properties:
+ *             text:
+ *               type: string
+ *               example: Thank you for your feedback!
+ *             date:
+ *               type: string
+ *               example: "2023-11-24T10:00:00.000Z"
+ *         isHidden:
+ *           type: boolean
+ *           description: The moderation state of the review (admins and moderators only)
+ *           example: false
+ *         moderationReason:
+ *           type: string
+ *           description: The reason given by the admin or moderator that hid the review (admins and moderators only)
+ *           example: Offensive content.
+ *         creationDate:
+ *           type: string
+ *           description: The creation date of the review
+ *           example: "2023-11-23T12:23:24.012Z"
+ *         client:
+ *           type: object
+ *           description: the client that wrote the review
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 654ca08c20d9213ef42b9443
+ *             username:
+ *               type: string
+ *               example: johndoe23
+ */
+
+/**
+ * @swagger
+ * /parkings/{id}/reviews:
+ *   get:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to get the reviews of a parking with its average rating (the hidden reviews being only returned to the admins)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the reviewed parking
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The reviews of the parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ratingsAverage:
+ *                       type: number
+ *                       example: 4.3
+ *                     ratingsQuantity:
+ *                       type: number
+ *                       example: 12
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Review'
+ *       404:
+ *         description: Non existing parking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested parking doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *   post:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to review a parking after a finished occupation of it (accessible to the client of the occupation only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the reviewed parking
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The reviewed occupation and the review
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            required:
+ *              - occupation
+ *              - rating
+ *            properties:
+ *              occupation:
+ *                type: string
+ *                description: The id of the reviewed occupation
+ *                example: 6560b6f3b7ed1dbd25858e9e
+ *              rating:
+ *                type: number
+ *                description: The star rating given to the parking (from 1 to 5)
+ *                example: 4
+ *              text:
+ *                type: string
+ *                description: The text of the review
+ *                example: Easy to find and well located.
+ *     responses:
+ *       201:
+ *         description: The new created review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your review was successfully published.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     review:
+ *                       $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid reviews
+ *         content:
+ *           application/json:
+ *             examples:
+ *               ongoingOccupationExample:
+ *                 summary: Ongoing occupation
+ *                 value:
+ *                   status: fail
+ *                   message: You can only review a finished occupation.
+ *               alreadyReviewedExample:
+ *                 summary: Already reviewed occupation
+ *                 value:
+ *                   status: fail
+ *                   message: You have already reviewed this occupation.
+ *               invalidRatingExample:
+ *                 summary: Invalid rating
+ *                 value:
+ *                   status: fail
+ *                   message: "Invalid input data. The rating must be between 1 and 5."
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Review of the occupation of another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: You can only review your own occupations.
+ *       404:
+ *         description: Non existing occupation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested occupation doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/')
+  .get(checkConnected, getReviews)
+  .post(protect, authorize('create', 'review'), createReview);
+
+/**
+ * @swagger
+ * /parkings/{id}/reviews/{reviewId}/reply:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to reply to a review (accessible to the owner of the parking only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the reviewed parking
+ *         required: true
+ *         type: string
+ *       - name: reviewId
+ *         in: path
+ *         description: The id of the review
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The reply to the review
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            required:
+ *              - text
+ *            properties:
+ *              text:
+ *                type: string
+ *                description: The text of the reply
+ *                example: Thank you for your feedback!
+ *     responses:
+ *       200:
+ *         description: The replied review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Your reply was successfully published.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     review:
+ *                       $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Missing reply
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Please provide the text of your reply.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role, or reply to a review of the parking of another user
+ *         content:
+ *           application/json:
+ *             examples:
+ *               rolePermissionExample:
+ *                 summary: Role without the permission to reply to reviews
+ *                 value:
+ *                   status: fail
+ *                   message: You don't have permission to perform this action.
+ *               notParkingOwnerExample:
+ *                 summary: Reply to a review of the parking of another user
+ *                 value:
+ *                   status: fail
+ *                   message: Only the owner of the parking can reply to its reviews.
+ *       404:
+ *         description: Non existing review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested review doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:reviewId/reply')
+  .patch(protect, authorize('reply', 'review'), replyToReview);
+
+/**
+ * @swagger
+ * /parkings/{id}/reviews/{reviewId}/moderate:
+ *   patch:
+ *     tags:
+ *       - Parking
+ *     summary: Route used to hide or show a review, the hidden reviews being excluded from the ratings of the parking (accessible to admins and moderators only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the reviewed parking
+ *         required: true
+ *         type: string
+ *       - name: reviewId
+ *         in: path
+ *         description: The id of the review
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The moderation state of the review
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            required:
+ *              - isHidden
+ *            properties:
+ *              isHidden:
+ *                type: boolean
+ *                description: true to hide the review, false to show it
+ *                example: true
+ *              reason:
+ *                type: string
+ *                description: The reason of the moderation
+ *                example: Offensive content.
+ *     responses:
+ *       200:
+ *         description: The moderated review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The review was successfully moderated.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     review:
+ *                       $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid moderation state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Please provide true or false for the moderation state.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested review doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:reviewId/moderate')
+  .patch(protect, authorize('moderate', 'review'), moderateReview);
+
+module.exports = router;
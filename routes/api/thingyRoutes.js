@@ -0,0 +1,470 @@
+/**
+ * Thingy resource router of the REST API.
+ * @module thingyRoutes
+ */
+const { Router } = require('express');
+const {
+  getAllThingies,
+  createThingy,
+  getThingy,
+  updateThingy,
+  deleteThingy,
+} = require('../../controllers/thingyController');
+const { protect, authorize } = require('../../controllers/authController');
+
+/**
+ * The Thingy resource router.
+ * @type {Router}
+ */
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Thingy:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the thingy
+ *           example: 6578b6f3b7ed1dbd25858e9e
+ *         deviceId:
+ *           type: string
+ *           description: The id of the device, used as the device tag of its readings in InfluxDB
+ *           example: orange-3
+ *         name:
+ *           type: string
+ *           description: The display name of the device
+ *           example: Thingy of the Pérolles parking
+ *         firmware:
+ *           type: string
+ *           description: The firmware version installed on the device
+ *           example: 2.1.0
+ *         lastSeen:
+ *           type: string
+ *           description: The last moment where the device sent a message
+ *           example: "2023-12-12T10:23:24.012Z"
+ *         battery:
+ *           type: number
+ *           description: The battery level of the device (in percent)
+ *           example: 87
+ *         parking:
+ *           type: object
+ *           description: The parking the device is assigned to
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: 6554db94e474b43b04d7b2d2
+ *             name:
+ *               type: string
+ *               example: Beautiful parking in fribourg
+ *         creationDate:
+ *           type: string
+ *           description: The registration date of the device
+ *           example: "2023-12-01T12:23:24.012Z"
+ */
+
+router.use(protect, authorize('manage', 'thingy'));
+
+/**
+ * @swagger
+ * /thingies:
+ *   get:
+ *     tags:
+ *       - Thingy
+ *     summary: Route used to get all the registered thingies (accessible to admins only)
+ *     parameters:
+ *       - name: isAssigned
+ *         in: query
+ *         description: Filter the thingies that are assigned (true) or not (false) to a parking
+ *         required: false
+ *         type: boolean
+ *     responses:
+ *       200:
+ *         description: List of the registered thingies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thingies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Thingy'
+ *       400:
+ *         description: Invalid assignment filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Please provide true or false for the assignment variable.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     tags:
+ *       - Thingy
+ *     summary: Route used to register a new thingy (accessible to admins only)
+ *     requestBody:
+ *       description: The informations of the new device
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            required:
+ *              - deviceId
+ *            properties:
+ *              deviceId:
+ *                type: string
+ *                description: The id of the device, used as the device tag of its readings in InfluxDB
+ *                example: orange-3
+ *              name:
+ *                type: string
+ *                description: The display name of the device
+ *                example: Thingy of the Pérolles parking
+ *              firmware:
+ *                type: string
+ *                description: The firmware version installed on the device
+ *                example: 2.1.0
+ *              battery:
+ *                type: number
+ *                description: The battery level of the device (in percent)
+ *                example: 100
+ *     responses:
+ *       201:
+ *         description: The registered thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The thingy was successfully registered.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thingy:
+ *                       $ref: '#/components/schemas/Thingy'
+ *       400:
+ *         description: Invalid device informations
+ *         content:
+ *           application/json:
+ *             examples:
+ *               missingDeviceIdExample:
+ *                 summary: Missing device id
+ *                 value:
+ *                   status: fail
+ *                   message: Invalid input data.
+ *               duplicateDeviceIdExample:
+ *                 summary: Already registered device
+ *                 value:
+ *                   status: fail
+ *                   message: "Duplicate field value: deviceId. Please use another value!"
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/').get(getAllThingies).post(createThingy);
+
+/**
+ * @swagger
+ * /thingies/{id}:
+ *   get:
+ *     tags:
+ *       - Thingy
+ *     summary: Route used to get a registered thingy (accessible to admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the thingy
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The requested thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thingy:
+ *                       $ref: '#/components/schemas/Thingy'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested thingy doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   patch:
+ *     tags:
+ *       - Thingy
+ *     summary: Route used to update the informations of a registered thingy (accessible to admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the thingy
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The updated informations of the device
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              name:
+ *                type: string
+ *                description: The display name of the device
+ *                example: Thingy of the Pérolles parking
+ *              firmware:
+ *                type: string
+ *                description: The firmware version installed on the device
+ *                example: 2.2.0
+ *              battery:
+ *                type: number
+ *                description: The battery level of the device (in percent)
+ *                example: 64
+ *     responses:
+ *       200:
+ *         description: The updated thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The thingy was successfully updated.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     thingy:
+ *                       $ref: '#/components/schemas/Thingy'
+ *       400:
+ *         description: Invalid device informations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Invalid input data.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested thingy doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     tags:
+ *       - Thingy
+ *     summary: Route used to remove a thingy from the registry, unassigning it from its parking (accessible to admins only)
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the thingy
+ *         required: true
+ *         type: string
+ *     responses:
+ *       204:
+ *         description: Thingy successfully removed
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       403:
+ *         description: Forbidden access due to role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RolePermissionError'
+ *       404:
+ *         description: Non existing thingy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested thingy doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/:id').get(getThingy).patch(updateThingy).delete(deleteThingy);
+
+module.exports = router;
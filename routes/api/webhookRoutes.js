@@ -0,0 +1,655 @@
+/**
+ * Webhook resource router of the REST API, nested in the user resource router.
+ * @module webhookRoutes
+ */
+const { Router } = require('express');
+const {
+  getMyWebhooks,
+  createWebhook,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  replayDelivery,
+} = require('../../controllers/webhookController');
+
+/**
+ * The Webhook resource router.
+ * @type {Router}
+ */
+const router = Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the webhook
+ *           example: 657c2d4ab7ed1dbd25858f12
+ *         user:
+ *           type: string
+ *           description: The id of the user who registered the webhook
+ *           example: 6554db94e474b43b04d7b2c8
+ *         url:
+ *           type: string
+ *           description: The url the events are posted to, signed with the X-PNS-Signature header (t=timestamp,v1=HMAC-SHA256 of "timestamp.payload" with the secret of the webhook)
+ *           example: https://fleet.example.com/hooks/parknshare
+ *         events:
+ *           type: array
+ *           description: The types of the events the webhook is subscribed to (reservation.started, reservation.confirmed, reservation.ended, parking.validated, review.created)
+ *           items:
+ *             type: string
+ *           example: [reservation.started, reservation.ended]
+ *         secret:
+ *           type: string
+ *           description: The secret used to sign the payloads (only returned when the webhook is registered)
+ *           example: whsec_2f7b0c3e4a5d6e7f8091a2b3c4d5e6f708192a3b4c5d6e7f
+ *         isActive:
+ *           type: boolean
+ *           description: The state of the webhook (the inactive webhooks don't receive any event)
+ *           example: true
+ *         creationDate:
+ *           type: string
+ *           description: The registration date of the webhook
+ *           example: "2023-12-15T10:23:24.012Z"
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The id of the delivery, sent in the X-PNS-Delivery header
+ *           example: 657c2f1bb7ed1dbd25858f30
+ *         webhook:
+ *           type: string
+ *           description: The id of the webhook the event is delivered to
+ *           example: 657c2d4ab7ed1dbd25858f12
+ *         eventId:
+ *           type: string
+ *           description: The id of the delivered event, shared by all its deliveries and replays
+ *           example: evt_3b9d2f0c6a1e4d7f8a2b5c6d
+ *         eventType:
+ *           type: string
+ *           description: The type of the delivered event, sent in the X-PNS-Event header
+ *           example: reservation.ended
+ *         payload:
+ *           type: object
+ *           description: The payload posted to the webhook
+ *           example:
+ *             id: evt_3b9d2f0c6a1e4d7f8a2b5c6d
+ *             type: reservation.ended
+ *             date: "2023-12-15T11:00:00.000Z"
+ *             data:
+ *               parking: 6554db94e474b43b04d7b2d2
+ *               occupation:
+ *                 _id: 657c2a10b7ed1dbd25858f01
+ *                 client: 6554db94e474b43b04d7b2c8
+ *                 start: "2023-12-15T09:00:00.000Z"
+ *                 end: "2023-12-15T11:00:00.000Z"
+ *                 bill: 5
+ *                 status: finished
+ *         status:
+ *           type: string
+ *           description: The status of the delivery (pending, delivering, succeeded or failed)
+ *           example: succeeded
+ *         attempts:
+ *           type: number
+ *           description: The number of attempts made to deliver the event
+ *           example: 1
+ *         nextAttemptDate:
+ *           type: string
+ *           description: The moment of the next attempt of a pending delivery, or the expiration of the claim of a delivering one
+ *           example: "2023-12-15T11:01:00.000Z"
+ *         lastAttemptDate:
+ *           type: string
+ *           description: The moment of the last attempt
+ *           example: "2023-12-15T11:00:00.120Z"
+ *         responseStatus:
+ *           type: number
+ *           description: The HTTP status returned by the webhook at the last attempt
+ *           example: 200
+ *         error:
+ *           type: string
+ *           description: The reason of the failure of the last attempt
+ *           example: The webhook responded with the status 503.
+ *         replayOf:
+ *           type: string
+ *           description: The id of the delivery replayed by this one
+ *           example: 657c2e05b7ed1dbd25858f21
+ *         creationDate:
+ *           type: string
+ *           description: The creation date of the delivery
+ *           example: "2023-12-15T11:00:00.012Z"
+ */
+
+/**
+ * @swagger
+ * /users/me/webhooks:
+ *   get:
+ *     tags:
+ *       - Webhook
+ *     summary: Route used to get all the webhooks registered by the connected user
+ *     responses:
+ *       200:
+ *         description: List of the webhooks of the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     webhooks:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     tags:
+ *       - Webhook
+ *     summary: Route used to register a new webhook for the connected user
+ *     requestBody:
+ *       description: The url of the webhook and the events it is subscribed to
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            required:
+ *              - url
+ *              - events
+ *            properties:
+ *              url:
+ *                type: string
+ *                description: The url the events are posted to, which must point to a public address (no loopback, private or link-local address)
+ *                example: https://fleet.example.com/hooks/parknshare
+ *              events:
+ *                type: array
+ *                description: The types of the events the webhook is subscribed to (reservation.started, reservation.confirmed, reservation.ended, parking.validated, review.created)
+ *                items:
+ *                  type: string
+ *                example: [reservation.started, reservation.ended]
+ *     responses:
+ *       201:
+ *         description: The registered webhook, with its signing secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The webhook was successfully registered. Please store its secret, it will not be shown again.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     webhook:
+ *                       $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid webhook informations
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidInputExample:
+ *                 summary: Invalid url or events, or url not pointing to a public address
+ *                 value:
+ *                   status: fail
+ *                   message: Invalid input data.
+ *               tooManyWebhooksExample:
+ *                 summary: Too many registered webhooks
+ *                 value:
+ *                   status: fail
+ *                   message: You can't register more than 10 webhooks.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/').get(getMyWebhooks).post(createWebhook);
+
+/**
+ * @swagger
+ * /users/me/webhooks/{id}:
+ *   get:
+ *     tags:
+ *       - Webhook
+ *     summary: Route used to get a webhook registered by the connected user
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the webhook
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The requested webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     webhook:
+ *                       $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested webhook doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   patch:
+ *     tags:
+ *       - Webhook
+ *     summary: Route used to update the url, the events or the state of a webhook registered by the connected user
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the webhook
+ *         required: true
+ *         type: string
+ *     requestBody:
+ *       description: The updated informations of the webhook
+ *       content:
+ *         application/json:
+ *           schema:
+ *            type: object
+ *            properties:
+ *              url:
+ *                type: string
+ *                description: The url the events are posted to
+ *                example: https://fleet.example.com/hooks/parknshare
+ *              events:
+ *                type: array
+ *                description: The types of the events the webhook is subscribed to (reservation.started, reservation.confirmed, reservation.ended, parking.validated, review.created)
+ *                items:
+ *                  type: string
+ *                example: [reservation.started, reservation.ended]
+ *              isActive:
+ *                type: boolean
+ *                description: The state of the webhook
+ *                example: false
+ *     responses:
+ *       200:
+ *         description: The updated webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The webhook was successfully updated.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     webhook:
+ *                       $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid webhook informations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Invalid input data.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested webhook doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     tags:
+ *       - Webhook
+ *     summary: Route used to delete a webhook registered by the connected user, along with its delivery log
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the webhook
+ *         required: true
+ *         type: string
+ *     responses:
+ *       204:
+ *         description: The webhook was deleted
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested webhook doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/:id').get(getWebhook).patch(updateWebhook).delete(deleteWebhook);
+
+/**
+ * @swagger
+ * /users/me/webhooks/{id}/deliveries:
+ *   get:
+ *     tags:
+ *       - Webhook
+ *     summary: Route used to get the most recent deliveries of a webhook registered by the connected user
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the webhook
+ *         required: true
+ *         type: string
+ *       - name: status
+ *         in: query
+ *         description: Filter the deliveries by status (pending, delivering, succeeded or failed)
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: The delivery log of the webhook, from the most recent delivery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deliveries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Invalid status filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Please provide a valid delivery status (pending, delivering, succeeded, failed).
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: The requested webhook doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/:id/deliveries').get(getDeliveries);
+
+/**
+ * @swagger
+ * /users/me/webhooks/{id}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     tags:
+ *       - Webhook
+ *     summary: Route used to deliver again the event of a past delivery of a webhook registered by the connected user
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: The id of the webhook
+ *         required: true
+ *         type: string
+ *       - name: deliveryId
+ *         in: path
+ *         description: The id of the replayed delivery
+ *         required: true
+ *         type: string
+ *     responses:
+ *       201:
+ *         description: The new delivery of the event, after its first attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: The event was delivered again to the webhook.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     delivery:
+ *                       $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Inactive webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Please activate the webhook before replaying its deliveries.
+ *       401:
+ *         description: User login problems
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notLoggedInExample:
+ *                 $ref: '#/components/examples/notLoggedInExample'
+ *               accountNotFoundExample:
+ *                 $ref: '#/components/examples/accountNotFoundExample'
+ *               passwordChangedExample:
+ *                 $ref: '#/components/examples/passwordChangedExample'
+ *               InvalidTokenExample:
+ *                 $ref: '#/components/examples/InvalidTokenExample'
+ *               tokenExpiredExample:
+ *                 $ref: '#/components/examples/tokenExpiredExample'
+ *       404:
+ *         description: Non existing webhook or delivery
+ *         content:
+ *           application/json:
+ *             examples:
+ *               webhookNotFoundExample:
+ *                 summary: Non existing webhook
+ *                 value:
+ *                   status: fail
+ *                   message: The requested webhook doesn't exist.
+ *               deliveryNotFoundExample:
+ *                 summary: Non existing delivery
+ *                 value:
+ *                   status: fail
+ *                   message: The requested delivery doesn't exist.
+ *       500:
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *     security:
+ *       - bearerAuth: []
+ */
+router.route('/:id/deliveries/:deliveryId/replay').post(replayDelivery);
+
+module.exports = router;
@@ -7,6 +7,10 @@ const { Router } = require('express');
 const userRouter = require('./api/userRoutes');
 const parkingRouter = require('./api/parkingRoutes');
 const occupationRouter = require('./api/occupationRoutes');
+const paymentRouter = require('./api/paymentRoutes');
+const payoutRouter = require('./api/payoutRoutes');
+const thingyRouter = require('./api/thingyRoutes');
+const incidentRouter = require('./api/incidentRoutes');
 
 /**
  * The main router of the application.
@@ -20,4 +24,12 @@ router.use('/parkings', parkingRouter);
 
 router.use('/occupations', occupationRouter);
 
+router.use('/payments', paymentRouter);
+
+router.use('/payouts', payoutRouter);
+
+router.use('/thingies', thingyRouter);
+
+router.use('/incidents', incidentRouter);
+
 module.exports = router;
@@ -7,10 +7,28 @@ dotenv.config({ path: './config.env' });
 const mongoose = require('mongoose');
 const app = require('./app');
 const { shutDownAll: shutDownWithoutBind } = require('./utils/utils');
+const { createIngestion } = require('./utils/telemetry');
+const { createOccupancyDetector } = require('./utils/occupancy');
+const {
+  handleButtonReading,
+  startConfirmationSweeper,
+} = require('./utils/reservations');
+const { startComfortRefresher } = require('./utils/comfort');
+const { createRealtimeServer, publishReading } = require('./utils/realtime');
+const { startWebhookDispatcher } = require('./utils/webhooks');
 const crypto = require('crypto');
 
 const {
-  env: { UNAME, PASSWORD, HOST, DATABASE, CONNECTION_STRING },
+  env: {
+    UNAME,
+    PASSWORD,
+    HOST,
+    DATABASE,
+    CONNECTION_STRING,
+    MQTT_BROKER_URL,
+    MQTT_USERNAME,
+    MQTT_PASSWORD,
+  },
 } = process;
 
 const DB_CONNECTION = CONNECTION_STRING.replace('<UNAME>', UNAME)
@@ -28,6 +46,15 @@ mongoose
   })
   .then(() => {
     console.log('DB connection successful.');
+
+    // Expire the reservations whose arrival or departure wasn't confirmed in time
+    startConfirmationSweeper();
+
+    // Keep the environment scores of the parkings up to date, such that they can be sorted by comfort
+    startComfortRefresher();
+
+    // Notify the webhooks of the users of the events of the application, and retry the failed deliveries
+    startWebhookDispatcher();
   });
 
 // Instantiate the server
@@ -35,7 +62,72 @@ const server = app.listen(port, () => {
   console.log(`App running on port ${port}...`);
 });
 
-const shutDownAll = shutDownWithoutBind.bind(null, server, mongoose.connection);
+// Push the parking events to the connected clients over WebSockets
+createRealtimeServer(server);
+
+/**
+ * Async tasks run before closing the server and the database connection when shutting down (i.e. writing the pending readings).
+ * @type {Array<() => Promise<void>>}
+ */
+const shutdownTasks = [];
+
+// Start the ingestion of the telemetry of the thingies if a broker is configured
+if (MQTT_BROKER_URL) {
+  const ingestion = createIngestion(MQTT_BROKER_URL, {
+    username: MQTT_USERNAME,
+    password: MQTT_PASSWORD,
+  });
+
+  const detector = createOccupancyDetector();
+
+  // Derive the occupancy of the parkings from the events of their thingies
+  ingestion.on('reading', reading => detector.handleReading(reading));
+
+  // Confirm the pending reservations when the button of their thingy is pressed
+  ingestion.on('reading', handleButtonReading);
+
+  // Forward the live sensor values to the subscribers of the parkings
+  ingestion.on('reading', reading =>
+    publishReading(reading).catch(err =>
+      console.error(
+        `Error while trying to forward the reading of ${reading.deviceId}:`,
+        err.message,
+      ),
+    ),
+  );
+
+  ingestion
+    .start()
+    .then(() => {
+      console.log(`MQTT ingestion subscribed to ${ingestion.subscription}.`);
+    })
+    .catch(err => {
+      console.error('Error while trying to start the MQTT ingestion:', err);
+    });
+
+  // Write the pending readings before shutting down
+  shutdownTasks.push(async () => {
+    detector.stop();
+    await ingestion.stop();
+  });
+}
+
+/**
+ * Async function used to run the shutdown tasks, then close the server and the database connection.
+ * @param {string} message The message displayed when shutting down.
+ * @param {Error} [error] The error that caused the shutdown.
+ */
+const shutDownAll = async (message, error) => {
+  const results = await Promise.allSettled(shutdownTasks.map(task => task()));
+
+  results
+    .filter(({ status }) => status === 'rejected')
+    .forEach(({ reason }) =>
+      console.error('Error while trying to run a shutdown task:', reason),
+    );
+
+  await shutDownWithoutBind(server, mongoose.connection, message, error);
+};
 
 // Shut down the server in the case an uncaught exception happened in the code base of the server
 process.on('uncaughtException', err => {
@@ -50,5 +142,5 @@ process.on('unhandledRejection', err => {
 
 // Shut down the server in the case where a SIGTERM signal was sent to the server
 process.on('SIGTERM', () => {
-  shutDownAll('SIGTERM RECEIVED. Shutting down gracefully...', err);
+  shutDownAll('SIGTERM RECEIVED. Shutting down gracefully...');
 });
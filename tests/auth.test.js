@@ -0,0 +1,273 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/userModel');
+const Email = require('../utils/classes/Email');
+const { recordPinSending, normalizePhone } = require('../utils/pins');
+const {
+  API_ROUTE,
+  SMS_GATEWAY,
+  PIN_MAX_ATTEMPTS,
+} = require('../utils/globals');
+const {
+  connectDB,
+  clearDB,
+  disconnectDB,
+  createUser,
+  TEST_PASSWORD,
+} = require('./testUtils');
+
+/**
+ * Counter used to give a distinct phone number to each test user, the PIN codes sent to a same number being rate limited.
+ * @type {number}
+ */
+let phoneCounter = 0;
+
+/**
+ * Function used to get a new valid phone number.
+ * @returns {string} The phone number.
+ */
+const getPhone = () => `+41791234${`${phoneCounter++}`.padStart(3, '0')}`;
+
+/**
+ * Function used to get the last PIN code sent by SMS to a phone number.
+ * @param {string} phone The phone number.
+ * @returns {string} The PIN code.
+ */
+const getSentPin = phone =>
+  SMS_GATEWAY.messages
+    .filter(({ to }) => to === phone)
+    .at(-1)
+    .body.match(/\d{6}/)[0];
+
+/**
+ * Function used to get a PIN code different from the given one.
+ * @param {string} pinCode The valid PIN code.
+ * @returns {string} A wrong PIN code.
+ */
+const getWrongPin = pinCode => `${pinCode === '123456' ? 654321 : 123456}`;
+
+/**
+ * Function used to sign in an user.
+ * @param {string} email The email of the user.
+ * @returns {Promise<import('supertest').Response>} The response of the signin request.
+ */
+const signin = email =>
+  request(app)
+    .post(`${API_ROUTE}/users/signin`)
+    .send({ email, password: TEST_PASSWORD });
+
+/**
+ * Function used to confirm a PIN code with a pre-authentication token.
+ * @param {string} token The pre-authentication token.
+ * @param {string} pinCode The typed PIN code.
+ * @returns {Promise<import('supertest').Response>} The response of the confirmation request.
+ */
+const confirmPin = (token, pinCode) =>
+  request(app)
+    .post(`${API_ROUTE}/users/confirm-pin`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ pinCode });
+
+describe('Two-step authentication', () => {
+  let user;
+
+  beforeAll(async () => {
+    await connectDB();
+    jest.spyOn(Email.prototype, 'send').mockResolvedValue();
+  });
+
+  beforeEach(async () => {
+    await clearDB();
+
+    user = await createUser(`user${phoneCounter}@example.com`, 'client', {
+      phone: getPhone(),
+    });
+  });
+
+  afterAll(async () => {
+    await clearDB();
+    await disconnectDB();
+    jest.restoreAllMocks();
+  });
+
+  test('signin only returns a pre-authentication token', async () => {
+    const res = await signin(user.email);
+
+    expect(res.status).toBe(200);
+    expect(res.body.preAuthToken).toBeDefined();
+    expect(res.body.token).toBeUndefined();
+    expect(res.body.pinCode).toBeUndefined();
+    expect(res.headers['set-cookie']).toBeUndefined();
+  });
+
+  test('the pre-authentication token is rejected outside of the PIN confirmation', async () => {
+    const {
+      body: { preAuthToken },
+    } = await signin(user.email);
+
+    const res = await request(app)
+      .get(`${API_ROUTE}/users/me`)
+      .set('Authorization', `Bearer ${preAuthToken}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe(
+      'Please confirm the PIN code sent to you to access this route.',
+    );
+  });
+
+  test('a valid PIN code gives a working session token', async () => {
+    const {
+      body: { preAuthToken },
+    } = await signin(user.email);
+
+    const res = await confirmPin(preAuthToken, getSentPin(user.phone));
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.roles).toEqual(['client']);
+    expect(res.headers['set-cookie'][0]).toMatch(/^jwt=/);
+
+    const meRes = await request(app)
+      .get(`${API_ROUTE}/users/me`)
+      .set('Authorization', `Bearer ${res.body.token}`);
+
+    expect(meRes.status).toBe(200);
+
+    // The PIN code can only be used once
+    const replayRes = await confirmPin(preAuthToken, getSentPin(user.phone));
+
+    expect(replayRes.status).toBe(401);
+  });
+
+  test('the PIN confirmation requires a pre-authentication token', async () => {
+    await signin(user.email);
+
+    const res = await request(app)
+      .post(`${API_ROUTE}/users/confirm-pin`)
+      .send({ pinCode: getSentPin(user.phone) });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('a session token is rejected by the PIN confirmation', async () => {
+    const {
+      body: { preAuthToken },
+    } = await signin(user.email);
+
+    const {
+      body: { token },
+    } = await confirmPin(preAuthToken, getSentPin(user.phone));
+
+    const res = await confirmPin(token, getSentPin(user.phone));
+
+    expect(res.status).toBe(401);
+  });
+
+  test('too many wrong PIN codes lock the PIN confirmation and the signin', async () => {
+    const {
+      body: { preAuthToken },
+    } = await signin(user.email);
+    const pinCode = getSentPin(user.phone);
+
+    for (let i = 1; i < PIN_MAX_ATTEMPTS; i++) {
+      const res = await confirmPin(preAuthToken, getWrongPin(pinCode));
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Invalid PIN Code.');
+    }
+
+    const lockRes = await confirmPin(preAuthToken, getWrongPin(pinCode));
+
+    expect(lockRes.status).toBe(429);
+
+    // Even the valid PIN code is refused once locked
+    const validRes = await confirmPin(preAuthToken, pinCode);
+
+    expect(validRes.status).toBe(429);
+
+    const signinRes = await signin(user.email);
+
+    expect(signinRes.status).toBe(429);
+    expect(signinRes.body.preAuthToken).toBeUndefined();
+  });
+
+  test('a valid PIN code resets the wrong attempts', async () => {
+    const {
+      body: { preAuthToken },
+    } = await signin(user.email);
+    const pinCode = getSentPin(user.phone);
+
+    await confirmPin(preAuthToken, getWrongPin(pinCode));
+    await confirmPin(preAuthToken, pinCode);
+
+    const { pinAttempts } = await User.findById(user._id).select(
+      '+pinAttempts',
+    );
+
+    expect(pinAttempts).toBe(0);
+  });
+
+  test('signup returns a pre-authentication token and the PIN code confirms the registration', async () => {
+    const phone = getPhone();
+
+    const res = await request(app).post(`${API_ROUTE}/users/signup`).send({
+      email: 'newuser@example.com',
+      phone,
+      password: TEST_PASSWORD,
+      passwordConfirm: TEST_PASSWORD,
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.preAuthToken).toBeDefined();
+    expect(res.body.token).toBeUndefined();
+    expect(res.headers['set-cookie']).toBeUndefined();
+
+    const confirmRes = await confirmPin(
+      res.body.preAuthToken,
+      getSentPin(phone),
+    );
+
+    expect(confirmRes.status).toBe(200);
+    expect(confirmRes.body.token).toBeDefined();
+  });
+
+  test('signup returns a pre-authentication token even if the PIN code could not be sent', async () => {
+    const phone = getPhone();
+    recordPinSending(normalizePhone(phone));
+
+    const res = await request(app).post(`${API_ROUTE}/users/signup`).send({
+      email: 'newuser@example.com',
+      phone,
+      password: TEST_PASSWORD,
+      passwordConfirm: TEST_PASSWORD,
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.secondFactor).toBe('pin');
+    expect(res.body.preAuthToken).toBeDefined();
+    expect(await User.exists({ email: 'newuser@example.com' })).toBeTruthy();
+  });
+
+  test('a password reset returns a pre-authentication token and requires the PIN code', async () => {
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const res = await request(app)
+      .patch(`${API_ROUTE}/users/reset-password/${resetToken}`)
+      .send({ password: 'New@12345', passwordConfirm: 'New@12345' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.secondFactor).toBe('pin');
+    expect(res.body.preAuthToken).toBeDefined();
+    expect(res.body.token).toBeUndefined();
+    expect(res.headers['set-cookie']).toBeUndefined();
+
+    const confirmRes = await confirmPin(
+      res.body.preAuthToken,
+      getSentPin(user.phone),
+    );
+
+    expect(confirmRes.status).toBe(200);
+    expect(confirmRes.body.token).toBeDefined();
+  });
+});
@@ -0,0 +1,220 @@
+const request = require('supertest');
+const moment = require('moment-timezone');
+const app = require('../app');
+const Parking = require('../models/parkingModel');
+const Booking = require('../models/bookingModel');
+const Occupation = require('../models/occupationModel');
+const {
+  API_ROUTE,
+  MAX_BOOKING_DURATION,
+  OCCUPATION_HORIZON,
+} = require('../utils/globals');
+const {
+  connectDB,
+  clearDB,
+  disconnectDB,
+  signToken,
+  createUser,
+} = require('./testUtils');
+
+const NB_CLIENTS = 10;
+
+/**
+ * Function used to get a date a given number of hours from now.
+ * @param {number} hours The number of hours.
+ * @returns {Date} The date.
+ */
+const inHours = hours => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+describe('Parking availability', () => {
+  const parking = new Parking({
+    availability: {
+      timezone: 'Europe/Zurich',
+      weekly: [
+        { day: 1, start: '08:00', end: '24:00' },
+        { day: 2, start: '00:00', end: '12:00' },
+      ],
+      exceptions: [{ date: '2024-03-11', start: '10:00', end: '11:00' }],
+    },
+  });
+
+  test('a time window is available across contiguous slots of consecutive days', () => {
+    expect(
+      parking.isAvailableBetween(
+        new Date('2024-03-04T09:00:00+01:00'),
+        new Date('2024-03-05T11:00:00+01:00'),
+      ),
+    ).toBe(true);
+    expect(
+      parking.isAvailableBetween(
+        new Date('2024-03-04T09:00:00+01:00'),
+        new Date('2024-03-05T12:30:00+01:00'),
+      ),
+    ).toBe(false);
+  });
+
+  test('the unavailability exceptions cut the weekly slots', () => {
+    expect(
+      parking.isAvailableBetween(
+        new Date('2024-03-11T09:00:00+01:00'),
+        new Date('2024-03-11T10:00:00+01:00'),
+      ),
+    ).toBe(true);
+    expect(
+      parking.isAvailableBetween(
+        new Date('2024-03-11T09:00:00+01:00'),
+        new Date('2024-03-11T10:30:00+01:00'),
+      ),
+    ).toBe(false);
+  });
+});
+
+describe('Parking bookings', () => {
+  let parking;
+  let tokens;
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  beforeEach(async () => {
+    await clearDB();
+
+    const owner = await createUser('owner@example.com', 'provider');
+    const clients = await Promise.all(
+      Array.from({ length: NB_CLIENTS }, (_, i) =>
+        createUser(`client${i}@example.com`),
+      ),
+    );
+
+    tokens = await Promise.all(clients.map(client => signToken(client._id)));
+
+    parking = await Parking.create({
+      name: 'Booked parking',
+      description: 'Parking used for the booking tests.',
+      price: 3.6,
+      isValidated: true,
+      location: { type: 'Point', coordinates: [46.8, 7.15] },
+      owner: owner._id,
+    });
+  });
+
+  afterAll(async () => {
+    await clearDB();
+    await disconnectDB();
+  });
+
+  /**
+   * Function used to book the test parking.
+   * @param {string} token The access token of the client.
+   * @param {Date} start The start of the booking.
+   * @param {Date} end The end of the booking.
+   * @returns {Promise<import('supertest').Response>} The response of the booking request.
+   */
+  const book = (token, start, end) =>
+    request(app)
+      .post(`${API_ROUTE}/parkings/${parking._id}/bookings`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ start, end });
+
+  test('only one of simultaneous overlapping bookings is created', async () => {
+    const responses = await Promise.all(
+      tokens.map((token, i) => book(token, inHours(1 + i / 10), inHours(3))),
+    );
+
+    expect(responses.filter(({ status }) => status === 201)).toHaveLength(1);
+    expect(
+      responses.filter(({ status }) => status === 400 || status === 409),
+    ).toHaveLength(NB_CLIENTS - 1);
+    expect(await Booking.countDocuments({ parking: parking._id })).toBe(1);
+  });
+
+  test('a booking longer than the maximum duration is refused', async () => {
+    const res = await book(
+      tokens[0],
+      inHours(1),
+      inHours(1 + (MAX_BOOKING_DURATION + 1) * 24),
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(
+      `A booking can't last more than ${MAX_BOOKING_DURATION} days.`,
+    );
+  });
+
+  test('an ongoing reservation only blocks the bookings starting within the occupation horizon', async () => {
+    const horizon = OCCUPATION_HORIZON / (60 * 60 * 1000);
+
+    await Occupation.create({
+      parking: parking._id,
+      start: new Date(),
+      status: 'active',
+    });
+
+    expect((await book(tokens[0], inHours(1), inHours(3))).status).toBe(400);
+    expect(
+      (await book(tokens[0], inHours(horizon + 1), inHours(horizon + 2)))
+        .status,
+    ).toBe(201);
+  });
+
+  test('a reservation cannot start shortly before the booking of another user', async () => {
+    await book(tokens[0], inHours(0.5), inHours(1));
+
+    const res = await request(app)
+      .patch(`${API_ROUTE}/parkings/${parking._id}/start-reservation`)
+      .set('Authorization', `Bearer ${tokens[1]}`)
+      .send({ paymentMethod: 'pm_card_visa' });
+
+    expect(res.status).toBe(400);
+    expect(await Occupation.countDocuments({ parking: parking._id })).toBe(0);
+  });
+
+  test('a quote longer than the maximum duration is refused', async () => {
+    const res = await request(app)
+      .get(`${API_ROUTE}/parkings/${parking._id}/quote`)
+      .query({
+        start: inHours(1).toISOString(),
+        end: inHours(1 + (MAX_BOOKING_DURATION + 1) * 24).toISOString(),
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(
+      `A quote can't last more than ${MAX_BOOKING_DURATION} days.`,
+    );
+  });
+
+  test('the search excludes the parkings closed by their availability calendar', async () => {
+    const start = inHours(24);
+    const end = inHours(25);
+    const search = () =>
+      request(app)
+        .get(`${API_ROUTE}/parkings`)
+        .set('Authorization', `Bearer ${tokens[0]}`)
+        .query({ from: start.toISOString(), to: end.toISOString() });
+
+    expect((await search()).body.data.parkings).toHaveLength(1);
+
+    await Parking.updateOne(
+      { _id: parking._id },
+      {
+        'availability.exceptions': [start, end].map(date => ({
+          date: moment(date).tz('Europe/Zurich').format('YYYY-MM-DD'),
+          isAvailable: false,
+        })),
+      },
+    );
+
+    expect((await search()).body.data.parkings).toHaveLength(0);
+    expect((await book(tokens[0], start, end)).status).toBe(400);
+  });
+
+  test('the parking can be booked again once the simultaneous requests are processed', async () => {
+    await Promise.all(tokens.map(token => book(token, inHours(1), inHours(2))));
+
+    const res = await book(tokens[0], inHours(2), inHours(3));
+
+    expect(res.status).toBe(201);
+    expect(await Booking.countDocuments({ parking: parking._id })).toBe(2);
+  });
+});
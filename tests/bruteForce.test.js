@@ -0,0 +1,192 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/userModel');
+const Email = require('../utils/classes/Email');
+const BruteForceGuard = require('../utils/classes/BruteForceGuard');
+const MemoryAttemptStore = require('../utils/classes/MemoryAttemptStore');
+const { API_ROUTE, ACCOUNT_GUARD, IP_GUARD } = require('../utils/globals');
+const {
+  connectDB,
+  clearDB,
+  disconnectDB,
+  signToken,
+  TEST_PASSWORD,
+} = require('./testUtils');
+
+/**
+ * IP address of the client signing in the tests, forwarded by the reverse proxy.
+ * @type {string}
+ */
+const CLIENT_IP = '203.0.113.10';
+
+/**
+ * Function used to sign in with a password.
+ * @param {string} email The email of the user.
+ * @param {string} password The typed password.
+ * @param {string} ip The IP address of the client.
+ * @returns {import('supertest').Test} The signin request.
+ */
+const signin = (email, password, ip = CLIENT_IP) =>
+  request(app)
+    .post(`${API_ROUTE}/users/signin`)
+    .set('X-Forwarded-For', ip)
+    .send({ email, password });
+
+describe('BruteForceGuard', () => {
+  const guard = new BruteForceGuard(new MemoryAttemptStore(), {
+    prefix: 'test',
+    freeFailures: 2,
+    maxFailures: 5,
+    baseDelay: 1000,
+    maxDelay: 3000,
+    lockoutDuration: 60000,
+    window: 60000,
+  });
+
+  beforeEach(async () => {
+    await guard.reset('key');
+  });
+
+  test('the delays grow after the free failures', async () => {
+    expect((await guard.registerFailure('key')).retryAfter).toBe(0);
+    expect((await guard.registerFailure('key')).retryAfter).toBe(0);
+    expect((await guard.registerFailure('key')).retryAfter).toBe(1000);
+    expect((await guard.registerFailure('key')).retryAfter).toBe(2000);
+
+    const { isLocked, retryAfter } = await guard.getState('key');
+
+    expect(isLocked).toBe(false);
+    expect(retryAfter).toBeGreaterThan(1000);
+  });
+
+  test('the key is locked after too many failures', async () => {
+    for (let i = 0; i < 4; i++) await guard.registerFailure('key');
+
+    expect((await guard.registerFailure('key')).isLocked).toBe(true);
+    expect((await guard.getState('key')).isLocked).toBe(true);
+
+    await guard.reset('key');
+
+    expect((await guard.getState('key')).retryAfter).toBe(0);
+  });
+
+  test('the identifiers are case insensitive', async () => {
+    for (let i = 0; i < 5; i++) await guard.registerFailure('User@Example.com');
+
+    expect((await guard.getState('user@example.com')).isLocked).toBe(true);
+  });
+});
+
+describe('Sign-in brute-force protection', () => {
+  let user;
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  beforeEach(async () => {
+    await clearDB();
+    jest.restoreAllMocks();
+    jest.spyOn(Email.prototype, 'send').mockResolvedValue();
+
+    user = await User.create({
+      email: 'user@example.com',
+      phone: '+41791236000',
+      password: TEST_PASSWORD,
+      passwordConfirm: TEST_PASSWORD,
+      isConfirmed: true,
+    });
+  });
+
+  afterAll(async () => {
+    await clearDB();
+    await disconnectDB();
+  });
+
+  test('the sign-in attempts are delayed after several failures', async () => {
+    for (let i = 0; i < 5; i++)
+      expect((await signin(user.email, 'Wrong1234!')).status).toBe(401);
+
+    await signin(user.email, 'Wrong1234!');
+
+    // Even the right password is refused until the end of the delay
+    const res = await signin(user.email, TEST_PASSWORD);
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  test('the account is locked and its owner notified after too many failures', async () => {
+    // Simulate failures spread over time, without waiting for the delays
+    for (let i = 0; i < 9; i++)
+      await ACCOUNT_GUARD.registerFailure([user.email, CLIENT_IP]);
+
+    await signin(user.email, 'Wrong1234!');
+
+    expect(Email.prototype.send).toHaveBeenCalledWith(
+      'accountLocked',
+      expect.any(String),
+      expect.any(Object),
+    );
+
+    const res = await signin(user.email, TEST_PASSWORD);
+
+    expect(res.status).toBe(429);
+    expect(res.body.message).toMatch(/This account is temporarily locked/);
+  });
+
+  test('an admin can unlock an account', async () => {
+    for (let i = 0; i < 10; i++)
+      await ACCOUNT_GUARD.registerFailure([user.email, CLIENT_IP]);
+
+    const admin = await User.create({
+      email: 'admin@example.com',
+      password: TEST_PASSWORD,
+      passwordConfirm: TEST_PASSWORD,
+      isConfirmed: true,
+      role: 'admin',
+      isTotpEnabled: true,
+    });
+
+    await request(app)
+      .patch(`${API_ROUTE}/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${await signToken(admin._id)}`)
+      .expect(200);
+
+    expect((await signin(user.email, TEST_PASSWORD)).status).toBe(200);
+  });
+
+  test('the IP addresses behind the reverse proxy are counted separately', async () => {
+    for (let i = 0; i < 100; i++) await IP_GUARD.registerFailure('203.0.113.1');
+
+    const lockedRes = await signin(user.email, TEST_PASSWORD, '203.0.113.1');
+
+    expect(lockedRes.status).toBe(429);
+    expect(lockedRes.body.message).toMatch(/from your IP address/);
+    expect(
+      (await signin(user.email, TEST_PASSWORD, '203.0.113.2')).status,
+    ).toBe(200);
+  });
+
+  test('the failures from another IP address do not lock the account of the user', async () => {
+    for (let i = 0; i < 10; i++)
+      await ACCOUNT_GUARD.registerFailure([user.email, '198.51.100.1']);
+
+    const lockedRes = await signin(user.email, TEST_PASSWORD, '198.51.100.1');
+
+    expect(lockedRes.status).toBe(429);
+    expect(lockedRes.body.message).toMatch(
+      /This account is temporarily locked/,
+    );
+    expect((await signin(user.email, TEST_PASSWORD)).status).toBe(200);
+  });
+
+  test('the failures on unknown accounts are counted too', async () => {
+    for (let i = 0; i < 10; i++)
+      await ACCOUNT_GUARD.registerFailure(['unknown@example.com', CLIENT_IP]);
+
+    const res = await signin('unknown@example.com', TEST_PASSWORD);
+
+    expect(res.status).toBe(429);
+  });
+});
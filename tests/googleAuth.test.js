@@ -0,0 +1,220 @@
+process.env.GOOGLE_CLIENT_ID ||= 'test-client.apps.googleusercontent.com';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/userModel');
+const Email = require('../utils/classes/Email');
+const {
+  API_ROUTE,
+  GOOGLE_CLIENT,
+  GOOGLE_CLIENT_ID,
+} = require('../utils/globals');
+const {
+  connectDB,
+  clearDB,
+  disconnectDB,
+  TEST_PASSWORD,
+} = require('./testUtils');
+
+/**
+ * Id of the locally generated key signing the test ID tokens.
+ * @type {string}
+ */
+const KEY_ID = 'test-key';
+
+/**
+ * Locally generated key pair replacing the signing keys of Google.
+ * @type {crypto.KeyPairKeyObjectResult}
+ */
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+});
+
+/**
+ * Function used to generate a Google ID token signed with the local key.
+ * @param {Object} claims The claims of the token overriding the default ones.
+ * @param {crypto.KeyObject} key The signing key.
+ * @returns {string} The ID token.
+ */
+const signIdToken = (claims = {}, key = privateKey) =>
+  jwt.sign(
+    {
+      iss: 'https://accounts.google.com',
+      aud: GOOGLE_CLIENT_ID,
+      sub: '110169484474386276334',
+      email: 'googleuser@example.com',
+      email_verified: true,
+      ...claims,
+    },
+    key,
+    { algorithm: 'RS256', keyid: KEY_ID, expiresIn: '1h' },
+  );
+
+/**
+ * Function used to sign in with a Google ID token.
+ * @param {string} idToken The ID token.
+ * @returns {Promise<import('supertest').Response>} The response of the signin request.
+ */
+const googleSignin = idToken =>
+  request(app).post(`${API_ROUTE}/users/google/signin`).send({ idToken });
+
+/**
+ * Function used to get the query parameters of the redirection of a response.
+ * @param {import('supertest').Response} res The response.
+ * @returns {URLSearchParams} The query parameters.
+ */
+const getRedirectParams = res =>
+  new URL(res.headers.location, 'http://localhost').searchParams;
+
+describe('Google authentication', () => {
+  beforeAll(async () => {
+    await connectDB();
+    jest.spyOn(Email.prototype, 'send').mockResolvedValue();
+    // The certificates of Google are replaced by the local public key
+    jest
+      .spyOn(GOOGLE_CLIENT, 'getFederatedSignonCertsAsync')
+      .mockResolvedValue({
+        certs: { [KEY_ID]: publicKey.export({ type: 'spki', format: 'pem' }) },
+        format: 'PEM',
+      });
+  });
+
+  beforeEach(async () => {
+    await clearDB();
+  });
+
+  afterAll(async () => {
+    await clearDB();
+    await disconnectDB();
+    jest.restoreAllMocks();
+  });
+
+  test('a new Google user is created without password', async () => {
+    const res = await googleSignin(signIdToken());
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.headers['set-cookie'][0]).toMatch(/^jwt=/);
+
+    const user = await User.findOne({ email: 'googleuser@example.com' }).select(
+      '+googleId +password +isEmailConfirmed',
+    );
+
+    expect(user.googleId).toBe('110169484474386276334');
+    expect(user.password).toBeUndefined();
+    expect(user.isEmailConfirmed).toBe(true);
+
+    // The password signin isn't possible for the Google only users
+    const signinRes = await request(app)
+      .post(`${API_ROUTE}/users/signin`)
+      .send({ email: user.email, password: TEST_PASSWORD });
+
+    expect(signinRes.status).toBe(401);
+  });
+
+  test('the Google account is linked to the user with the same email', async () => {
+    const existingUser = await User.create({
+      email: 'googleuser@example.com',
+      password: TEST_PASSWORD,
+      passwordConfirm: TEST_PASSWORD,
+      isConfirmed: true,
+      isEmailConfirmed: true,
+    });
+
+    const res = await googleSignin(signIdToken());
+
+    expect(res.status).toBe(200);
+    expect(await User.countDocuments()).toBe(1);
+
+    const user = await User.findById(existingUser._id).select(
+      '+googleId +password',
+    );
+
+    expect(user.googleId).toBe('110169484474386276334');
+    expect(user.password).toBeDefined();
+
+    // The next signins use the linked Google id
+    const nextRes = await googleSignin(
+      signIdToken({ email: 'renamed@example.com' }),
+    );
+
+    expect(nextRes.status).toBe(200);
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  test('an unverified Google email address is rejected', async () => {
+    const res = await googleSignin(signIdToken({ email_verified: false }));
+
+    expect(res.status).toBe(401);
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  test('an ID token not signed by Google is rejected', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+    });
+
+    const res = await googleSignin(signIdToken({}, otherKey));
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid Google credentials.');
+  });
+
+  test('an ID token issued for another application is rejected', async () => {
+    const res = await googleSignin(
+      signIdToken({ aud: 'other-client.apps.googleusercontent.com' }),
+    );
+
+    expect(res.status).toBe(401);
+  });
+
+  test('the redirection flow hands a single-use code over to the frontend', async () => {
+    jest
+      .spyOn(GOOGLE_CLIENT, 'getToken')
+      .mockResolvedValueOnce({ tokens: { id_token: signIdToken() } });
+
+    const redirectRes = await request(app).get(`${API_ROUTE}/users/google`);
+
+    expect(redirectRes.status).toBe(302);
+    expect(redirectRes.headers.location).toMatch(
+      /^https:\/\/accounts\.google\.com\//,
+    );
+
+    const state = getRedirectParams(redirectRes).get('state');
+
+    const callbackRes = await request(app)
+      .get(`${API_ROUTE}/users/google/callback`)
+      .query({ code: 'authorization-code', state });
+
+    expect(callbackRes.status).toBe(302);
+    expect(callbackRes.headers.location).toMatch(/\/google-callback\?code=/);
+
+    const code = getRedirectParams(callbackRes).get('code');
+
+    const handoffRes = await request(app)
+      .post(`${API_ROUTE}/users/google/handoff`)
+      .send({ code });
+
+    expect(handoffRes.status).toBe(200);
+    expect(handoffRes.body.token).toBeDefined();
+
+    // The code can only be used once
+    const replayRes = await request(app)
+      .post(`${API_ROUTE}/users/google/handoff`)
+      .send({ code });
+
+    expect(replayRes.status).toBe(401);
+  });
+
+  test('a callback with an unknown state is rejected', async () => {
+    const res = await request(app)
+      .get(`${API_ROUTE}/users/google/callback`)
+      .query({ code: 'authorization-code', state: 'forged-state' });
+
+    expect(res.status).toBe(302);
+    expect(getRedirectParams(res).get('error')).not.toBeNull();
+    expect(getRedirectParams(res).get('code')).toBeNull();
+  });
+});
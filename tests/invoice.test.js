@@ -0,0 +1,75 @@
+const User = require('../models/userModel');
+const Parking = require('../models/parkingModel');
+const Occupation = require('../models/occupationModel');
+const Invoice = require('../models/invoiceModel');
+const { INVOICE_PREFIX } = require('../utils/globals');
+const { getOrCreateInvoice } = require('../utils/invoices');
+const {
+  connectDB,
+  clearDB,
+  disconnectDB,
+  TEST_PASSWORD,
+} = require('./testUtils');
+
+describe('Invoices', () => {
+  let occupation;
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  beforeEach(async () => {
+    await clearDB();
+
+    const [owner, client] = await Promise.all(
+      ['owner@example.com', 'client@example.com'].map(email =>
+        User.create({
+          email,
+          password: TEST_PASSWORD,
+          passwordConfirm: TEST_PASSWORD,
+          isConfirmed: true,
+        }),
+      ),
+    );
+
+    const parking = await Parking.create({
+      name: 'Invoiced parking',
+      description: 'Parking used for the invoice tests.',
+      price: 3.6,
+      isValidated: true,
+      location: { type: 'Point', coordinates: [46.8, 7.15] },
+      owner: owner._id,
+    });
+
+    occupation = await Occupation.create({
+      parking: parking._id,
+      client: client._id,
+      status: 'finished',
+      start: new Date(Date.now() - 2 * 60 * 60 * 1000),
+      end: new Date(),
+      bill: 7.2,
+    });
+  });
+
+  afterAll(async () => {
+    await clearDB();
+    await disconnectDB();
+    jest.restoreAllMocks();
+  });
+
+  test('the number of an invoice that failed to be written is given again', async () => {
+    const year = new Date().getFullYear();
+
+    jest
+      .spyOn(Invoice, 'create')
+      .mockRejectedValueOnce(new Error('Write failure'));
+
+    await expect(getOrCreateInvoice(occupation._id)).rejects.toThrow(
+      'Write failure',
+    );
+
+    const invoice = await getOrCreateInvoice(occupation._id);
+
+    expect(invoice.number).toBe(`${INVOICE_PREFIX}-${year}-000001`);
+  });
+});
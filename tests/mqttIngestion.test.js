@@ -0,0 +1,265 @@
+const net = require('net');
+const Aedes = require('aedes');
+const mqtt = require('mqtt');
+const MqttIngestion = require('../utils/classes/MqttIngestion');
+const thingDescription = require('../utils/thingDescription');
+
+/**
+ * Function used to start a local in-process MQTT broker.
+ * @param {number} port The port the broker listens on (0 for a random one).
+ * @returns {Promise<{broker: Aedes, server: net.Server, port: number}>} The started broker.
+ */
+const startBroker = port =>
+  new Promise(resolve => {
+    const broker = new Aedes();
+    const server = net.createServer(broker.handle);
+
+    server.listen(port, () =>
+      resolve({ broker, server, port: server.address().port }),
+    );
+  });
+
+/**
+ * Function used to stop a local MQTT broker, closing the connections of its clients.
+ * @param {{broker: Aedes, server: net.Server}} instance The broker to stop.
+ */
+const stopBroker = ({ broker, server }) =>
+  new Promise(resolve => broker.close(() => server.close(resolve)));
+
+/**
+ * Function used to wait for the next emission of an event.
+ * @param {import('events').EventEmitter} emitter The emitter of the event.
+ * @param {string} event The name of the event.
+ * @returns {Promise<any>} The first argument of the event.
+ */
+const nextEvent = (emitter, event) =>
+  new Promise(resolve => emitter.once(event, resolve));
+
+describe('MQTT telemetry ingestion', () => {
+  let instance;
+  let publisher;
+  let writeClient;
+  let ingestion;
+
+  /**
+   * Function used to publish a telemetry message on the topic of a device.
+   * @param {string} deviceId The id of the device.
+   * @param {Object|string} message The published message.
+   */
+  const publish = (deviceId, message) =>
+    publisher.publishAsync(
+      `things/${deviceId}/messages`,
+      typeof message === 'string' ? message : JSON.stringify(message),
+      { qos: 1 },
+    );
+
+  const createIngestion = (options = {}) =>
+    new MqttIngestion({
+      brokerUrl: `mqtt://localhost:${instance.port}`,
+      thingDescription,
+      writeClient,
+      flushInterval: 50,
+      minReconnectDelay: 50,
+      maxReconnectDelay: 200,
+      ...options,
+    });
+
+  beforeEach(async () => {
+    instance = await startBroker(0);
+    publisher = await mqtt.connectAsync(`mqtt://localhost:${instance.port}`);
+    writeClient = {
+      writePoints: jest.fn(),
+      flush: jest.fn().mockResolvedValue(),
+    };
+  });
+
+  afterEach(async () => {
+    await ingestion?.stop();
+    await publisher.endAsync();
+    await stopBroker(instance);
+  });
+
+  test('writes the valid readings in InfluxDB, tagged with their device', async () => {
+    ingestion = createIngestion();
+    await ingestion.start();
+
+    const flushed = nextEvent(ingestion, 'flush');
+    await publish('orange-3', {
+      appId: 'TEMP',
+      data: '23.5',
+      ts: 1700000000000,
+    });
+    const [reading] = await flushed;
+
+    expect(reading).toEqual({
+      deviceId: 'orange-3',
+      appId: 'TEMP',
+      kind: 'property',
+      value: 23.5,
+      timestamp: new Date(1700000000000),
+    });
+    expect(writeClient.writePoints).toHaveBeenCalledTimes(1);
+
+    const [[points]] = writeClient.writePoints.mock.calls;
+    expect(points.map(point => point.toLineProtocol())).toEqual([
+      'thingy91,device=orange-3 TEMP=23.5 1700000000000000000',
+    ]);
+    expect(writeClient.flush).toHaveBeenCalled();
+  });
+
+  test('writes the events of the thing description as typed fields', async () => {
+    ingestion = createIngestion({ batchSize: 2 });
+    await ingestion.start();
+
+    const flushed = nextEvent(ingestion, 'flush');
+    await publish('orange-3', { appId: 'BUTTON', data: '1', ts: 1 });
+    await publish('orange-3', { appId: 'FLIP', data: 'UPSIDE_DOWN', ts: 2 });
+    await flushed;
+
+    const [[points]] = writeClient.writePoints.mock.calls;
+    expect(points.map(point => point.toLineProtocol())).toEqual([
+      'thingy91,device=orange-3 BUTTON=1i 1000000',
+      'thingy91,device=orange-3 FLIP="UPSIDE_DOWN" 2000000',
+    ]);
+  });
+
+  test('rejects the messages that do not match the thing description', async () => {
+    ingestion = createIngestion();
+    await ingestion.start();
+
+    const invalid = [];
+    ingestion.on('invalid', ({ error }) => invalid.push(error));
+
+    const flushed = nextEvent(ingestion, 'flush');
+    await publish('orange-3', 'not json');
+    await publish('orange-3', { data: '12' });
+    await publish('orange-3', { appId: 'SPEED', data: '12' });
+    await publish('orange-3', { appId: 'HUMID', data: 'wet' });
+    await publish('orange-3', { appId: 'BUTTON', data: 'pressed' });
+    await publish('orange-3', { appId: 'HUMID', data: 48 });
+    const readings = await flushed;
+
+    expect(invalid).toEqual([
+      'The payload is not valid JSON.',
+      'The message does not contain any appId.',
+      'SPEED is not described in the thing description.',
+      'The data of HUMID must be of type number.',
+      'The data of BUTTON must be of type boolean.',
+    ]);
+    expect(readings).toHaveLength(1);
+    expect(readings[0].value).toBe(48);
+  });
+
+  test('maps the topics to their device according to the topic template', () => {
+    ingestion = createIngestion({ topic: 'prod/{deviceId}/shadow/update' });
+
+    expect(ingestion.subscription).toBe('prod/+/shadow/update');
+    expect(ingestion.getDeviceId('prod/orange-3/shadow/update')).toBe(
+      'orange-3',
+    );
+    expect(ingestion.getDeviceId('dev/orange-3/shadow/update')).toBeNull();
+    expect(ingestion.getDeviceId('prod/orange-3/shadow')).toBeNull();
+    expect(() => createIngestion({ topic: 'things/messages' })).toThrow();
+  });
+
+  test('writes the readings in batches', async () => {
+    ingestion = createIngestion({ batchSize: 3, flushInterval: 60000 });
+    await ingestion.start();
+
+    const flushed = nextEvent(ingestion, 'flush');
+    for (let i = 0; i < 3; i++)
+      await publish(`device-${i}`, { appId: 'AIR_QUAL', data: `${i}` });
+    const readings = await flushed;
+
+    expect(readings.map(({ deviceId }) => deviceId)).toEqual([
+      'device-0',
+      'device-1',
+      'device-2',
+    ]);
+    expect(writeClient.writePoints).toHaveBeenCalledTimes(1);
+    expect(writeClient.writePoints.mock.calls[0][0]).toHaveLength(3);
+  });
+
+  test('reconnects to the broker with an exponential backoff', async () => {
+    ingestion = createIngestion();
+    await ingestion.start();
+
+    const { port } = instance;
+    const delays = [];
+    ingestion.on('offline', ({ delay }) => delays.push(delay));
+
+    await publisher.endAsync();
+    await stopBroker(instance);
+
+    // Let the ingestion fail a few reconnection attempts
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    expect(delays.slice(0, 3)).toEqual([50, 100, 200]);
+
+    const reconnected = nextEvent(ingestion, 'connect');
+    instance = await startBroker(port);
+    await reconnected;
+
+    expect(ingestion.reconnectAttempts).toBe(0);
+
+    publisher = await mqtt.connectAsync(`mqtt://localhost:${port}`);
+    const flushed = nextEvent(ingestion, 'flush');
+    await publish('orange-3', { appId: 'CO2_EQUIV', data: '410' });
+
+    expect(await flushed).toHaveLength(1);
+  });
+
+  test('keeps the readings of a failed write and retries them', async () => {
+    writeClient.flush.mockRejectedValueOnce(new Error('InfluxDB unavailable'));
+    ingestion = createIngestion({ retryDelay: 50 });
+    await ingestion.start();
+
+    const failed = nextEvent(ingestion, 'writeError');
+    await publish('orange-3', { appId: 'TEMP', data: '21.5' });
+    await failed;
+
+    const flushed = nextEvent(ingestion, 'flush');
+    const [reading] = await flushed;
+
+    expect(reading).toMatchObject({ deviceId: 'orange-3', value: 21.5 });
+    expect(writeClient.writePoints).toHaveBeenCalledTimes(2);
+  });
+
+  test('drops the oldest readings beyond the buffer limit', async () => {
+    writeClient.flush.mockRejectedValue(new Error('InfluxDB unavailable'));
+    ingestion = createIngestion({ maxPending: 2, retryDelay: 60000 });
+    await ingestion.start();
+
+    const dropped = nextEvent(ingestion, 'drop');
+    const received = new Promise(resolve => {
+      let count = 0;
+
+      ingestion.on('reading', () => {
+        count += 1;
+        if (count === 3) resolve();
+      });
+    });
+
+    for (const data of ['20', '21', '22'])
+      await publish('orange-3', { appId: 'TEMP', data });
+    await received;
+    await ingestion.flush();
+
+    expect(await dropped).toEqual([expect.objectContaining({ value: 20 })]);
+  });
+
+  test('writes the pending readings when it is stopped', async () => {
+    ingestion = createIngestion({ flushInterval: 60000 });
+    await ingestion.start();
+
+    const received = nextEvent(ingestion, 'reading');
+    await publish('orange-3', { appId: 'AIR_PRESS', data: '101.3' });
+    await received;
+
+    expect(writeClient.writePoints).not.toHaveBeenCalled();
+
+    await ingestion.stop();
+
+    expect(writeClient.writePoints).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/userModel');
+const { API_ROUTE } = require('../utils/globals');
+const { can, canPerform } = require('../utils/permissions');
+const {
+  connectDB,
+  clearDB,
+  disconnectDB,
+  signToken,
+  TEST_PASSWORD,
+} = require('./testUtils');
+
+describe('Permissions', () => {
+  const owner = { _id: new mongoose.Types.ObjectId(), role: 'provider' };
+  const other = { _id: new mongoose.Types.ObjectId(), role: 'provider' };
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  const parking = { _id: new mongoose.Types.ObjectId(), owner: owner._id };
+
+  test('the owners can manage their own parkings only', () => {
+    expect(can(owner, 'manage', 'parking', parking)).toBe(true);
+    expect(can(other, 'manage', 'parking', parking)).toBe(false);
+    expect(can(owner, 'manage', 'parking')).toBe(false);
+  });
+
+  test('the admins can manage every parking', () => {
+    expect(can(admin, 'manage', 'parking', parking)).toBe(true);
+    expect(can(admin, 'manage', 'parking')).toBe(true);
+  });
+
+  test('the ownership rules accept the populated documents', () => {
+    const booking = {
+      client: { _id: other._id, username: 'other' },
+      parking: { _id: parking._id, owner: owner._id },
+    };
+
+    expect(can(owner, 'cancel', 'booking', booking)).toBe(true);
+    expect(can(other, 'cancel', 'booking', booking)).toBe(true);
+    expect(
+      can(
+        { _id: new mongoose.Types.ObjectId(), role: 'client' },
+        'cancel',
+        'booking',
+        booking,
+      ),
+    ).toBe(false);
+  });
+
+  test('the reviews have an ownership rule per action', () => {
+    const review = {
+      client: other._id,
+      parking: { _id: parking._id, owner: owner._id },
+    };
+
+    expect(can(owner, 'reply', 'review', review)).toBe(true);
+    expect(can(other, 'reply', 'review', review)).toBe(false);
+    expect(can(other, 'create', 'review', review)).toBe(true);
+    expect(can(owner, 'create', 'review', review)).toBe(false);
+  });
+
+  test('the roles are mapped to their permission sets', () => {
+    expect(canPerform('moderator', 'moderate', 'review')).toBe(true);
+    expect(canPerform('client', 'moderate', 'review')).toBe(false);
+    expect(canPerform('client', 'read', 'earnings')).toBe(false);
+    expect(canPerform('provider', 'read', 'earnings')).toBe(true);
+    expect(canPerform('moderator', 'list', 'parking')).toBe(true);
+    expect(canPerform('moderator', 'resolve', 'incident')).toBe(true);
+    expect(canPerform('unknown', 'read', 'parking')).toBe(false);
+    expect(can(undefined, 'read', 'parking')).toBe(false);
+  });
+});
+
+describe('Route authorization', () => {
+  /**
+   * Function used to create an user with a role and get his access token.
+   * @param {string} role The role of the user.
+   * @returns {Promise<string>} The access token of the user.
+   */
+  const getToken = async role => {
+    const user = await User.create({
+      email: `${role}@example.com`,
+      password: TEST_PASSWORD,
+      passwordConfirm: TEST_PASSWORD,
+      isConfirmed: true,
+      role,
+      isTotpEnabled: role === 'admin',
+    });
+
+    return signToken(user._id);
+  };
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  beforeEach(async () => {
+    await clearDB();
+  });
+
+  afterAll(async () => {
+    await clearDB();
+    await disconnectDB();
+  });
+
+  test('the routes are only accessible with the required permission', async () => {
+    const moderatorToken = await getToken('moderator');
+    const adminToken = await getToken('admin');
+
+    const moderatorRes = await request(app)
+      .get(`${API_ROUTE}/thingies`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(moderatorRes.status).toBe(403);
+    expect(moderatorRes.body.message).toBe(
+      "You don't have permission to perform this action.",
+    );
+
+    await request(app)
+      .get(`${API_ROUTE}/thingies`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+  });
+
+  test('the clients can list their occupations but not the incidents', async () => {
+    const clientToken = await getToken('client');
+
+    await request(app)
+      .get(`${API_ROUTE}/incidents`)
+      .set('Authorization', `Bearer ${clientToken}`)
+      .expect(403);
+
+    await request(app)
+      .get(`${API_ROUTE}/occupations/my-occupations`)
+      .set('Authorization', `Bearer ${clientToken}`)
+      .expect(200);
+  });
+});
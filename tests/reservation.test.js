@@ -0,0 +1,221 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/userModel');
+const Parking = require('../models/parkingModel');
+const Occupation = require('../models/occupationModel');
+const Payment = require('../models/paymentModel');
+const Email = require('../utils/classes/Email');
+const { API_ROUTE, PAYMENT_PROVIDER } = require('../utils/globals');
+const { refundPayment } = require('../utils/payments');
+const { payWithWallet, topUpWallet } = require('../utils/wallet');
+const {
+  connectDB,
+  clearDB,
+  disconnectDB,
+  signToken,
+  createUser,
+} = require('./testUtils');
+
+const NB_CLIENTS = 10;
+
+describe('Parking reservation concurrency', () => {
+  let parking;
+  let clients;
+
+  beforeAll(async () => {
+    await connectDB();
+    jest.spyOn(Email.prototype, 'send').mockResolvedValue();
+  });
+
+  beforeEach(async () => {
+    await clearDB();
+
+    const owner = await createUser('owner@example.com', 'provider');
+
+    clients = await Promise.all(
+      Array.from({ length: NB_CLIENTS }, (_, i) =>
+        createUser(`client${i}@example.com`),
+      ),
+    );
+
+    parking = await Parking.create({
+      name: 'Concurrent parking',
+      description: 'Parking used for the concurrency tests.',
+      price: 3.6,
+      isValidated: true,
+      location: { type: 'Point', coordinates: [46.8, 7.15] },
+      owner: owner._id,
+    });
+  });
+
+  afterAll(async () => {
+    await clearDB();
+    await disconnectDB();
+    jest.restoreAllMocks();
+  });
+
+  test('only one of simultaneous reservation starts wins the parking', async () => {
+    const tokens = await Promise.all(
+      clients.map(client => signToken(client._id)),
+    );
+
+    const responses = await Promise.all(
+      tokens.map(token =>
+        request(app)
+          .patch(`${API_ROUTE}/parkings/${parking._id}/start-reservation`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ paymentMethod: 'pm_card_visa' }),
+      ),
+    );
+
+    const successes = responses.filter(({ status }) => status === 200);
+    const failures = responses.filter(({ status }) => status === 400);
+
+    expect(successes).toHaveLength(1);
+    expect(failures).toHaveLength(NB_CLIENTS - 1);
+    failures.forEach(({ body: { message } }) =>
+      expect(message).toBe('The requested parking is already occupied.'),
+    );
+
+    expect(await Occupation.countDocuments({ parking: parking._id })).toBe(1);
+    expect((await Parking.findById(parking._id)).isOccupied).toBe(true);
+
+    // the pre-authorizations of the losing requests are released
+    const [{ body: winner }] = successes;
+    const intents = [...PAYMENT_PROVIDER.intents.values()].slice(-NB_CLIENTS);
+
+    expect(winner.data.payment.status).toBe('authorized');
+    expect(await Payment.countDocuments()).toBe(1);
+    expect(intents.filter(({ status }) => status === 'canceled')).toHaveLength(
+      NB_CLIENTS - 1,
+    );
+  });
+
+  test('only one of simultaneous reservation ends closes the occupation', async () => {
+    const token = await signToken(clients[0]._id);
+
+    await request(app)
+      .patch(`${API_ROUTE}/parkings/${parking._id}/start-reservation`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ paymentMethod: 'pm_card_visa' })
+      .expect(200);
+
+    const responses = await Promise.all(
+      Array.from({ length: NB_CLIENTS }, () =>
+        request(app)
+          .patch(`${API_ROUTE}/parkings/${parking._id}/end-reservation`)
+          .set('Authorization', `Bearer ${token}`),
+      ),
+    );
+
+    expect(responses.filter(({ status }) => status === 200)).toHaveLength(1);
+    expect(responses.filter(({ status }) => status === 400)).toHaveLength(
+      NB_CLIENTS - 1,
+    );
+
+    const occupations = await Occupation.find({ parking: parking._id });
+
+    expect(occupations).toHaveLength(1);
+    expect(occupations[0].end).toBeDefined();
+
+    const payment = await Payment.findOne({ occupation: occupations[0]._id });
+
+    expect(payment.status).toBe(
+      occupations[0].bill > 0 ? 'captured' : 'cancelled',
+    );
+    expect(payment.amountCaptured).toBe(occupations[0].bill);
+    expect((await Parking.findById(parking._id)).isOccupied).toBe(false);
+  });
+
+  test('simultaneous refunds cannot exceed the captured amount', async () => {
+    jest.spyOn(PAYMENT_PROVIDER, 'refundPaymentIntent').mockResolvedValue({});
+
+    const occupation = await Occupation.create({
+      parking: parking._id,
+      client: clients[0]._id,
+      status: 'finished',
+      start: new Date(Date.now() - 60 * 60 * 1000),
+      end: new Date(),
+      bill: 10,
+    });
+    const { _id } = await Payment.create({
+      occupation: occupation._id,
+      client: clients[0]._id,
+      currency: 'chf',
+      amountAuthorized: 10,
+      amountCaptured: 10,
+      status: 'captured',
+      charges: [{ intentId: 'pi_refunded', amount: 10 }],
+    });
+    const payment = await Payment.findById(_id).select('+intentId +charges');
+
+    const results = await Promise.allSettled(
+      clients.map(() => refundPayment(payment, 4)),
+    );
+
+    expect(results.filter(({ status }) => status === 'fulfilled')).toHaveLength(
+      2,
+    );
+    expect(PAYMENT_PROVIDER.refundPaymentIntent).toHaveBeenCalledTimes(2);
+    expect((await Payment.findById(_id)).amountRefunded).toBe(8);
+
+    PAYMENT_PROVIDER.refundPaymentIntent.mockRestore();
+  });
+
+  test('a bill exceeding the wallet balance is not debited', async () => {
+    const [client] = clients;
+
+    await topUpWallet(client._id, 5, 'Test top-up.');
+
+    const occupation = await Occupation.create({
+      parking: parking._id,
+      client: client._id,
+      status: 'finished',
+    });
+
+    await expect(
+      payWithWallet(occupation, 10, parking.owner),
+    ).rejects.toMatchObject({ statusCode: 402 });
+
+    expect(
+      (await User.findById(client._id).select('+walletBalance')).walletBalance,
+    ).toBe(5);
+  });
+
+  test('a declined payment method does not reserve the parking', async () => {
+    const { body } = await request(app)
+      .patch(`${API_ROUTE}/parkings/${parking._id}/start-reservation`)
+      .set('Authorization', `Bearer ${await signToken(clients[0]._id)}`)
+      .send({ paymentMethod: 'pm_card_chargeDeclined' })
+      .expect(402);
+
+    expect(body.message).toBe('Your card was declined.');
+    expect(await Occupation.countDocuments({ parking: parking._id })).toBe(0);
+    expect((await Parking.findById(parking._id)).isOccupied).toBe(false);
+  });
+
+  test('a freed parking can be reserved again', async () => {
+    const [first, second] = await Promise.all(
+      clients.slice(0, 2).map(client => signToken(client._id)),
+    );
+
+    await request(app)
+      .patch(`${API_ROUTE}/parkings/${parking._id}/start-reservation`)
+      .set('Authorization', `Bearer ${first}`)
+      .send({ paymentMethod: 'pm_card_visa' })
+      .expect(200);
+
+    await request(app)
+      .patch(`${API_ROUTE}/parkings/${parking._id}/end-reservation`)
+      .set('Authorization', `Bearer ${first}`)
+      .expect(200);
+
+    await request(app)
+      .patch(`${API_ROUTE}/parkings/${parking._id}/start-reservation`)
+      .set('Authorization', `Bearer ${second}`)
+      .send({ paymentMethod: 'pm_card_visa' })
+      .expect(200);
+
+    expect(await Occupation.countDocuments({ parking: parking._id })).toBe(2);
+  });
+});
@@ -0,0 +1,183 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/userModel');
+const { API_ROUTE, EVENT_BUS } = require('../utils/globals');
+const {
+  connectDB,
+  clearDB,
+  disconnectDB,
+  createTestSession,
+  TEST_PASSWORD,
+} = require('./testUtils');
+
+/**
+ * Function used to exchange a refresh token against new tokens.
+ * @param {string} refreshToken The refresh token.
+ * @returns {Promise<import('supertest').Response>} The response of the refresh request.
+ */
+const refresh = refreshToken =>
+  request(app).post(`${API_ROUTE}/users/refresh`).send({ refreshToken });
+
+/**
+ * Function used to get the connected user with an access token.
+ * @param {string} token The access token.
+ * @returns {Promise<import('supertest').Response>} The response of the request.
+ */
+const getMe = token =>
+  request(app)
+    .get(`${API_ROUTE}/users/me`)
+    .set('Authorization', `Bearer ${token}`);
+
+describe('Sessions', () => {
+  let user;
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  beforeEach(async () => {
+    await clearDB();
+
+    user = await User.create({
+      email: 'user@example.com',
+      password: TEST_PASSWORD,
+      passwordConfirm: TEST_PASSWORD,
+      isConfirmed: true,
+    });
+  });
+
+  afterAll(async () => {
+    await clearDB();
+    await disconnectDB();
+  });
+
+  test('a refresh token is exchanged against new tokens', async () => {
+    const [, refreshToken] = await createTestSession(user._id);
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+    expect((await getMe(res.body.token)).status).toBe(200);
+
+    const cookies = res.headers['set-cookie'].join(';');
+
+    expect(cookies).toMatch(/jwt=/);
+    expect(cookies).toMatch(/refreshToken=/);
+  });
+
+  test('reusing a refresh token revokes its session', async () => {
+    const [token, refreshToken] = await createTestSession(user._id);
+
+    const {
+      body: { refreshToken: newRefreshToken },
+    } = await refresh(refreshToken);
+
+    const reuseRes = await refresh(refreshToken);
+
+    expect(reuseRes.status).toBe(401);
+    expect(reuseRes.body.message).toBe(
+      'This refresh token was already used. Please log in again.',
+    );
+
+    // The whole session is revoked, including its last tokens
+    expect((await refresh(newRefreshToken)).status).toBe(401);
+    expect((await getMe(token)).status).toBe(401);
+  });
+
+  test('the logout revokes the session', async () => {
+    const [token, refreshToken] = await createTestSession(user._id);
+
+    const res = await request(app)
+      .post(`${API_ROUTE}/users/logout`)
+      .send({ refreshToken });
+
+    expect(res.status).toBe(200);
+    expect((await getMe(token)).status).toBe(401);
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+
+  test('the logout revokes the session of the access token', async () => {
+    const [token] = await createTestSession(user._id);
+
+    await request(app)
+      .post(`${API_ROUTE}/users/logout`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect((await getMe(token)).status).toBe(401);
+  });
+
+  test('the logout closes the event streams of the session', async () => {
+    const [token] = await createTestSession(user._id);
+
+    const stream = request(app)
+      .get(`${API_ROUTE}/occupations/my-occupations/events`)
+      .set('Authorization', `Bearer ${token}`)
+      .then(res => res);
+
+    // Wait for the stream to be opened before logging out
+    while (EVENT_BUS.listenerCount('session:revoked') === 0)
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+    await request(app)
+      .post(`${API_ROUTE}/users/logout`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const res = await stream;
+
+    expect(res.status).toBe(200);
+    expect(res.text).toMatch(/event: session:end\ndata: {"reason":"revoked"}/);
+    expect(EVENT_BUS.listenerCount('session:revoked')).toBe(0);
+  });
+
+  test('the active sessions are listed and can be revoked one by one', async () => {
+    const [token] = await createTestSession(user._id);
+    const [otherToken] = await createTestSession(user._id);
+
+    const res = await request(app)
+      .get(`${API_ROUTE}/users/me/sessions`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+
+    const { sessions } = res.body.data;
+
+    expect(sessions).toHaveLength(2);
+    expect(sessions[0].refreshToken).toBeUndefined();
+    expect(sessions.filter(({ isCurrent }) => isCurrent)).toHaveLength(1);
+
+    const otherSession = sessions.find(({ isCurrent }) => !isCurrent);
+
+    await request(app)
+      .delete(`${API_ROUTE}/users/me/sessions/${otherSession._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(204);
+
+    expect((await getMe(otherToken)).status).toBe(401);
+    expect((await getMe(token)).status).toBe(200);
+  });
+
+  test('all the sessions can be revoked at once', async () => {
+    const [token] = await createTestSession(user._id);
+    const [otherToken] = await createTestSession(user._id);
+
+    await request(app)
+      .delete(`${API_ROUTE}/users/me/sessions`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(204);
+
+    expect((await getMe(token)).status).toBe(401);
+    expect((await getMe(otherToken)).status).toBe(401);
+  });
+
+  test('an access token without session is rejected', async () => {
+    const legacyToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
+      expiresIn: '1h',
+    });
+
+    expect((await getMe(legacyToken)).status).toBe(401);
+  });
+});
@@ -2,3 +2,5 @@
  * The test setting up file.
  * @module testSetup
  */
+const dotenv = require('dotenv');
+dotenv.config({ path: `${__dirname}/../config.env` });
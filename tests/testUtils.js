@@ -0,0 +1,101 @@
+/**
+ * Utilities functions shared by the test suites.
+ * @module testUtils
+ */
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/userModel');
+const { createSession } = require('../utils/sessions');
+const { ATTEMPT_STORE } = require('../utils/globals');
+
+const {
+  env: {
+    UNAME,
+    PASSWORD,
+    HOST,
+    DATABASE,
+    TEST_DATABASE,
+    CONNECTION_STRING,
+    JWT_SECRET,
+  },
+} = process;
+
+/**
+ * Function used to connect to the test database (TEST_DATABASE, or the application database suffixed by -test if not specified).
+ */
+exports.connectDB = async () => {
+  const DB_CONNECTION = CONNECTION_STRING.replace('<UNAME>', UNAME)
+    .replace('<PASSWORD>', PASSWORD)
+    .replace('<HOST>', HOST)
+    .replace('<DATABASE>', TEST_DATABASE || `${DATABASE}-test`);
+
+  await mongoose.connect(DB_CONNECTION);
+};
+
+/**
+ * Function used to empty all the collections of the test database, and forget the failed attempts kept in memory.
+ */
+exports.clearDB = async () => {
+  const collections = await mongoose.connection.db.collections();
+
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+  await ATTEMPT_STORE.clear();
+};
+
+/**
+ * Function used to close the connection to the test database.
+ */
+exports.disconnectDB = async () => {
+  await mongoose.connection.close();
+};
+
+/**
+ * Function used to open a session for an user, as if he logged in from a test device.
+ * @param {mongoose.Types.ObjectId} id The id of the user.
+ * @returns {Promise<string[]>} The jwt access token and the refresh token of the session.
+ */
+exports.createTestSession = async id => {
+  const [session, refreshToken] = await createSession(
+    { get: () => 'jest', ip: '127.0.0.1' },
+    id,
+  );
+
+  return [
+    jwt.sign({ id, sid: session._id }, JWT_SECRET, { expiresIn: '1h' }),
+    refreshToken,
+  ];
+};
+
+/**
+ * Function used to generate a valid jwt authentication token for an user.
+ * @param {mongoose.Types.ObjectId} id The id of the user.
+ * @returns {Promise<string>} The generated jwt token.
+ */
+exports.signToken = async id => {
+  const [token] = await exports.createTestSession(id);
+
+  return token;
+};
+
+/**
+ * Valid password used to create the test users.
+ * @type {string}
+ */
+exports.TEST_PASSWORD = 'Test1234!';
+
+/**
+ * Function used to create a new confirmed user in the test database.
+ * @param {string} email The email of the user.
+ * @param {string} role The role of the user.
+ * @param {Object} fields The other fields of the user (i.e. a phone number).
+ * @returns {Promise<User>} The created user.
+ */
+exports.createUser = (email, role = 'client', fields = {}) =>
+  User.create({
+    ...fields,
+    email,
+    role,
+    password: exports.TEST_PASSWORD,
+    passwordConfirm: exports.TEST_PASSWORD,
+    isConfirmed: true,
+  });
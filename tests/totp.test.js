@@ -0,0 +1,208 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/userModel');
+const { API_ROUTE, TOTP_PERIOD } = require('../utils/globals');
+const { generateTotpCode, verifyTotpCode } = require('../utils/totp');
+const {
+  connectDB,
+  clearDB,
+  disconnectDB,
+  signToken,
+  TEST_PASSWORD,
+} = require('./testUtils');
+
+/**
+ * Function used to get the TOTP code of a time step close to the current one.
+ * @param {string} secret The base32 encoded secret.
+ * @param {number} delta The difference with the current time step.
+ * @returns {string} The code.
+ */
+const getCode = (secret, delta = 0) =>
+  generateTotpCode(secret, Math.floor(Date.now() / 1000 / TOTP_PERIOD) + delta);
+
+/**
+ * Function used to enable the two-factor authentication of an user.
+ * @param {string} token The access token of the user.
+ * @returns {Promise<Array>} The secret and the recovery codes of the user.
+ */
+const enableTotp = async token => {
+  const {
+    body: {
+      data: { secret },
+    },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/me/totp`)
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200);
+
+  const {
+    body: {
+      data: { recoveryCodes },
+    },
+  } = await request(app)
+    .post(`${API_ROUTE}/users/me/totp/activate`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code: getCode(secret, -1) })
+    .expect(200);
+
+  return [secret, recoveryCodes];
+};
+
+/**
+ * Function used to sign in an user.
+ * @param {string} email The email of the user.
+ * @returns {Promise<import('supertest').Response>} The response of the signin request.
+ */
+const signin = email =>
+  request(app)
+    .post(`${API_ROUTE}/users/signin`)
+    .send({ email, password: TEST_PASSWORD });
+
+/**
+ * Function used to confirm a signin with the authenticator app.
+ * @param {string} token The pre-authentication token.
+ * @param {Object} body The code or the recovery code typed by the user.
+ * @returns {Promise<import('supertest').Response>} The response of the confirmation request.
+ */
+const confirmTotp = (token, body) =>
+  request(app)
+    .post(`${API_ROUTE}/users/confirm-totp`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+describe('TOTP codes', () => {
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  test('the codes match the test vectors of the RFC 6238', () => {
+    expect(generateTotpCode(secret, Math.floor(59 / TOTP_PERIOD))).toBe(
+      '287082',
+    );
+    expect(generateTotpCode(secret, Math.floor(1111111109 / TOTP_PERIOD))).toBe(
+      '081804',
+    );
+    expect(generateTotpCode(secret, Math.floor(1234567890 / TOTP_PERIOD))).toBe(
+      '005924',
+    );
+  });
+
+  test('a code is only accepted once', () => {
+    const timestep = verifyTotpCode(secret, '287082', -1, 59000);
+
+    expect(timestep).toBe(1);
+    expect(verifyTotpCode(secret, '287082', timestep, 59000)).toBeNull();
+  });
+});
+
+describe('Two-factor authentication', () => {
+  let user;
+  let token;
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  beforeEach(async () => {
+    await clearDB();
+
+    user = await User.create({
+      email: 'user@example.com',
+      phone: '+41791235000',
+      password: TEST_PASSWORD,
+      passwordConfirm: TEST_PASSWORD,
+      isConfirmed: true,
+    });
+    token = await signToken(user._id);
+  });
+
+  afterAll(async () => {
+    await clearDB();
+    await disconnectDB();
+  });
+
+  test('the signin is confirmed with the authenticator app once enabled', async () => {
+    const [secret, recoveryCodes] = await enableTotp(token);
+
+    expect(recoveryCodes).toHaveLength(10);
+
+    const signinRes = await signin(user.email);
+
+    expect(signinRes.status).toBe(200);
+    expect(signinRes.body.secondFactor).toBe('totp');
+    expect(signinRes.body.token).toBeUndefined();
+
+    const { preAuthToken } = signinRes.body;
+
+    // The code used for the activation is refused
+    expect(
+      (await confirmTotp(preAuthToken, { code: getCode(secret, -1) })).status,
+    ).toBe(401);
+
+    const res = await confirmTotp(preAuthToken, { code: getCode(secret) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+
+    // A code can't be used twice
+    expect(
+      (await confirmTotp(preAuthToken, { code: getCode(secret) })).status,
+    ).toBe(401);
+  });
+
+  test('a recovery code can only be used once', async () => {
+    const [, [recoveryCode]] = await enableTotp(token);
+
+    const {
+      body: { preAuthToken },
+    } = await signin(user.email);
+
+    const res = await confirmTotp(preAuthToken, { recoveryCode });
+
+    expect(res.status).toBe(200);
+    expect(res.body.recoveryCodesLeft).toBe(9);
+
+    expect((await confirmTotp(preAuthToken, { recoveryCode })).status).toBe(
+      401,
+    );
+  });
+
+  test('the two-factor authentication can be disabled', async () => {
+    const [secret] = await enableTotp(token);
+
+    await request(app)
+      .delete(`${API_ROUTE}/users/me/totp`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: getCode(secret) })
+      .expect(204);
+
+    const signinRes = await signin(user.email);
+
+    expect(signinRes.body.secondFactor).toBe('pin');
+  });
+
+  test('the admins must enable the two-factor authentication', async () => {
+    await User.updateOne({ _id: user._id }, { role: 'admin' });
+
+    const otherUser = await User.create({
+      email: 'other@example.com',
+      password: TEST_PASSWORD,
+      passwordConfirm: TEST_PASSWORD,
+      isConfirmed: true,
+    });
+    const setRole = () =>
+      request(app)
+        .patch(`${API_ROUTE}/users/${otherUser._id}/role`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'provider' });
+
+    const res = await setRole();
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe(
+      'Please enable the two-factor authentication with an authenticator app to perform this action.',
+    );
+
+    await enableTotp(token);
+
+    expect((await setRole()).status).not.toBe(403);
+  });
+});
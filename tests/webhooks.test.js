@@ -0,0 +1,91 @@
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/userModel');
+const Webhook = require('../models/webhookModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const { API_ROUTE } = require('../utils/globals');
+const { retryDeliveries } = require('../utils/webhooks');
+const {
+  connectDB,
+  clearDB,
+  disconnectDB,
+  signToken,
+  TEST_PASSWORD,
+} = require('./testUtils');
+
+describe('Webhooks', () => {
+  let user;
+  let token;
+
+  beforeAll(async () => {
+    await connectDB();
+  });
+
+  beforeEach(async () => {
+    await clearDB();
+
+    user = await User.create({
+      email: 'user@example.com',
+      password: TEST_PASSWORD,
+      passwordConfirm: TEST_PASSWORD,
+      isConfirmed: true,
+    });
+    token = await signToken(user._id);
+  });
+
+  afterAll(async () => {
+    await clearDB();
+    await disconnectDB();
+    jest.restoreAllMocks();
+  });
+
+  test('the webhooks pointing to an internal address are refused', async () => {
+    const urls = [
+      'http://169.254.169.254/latest/meta-data',
+      'http://127.0.0.1:8086/write',
+      'http://10.0.0.12/hook',
+      'http://[::1]/hook',
+      'http://localhost/hook',
+    ];
+
+    const responses = await Promise.all(
+      urls.map(url =>
+        request(app)
+          .post(`${API_ROUTE}/users/me/webhooks`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ url, events: ['parking.validated'] }),
+      ),
+    );
+
+    responses.forEach(({ status }) => expect(status).toBe(400));
+    expect(await Webhook.countDocuments()).toBe(0);
+  });
+
+  test('overlapping retries only post a due delivery once', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+
+    const webhook = await Webhook.create({
+      user: user._id,
+      url: 'https://1.1.1.1/hook',
+      events: ['parking.validated'],
+    });
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      user: user._id,
+      eventId: 'evt_test',
+      eventType: 'parking.validated',
+      payload: { id: 'evt_test' },
+      attempts: 1,
+      nextAttemptDate: Date.now() - 1000,
+    });
+
+    const retried = await Promise.all([retryDeliveries(), retryDeliveries()]);
+
+    expect(retried[0] + retried[1]).toBe(1);
+    expect(post).toHaveBeenCalledTimes(1);
+    expect((await WebhookDelivery.findById(delivery._id)).status).toBe(
+      'succeeded',
+    );
+  });
+});
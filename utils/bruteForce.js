@@ -0,0 +1,103 @@
+/**
+ * Functions related to the protection of the sign-in and PIN confirmation against the brute-force attacks.
+ * @module bruteForce
+ */
+const AppError = require('./classes/AppError');
+const Email = require('./classes/Email');
+const User = require('../models/userModel');
+const { ACCOUNT_GUARD, IP_GUARD } = require('./globals');
+
+/**
+ * Function used to get the identifier of the failed attempts on an account, counted separately for each IP address so that nobody can lock the account of another user.
+ * @param {import('express').Request} req The request object of the Express framework, used to get the IP address of the client.
+ * @param {string} email The email of the account.
+ * @returns {string[]} The identifier of the account attempts.
+ */
+const getAccountId = (req, email) => [email, req.ip];
+
+/**
+ * Async function used to get the error returned to a client whose attempts are delayed or locked, by account or by IP address.
+ * @param {import('express').Request} req The request object of the Express framework, used to get the IP address of the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to set the Retry-After header.
+ * @param {string} email The email of the targeted account.
+ * @returns {Promise<AppError|null>} The throttling error, or null if the attempt is allowed.
+ */
+exports.getThrottleError = async (req, res, email) => {
+  const [accountState, ipState] = await Promise.all([
+    email
+      ? ACCOUNT_GUARD.getState(getAccountId(req, email))
+      : { retryAfter: 0 },
+    IP_GUARD.getState(req.ip),
+  ]);
+  const retryAfter = Math.max(accountState.retryAfter, ipState.retryAfter);
+
+  if (!retryAfter) return null;
+
+  res.set('Retry-After', `${Math.ceil(retryAfter / 1000)}`);
+
+  const minutes = Math.ceil(retryAfter / 60000);
+
+  if (accountState.isLocked)
+    return new AppError(
+      `This account is temporarily locked after too many failed attempts. Please retry in ${minutes} minutes.`,
+      429,
+    );
+
+  if (ipState.isLocked)
+    return new AppError(
+      `Too many failed attempts from your IP address. Please retry in ${minutes} minutes.`,
+      429,
+    );
+
+  return new AppError(
+    `Too many failed attempts. Please wait ${Math.ceil(
+      retryAfter / 1000,
+    )} seconds before retrying.`,
+    429,
+  );
+};
+
+/**
+ * Async function used to count a failed attempt on an account and from an IP address, notifying the user by email if his account gets locked.
+ * @param {import('express').Request} req The request object of the Express framework, used to get the IP address of the client.
+ * @param {string} email The email of the targeted account.
+ */
+exports.registerFailedAttempt = async (req, email) => {
+  const [{ isLocked }] = await Promise.all([
+    email
+      ? ACCOUNT_GUARD.registerFailure(getAccountId(req, email))
+      : { isLocked: false },
+    IP_GUARD.registerFailure(req.ip),
+  ]);
+
+  if (!isLocked) return;
+
+  const user = await User.findOne({ email }, null, {
+    disableMiddlewares: true,
+  });
+
+  if (!user) return;
+
+  try {
+    await new Email(user).sendAccountLocked(
+      ACCOUNT_GUARD.lockoutDuration / 60000,
+    );
+  } catch (err) {
+    console.error('Error while trying to send the account lock email.');
+    console.error(err);
+  }
+};
+
+/**
+ * Async function used to forget the failed attempts on an account from the IP address of a client, after a successful sign-in.
+ * @param {import('express').Request} req The request object of the Express framework, used to get the IP address of the client.
+ * @param {string} email The email of the account.
+ */
+exports.resetFailedAttempts = (req, email) =>
+  ACCOUNT_GUARD.reset(getAccountId(req, email));
+
+/**
+ * Async function used to forget the failed attempts on an account from every IP address, after an unlock by an admin.
+ * @param {string} email The email of the account.
+ */
+exports.unlockAccount = email => ACCOUNT_GUARD.resetAll(email);
@@ -0,0 +1,71 @@
+/**
+ * AttemptStore module, containing the AttemptStore prototype function defining the interface of the stores of failed attempts.
+ * @module AttemptStore
+ */
+
+/**
+ * The representation of the failed attempts of a key (i.e. an account or an IP address)
+ * @typedef AttemptRecord
+ * @property {number} failures The number of failed attempts since the last reset or lockout.
+ * @property {Date} nextAttemptDate The moment before which no new attempt is allowed (progressive delay).
+ * @property {Date} lockedUntil The end of the lockout of the key.
+ * @property {Date} expirationDate The moment the record is forgotten if no new failure happens.
+ */
+
+/**
+ * AttemptStore prototype function, defining the operations every store of failed attempts (MongoDB, memory...) has to implement.
+ */
+class AttemptStore {
+  /**
+   * Async function used to get the failed attempts of a key.
+   * @param {string} key The key.
+   * @returns {Promise<AttemptRecord|null>} The record of the key, or null if it doesn't exist or has expired.
+   */
+  async get(key) {
+    throw new Error('get is not implemented.');
+  }
+
+  /**
+   * Async function used to atomically count a new failed attempt of a key, starting a new record if the previous one has expired.
+   * @param {string} key The key.
+   * @param {number} window The duration (in ms) after which the record expires if no new failure happens.
+   * @returns {Promise<AttemptRecord>} The updated record.
+   */
+  async increment(key, window) {
+    throw new Error('increment is not implemented.');
+  }
+
+  /**
+   * Async function used to update the fields of the record of a key.
+   * @param {string} key The key.
+   * @param {Object} fields The updated fields.
+   */
+  async update(key, fields) {
+    throw new Error('update is not implemented.');
+  }
+
+  /**
+   * Async function used to forget the failed attempts of a key.
+   * @param {string} key The key.
+   */
+  async delete(key) {
+    throw new Error('delete is not implemented.');
+  }
+
+  /**
+   * Async function used to forget the failed attempts of all the keys starting with a prefix.
+   * @param {string} prefix The prefix of the keys.
+   */
+  async deleteByPrefix(prefix) {
+    throw new Error('deleteByPrefix is not implemented.');
+  }
+
+  /**
+   * Async function used to forget all the failed attempts.
+   */
+  async clear() {
+    throw new Error('clear is not implemented.');
+  }
+}
+
+module.exports = AttemptStore;
@@ -0,0 +1,168 @@
+/**
+ * BruteForceGuard module, containing the BruteForceGuard prototype function used to slow down and lock the clients guessing credentials.
+ * @module BruteForceGuard
+ */
+
+/**
+ * The throttling state of a key
+ * @typedef GuardState
+ * @property {boolean} isLocked True if the key is locked, false if it only has to wait before its next attempt.
+ * @property {number} retryAfter The time (in ms) to wait before the next attempt is allowed, 0 if it is allowed right now.
+ */
+
+/**
+ * BruteForceGuard prototype function, counting the failed attempts of a kind of key (account, IP address...) in a store.
+ * After some free failures, each new failure delays the next allowed attempt twice as long as the previous one, until the key gets temporarily locked.
+ */
+class BruteForceGuard {
+  /**
+   * Constructor function used to generate a new instance of a BruteForceGuard object.
+   * @param {import('./AttemptStore')} store The store of the failed attempts.
+   * @param {Object} options The options of the guard.
+   * @param {string} options.prefix The prefix of the keys in the store (i.e. account, ip).
+   * @param {number} options.freeFailures The number of failures allowed without any delay.
+   * @param {number} options.maxFailures The number of failures locking the key.
+   * @param {number} options.baseDelay The delay (in ms) following the first failure after the free ones.
+   * @param {number} options.maxDelay The maximal delay (in ms) between two attempts.
+   * @param {number} options.lockoutDuration The duration (in ms) of a lockout.
+   * @param {number} options.window The duration (in ms) after which the failures are forgotten if no new one happens.
+   */
+  constructor(
+    store,
+    {
+      prefix,
+      freeFailures,
+      maxFailures,
+      baseDelay,
+      maxDelay,
+      lockoutDuration,
+      window,
+    },
+  ) {
+    /**
+     * @private
+     * @readonly
+     */
+    this.store = store;
+    /**
+     * @private
+     * @readonly
+     */
+    this.prefix = prefix;
+    /**
+     * @private
+     * @readonly
+     */
+    this.freeFailures = freeFailures;
+    /**
+     * @private
+     * @readonly
+     */
+    this.maxFailures = maxFailures;
+    /**
+     * @private
+     * @readonly
+     */
+    this.baseDelay = baseDelay;
+    /**
+     * @private
+     * @readonly
+     */
+    this.maxDelay = maxDelay;
+    /**
+     * @public
+     * @readonly
+     */
+    this.lockoutDuration = lockoutDuration;
+    /**
+     * @private
+     * @readonly
+     */
+    this.window = window;
+  }
+
+  /**
+   * Function used to get the key of an identifier in the store.
+   * @param {string|string[]} id The identifier (i.e. the email of an account, an IP address), or its parts (i.e. an account and an IP address).
+   * @returns {string} The key.
+   * @private
+   */
+  getKey(id) {
+    return `${this.prefix}:${[]
+      .concat(id)
+      .map(part => `${part}`.trim().toLowerCase())
+      .join('|')}`;
+  }
+
+  /**
+   * Async function used to get the throttling state of an identifier.
+   * @param {string|string[]} id The identifier.
+   * @returns {Promise<GuardState>} The state of the identifier.
+   */
+  async getState(id) {
+    const record = await this.store.get(this.getKey(id));
+    const now = Date.now();
+
+    if (record?.lockedUntil > now)
+      return { isLocked: true, retryAfter: record.lockedUntil - now };
+
+    if (record?.nextAttemptDate > now)
+      return { isLocked: false, retryAfter: record.nextAttemptDate - now };
+
+    return { isLocked: false, retryAfter: 0 };
+  }
+
+  /**
+   * Async function used to count a failed attempt of an identifier, delaying or locking its next attempts.
+   * @param {string|string[]} id The identifier.
+   * @returns {Promise<GuardState>} The new state of the identifier, isLocked being only true if this failure locked it.
+   */
+  async registerFailure(id) {
+    const key = this.getKey(id);
+    const { failures } = await this.store.increment(key, this.window);
+    const now = Date.now();
+
+    if (failures >= this.maxFailures) {
+      const lockedUntil = new Date(now + this.lockoutDuration);
+
+      await this.store.update(key, {
+        failures: 0,
+        nextAttemptDate: null,
+        lockedUntil,
+        expirationDate: new Date(lockedUntil.getTime() + this.window),
+      });
+
+      return { isLocked: true, retryAfter: this.lockoutDuration };
+    }
+
+    if (failures <= this.freeFailures)
+      return { isLocked: false, retryAfter: 0 };
+
+    const delay = Math.min(
+      this.baseDelay * 2 ** (failures - this.freeFailures - 1),
+      this.maxDelay,
+    );
+
+    await this.store.update(key, { nextAttemptDate: new Date(now + delay) });
+
+    return { isLocked: false, retryAfter: delay };
+  }
+
+  /**
+   * Async function used to forget the failed attempts of an identifier, after a successful attempt or an unlock by an admin.
+   * @param {string|string[]} id The identifier.
+   */
+  async reset(id) {
+    await this.store.delete(this.getKey(id));
+  }
+
+  /**
+   * Async function used to forget the failed attempts of all the identifiers starting with the given parts (i.e. an account from every IP address).
+   * @param {string|string[]} id The first parts of the identifiers.
+   */
+  async resetAll(id) {
+    await this.store.deleteByPrefix(`${this.getKey(id)}|`);
+  }
+}
+
+module.exports = BruteForceGuard;
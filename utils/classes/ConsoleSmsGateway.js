@@ -0,0 +1,55 @@
+/**
+ * ConsoleSmsGateway module, containing the local SMS gateway used in development and in the tests.
+ * @module ConsoleSmsGateway
+ */
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const SmsGateway = require('./SmsGateway');
+
+/**
+ * ConsoleSmsGateway prototype function, used to simulate the sending of SMS without calling any external API.
+ * The messages are kept in memory and appended to an outbox file if one is given, only their recipient being written in the console otherwise.
+ * @extends SmsGateway
+ */
+class ConsoleSmsGateway extends SmsGateway {
+  /**
+   * Constructor function used to generate a new instance of a ConsoleSmsGateway object.
+   * @param {string} outboxFile The path of the file the messages are appended to (one JSON object per line), or undefined to only keep them in memory.
+   */
+  constructor(outboxFile) {
+    super();
+    /**
+     * @private
+     * @readonly
+     */
+    this.outboxFile = outboxFile;
+    /**
+     * @public
+     * @readonly
+     */
+    this.messages = [];
+  }
+
+  async sendSms(to, body) {
+    const message = {
+      id: `SM_fake_${crypto.randomBytes(12).toString('hex')}`,
+      to,
+      body,
+      date: new Date(),
+    };
+
+    this.messages.push(message);
+
+    if (this.outboxFile)
+      await fs.appendFile(this.outboxFile, `${JSON.stringify(message)}\n`);
+    // The content of the messages (i.e. PIN codes) is never written in the logs
+    else if (process.env.NODE_ENV !== 'test')
+      console.log(
+        `SMS ${message.id} to ${to} (set SMS_OUTBOX_FILE to read its content).`,
+      );
+
+    return { id: message.id, status: 'sent' };
+  }
+}
+
+module.exports = ConsoleSmsGateway;
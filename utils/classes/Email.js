@@ -60,9 +60,11 @@ class Email {
    * Async Function used to send a specific template file email to the requested user.
    * @param {string} template The template ejs file we want to send as an email.
    * @param {string} subject The subject of the email.
+   * @param {Object} extraData The additional dynamic data passed to the template.
+   * @param {Object[]} attachments The files attached to the email (nodemailer attachments format).
    * @private
    */
-  async send(template, subject, extraData = {}) {
+  async send(template, subject, extraData = {}, attachments = []) {
     const { to, from, name, url } = this;
     // Render the HTML based on a pub template
     const html = await ejs.renderFile(
@@ -83,6 +85,7 @@ class Email {
       subject,
       html,
       text: htmlToText(html),
+      attachments,
     };
 
     // Create a transport and send email
@@ -113,6 +116,28 @@ class Email {
     );
   }
 
+  /**
+   * Async function used to send a PIN code to a user who didn't provide any phone number.
+   * @param {number} pinCode the PIN code the user has to type.
+   * @param {number} validity the validity of the PIN code (in minutes).
+   */
+  async sendPinCode(pinCode, validity) {
+    await this.send('pinCode', "Your Park'N'Share PIN code", {
+      pinCode,
+      validity,
+    });
+  }
+
+  /**
+   * Async function used to warn a user that his account was locked after too many failed sign-in attempts.
+   * @param {number} validity the duration of the lockout (in minutes).
+   */
+  async sendAccountLocked(validity) {
+    await this.send('accountLocked', "Your Park'N'Share account was locked", {
+      validity,
+    });
+  }
+
   /**
    * Async function used to send a confirmation to a provider that his parking request was validated by an admin.
    */
@@ -142,11 +167,41 @@ class Email {
   /**
    * Async function used to send to the owner of a parking that an user has ended the reservation of his parking.
    * @param {string} username the username of the user that has ended the reservation of the parking
+   * @param {import('../../models/invoiceModel').Invoice} invoice the invoice of the finished occupation
+   * @param {Buffer} invoicePdf the invoice of the finished occupation rendered in PDF, attached to the email
    */
-  async sendParkingEndReservation(username) {
+  async sendParkingEndReservation(username, invoice, invoicePdf) {
     await this.send(
       'parkingEndReservation',
       `${username} has ended the reservation of your parking.`,
+      { invoiceNumber: invoice?.number },
+      invoicePdf
+        ? [
+            {
+              filename: `invoice-${invoice.number}.pdf`,
+              content: invoicePdf,
+              contentType: 'application/pdf',
+            },
+          ]
+        : [],
+    );
+  }
+
+  /**
+   * Async function used to send to the owner of a parking that its thingy reported an incident on it.
+   * @param {string} parkingSpot the name of the parking.
+   * @param {import('../../models/incidentModel').Incident} incident the opened incident.
+   */
+  async sendParkingIncident(parkingSpot, incident) {
+    await this.send(
+      'parkingIncident',
+      `An incident was detected on your parking ${parkingSpot}.`,
+      {
+        parkingSpot,
+        incidentID: incident._id,
+        incidentType: incident.type,
+        detectionDateTime: incident.detectionDate,
+      },
     );
   }
 }
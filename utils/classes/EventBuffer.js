@@ -0,0 +1,58 @@
+/**
+ * EventBuffer module, containing the ring buffer keeping the last events published on the event bus.
+ * @module EventBuffer
+ */
+
+/**
+ * EventBuffer prototype function, used to keep a fixed number of the last published events in memory, such that the clients of the event streams
+ * can receive the events they missed while they were reconnecting.
+ */
+class EventBuffer {
+  /**
+   * Constructor function used to generate a new instance of an EventBuffer object.
+   * @param {number} capacity The maximum number of events kept in the buffer.
+   */
+  constructor(capacity) {
+    /**
+     * @private
+     * @readonly
+     */
+    this.capacity = capacity;
+    /**
+     * @private
+     */
+    this.events = [];
+    /**
+     * @private
+     */
+    this.oldest = 0;
+  }
+
+  /**
+   * Function used to add an event in the buffer, overwriting the oldest one if the buffer is full.
+   * @param {import('./EventBus').BusEvent} event The added event.
+   */
+  push(event) {
+    if (this.events.length < this.capacity) {
+      this.events.push(event);
+      return;
+    }
+
+    this.events[this.oldest] = event;
+    this.oldest = (this.oldest + 1) % this.capacity;
+  }
+
+  /**
+   * Function used to retrieve the buffered events published after a given event, from the oldest to the newest.
+   * @param {number} lastId The id of the last event received by the client.
+   * @returns {import('./EventBus').BusEvent[]} The events published after the given one.
+   */
+  since(lastId) {
+    return [
+      ...this.events.slice(this.oldest),
+      ...this.events.slice(0, this.oldest),
+    ].filter(({ id }) => id > lastId);
+  }
+}
+
+module.exports = EventBuffer;
@@ -0,0 +1,99 @@
+/**
+ * EventBus module, containing the in-process bus on which the parking events of the application are published.
+ * @module EventBus
+ */
+const EventEmitter = require('events');
+
+/**
+ * The representation of an event published on the bus
+ * @typedef BusEvent
+ * @property {number} id The increasing id of the event, used by the clients to resume a stream.
+ * @property {string} type The type of the event (i.e. parking:occupancy, reservation:start).
+ * @property {string} parking The id of the parking concerned by the event.
+ * @property {string} owner The id of the owner of the parking, if the event is only addressed to him.
+ * @property {Object} data The content of the event.
+ * @property {Date} date The moment where the event was published.
+ */
+
+/**
+ * EventBus prototype function, used to decouple the parts of the application that produce the parking events (reservations, sensors)
+ * from the channels that forward them to the clients. Each event is emitted under its type and under the generic event name.
+ * @extends EventEmitter
+ */
+class EventBus extends EventEmitter {
+  /**
+   * Constructor function used to generate a new instance of an EventBus object.
+   */
+  constructor() {
+    super();
+    // Every real-time channel listens to the bus
+    this.setMaxListeners(0);
+    // Starting from the current time keeps the ids increasing across the restarts of the server
+    /**
+     * @private
+     */
+    this.lastId = Date.now();
+  }
+
+  /**
+   * Function used to publish an event on the bus.
+   * @param {string} type The type of the event.
+   * @param {{parking: *, owner?: *, data?: Object}} content The parking and owner concerned by the event, and its content.
+   * @returns {BusEvent} The published event.
+   */
+  publish(type, { parking, owner, data = {} }) {
+    this.lastId += 1;
+
+    const event = {
+      id: this.lastId,
+      type,
+      parking: `${parking}`,
+      owner: owner ? `${owner}` : undefined,
+      data,
+      date: new Date(),
+    };
+
+    this.emit(type, event);
+    this.emit('event', event);
+
+    return event;
+  }
+
+  /**
+   * Function used to publish the change of the occupancy of a parking.
+   * @param {*} parking The id of the parking.
+   * @param {boolean} isOccupied The new occupancy of the parking.
+   * @returns {BusEvent} The published event.
+   */
+  publishOccupancy(parking, isOccupied) {
+    return this.publish('parking:occupancy', { parking, data: { isOccupied } });
+  }
+
+  /**
+   * Function used to publish a step of the lifecycle of a reservation to the owner of its parking.
+   * @param {string} step The step of the reservation (start, confirm or end).
+   * @param {import('../../models/occupationModel').Occupation} occupation The occupation of the reservation.
+   * @param {*} owner The id of the owner of the parking.
+   * @returns {BusEvent} The published event.
+   */
+  publishReservation(step, occupation, owner) {
+    const { _id, parking, client, start, end, bill, status } = occupation;
+
+    return this.publish(`reservation:${step}`, {
+      parking: parking._id || parking,
+      owner,
+      data: {
+        occupation: {
+          _id,
+          client: client?._id || client,
+          start,
+          end,
+          bill,
+          status,
+        },
+      },
+    });
+  }
+}
+
+module.exports = EventBus;
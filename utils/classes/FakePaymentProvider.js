@@ -0,0 +1,129 @@
+/**
+ * FakePaymentProvider module, containing the in-memory payment provider used in development and in the tests.
+ * @module FakePaymentProvider
+ */
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const AppError = require('./AppError');
+
+/**
+ * Payment method ids that are declined by the fake payment provider, reproducing the test cards of Stripe.
+ * @type {string[]}
+ */
+const DECLINED_PAYMENT_METHODS = [
+  'pm_card_chargeDeclined',
+  'pm_card_chargeDeclinedInsufficientFunds',
+];
+
+/**
+ * FakePaymentProvider prototype function, used to simulate a payment provider in memory without calling any external API.
+ * @extends PaymentProvider
+ */
+class FakePaymentProvider extends PaymentProvider {
+  /**
+   * Constructor function used to generate a new instance of a FakePaymentProvider object.
+   * @param {string} [webhookSecret] The secret used to sign the simulated webhook events, all the webhooks being refused without it.
+   */
+  constructor(webhookSecret) {
+    super(webhookSecret);
+    /**
+     * @public
+     * @readonly
+     */
+    this.intents = new Map();
+    /**
+     * @public
+     * @readonly
+     */
+    this.refunds = new Map();
+  }
+
+  /**
+   * Function used to generate a random id for a simulated object.
+   * @param {string} prefix The prefix of the id.
+   * @returns {string} The generated id.
+   * @private
+   */
+  generateId(prefix) {
+    return `${prefix}_fake_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  /**
+   * Function used to retrieve a simulated payment intent.
+   * @param {string} id The id of the payment intent.
+   * @returns {import('./PaymentProvider').PaymentIntent} The requested payment intent.
+   * @private
+   */
+  getIntent(id) {
+    const intent = this.intents.get(id);
+
+    if (!intent) throw new AppError(`No such payment intent: ${id}.`, 404);
+
+    return intent;
+  }
+
+  async createPaymentIntent({ amount, paymentMethod, capture }) {
+    if (!paymentMethod || DECLINED_PAYMENT_METHODS.includes(paymentMethod))
+      throw new AppError('Your card was declined.', 402);
+
+    const intent = {
+      id: this.generateId('pi'),
+      status: capture ? 'succeeded' : 'requires_capture',
+      amount,
+      amountReceived: capture ? amount : 0,
+    };
+
+    this.intents.set(intent.id, intent);
+
+    return { ...intent };
+  }
+
+  async capturePaymentIntent(id, amount) {
+    const intent = this.getIntent(id);
+
+    if (intent.status !== 'requires_capture' || amount > intent.amount)
+      throw new AppError('This payment intent cannot be captured.', 400);
+
+    intent.status = 'succeeded';
+    intent.amountReceived = amount;
+
+    return { ...intent };
+  }
+
+  async cancelPaymentIntent(id) {
+    const intent = this.getIntent(id);
+
+    if (intent.status !== 'requires_capture')
+      throw new AppError('This payment intent cannot be cancelled.', 400);
+
+    intent.status = 'canceled';
+
+    return { ...intent };
+  }
+
+  async refundPaymentIntent(id, amount) {
+    const intent = this.getIntent(id);
+    const refunded = [...this.refunds.values()]
+      .filter(refund => refund.paymentIntent === id)
+      .reduce((total, refund) => total + refund.amount, 0);
+
+    if (
+      intent.status !== 'succeeded' ||
+      refunded + amount > intent.amountReceived
+    )
+      throw new AppError('This payment intent cannot be refunded.', 400);
+
+    const refund = {
+      id: this.generateId('re'),
+      status: 'succeeded',
+      amount,
+      paymentIntent: id,
+    };
+
+    this.refunds.set(refund.id, refund);
+
+    return { ...refund };
+  }
+}
+
+module.exports = FakePaymentProvider;
@@ -0,0 +1,70 @@
+/**
+ * MemoryAttemptStore module, containing the in-memory store of failed attempts used in the tests.
+ * @module MemoryAttemptStore
+ */
+const AttemptStore = require('./AttemptStore');
+
+/**
+ * MemoryAttemptStore prototype function, keeping the failed attempts in the memory of the process.
+ * The counters are lost at restart and not shared between instances, so it should only be used in development and in the tests.
+ * @extends AttemptStore
+ */
+class MemoryAttemptStore extends AttemptStore {
+  /**
+   * Constructor function used to generate a new instance of a MemoryAttemptStore object.
+   */
+  constructor() {
+    super();
+    /**
+     * @private
+     * @readonly
+     */
+    this.records = new Map();
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+
+    if (!record) return null;
+
+    if (record.expirationDate <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+
+    return { ...record };
+  }
+
+  async increment(key, window) {
+    const record = (await this.get(key)) || { failures: 0 };
+
+    record.failures += 1;
+    record.expirationDate = new Date(
+      Math.max(Date.now() + window, record.lockedUntil || 0),
+    );
+    this.records.set(key, record);
+
+    return { ...record };
+  }
+
+  async update(key, fields) {
+    const record = this.records.get(key);
+
+    if (record) this.records.set(key, { ...record, ...fields });
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  async deleteByPrefix(prefix) {
+    for (const key of this.records.keys())
+      if (key.startsWith(prefix)) this.records.delete(key);
+  }
+
+  async clear() {
+    this.records.clear();
+  }
+}
+
+module.exports = MemoryAttemptStore;
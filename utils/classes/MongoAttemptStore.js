@@ -0,0 +1,65 @@
+/**
+ * MongoAttemptStore module, containing the store of failed attempts persisted in the database.
+ * @module MongoAttemptStore
+ */
+const Attempt = require('../../models/attemptModel');
+const AttemptStore = require('./AttemptStore');
+
+/**
+ * MongoAttemptStore prototype function, keeping the failed attempts in the Attempt collection, shared between all the instances of the API.
+ * @extends AttemptStore
+ */
+class MongoAttemptStore extends AttemptStore {
+  async get(key) {
+    return Attempt.findOne({ key, expirationDate: { $gt: Date.now() } }).lean();
+  }
+
+  async increment(key, window) {
+    const now = new Date();
+    const isActive = { $gt: ['$expirationDate', now] };
+
+    // Pipeline update, resetting the counters of an expired record in the same atomic operation
+    return Attempt.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            failures: {
+              $cond: [isActive, { $add: ['$failures', 1] }, 1],
+            },
+            nextAttemptDate: {
+              $cond: [isActive, '$nextAttemptDate', null],
+            },
+            lockedUntil: { $cond: [isActive, '$lockedUntil', null] },
+            expirationDate: {
+              $max: [
+                new Date(now.getTime() + window),
+                { $ifNull: ['$lockedUntil', now] },
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true },
+    ).lean();
+  }
+
+  async update(key, fields) {
+    await Attempt.updateOne({ key }, fields);
+  }
+
+  async delete(key) {
+    await Attempt.deleteOne({ key });
+  }
+
+  async deleteByPrefix(prefix) {
+    // Range on the indexed key instead of a regular expression, the prefix containing user input
+    await Attempt.deleteMany({ key: { $gte: prefix, $lt: `${prefix}\uffff` } });
+  }
+
+  async clear() {
+    await Attempt.deleteMany({});
+  }
+}
+
+module.exports = MongoAttemptStore;
@@ -0,0 +1,438 @@
+/**
+ * MqttIngestion module, containing the service subscribing to the MQTT broker of the thingies and writing their telemetry in InfluxDB.
+ * @module MqttIngestion
+ */
+const EventEmitter = require('events');
+const mqtt = require('mqtt');
+const { Point } = require('@influxdata/influxdb-client');
+
+/**
+ * The representation of a validated reading sent by a thingy
+ * @typedef Reading
+ * @property {string} deviceId The id of the device that sent the reading.
+ * @property {string} appId The id of the property or event, as sent by the device (i.e. TEMP, BUTTON).
+ * @property {string} kind The kind of the reading in the thing description (property or event).
+ * @property {number|boolean|string} value The parsed value of the reading.
+ * @property {Date} timestamp The moment where the reading was measured.
+ */
+
+/**
+ * Placeholder of the device id in the topic templates.
+ * @type {string}
+ */
+const DEVICE_PLACEHOLDER = '{deviceId}';
+
+/**
+ * MqttIngestion prototype function, used to subscribe to the telemetry topics of the thingies, validate their messages against the thing description
+ * and write them in batches in InfluxDB. It emits the connect, offline, subscriptionError, reading, invalid, flush, writeError and drop events during its lifecycle.
+ * The readings that couldn't be written are kept and retried, the oldest ones being dropped beyond the buffer limit.
+ * @extends EventEmitter
+ */
+class MqttIngestion extends EventEmitter {
+  /**
+   * Constructor function used to generate a new instance of a MqttIngestion object.
+   * @param {Object} options The options of the ingestion service.
+   * @param {string} options.brokerUrl The url of the MQTT broker (i.e. mqtt://localhost:1883).
+   * @param {Object} options.thingDescription The thing description the messages are validated against.
+   * @param {import('@influxdata/influxdb-client').WriteApi} options.writeClient The InfluxDB write client the readings are written in.
+   * @param {string} options.topic The topic template of the telemetry messages, containing the {deviceId} placeholder.
+   * @param {string} options.measurement The InfluxDB measurement of the written points.
+   * @param {number} options.batchSize The number of readings after which the pending batch is written.
+   * @param {number} options.flushInterval The maximum delay (in ms) a reading waits in the pending batch before being written.
+   * @param {number} options.retryDelay The delay (in ms) before writing again the readings of a failed write.
+   * @param {number} options.maxPending The maximum number of readings kept while InfluxDB can't be written, the oldest ones being dropped beyond it.
+   * @param {number} options.minReconnectDelay The delay (in ms) before the first reconnection attempt.
+   * @param {number} options.maxReconnectDelay The maximum delay (in ms) between two reconnection attempts.
+   * @param {import('mqtt').IClientOptions} options.mqttOptions Additional options given to the MQTT client (credentials, client id...).
+   */
+  constructor({
+    brokerUrl,
+    thingDescription,
+    writeClient,
+    topic = `things/${DEVICE_PLACEHOLDER}/messages`,
+    measurement = 'thingy91',
+    batchSize = 10,
+    flushInterval = 1000,
+    retryDelay = 5000,
+    maxPending = 10000,
+    minReconnectDelay = 1000,
+    maxReconnectDelay = 30000,
+    mqttOptions = {},
+  }) {
+    super();
+    if (!topic.includes(DEVICE_PLACEHOLDER))
+      throw new Error(
+        `The topic template must contain the ${DEVICE_PLACEHOLDER} placeholder.`,
+      );
+    /**
+     * @private
+     * @readonly
+     */
+    this.brokerUrl = brokerUrl;
+    /**
+     * @private
+     * @readonly
+     */
+    this.writeClient = writeClient;
+    /**
+     * @private
+     * @readonly
+     */
+    this.measurement = measurement;
+    /**
+     * @private
+     * @readonly
+     */
+    this.batchSize = batchSize;
+    /**
+     * @private
+     * @readonly
+     */
+    this.flushInterval = flushInterval;
+    /**
+     * @private
+     * @readonly
+     */
+    this.retryDelay = retryDelay;
+    /**
+     * @private
+     * @readonly
+     */
+    this.maxPending = maxPending;
+    /**
+     * @private
+     * @readonly
+     */
+    this.minReconnectDelay = minReconnectDelay;
+    /**
+     * @private
+     * @readonly
+     */
+    this.maxReconnectDelay = maxReconnectDelay;
+    /**
+     * @private
+     * @readonly
+     */
+    this.mqttOptions = mqttOptions;
+    /**
+     * @public
+     * @readonly
+     */
+    this.subscription = topic.replace(DEVICE_PLACEHOLDER, '+');
+    /**
+     * @private
+     * @readonly
+     */
+    this.topicLevels = topic.split('/');
+    /**
+     * @private
+     * @readonly
+     */
+    this.schemas = MqttIngestion.getSchemas(thingDescription);
+    /**
+     * @private
+     */
+    this.client = null;
+    /**
+     * @private
+     */
+    this.pending = [];
+    /**
+     * @private
+     */
+    this.flushTimer = null;
+    /**
+     * @private
+     */
+    this.isWriteFailing = false;
+    /**
+     * @private
+     */
+    this.reconnectTimer = null;
+    /**
+     * @public
+     * @readonly
+     */
+    this.reconnectAttempts = 0;
+    /**
+     * @private
+     */
+    this.stopped = true;
+  }
+
+  /**
+   * Function used to extract the schemas of the properties and events of a thing description, indexed by their upper-cased id.
+   * @param {Object} thingDescription The thing description of the devices.
+   * @returns {Map<string, {kind: string, type: string}>} The schemas of the readings accepted by the service.
+   * @private
+   */
+  static getSchemas({ properties: { events = {}, ...properties } = {} }) {
+    return new Map([
+      ...Object.entries(properties).map(([id, { type }]) => [
+        id.toUpperCase(),
+        { kind: 'property', type },
+      ]),
+      ...Object.entries(events).map(([id, { type }]) => [
+        id.toUpperCase(),
+        { kind: 'event', type },
+      ]),
+    ]);
+  }
+
+  /**
+   * Function used to parse the raw value of a reading according to the type declared in the thing description.
+   * @param {string} type The declared type of the reading (number, boolean or string).
+   * @param {*} data The raw value sent by the device.
+   * @returns {number|boolean|string|undefined} The parsed value, or undefined if it doesn't match the declared type.
+   * @private
+   */
+  static parseValue(type, data) {
+    switch (type) {
+      case 'number': {
+        const value =
+          typeof data === 'string' && data.trim() !== '' ? Number(data) : data;
+
+        return Number.isFinite(value) ? value : undefined;
+      }
+      case 'boolean':
+        if ([true, 1, '1', 'true'].includes(data)) return true;
+        if ([false, 0, '0', 'false'].includes(data)) return false;
+
+        return undefined;
+      case 'string':
+        return typeof data === 'string' ? data : undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Function used to retrieve the id of the device that published on a topic.
+   * @param {string} topic The topic of the received message.
+   * @returns {string|null} The id of the device, or null if the topic doesn't match the template.
+   */
+  getDeviceId(topic) {
+    const levels = topic.split('/');
+
+    if (levels.length !== this.topicLevels.length) return null;
+
+    let deviceId = null;
+
+    for (const [i, level] of this.topicLevels.entries()) {
+      if (level === DEVICE_PLACEHOLDER) deviceId = levels[i];
+      else if (level !== levels[i]) return null;
+    }
+
+    return deviceId || null;
+  }
+
+  /**
+   * Function used to validate a message received from the broker against the thing description.
+   * @param {string} topic The topic of the received message.
+   * @param {Buffer|string} payload The raw payload of the message, containing the appId, data and optional ts (timestamp in ms) fields.
+   * @returns {{reading?: Reading, error?: string}} The validated reading, or the reason why the message was rejected.
+   */
+  validate(topic, payload) {
+    const deviceId = this.getDeviceId(topic);
+
+    if (!deviceId) return { error: 'Unknown topic.' };
+
+    let message;
+
+    try {
+      message = JSON.parse(payload.toString());
+    } catch (err) {
+      return { error: 'The payload is not valid JSON.' };
+    }
+
+    if (!message || typeof message !== 'object' || !message.appId)
+      return { error: 'The message does not contain any appId.' };
+
+    const appId = `${message.appId}`.toUpperCase();
+    const schema = this.schemas.get(appId);
+
+    if (!schema)
+      return { error: `${appId} is not described in the thing description.` };
+
+    const value = MqttIngestion.parseValue(schema.type, message.data);
+
+    if (value === undefined)
+      return { error: `The data of ${appId} must be of type ${schema.type}.` };
+
+    const timestamp = new Date(
+      Number.isFinite(message.ts) ? message.ts : Date.now(),
+    );
+
+    return {
+      reading: { deviceId, appId, kind: schema.kind, value, timestamp },
+    };
+  }
+
+  /**
+   * Function used to transform a reading in an InfluxDB point, tagged with its device.
+   * @param {Reading} reading The validated reading.
+   * @returns {Point} The corresponding InfluxDB point.
+   * @private
+   */
+  toPoint({ deviceId, appId, value, timestamp }) {
+    const point = new Point(this.measurement)
+      .tag('device', deviceId)
+      .timestamp(timestamp);
+
+    if (typeof value === 'number') return point.floatField(appId, value);
+    if (typeof value === 'boolean') return point.intField(appId, value ? 1 : 0);
+
+    return point.stringField(appId, value);
+  }
+
+  /**
+   * Function used to handle a message received from the broker.
+   * @param {string} topic The topic of the received message.
+   * @param {Buffer} payload The raw payload of the message.
+   * @private
+   */
+  handleMessage(topic, payload) {
+    const { reading, error } = this.validate(topic, payload);
+
+    if (error) {
+      this.emit('invalid', { topic, payload: payload.toString(), error });
+      return;
+    }
+
+    this.pending.push(reading);
+    this.emit('reading', reading);
+
+    // While InfluxDB fails, the readings wait for the scheduled retry instead of triggering a write each
+    if (this.pending.length >= this.batchSize && !this.isWriteFailing) {
+      this.flush();
+      return;
+    }
+
+    if (!this.flushTimer)
+      this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+  }
+
+  /**
+   * Async function used to write the pending batch of readings in InfluxDB.
+   * If the write fails, the readings are put back in the pending batch and written again after the retry delay.
+   * @returns {Promise<Reading[]>} The readings of the batch.
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const readings = this.pending;
+    this.pending = [];
+
+    if (readings.length === 0) return readings;
+
+    try {
+      this.writeClient.writePoints(
+        readings.map(reading => this.toPoint(reading)),
+      );
+      await this.writeClient.flush();
+      this.isWriteFailing = false;
+      this.emit('flush', readings);
+    } catch (err) {
+      this.isWriteFailing = true;
+      this.emit('writeError', err, readings);
+      this.keepPending(readings);
+    }
+
+    return readings;
+  }
+
+  /**
+   * Function used to put back the readings of a failed write in the pending batch and schedule their retry.
+   * The oldest readings beyond the buffer limit are dropped, emitting a drop event.
+   * @param {Reading[]} readings The readings that couldn't be written.
+   * @private
+   */
+  keepPending(readings) {
+    this.pending = [...readings, ...this.pending];
+
+    if (this.pending.length > this.maxPending)
+      this.emit(
+        'drop',
+        this.pending.splice(0, this.pending.length - this.maxPending),
+      );
+
+    if (!this.stopped && !this.flushTimer)
+      this.flushTimer = setTimeout(() => this.flush(), this.retryDelay);
+  }
+
+  /**
+   * Function used to compute the delay before the next reconnection attempt (exponential backoff).
+   * @returns {number} The delay in ms.
+   */
+  getReconnectDelay() {
+    return Math.min(
+      this.minReconnectDelay * 2 ** this.reconnectAttempts,
+      this.maxReconnectDelay,
+    );
+  }
+
+  /**
+   * Function used to schedule a reconnection to the broker after the connection was lost.
+   * @private
+   */
+  scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) return;
+
+    const delay = this.getReconnectDelay();
+    this.reconnectAttempts += 1;
+    this.emit('offline', { attempt: this.reconnectAttempts, delay });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.stopped) this.client.reconnect();
+    }, delay);
+  }
+
+  /**
+   * Function used to connect to the broker and subscribe to the telemetry topics of the thingies.
+   * @returns {Promise<void>} A promise resolved once the first connection is established (the reconnections are handled in the background).
+   */
+  start() {
+    if (!this.stopped) return Promise.resolve();
+
+    this.stopped = false;
+    this.client = mqtt.connect(this.brokerUrl, {
+      ...this.mqttOptions,
+      reconnectPeriod: 0,
+      resubscribe: false,
+    });
+
+    this.client.on('connect', () => {
+      this.reconnectAttempts = 0;
+      this.client.subscribe(this.subscription, { qos: 1 }, err => {
+        if (err) this.emit('subscriptionError', err);
+        else this.emit('connect');
+      });
+    });
+    this.client.on('message', (topic, payload) =>
+      this.handleMessage(topic, payload),
+    );
+    this.client.on('close', () => this.scheduleReconnect());
+    // Connection errors are followed by a close event, handled by the backoff
+    this.client.on('error', () => {});
+
+    return new Promise(resolve => this.once('connect', resolve));
+  }
+
+  /**
+   * Async function used to disconnect from the broker and write the pending readings.
+   */
+  async stop() {
+    if (this.stopped) return;
+
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    await this.client.endAsync();
+    await this.flush();
+  }
+}
+
+module.exports = MqttIngestion;
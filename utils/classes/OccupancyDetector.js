@@ -0,0 +1,129 @@
+/**
+ * OccupancyDetector module, containing the state machine deriving the occupancy of the parkings from the events of their thingies.
+ * @module OccupancyDetector
+ */
+const EventEmitter = require('events');
+
+/**
+ * The occupancy state of a thingy
+ * @typedef OccupancyState
+ * @property {boolean} isVehicleDetected true if the thingy currently detects a vehicle, false otherwise.
+ * @property {Date} since The moment where the thingy entered this state.
+ * @property {boolean} isSettled true if the state lasted for the whole grace period and was reconciled with the parking, false otherwise.
+ */
+
+/**
+ * OccupancyDetector prototype function, used to follow the presence of a vehicle over each thingy from its flip events.
+ * A new state is only reconciled with the parking of the thingy once it lasted for the whole grace period, such that a client has the time to start
+ * or end his reservation after parking or leaving. It emits the change, settle and reconcileError events during its lifecycle.
+ * @extends EventEmitter
+ */
+class OccupancyDetector extends EventEmitter {
+  /**
+   * Constructor function used to generate a new instance of an OccupancyDetector object.
+   * @param {Object} options The options of the detector.
+   * @param {(deviceId: string, isVehicleDetected: boolean) => Promise<Object>} options.reconcile The async function reconciling a settled state with the parking of the thingy.
+   * @param {number} options.gracePeriod The delay (in ms) a state has to last before being reconciled.
+   * @param {string[]} options.occupiedOrientations The orientations reported by the flip event that correspond to a detected vehicle.
+   */
+  constructor({
+    reconcile,
+    gracePeriod = 5 * 60 * 1000,
+    occupiedOrientations = ['UPSIDE_DOWN'],
+  }) {
+    super();
+    /**
+     * @private
+     * @readonly
+     */
+    this.reconcile = reconcile;
+    /**
+     * @private
+     * @readonly
+     */
+    this.gracePeriod = gracePeriod;
+    /**
+     * @private
+     * @readonly
+     */
+    this.occupiedOrientations = occupiedOrientations;
+    /**
+     * @private
+     */
+    this.states = new Map();
+    /**
+     * @private
+     */
+    this.timers = new Map();
+  }
+
+  /**
+   * Function used to get the current occupancy state of a thingy.
+   * @param {string} deviceId The id of the thingy.
+   * @returns {OccupancyState|undefined} The state of the thingy, or undefined if it didn't send any flip event yet.
+   */
+  getState(deviceId) {
+    const state = this.states.get(deviceId);
+
+    return state && { ...state };
+  }
+
+  /**
+   * Function used to consume a reading of a thingy, updating its state if it is a flip event changing the presence of a vehicle.
+   * @param {import('./MqttIngestion').Reading} reading The validated reading sent by the thingy.
+   */
+  handleReading({ deviceId, appId, value, timestamp }) {
+    if (appId !== 'FLIP') return;
+
+    const isVehicleDetected = this.occupiedOrientations.includes(value);
+
+    if (this.states.get(deviceId)?.isVehicleDetected === isVehicleDetected)
+      return;
+
+    clearTimeout(this.timers.get(deviceId));
+
+    this.states.set(deviceId, {
+      isVehicleDetected,
+      since: timestamp,
+      isSettled: false,
+    });
+    this.timers.set(
+      deviceId,
+      setTimeout(() => this.settle(deviceId), this.gracePeriod),
+    );
+    this.emit('change', { deviceId, isVehicleDetected, since: timestamp });
+  }
+
+  /**
+   * Async function used to reconcile the state of a thingy with its parking once the grace period is over.
+   * @param {string} deviceId The id of the thingy.
+   * @private
+   */
+  async settle(deviceId) {
+    this.timers.delete(deviceId);
+
+    const state = this.states.get(deviceId);
+    state.isSettled = true;
+
+    try {
+      const result = await this.reconcile(deviceId, state.isVehicleDetected);
+      this.emit('settle', {
+        deviceId,
+        isVehicleDetected: state.isVehicleDetected,
+        ...result,
+      });
+    } catch (err) {
+      this.emit('reconcileError', err, deviceId);
+    }
+  }
+
+  /**
+   * Function used to stop the detector, cancelling the pending reconciliations.
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+module.exports = OccupancyDetector;
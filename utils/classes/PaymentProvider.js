@@ -0,0 +1,135 @@
+/**
+ * PaymentProvider module, containing the PaymentProvider prototype function defining the interface of the payment providers.
+ * @module PaymentProvider
+ */
+const crypto = require('crypto');
+const AppError = require('./AppError');
+
+/**
+ * The representation of a payment intent returned by a payment provider
+ * @typedef PaymentIntent
+ * @property {string} id The id of the payment intent in the payment provider.
+ * @property {string} status The status of the payment intent (requires_capture, succeeded, canceled).
+ * @property {number} amount The authorized amount of the payment intent, in the main currency unit.
+ * @property {number} amountReceived The captured amount of the payment intent, in the main currency unit.
+ */
+
+/**
+ * The representation of a webhook event sent by a payment provider
+ * @typedef PaymentEvent
+ * @property {string} id The id of the event.
+ * @property {string} type The type of the event (i.e. payment_intent.succeeded).
+ * @property {Object} data The data associated with the event, containing the concerned object.
+ */
+
+/**
+ * PaymentProvider prototype function, defining the operations every payment provider (Stripe, local fake...) has to implement.
+ */
+class PaymentProvider {
+  /**
+   * Constructor function used to generate a new instance of a PaymentProvider object.
+   * @param {string} webhookSecret The secret used to sign the webhook events sent by the provider.
+   */
+  constructor(webhookSecret) {
+    /**
+     * @private
+     * @readonly
+     */
+    this.webhookSecret = webhookSecret;
+    /**
+     * @public
+     * @readonly
+     */
+    this.signatureTolerance = 300;
+  }
+
+  /**
+   * Async function used to create a new payment intent, either pre-authorized (manual capture) or directly captured.
+   * @param {Object} options The payment options.
+   * @param {number} options.amount The amount of the payment, in the main currency unit.
+   * @param {string} options.currency The currency of the payment.
+   * @param {string} options.paymentMethod The id of the payment method (i.e. card) used to pay.
+   * @param {boolean} options.capture true if the payment has to be directly captured, false if it is only pre-authorized.
+   * @param {Object} options.metadata The metadata associated with the payment.
+   * @returns {Promise<PaymentIntent>} The created payment intent.
+   */
+  async createPaymentIntent(options) {
+    throw new Error('createPaymentIntent is not implemented.');
+  }
+
+  /**
+   * Async function used to capture a pre-authorized payment intent.
+   * @param {string} id The id of the payment intent.
+   * @param {number} amount The amount we want to capture, in the main currency unit (smaller or equal to the authorized amount).
+   * @returns {Promise<PaymentIntent>} The captured payment intent.
+   */
+  async capturePaymentIntent(id, amount) {
+    throw new Error('capturePaymentIntent is not implemented.');
+  }
+
+  /**
+   * Async function used to cancel a pre-authorized payment intent and release the held amount.
+   * @param {string} id The id of the payment intent.
+   * @returns {Promise<PaymentIntent>} The cancelled payment intent.
+   */
+  async cancelPaymentIntent(id) {
+    throw new Error('cancelPaymentIntent is not implemented.');
+  }
+
+  /**
+   * Async function used to refund a captured payment intent.
+   * @param {string} id The id of the payment intent.
+   * @param {number} amount The amount we want to refund, in the main currency unit.
+   * @returns {Promise<Object>} The created refund.
+   */
+  async refundPaymentIntent(id, amount) {
+    throw new Error('refundPaymentIntent is not implemented.');
+  }
+
+  /**
+   * Function used to compute the signature of a webhook payload.
+   * @param {string} payload The raw payload of the webhook.
+   * @param {number} timestamp The timestamp (in seconds) of the signature.
+   * @returns {string} The signature header value (t=timestamp,v1=hmac).
+   */
+  generateSignature(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const hmac = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${hmac}`;
+  }
+
+  /**
+   * Function used to verify the signature of a webhook sent by the provider and parse the corresponding event.
+   * @param {Buffer|string} rawBody The raw body of the webhook request.
+   * @param {string} signature The signature header of the webhook request (t=timestamp,v1=hmac).
+   * @returns {PaymentEvent} The parsed event.
+   */
+  constructEvent(rawBody, signature) {
+    const payload = rawBody?.toString() || '';
+    const elements = Object.fromEntries(
+      `${signature || ''}`.split(',').map(element => element.split('=')),
+    );
+    const timestamp = parseInt(elements.t, 10);
+
+    if (!this.webhookSecret || !elements.v1 || isNaN(timestamp))
+      throw new AppError('Invalid webhook signature.', 400);
+
+    const expected = this.generateSignature(payload, timestamp).split('v1=')[1];
+
+    if (
+      expected.length !== elements.v1.length ||
+      !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(elements.v1))
+    )
+      throw new AppError('Invalid webhook signature.', 400);
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > this.signatureTolerance)
+      throw new AppError('Expired webhook signature.', 400);
+
+    return JSON.parse(payload);
+  }
+}
+
+module.exports = PaymentProvider;
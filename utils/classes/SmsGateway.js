@@ -0,0 +1,28 @@
+/**
+ * SmsGateway module, containing the SmsGateway prototype function defining the interface of the SMS gateways.
+ * @module SmsGateway
+ */
+
+/**
+ * The representation of a SMS sent by a gateway
+ * @typedef SentSms
+ * @property {string} id The id of the message in the gateway.
+ * @property {string} status The delivery status of the message returned by the gateway (i.e. queued, sent).
+ */
+
+/**
+ * SmsGateway prototype function, defining the operations every SMS gateway (Twilio, local console...) has to implement.
+ */
+class SmsGateway {
+  /**
+   * Async function used to send a SMS.
+   * @param {string} to The phone number of the recipient, in the E.164 format (i.e. +41791234567).
+   * @param {string} body The content of the message.
+   * @returns {Promise<SentSms>} The sent message.
+   */
+  async sendSms(to, body) {
+    throw new Error('sendSms is not implemented.');
+  }
+}
+
+module.exports = SmsGateway;
@@ -0,0 +1,122 @@
+/**
+ * StripePaymentProvider module, containing the payment provider calling the Stripe REST API.
+ * @module StripePaymentProvider
+ */
+const axios = require('axios');
+const PaymentProvider = require('./PaymentProvider');
+const AppError = require('./AppError');
+
+/**
+ * StripePaymentProvider prototype function, used to handle the payments with the Stripe REST API (or any API compatible with it).
+ * @extends PaymentProvider
+ */
+class StripePaymentProvider extends PaymentProvider {
+  /**
+   * Constructor function used to generate a new instance of a StripePaymentProvider object.
+   * @param {string} secretKey The secret API key of the Stripe account.
+   * @param {string} webhookSecret The secret used to sign the webhook events sent by Stripe.
+   * @param {string} baseURL The base URL of the Stripe API.
+   */
+  constructor(secretKey, webhookSecret, baseURL = 'https://api.stripe.com/v1') {
+    super(webhookSecret);
+    /**
+     * @private
+     * @readonly
+     */
+    this.client = axios.create({
+      baseURL,
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+    });
+  }
+
+  /**
+   * Async function used to send a request to the Stripe API and transform its errors into AppErrors.
+   * @param {string} url The url of the requested endpoint.
+   * @param {Object} params The parameters sent in the request.
+   * @returns {Promise<Object>} The object returned by Stripe.
+   * @private
+   */
+  async post(url, params = {}) {
+    try {
+      const { data } = await this.client.post(
+        url,
+        new URLSearchParams(params).toString(),
+      );
+      return data;
+    } catch (err) {
+      const stripeError = err.response?.data?.error;
+
+      if (stripeError?.type === 'card_error')
+        throw new AppError(stripeError.message, 402);
+
+      throw err;
+    }
+  }
+
+  /**
+   * Function used to transform a Stripe payment intent in a generic payment intent.
+   * @param {Object} intent The payment intent returned by Stripe.
+   * @returns {import('./PaymentProvider').PaymentIntent} The generic payment intent.
+   * @private
+   */
+  toPaymentIntent({ id, status, amount, amount_received }) {
+    return {
+      id,
+      status,
+      amount: amount / 100,
+      amountReceived: amount_received / 100,
+    };
+  }
+
+  async createPaymentIntent({
+    amount,
+    currency,
+    paymentMethod,
+    capture,
+    metadata = {},
+  }) {
+    const params = {
+      amount: Math.round(amount * 100),
+      currency,
+      payment_method: paymentMethod,
+      confirm: true,
+      capture_method: capture ? 'automatic' : 'manual',
+      'automatic_payment_methods[enabled]': true,
+      'automatic_payment_methods[allow_redirects]': 'never',
+    };
+
+    Object.entries(metadata).forEach(([key, value]) => {
+      params[`metadata[${key}]`] = `${value}`;
+    });
+
+    return this.toPaymentIntent(await this.post('/payment_intents', params));
+  }
+
+  async capturePaymentIntent(id, amount) {
+    return this.toPaymentIntent(
+      await this.post(`/payment_intents/${id}/capture`, {
+        amount_to_capture: Math.round(amount * 100),
+      }),
+    );
+  }
+
+  async cancelPaymentIntent(id) {
+    return this.toPaymentIntent(
+      await this.post(`/payment_intents/${id}/cancel`),
+    );
+  }
+
+  async refundPaymentIntent(id, amount) {
+    const { id: refundId, status } = await this.post('/refunds', {
+      payment_intent: id,
+      amount: Math.round(amount * 100),
+    });
+
+    return { id: refundId, status, amount };
+  }
+}
+
+module.exports = StripePaymentProvider;
@@ -0,0 +1,47 @@
+/**
+ * TwilioSmsGateway module, containing the SMS gateway sending the messages with the Twilio API.
+ * @module TwilioSmsGateway
+ */
+const twilio = require('twilio');
+const SmsGateway = require('./SmsGateway');
+
+/**
+ * TwilioSmsGateway prototype function, used to send the SMS with the Twilio API.
+ * @extends SmsGateway
+ */
+class TwilioSmsGateway extends SmsGateway {
+  /**
+   * Constructor function used to generate a new instance of a TwilioSmsGateway object.
+   * @param {string} accountSid The id of the Twilio account.
+   * @param {string} authToken The authentication token of the Twilio account.
+   * @param {string} from The phone number (or messaging service id) the messages are sent from.
+   */
+  constructor(accountSid, authToken, from) {
+    super();
+    /**
+     * @private
+     * @readonly
+     */
+    this.client = twilio(accountSid, authToken);
+    /**
+     * @private
+     * @readonly
+     */
+    this.from = from;
+  }
+
+  async sendSms(to, body) {
+    const sender = this.from.startsWith('MG')
+      ? { messagingServiceSid: this.from }
+      : { from: this.from };
+    const { sid, status } = await this.client.messages.create({
+      to,
+      body,
+      ...sender,
+    });
+
+    return { id: sid, status };
+  }
+}
+
+module.exports = TwilioSmsGateway;
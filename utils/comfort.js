@@ -0,0 +1,190 @@
+/**
+ * Functions related to the environment score of the parkings, computed from the recent measures of their thingies.
+ * @module comfort
+ */
+const Parking = require('../models/parkingModel');
+const {
+  getQueryRows,
+  constructStatisticalQueryOnProperty,
+  getSCurveRating,
+  getLinearRating,
+} = require('./utils');
+const {
+  INFLUX_BUCKET,
+  INFLUX_MEASUREMENT,
+  COMFORT_CONFIG,
+  COMFORT_RANGE,
+  COMFORT_CACHE_DURATION,
+} = require('./globals');
+
+/**
+ * Function used to compute the environment score of a parking from the mean measures of its thingy.
+ * Each measured property is rated on 5 stars according to the configuration of the type of the parking, and the score is the weighted average of the ratings.
+ * @param {string} type The type of the parking (indoor / outdoor).
+ * @param {Object<string, number>} measures The mean measures of the thingy, indexed by property (i.e. TEMP, HUMID).
+ * @returns {{score: number, ratings: Object<string, number>}|null} The score and the rating of each property, or null if no configured property was measured.
+ */
+exports.computeComfortScore = (type, measures) => {
+  const config = COMFORT_CONFIG[type];
+
+  if (!config) return null;
+
+  const ratings = {};
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  Object.entries(config).forEach(([property, { rating, weight, ...range }]) => {
+    const value = measures[property];
+
+    if (!Number.isFinite(value)) return;
+
+    const propertyRating =
+      rating === 'scurve'
+        ? getSCurveRating(value, range)
+        : getLinearRating(value, range);
+
+    if (propertyRating === null) return;
+
+    ratings[property] = Math.round(propertyRating * 10) / 10;
+    weightedSum += propertyRating * weight;
+    totalWeight += weight;
+  });
+
+  if (totalWeight === 0) return null;
+
+  return { score: Math.round((weightedSum / totalWeight) * 10) / 10, ratings };
+};
+
+/**
+ * Async function used to retrieve the mean of the recent measures of a thingy for each property used in the environment score.
+ * @param {string} deviceId The id of the thingy.
+ * @param {string} type The type of the parking of the thingy (indoor / outdoor).
+ * @returns {Promise<Object<string, number>>} The mean measures, indexed by property.
+ */
+exports.getRecentMeasures = async (deviceId, type) => {
+  const properties = Object.keys(COMFORT_CONFIG[type] || {});
+
+  const results = await Promise.all(
+    properties.map(property =>
+      getQueryRows(
+        constructStatisticalQueryOnProperty(
+          INFLUX_BUCKET,
+          COMFORT_RANGE,
+          INFLUX_MEASUREMENT,
+          deviceId,
+          property,
+          'mean',
+        ),
+      ),
+    ),
+  );
+
+  return properties.reduce((measures, property, i) => {
+    const [row] = results[i];
+
+    if (row && Number.isFinite(row._value)) measures[property] = row._value;
+
+    return measures;
+  }, {});
+};
+
+/**
+ * Async function used to compute the environment score of a parking from the recent measures of its thingy and store it on the parking.
+ * @param {import('../models/parkingModel').Parking} parking The parking, with its type and its thingy populated with its deviceId.
+ * @returns {Promise<Object|undefined>} The stored environment score, or undefined if the parking has no thingy.
+ */
+exports.updateComfortScore = async parking => {
+  const deviceId = parking.thingy?.deviceId;
+
+  if (!deviceId) return undefined;
+
+  const measures = await exports.getRecentMeasures(deviceId, parking.type);
+  const { score, ratings } =
+    exports.computeComfortScore(parking.type, measures) || {};
+  const comfort = { score, ratings, computationDate: new Date() };
+
+  await Parking.updateOne(
+    { _id: parking._id },
+    { comfort },
+    { runValidators: false },
+  );
+
+  return comfort;
+};
+
+/**
+ * Async function used to retrieve the environment score of a parking, computing it again if the cached one is older than the cache duration.
+ * If the measures can't be retrieved, the cached score is kept.
+ * @param {import('../models/parkingModel').Parking} parking The parking, with its comfort.
+ * @returns {Promise<Object|undefined>} The environment score of the parking.
+ */
+exports.getComfortScore = async parking => {
+  const { comfort } = parking;
+
+  if (
+    comfort?.computationDate &&
+    Date.now() - comfort.computationDate.getTime() < COMFORT_CACHE_DURATION
+  )
+    return comfort;
+
+  try {
+    const equippedParking = await Parking.findById(parking._id)
+      .select('_id type +thingy')
+      .populate({ path: 'thingy', select: 'deviceId' });
+
+    // The parkings without any thingy don't have an environment score
+    if (!equippedParking?.thingy) return undefined;
+
+    return (await exports.updateComfortScore(equippedParking)) || comfort;
+  } catch (err) {
+    console.error(
+      `Error while trying to compute the environment score of the parking ${parking._id}:`,
+      err.message || err,
+    );
+    return comfort;
+  }
+};
+
+/**
+ * Async function used to compute again the environment score of all the parkings equipped with a thingy.
+ * @returns {Promise<number>} The number of updated parkings.
+ */
+exports.refreshComfortScores = async () => {
+  const parkings = await Parking.find({ thingy: { $ne: null } })
+    .select('_id type +thingy')
+    .populate({ path: 'thingy', select: 'deviceId' });
+
+  let updated = 0;
+
+  for (const parking of parkings) {
+    try {
+      if (await exports.updateComfortScore(parking)) updated += 1;
+    } catch (err) {
+      console.error(
+        `Error while trying to compute the environment score of the parking ${parking._id}:`,
+        err.message || err,
+      );
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Function used to periodically compute again the environment score of the parkings, such that they can be sorted by comfort.
+ * @param {number} interval The interval (in ms) between two refreshes.
+ * @returns {NodeJS.Timeout} The timer of the refresher.
+ */
+exports.startComfortRefresher = (interval = COMFORT_CACHE_DURATION) =>
+  setInterval(
+    () =>
+      exports
+        .refreshComfortScores()
+        .catch(err =>
+          console.error(
+            'Error while trying to refresh the environment scores of the parkings:',
+            err.message,
+          ),
+        ),
+    interval,
+  );
@@ -3,12 +3,27 @@
  * @module globals
  */
 const PasswordValidator = require('password-validator');
+const { OAuth2Client } = require('google-auth-library');
 
 const {
-  env: { ACCOUNT_SID },
+  env: {
+    ACCOUNT_SID,
+    TWILIO_AUTH_TOKEN,
+    TWILIO_PHONE_NUMBER,
+    GOOGLE_CLIENT_ID,
+    GOOGLE_CLIENT_SECRET,
+  },
 } = process;
 
 const Influx = require('../utils/classes/Influx');
+const StripePaymentProvider = require('../utils/classes/StripePaymentProvider');
+const FakePaymentProvider = require('../utils/classes/FakePaymentProvider');
+const EventBus = require('../utils/classes/EventBus');
+const TwilioSmsGateway = require('../utils/classes/TwilioSmsGateway');
+const ConsoleSmsGateway = require('../utils/classes/ConsoleSmsGateway');
+const MongoAttemptStore = require('../utils/classes/MongoAttemptStore');
+const MemoryAttemptStore = require('../utils/classes/MemoryAttemptStore');
+const BruteForceGuard = require('../utils/classes/BruteForceGuard');
 
 /**
  * Base URL of the API.
@@ -46,6 +61,14 @@ exports.PARKINGS_FOLDER = exports.IMG_FOLDER + '/parkings';
  */
 exports.FRONTEND_URL = process.env.FRONTEND_URL;
 
+/**
+ * Proxies trusted to give the IP address of the clients in the X-Forwarded-For header, as a number of hops or a list of addresses and subnets (the reverse proxies of the loopback and private networks by default).
+ * @type {number|string}
+ */
+exports.TRUST_PROXY = /^\d+$/.test(process.env.TRUST_PROXY)
+  ? parseInt(process.env.TRUST_PROXY, 10)
+  : process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
+
 /**
  * Base URL of the backend application.
  * @type {string}
@@ -94,6 +117,206 @@ exports.INFLUX_BUCKET = 'pnsBucket';
  */
 exports.INFLUX = new Influx(this.INFLUX_ORG, this.INFLUX_BUCKET);
 
+/**
+ * Event bus on which the occupancy changes, the reservation steps and the sensor readings of the parkings are published
+ * @type {EventBus}
+ */
+exports.EVENT_BUS = new EventBus();
+
+/**
+ * InfluxDB measurement containing the telemetry of the thingies
+ * @type {string}
+ */
+exports.INFLUX_MEASUREMENT = 'thingy91';
+
+/**
+ * Statistics that can be computed on the telemetry of the thingies.
+ * @type {string[]}
+ */
+exports.SENSOR_STATISTICS = ['mean', 'min', 'max', 'stddev'];
+
+/**
+ * Maximum time range (in ms) of the telemetry that can be requested at once.
+ * @type {number}
+ */
+exports.SENSOR_MAXIMUM_RANGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Maximum number of aggregation windows that can be requested at once.
+ * @type {number}
+ */
+exports.SENSOR_MAXIMUM_WINDOWS = 1000;
+
+/**
+ * Configuration of the environment score of the parkings for each type of parking: each property of the thingies is rated on 5 stars
+ * with an S-curve or a linear decay outside of its optimal range, and the score is the weighted average of the ratings.
+ * @type {Object}
+ */
+exports.COMFORT_CONFIG = {
+  indoor: {
+    TEMP: {
+      rating: 'scurve',
+      weight: 0.3,
+      optimalRange: [15, 25],
+      slopeAboveOptimal: 0.3,
+      slopeBelowOptimal: 0.2,
+    },
+    HUMID: {
+      rating: 'linear',
+      weight: 0.2,
+      optimalRange: [30, 60],
+      fullRange: [0, 100],
+    },
+    AIR_QUAL: {
+      rating: 'linear',
+      weight: 0.25,
+      optimalRange: [0, 100],
+      fullRange: [0, 500],
+    },
+    CO2_EQUIV: {
+      rating: 'linear',
+      weight: 0.25,
+      optimalRange: [400, 1000],
+      fullRange: [400, 5000],
+    },
+  },
+  outdoor: {
+    TEMP: {
+      rating: 'scurve',
+      weight: 0.4,
+      optimalRange: [10, 28],
+      slopeAboveOptimal: 0.25,
+      slopeBelowOptimal: 0.15,
+    },
+    HUMID: {
+      rating: 'linear',
+      weight: 0.2,
+      optimalRange: [30, 70],
+      fullRange: [0, 100],
+    },
+    AIR_QUAL: {
+      rating: 'linear',
+      weight: 0.3,
+      optimalRange: [0, 50],
+      fullRange: [0, 500],
+    },
+    CO2_EQUIV: {
+      rating: 'linear',
+      weight: 0.1,
+      optimalRange: [400, 800],
+      fullRange: [400, 5000],
+    },
+  },
+};
+
+/**
+ * Time range of the recent measures used to compute the environment score of the parkings.
+ * @type {string}
+ */
+exports.COMFORT_RANGE = '1h';
+
+/**
+ * Duration during which the environment score of a parking is cached before being computed again.
+ * @type {number}
+ */
+exports.COMFORT_CACHE_DURATION = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Template of the MQTT topics the thingies publish their telemetry on, {deviceId} being replaced by the id of the device.
+ * @type {string}
+ */
+exports.MQTT_TOPIC = process.env.MQTT_TOPIC || 'things/{deviceId}/messages';
+
+/**
+ * Delay during which a change of the occupancy detected by a thingy has to last before being reconciled with its parking.
+ * @type {number}
+ */
+exports.OCCUPANCY_GRACE_PERIOD = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Currency used for all the payments in the application.
+ * @type {string}
+ */
+exports.PAYMENT_CURRENCY = 'chf';
+
+/**
+ * Number of hours of parking pre-authorized on the card of the client when he starts a reservation.
+ * @type {number}
+ */
+exports.PREAUTHORIZATION_DURATION = 8;
+
+/**
+ * Swiss standard VAT rate, included in the prices of the parkings.
+ * @type {number}
+ */
+exports.VAT_RATE = 0.081;
+
+/**
+ * Prefix of the numbers of the invoices generated for the finished occupations.
+ * @type {string}
+ */
+exports.INVOICE_PREFIX = 'PNS';
+
+/**
+ * Minimum balance (in the payment currency) a client needs on his wallet to start a reservation paid with it.
+ * @type {number}
+ */
+exports.WALLET_MINIMUM_BALANCE = parseFloat(
+  process.env.WALLET_MINIMUM_BALANCE || 10,
+);
+
+/**
+ * Maximum amount (in the payment currency) that can be topped up on a wallet in a single operation.
+ * @type {number}
+ */
+exports.WALLET_MAXIMUM_TOP_UP = 1000;
+
+/**
+ * Rate of the fee retained by the platform on the earnings of the parking owners.
+ * @type {number}
+ */
+exports.PLATFORM_FEE_RATE = parseFloat(process.env.PLATFORM_FEE_RATE || 0.1);
+
+/**
+ * Environments in which the local providers (fake payment provider, console SMS gateway) can replace the external services.
+ * @type {string[]}
+ */
+exports.LOCAL_PROVIDER_ENVIRONMENTS = ['development', 'test'];
+
+/**
+ * Function used to create the payment provider of the application, refusing to start outside of the development and test environments if Stripe isn't configured.
+ * @returns {import('./classes/PaymentProvider')} The payment provider.
+ */
+const createPaymentProvider = () => {
+  const {
+    env: {
+      NODE_ENV,
+      PAYMENT_PROVIDER,
+      STRIPE_SECRET_KEY,
+      STRIPE_WEBHOOK_SECRET,
+    },
+  } = process;
+
+  if (
+    PAYMENT_PROVIDER !== 'stripe' &&
+    exports.LOCAL_PROVIDER_ENVIRONMENTS.includes(NODE_ENV)
+  )
+    return new FakePaymentProvider(STRIPE_WEBHOOK_SECRET);
+
+  if (!STRIPE_SECRET_KEY || !STRIPE_WEBHOOK_SECRET)
+    throw new Error(
+      'The STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET environment variables must be set to use the Stripe payment provider.',
+    );
+
+  return new StripePaymentProvider(STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET);
+};
+
+/**
+ * Payment provider object, used to handle all payment operations (Stripe, or local in-memory fake in development and in the tests)
+ * @type {import('./classes/PaymentProvider')}
+ */
+exports.PAYMENT_PROVIDER = createPaymentProvider();
+
 const PASSWORD_VALIDATOR = new PasswordValidator();
 
 PASSWORD_VALIDATOR.is()
@@ -124,8 +347,364 @@ exports.PASSWORD_VALIDATOR = PASSWORD_VALIDATOR;
  */
 exports.CONFIRMATION_DELAY = 5 * 60 * 1000; // 5 minutes
 
+/**
+ * Function used to create the SMS gateway of the application, refusing to start outside of the development and test environments if Twilio isn't configured.
+ * @returns {import('./classes/SmsGateway')} The SMS gateway.
+ */
+const createSmsGateway = () => {
+  const {
+    env: { NODE_ENV, SMS_GATEWAY, SMS_OUTBOX_FILE },
+  } = process;
+
+  if (
+    SMS_GATEWAY !== 'twilio' &&
+    exports.LOCAL_PROVIDER_ENVIRONMENTS.includes(NODE_ENV)
+  )
+    return new ConsoleSmsGateway(SMS_OUTBOX_FILE);
+
+  if (!ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER)
+    throw new Error(
+      'The ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER environment variables must be set to use the Twilio SMS gateway.',
+    );
+
+  return new TwilioSmsGateway(
+    ACCOUNT_SID,
+    TWILIO_AUTH_TOKEN,
+    TWILIO_PHONE_NUMBER,
+  );
+};
+
+/**
+ * SMS gateway object, used to send the PIN codes to the users (Twilio, or local console in development and in the tests)
+ * @type {import('./classes/SmsGateway')}
+ */
+exports.SMS_GATEWAY = createSmsGateway();
+
+/**
+ * Country (ISO 3166-1 alpha-3) of the phone numbers given without international prefix.
+ * @type {string}
+ */
+exports.SMS_DEFAULT_COUNTRY = 'CHE';
+
+/**
+ * Minimum delay between two PIN codes sent to the same phone number (or email address).
+ * @type {number}
+ */
+exports.PIN_RESEND_INTERVAL = 60 * 1000; // 1 minute
+
+/**
+ * Maximum number of PIN codes sent to the same phone number (or email address) during the resend window.
+ * @type {number}
+ */
+exports.PIN_RESEND_LIMIT = 5;
+
+/**
+ * Duration of the window in which the PIN codes sent to the same phone number (or email address) are counted.
+ * @type {number}
+ */
+exports.PIN_RESEND_WINDOW = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Maximum number of wrong PIN codes an user can type before his PIN confirmation gets locked.
+ * @type {number}
+ */
+exports.PIN_MAX_ATTEMPTS = 5;
+
+/**
+ * Duration in ms of the PIN confirmation lock of an user who typed too many wrong PIN codes.
+ * @type {number}
+ */
+exports.PIN_LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * OAuth client id of the application in the Google Cloud console, expected as audience of the Google ID tokens.
+ * @type {string}
+ */
+exports.GOOGLE_CLIENT_ID = GOOGLE_CLIENT_ID;
+
+/**
+ * Google OAuth2 client object, used to verify the Google ID tokens and to exchange the authorization codes sent back by Google.
+ * @type {OAuth2Client}
+ */
+exports.GOOGLE_CLIENT = new OAuth2Client(
+  GOOGLE_CLIENT_ID,
+  GOOGLE_CLIENT_SECRET,
+  `${exports.BACKEND_URL}${exports.API_ROUTE}/users/google/callback`,
+);
+
+/**
+ * Validity duration in ms of the state of a Google sign-in, between the redirection to Google and its callback.
+ * @type {number}
+ */
+exports.GOOGLE_STATE_DURATION = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Validity duration in ms of the single-use code given to the frontend at the end of a Google sign-in, exchanged against the session token.
+ * @type {number}
+ */
+exports.GOOGLE_HANDOFF_DURATION = 60 * 1000; // 1 minute
+
+/**
+ * Validity duration in ms of the access tokens (jwt) authenticating the requests of the users.
+ * @type {number}
+ */
+exports.ACCESS_TOKEN_DURATION = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Validity duration in ms of the refresh tokens, extended at each rotation of the token.
+ * @type {number}
+ */
+exports.REFRESH_TOKEN_DURATION = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Minimum delay between two updates of the last usage date of a session.
+ * @type {number}
+ */
+exports.SESSION_TOUCH_INTERVAL = 60 * 1000; // 1 minute
+
+/**
+ * Issuer of the TOTP accounts displayed in the authenticator apps of the users.
+ * @type {string}
+ */
+exports.TOTP_ISSUER = "Park'N'Share";
+
+/**
+ * Validity period in seconds of a TOTP code.
+ * @type {number}
+ */
+exports.TOTP_PERIOD = 30;
+
+/**
+ * Number of digits of a TOTP code.
+ * @type {number}
+ */
+exports.TOTP_DIGITS = 6;
+
+/**
+ * Number of periods before and after the current one in which the TOTP codes are still accepted, to tolerate the clock drifts.
+ * @type {number}
+ */
+exports.TOTP_WINDOW = 1;
+
+/**
+ * Number of one-time recovery codes given to an user when he enables the two-factor authentication with an authenticator app.
+ * @type {number}
+ */
+exports.RECOVERY_CODES_NUMBER = 10;
+
+/**
+ * Permissions of the users who book and use the parkings. A permission is written action:resource, and suffixed by :own when it only applies to the documents the user owns.
+ * @type {string[]}
+ */
+const CLIENT_PERMISSIONS = [
+  'create:parking',
+  'read:parking:own',
+  'manage:parking:own',
+  'reserve:parking',
+  'create:booking',
+  'cancel:booking:own',
+  'list:occupation:own',
+  'read:occupation:own',
+  'create:review:own',
+  'reply:review:own',
+];
+
+/**
+ * Permissions of the users who publish validated parkings, managing their listings, incidents and earnings.
+ * @type {string[]}
+ */
+const PROVIDER_PERMISSIONS = [
+  ...CLIENT_PERMISSIONS,
+  'list:parking:own',
+  'read:earnings',
+  'read:incident:own',
+  'resolve:incident:own',
+];
+
+/**
+ * Permission sets of the roles of the users. A new role can be defined by adding its permission set, without touching the controllers.
+ * The moderators keep their role when one of their parkings is validated, so they get the permissions of the providers.
+ * @type {Object<string, string[]>}
+ */
+exports.ROLE_PERMISSIONS = {
+  client: CLIENT_PERMISSIONS,
+  provider: PROVIDER_PERMISSIONS,
+  moderator: [...PROVIDER_PERMISSIONS, 'moderate:review'],
+  admin: [
+    'read:parking',
+    'manage:parking',
+    'validate:parking',
+    'cancel:booking',
+    'read:occupation',
+    'refund:occupation',
+    'read:incident',
+    'resolve:incident',
+    'moderate:review',
+    'manage:thingy',
+    'manage:payout',
+    'delete:user',
+    'assign:role',
+    'unlock:user',
+  ],
+};
+
+/**
+ * Roles whose users must enable the two-factor authentication with an authenticator app to access their restricted routes.
+ * @type {string[]}
+ */
+exports.TOTP_REQUIRED_ROLES = ['admin'];
+
+/**
+ * Store of the failed sign-in and PIN confirmation attempts (database, or memory in the tests).
+ * @type {import('./classes/AttemptStore')}
+ */
+const ATTEMPT_STORE =
+  process.env.NODE_ENV === 'test'
+    ? new MemoryAttemptStore()
+    : new MongoAttemptStore();
+
+exports.ATTEMPT_STORE = ATTEMPT_STORE;
+
+/**
+ * Guard counting the failed sign-in and PIN confirmation attempts of each account from each IP address, delaying the attempts after 5 failures and locking them after 10.
+ * The failures from other IP addresses don't count, so that nobody can keep the account of another user locked.
+ * @type {BruteForceGuard}
+ */
+exports.ACCOUNT_GUARD = new BruteForceGuard(ATTEMPT_STORE, {
+  prefix: 'account',
+  freeFailures: 5,
+  maxFailures: 10,
+  baseDelay: 1000, // 1 second
+  maxDelay: 60 * 1000, // 1 minute
+  lockoutDuration: 30 * 60 * 1000, // 30 minutes
+  window: 60 * 60 * 1000, // 1 hour
+});
+
+/**
+ * Guard counting the failed sign-in and PIN confirmation attempts of each IP address, slowing down the credential stuffing over many accounts.
+ * @type {BruteForceGuard}
+ */
+exports.IP_GUARD = new BruteForceGuard(ATTEMPT_STORE, {
+  prefix: 'ip',
+  freeFailures: 20,
+  maxFailures: 100,
+  baseDelay: 1000, // 1 second
+  maxDelay: 60 * 1000, // 1 minute
+  lockoutDuration: 60 * 60 * 1000, // 1 hour
+  window: 60 * 60 * 1000, // 1 hour
+});
+
 /**
  * Confirmation delay given in ms given to the user to confirm his email address when he requested.
  * @type {number}
  */
 exports.EMAIL_CONFIRMATION_DELAY = 10 * 24 * 60 * 60 * 1000; // 10 days
+
+/**
+ * Delay during which a client has to press the button of the thingy of a parking to confirm his arrival or departure.
+ * @type {number}
+ */
+exports.RESERVATION_CONFIRMATION_DELAY = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Maximum duration (in days) of a booking.
+ * @type {number}
+ */
+exports.MAX_BOOKING_DURATION = 30;
+
+/**
+ * Duration during which an ongoing reservation, having no planned end, is expected to keep occupying its parking.
+ * The bookings of the other users can't start within it when a reservation starts, and the ongoing reservations only block the bookings starting within it.
+ * @type {number}
+ */
+exports.OCCUPATION_HORIZON = 2 * 60 * 60 * 1000; // 2 hours
+
+/**
+ * Duration after which the lock taken on a parking while one of its bookings is created is considered as abandoned.
+ * @type {number}
+ */
+exports.BOOKING_LOCK_DURATION = 10 * 1000; // 10 seconds
+
+/**
+ * Interval at which the unconfirmed arrivals and departures are expired.
+ * @type {number}
+ */
+exports.CONFIRMATION_SWEEP_INTERVAL = 30 * 1000; // 30 seconds
+
+/**
+ * Duration during which the parking of a thingy is cached before forwarding its readings in real time.
+ * @type {number}
+ */
+exports.REALTIME_DEVICE_CACHE_DURATION = 60 * 1000; // 1 minute
+
+/**
+ * Number of the last parking events kept in memory to be replayed to the clients of the event streams when they reconnect.
+ * @type {number}
+ */
+exports.SSE_BUFFER_SIZE = 500;
+
+/**
+ * Interval between two heartbeats sent on the event streams, keeping the idle connections open behind proxies.
+ * @type {number}
+ */
+exports.SSE_HEARTBEAT_INTERVAL = 15 * 1000; // 15 seconds
+
+/**
+ * Delay before which the clients of the event streams try to reconnect after losing the connection.
+ * @type {number}
+ */
+exports.SSE_RETRY_DELAY = 3 * 1000; // 3 seconds
+
+/**
+ * Types of the events the users can subscribe to with their webhooks.
+ * @type {string[]}
+ */
+exports.WEBHOOK_EVENTS = [
+  'reservation.started',
+  'reservation.confirmed',
+  'reservation.ended',
+  'parking.validated',
+  'review.created',
+];
+
+/**
+ * Maximum number of webhooks a user can register.
+ * @type {number}
+ */
+exports.WEBHOOK_MAXIMUM_SUBSCRIPTIONS = 10;
+
+/**
+ * Maximum number of attempts to deliver an event to a webhook before giving up.
+ * @type {number}
+ */
+exports.WEBHOOK_MAXIMUM_ATTEMPTS = 6;
+
+/**
+ * Delay before the first retry of a failed delivery, doubled after each attempt.
+ * @type {number}
+ */
+exports.WEBHOOK_RETRY_DELAY = 30 * 1000; // 30 seconds
+
+/**
+ * Interval between two checks of the deliveries that have to be retried.
+ * @type {number}
+ */
+exports.WEBHOOK_RETRY_INTERVAL = 30 * 1000; // 30 seconds
+
+/**
+ * Maximum duration of the request delivering an event to a webhook.
+ * @type {number}
+ */
+exports.WEBHOOK_TIMEOUT = 10 * 1000; // 10 seconds
+
+/**
+ * Duration during which a delivery is claimed by the attempt posting it, after which it can be claimed again if the attempt was interrupted.
+ * @type {number}
+ */
+exports.WEBHOOK_CLAIM_DURATION = 6 * exports.WEBHOOK_TIMEOUT; // 1 minute
+
+/**
+ * Number of the most recent deliveries returned in the delivery log of a webhook.
+ * @type {number}
+ */
+exports.WEBHOOK_DELIVERY_LOG_SIZE = 100;
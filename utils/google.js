@@ -0,0 +1,198 @@
+/**
+ * Functions related to the authentication of the users with their Google account (OpenID Connect).
+ * @module google
+ */
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const AppError = require('./classes/AppError');
+const {
+  GOOGLE_CLIENT,
+  GOOGLE_CLIENT_ID,
+  GOOGLE_STATE_DURATION,
+  GOOGLE_HANDOFF_DURATION,
+} = require('./globals');
+
+/**
+ * Pending Google sign-in states, indexed by their value and mapped to their expiration date.
+ * @type {Map<string, number>}
+ */
+const authStates = new Map();
+
+/**
+ * Single-use handoff codes given to the frontend, indexed by their hashed value.
+ * @type {Map<string, {user: string, expiration: number}>}
+ */
+const handoffCodes = new Map();
+
+/**
+ * Function used to remove the expired entries of a store.
+ * @param {Map<string, *>} store The store to clean.
+ * @param {function(*): number} getExpiration The function returning the expiration date of an entry.
+ */
+const removeExpired = (store, getExpiration) => {
+  const now = Date.now();
+
+  store.forEach((entry, key) => {
+    if (getExpiration(entry) <= now) store.delete(key);
+  });
+};
+
+/**
+ * Function used to hash a handoff code before storing it.
+ * @param {string} code The handoff code.
+ * @returns {string} The hashed code.
+ */
+const hashCode = code => crypto.createHash('sha256').update(code).digest('hex');
+
+/**
+ * Async function used to verify a Google ID token, i.e. its signature, issuer, audience and expiration.
+ * @param {string} idToken The ID token returned by Google.
+ * @returns {Promise<import('google-auth-library').TokenPayload>} The payload of the token.
+ */
+exports.verifyGoogleIdToken = async idToken => {
+  if (!GOOGLE_CLIENT_ID)
+    throw new AppError('The Google authentication is not available.', 503);
+
+  if (!idToken) throw new AppError('Please provide a Google ID token.', 400);
+
+  try {
+    const ticket = await GOOGLE_CLIENT.verifyIdToken({
+      idToken,
+      audience: GOOGLE_CLIENT_ID,
+    });
+
+    return ticket.getPayload();
+  } catch (err) {
+    throw new AppError('Invalid Google credentials.', 401);
+  }
+};
+
+/**
+ * Async function used to get the user corresponding to a Google account. The account is linked to the existing user having the same verified email address,
+ * and a new user without password is created if none exists.
+ * @param {import('google-auth-library').TokenPayload} payload The payload of the verified Google ID token.
+ * @returns {Promise<import('../models/userModel').User>} The user connected with the Google account.
+ */
+exports.getGoogleUser = async ({ sub, email, email_verified: isVerified }) => {
+  const linkedUser = await User.findOne({ googleId: sub });
+
+  if (linkedUser) return linkedUser;
+
+  if (!email || !isVerified)
+    throw new AppError(
+      'Please verify the email address of your Google account before signing in with it.',
+      401,
+    );
+
+  const existingUser = await User.findOne({ email }).select(
+    '+googleId +isEmailConfirmed',
+  );
+
+  if (existingUser) {
+    if (existingUser.googleId)
+      throw new AppError(
+        'Your account is already linked to another Google account.',
+        409,
+      );
+
+    // The password of an account whose email address was never confirmed may have been chosen by someone else
+    if (!existingUser.isEmailConfirmed) existingUser.password = undefined;
+
+    existingUser.googleId = sub;
+    existingUser.isConfirmed = true;
+    existingUser.isEmailConfirmed = true;
+    await existingUser.save({ validateBeforeSave: false });
+
+    return existingUser;
+  }
+
+  return User.create({
+    email,
+    googleId: sub,
+    isConfirmed: true,
+    isEmailConfirmed: true,
+  });
+};
+
+/**
+ * Function used to generate the url of the Google consent screen, along with the state checked in its callback.
+ * @returns {string} The url the user is redirected to.
+ */
+exports.getGoogleAuthUrl = () => {
+  if (!GOOGLE_CLIENT_ID)
+    throw new AppError('The Google authentication is not available.', 503);
+
+  removeExpired(authStates, expiration => expiration);
+
+  const state = crypto.randomBytes(32).toString('hex');
+  authStates.set(state, Date.now() + GOOGLE_STATE_DURATION);
+
+  return GOOGLE_CLIENT.generateAuthUrl({
+    scope: ['openid', 'email', 'profile'],
+    state,
+    prompt: 'select_account',
+  });
+};
+
+/**
+ * Function used to check the state returned by Google in the callback of a sign-in. A state can only be used once.
+ * @param {string} state The state returned by Google.
+ * @returns {boolean} True if the state was generated by the application and isn't expired, false otherwise.
+ */
+exports.consumeAuthState = state => {
+  const expiration = authStates.get(state);
+
+  authStates.delete(state);
+
+  return !!expiration && expiration > Date.now();
+};
+
+/**
+ * Async function used to exchange the authorization code returned by Google against the ID token of the user and verify it.
+ * @param {string} code The authorization code.
+ * @returns {Promise<import('google-auth-library').TokenPayload>} The payload of the ID token.
+ */
+exports.exchangeGoogleCode = async code => {
+  let tokens;
+
+  try {
+    ({ tokens } = await GOOGLE_CLIENT.getToken(code));
+  } catch (err) {
+    throw new AppError('Invalid Google authorization code.', 401);
+  }
+
+  return exports.verifyGoogleIdToken(tokens.id_token);
+};
+
+/**
+ * Function used to create the single-use code handed to the frontend at the end of a Google sign-in, exchanged against the session token of the user.
+ * @param {*} user The id of the connected user.
+ * @returns {string} The handoff code.
+ */
+exports.createHandoffCode = user => {
+  removeExpired(handoffCodes, ({ expiration }) => expiration);
+
+  const code = crypto.randomBytes(32).toString('hex');
+  handoffCodes.set(hashCode(code), {
+    user: `${user}`,
+    expiration: Date.now() + GOOGLE_HANDOFF_DURATION,
+  });
+
+  return code;
+};
+
+/**
+ * Function used to exchange a handoff code against the id of the user it was created for. A code can only be used once.
+ * @param {string} code The handoff code.
+ * @returns {string|null} The id of the user, or null if the code is invalid or expired.
+ */
+exports.consumeHandoffCode = code => {
+  if (!code) return null;
+
+  const key = hashCode(`${code}`);
+  const handoff = handoffCodes.get(key);
+
+  handoffCodes.delete(key);
+
+  return handoff && handoff.expiration > Date.now() ? handoff.user : null;
+};
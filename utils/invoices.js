@@ -0,0 +1,224 @@
+/**
+ * Functions used to generate the invoices of the finished occupations and render them in HTML and PDF.
+ * @module invoices
+ */
+const ejs = require('ejs');
+const moment = require('moment-timezone');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/invoiceModel');
+const Occupation = require('../models/occupationModel');
+const Counter = require('../models/counterModel');
+const AppError = require('./classes/AppError');
+const { runTransaction } = require('./utils');
+const { VAT_RATE, INVOICE_PREFIX, PAYMENT_CURRENCY } = require('./globals');
+
+/**
+ * Function used to round an amount of money to the centime.
+ * @param {number} amount The amount we want to round.
+ * @returns {number} The rounded amount.
+ */
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Function used to format the address of a parking from its location.
+ * @param {Object} location The location of the parking.
+ * @returns {string} The formatted address.
+ */
+const formatAddress = ({ street, housenumber, postcode, city, address } = {}) =>
+  address ||
+  [
+    [street, housenumber].filter(Boolean).join(' '),
+    [postcode, city].filter(Boolean).join(' '),
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * Function used to format a date in the timezone of the invoices.
+ * @param {Date} date The date we want to format.
+ * @returns {string} The formatted date.
+ */
+const formatDate = date =>
+  moment.tz(date, 'Europe/Zurich').format('DD.MM.YYYY HH:mm');
+
+/**
+ * Function used to format an amount of money with two decimals.
+ * @param {number} amount The amount we want to format.
+ * @returns {string} The formatted amount.
+ */
+const formatAmount = amount => amount.toFixed(2);
+
+/**
+ * Function used to get the invoice of a finished occupation, generating it with the next invoice number if it doesn't exist yet.
+ * @param {mongoose.Types.ObjectId} occupationId The id of the finished occupation.
+ * @returns {Promise<Invoice>} The invoice of the occupation.
+ */
+exports.getOrCreateInvoice = async occupationId => {
+  const existingInvoice = await Invoice.findOne({ occupation: occupationId });
+
+  if (existingInvoice) return existingInvoice;
+
+  const occupation = await Occupation.findById(occupationId).populate([
+    {
+      path: 'client',
+      select: '_id username email',
+    },
+    {
+      path: 'parking',
+      select: '_id name location owner',
+      populate: { path: 'owner', select: '_id username email' },
+    },
+  ]);
+
+  if (!occupation?.end || occupation.status === 'expired')
+    throw new AppError('Only the finished occupations can be invoiced.', 400);
+
+  const { client, parking, start, end, bill = 0 } = occupation;
+  const issueDate = new Date();
+  const netAmount = roundAmount(bill / (1 + VAT_RATE));
+
+  try {
+    return await runTransaction(async (session, onRollback) => {
+      const year = issueDate.getFullYear();
+      const sequence = `invoice-${year}`;
+      const seq = await Counter.next(sequence, session);
+
+      // Give the number back if the invoice isn't written, unless a later number was already generated (a number is never given twice)
+      onRollback(() =>
+        Counter.updateOne({ _id: sequence, seq }, { $inc: { seq: -1 } }),
+      );
+
+      const [invoice] = await Invoice.create(
+        [
+          {
+            number: `${INVOICE_PREFIX}-${year}-${`${seq}`.padStart(6, '0')}`,
+            occupation: occupation._id,
+            client: client._id,
+            seller: parking.owner._id,
+            parking: parking._id,
+            issueDate,
+            period: { start, end },
+            sellerDetails: {
+              username: parking.owner.username,
+              email: parking.owner.email,
+            },
+            clientDetails: { username: client.username, email: client.email },
+            parkingDetails: {
+              name: parking.name,
+              address: formatAddress(parking.location),
+            },
+            lines: [
+              {
+                description: `Occupation of the parking "${parking.name}"`,
+                quantity: roundAmount((end - start) / (60 * 60 * 1000)),
+                unit: 'h',
+                amount: bill,
+              },
+            ],
+            currency: PAYMENT_CURRENCY,
+            vatRate: VAT_RATE,
+            netAmount,
+            vatAmount: roundAmount(bill - netAmount),
+            totalAmount: bill,
+          },
+        ],
+        { session },
+      );
+
+      return invoice;
+    });
+  } catch (err) {
+    // The invoice was generated by a simultaneous request
+    if (err.code === 11000)
+      return Invoice.findOne({ occupation: occupationId });
+
+    throw err;
+  }
+};
+
+/**
+ * Function used to render an invoice in HTML.
+ * @param {Invoice} invoice The invoice we want to render.
+ * @returns {Promise<string>} The HTML invoice.
+ */
+exports.renderInvoiceHtml = async invoice =>
+  ejs.renderFile(`${__dirname}/../views/invoices/invoice.ejs`, {
+    invoice,
+    formatDate,
+    formatAmount,
+  });
+
+/**
+ * Function used to render an invoice in PDF.
+ * @param {Invoice} invoice The invoice we want to render.
+ * @returns {Promise<Buffer>} The PDF invoice.
+ */
+exports.renderInvoicePdf = invoice =>
+  new Promise((resolve, reject) => {
+    const {
+      number,
+      issueDate,
+      period,
+      sellerDetails,
+      clientDetails,
+      parkingDetails,
+      lines,
+      currency,
+      vatRate,
+      netAmount,
+      vatAmount,
+      totalAmount,
+    } = invoice;
+    const unit = currency.toUpperCase();
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(20).text(`Invoice ${number}`);
+    doc
+      .fontSize(10)
+      .text(`Issue date: ${formatDate(issueDate)}`)
+      .moveDown();
+
+    doc.fontSize(12).text('Seller', { underline: true });
+    doc
+      .fontSize(10)
+      .text(sellerDetails.username)
+      .text(sellerDetails.email)
+      .moveDown();
+
+    doc.fontSize(12).text('Client', { underline: true });
+    doc
+      .fontSize(10)
+      .text(clientDetails.username)
+      .text(clientDetails.email)
+      .moveDown();
+
+    doc.fontSize(12).text('Parking', { underline: true });
+    doc
+      .fontSize(10)
+      .text(parkingDetails.name)
+      .text(parkingDetails.address)
+      .text(`From ${formatDate(period.start)} to ${formatDate(period.end)}`)
+      .moveDown();
+
+    lines.forEach(({ description, quantity, unit: lineUnit, amount }) => {
+      doc.text(
+        `${description} - ${quantity} ${lineUnit}: ${formatAmount(amount)} ${unit}`,
+      );
+    });
+
+    doc
+      .moveDown()
+      .text(`Total excluding VAT: ${formatAmount(netAmount)} ${unit}`)
+      .text(
+        `VAT ${roundAmount(vatRate * 100)}%: ${formatAmount(vatAmount)} ${unit}`,
+      )
+      .fontSize(12)
+      .text(`Total including VAT: ${formatAmount(totalAmount)} ${unit}`);
+
+    doc.end();
+  });
@@ -0,0 +1,106 @@
+/**
+ * Functions related to the addresses the server sends requests to on behalf of the users, preventing them from reaching the internal network.
+ * @module network
+ */
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+/**
+ * Loopback, private, link-local and reserved address ranges, that can't be reached on behalf of the users.
+ * @type {net.BlockList}
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+
+[
+  ['0.0.0.0', 8], // current network
+  ['10.0.0.0', 8], // private network
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local (i.e. cloud metadata services)
+  ['172.16.0.0', 12], // private network
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private network
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved and broadcast
+].forEach(([network, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'),
+);
+
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // IPv4/IPv6 translation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([network, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'),
+);
+
+/**
+ * Function used to check if an IP address is a public one.
+ * @param {string} address The IP address.
+ * @returns {boolean} true if the address is a valid public address, false otherwise.
+ */
+exports.isPublicAddress = address => {
+  const family = net.isIP(address);
+
+  return (
+    family !== 0 &&
+    !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+  );
+};
+
+/**
+ * Async function used to check if the host of an url only resolves to public addresses.
+ * @param {string} url The url.
+ * @returns {Promise<boolean>} true if all the addresses of the host are public, false otherwise or if the host can't be resolved.
+ */
+exports.isPublicUrl = async url => {
+  try {
+    const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+    const addresses = net.isIP(host)
+      ? [host]
+      : (await dns.promises.lookup(host, { all: true })).map(
+          ({ address }) => address,
+        );
+
+    return addresses.length > 0 && addresses.every(exports.isPublicAddress);
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Function used to resolve a host name when a connection is opened, refusing the hosts resolving to a non-public address (i.e. changing their DNS records after being checked).
+ * @param {string} hostname The host name to resolve.
+ * @param {Object} options The options of the lookup.
+ * @param {Function} callback The function called with the resolved addresses.
+ */
+const publicLookup = (hostname, options, callback) =>
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (!addresses.every(({ address }) => exports.isPublicAddress(address))) {
+      callback(new Error(`The host ${hostname} is not a public address.`));
+      return;
+    }
+
+    if (options.all) callback(null, addresses);
+    else callback(null, addresses[0].address, addresses[0].family);
+  });
+
+/**
+ * HTTP and HTTPS agents only opening connections to public addresses, to be given to axios.
+ * @type {{httpAgent: http.Agent, httpsAgent: https.Agent}}
+ */
+exports.PUBLIC_AGENTS = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
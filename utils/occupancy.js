@@ -0,0 +1,126 @@
+/**
+ * Functions related to the automatic detection of the occupancy of the parkings by their thingies.
+ * @module occupancy
+ */
+const Thingy = require('../models/thingyModel');
+const Parking = require('../models/parkingModel');
+const Occupation = require('../models/occupationModel');
+const Incident = require('../models/incidentModel');
+const Email = require('./classes/Email');
+const OccupancyDetector = require('./classes/OccupancyDetector');
+const { OCCUPANCY_GRACE_PERIOD, EVENT_BUS } = require('./globals');
+
+/**
+ * Async function used to open an incident on a parking and notify its owner, if no incident of the same type is already open on it.
+ * @param {import('../models/parkingModel').Parking} parking The parking, with its populated owner.
+ * @param {string} type The type of the incident.
+ * @param {string} deviceId The id of the thingy that reported the mismatch.
+ * @param {import('../models/occupationModel').Occupation} occupation The occupation concerned by the incident.
+ * @returns {Promise<import('../models/incidentModel').Incident|null>} The opened incident, or null if one was already open.
+ */
+const openIncident = async (parking, type, deviceId, occupation) => {
+  let incident;
+
+  try {
+    incident = await Incident.create({
+      type,
+      parking: parking._id,
+      owner: parking.owner._id,
+      occupation: occupation?._id,
+      deviceId,
+    });
+  } catch (err) {
+    // An incident of the same type is already open on the parking
+    if (err.code === 11000) return null;
+
+    throw err;
+  }
+
+  try {
+    await new Email(parking.owner).sendParkingIncident(parking.name, incident);
+  } catch (err) {
+    console.error(
+      `Error while trying to send the incident ${incident._id} to the owner.`,
+    );
+    console.error(err);
+  }
+
+  return incident;
+};
+
+/**
+ * Async function used to reconcile the settled state of a thingy with the parking it is assigned to: the parking is marked as occupied
+ * or free, and the mismatches with its active occupation are flagged as incidents for its owner (or resolved if they disappeared).
+ * @param {string} deviceId The id of the thingy.
+ * @param {boolean} isVehicleDetected true if the thingy detects a vehicle, false otherwise.
+ * @returns {Promise<{parking?: mongoose.Types.ObjectId, incident?: import('../models/incidentModel').Incident}>} The reconciled parking and the incident opened on it.
+ */
+exports.reconcileOccupancy = async (deviceId, isVehicleDetected) => {
+  const parkingId = await Thingy.getParkingByDevice(deviceId);
+
+  if (!parkingId) return {};
+
+  const [parking, occupation] = await Promise.all([
+    Parking.findById(parkingId)
+      .select('+isOccupied')
+      .populate({ path: 'owner', select: '_id username email' }),
+    Occupation.findOne({ parking: parkingId, end: undefined }),
+  ]);
+
+  if (!parking) return {};
+
+  let mismatch;
+
+  if (isVehicleDetected && !occupation) {
+    mismatch = 'unexpected-vehicle';
+    const { modifiedCount } = await Parking.updateOne(
+      { _id: parking._id, isOccupied: false },
+      { isOccupied: true },
+      { runValidators: false },
+    );
+
+    if (modifiedCount > 0) EVENT_BUS.publishOccupancy(parking._id, true);
+  } else if (!isVehicleDetected && occupation) {
+    // The client of a pending occupation hasn't arrived yet
+    if (occupation.status !== 'pending') mismatch = 'vacant-occupation';
+  } else if (!isVehicleDetected) {
+    const { modifiedCount } = await Parking.updateOne(
+      { _id: parking._id, isOccupied: true },
+      { isOccupied: false },
+      { runValidators: false },
+    );
+
+    if (modifiedCount > 0) EVENT_BUS.publishOccupancy(parking._id, false);
+  }
+
+  // Resolve the incidents that don't correspond to the current state anymore
+  await Incident.updateMany(
+    { parking: parking._id, status: 'open', type: { $ne: mismatch } },
+    { status: 'resolved', resolutionDate: Date.now(), resolution: 'sensor' },
+  );
+
+  const incident =
+    mismatch && (await openIncident(parking, mismatch, deviceId, occupation));
+
+  return { parking: parking._id, incident: incident || undefined };
+};
+
+/**
+ * Function used to create the occupancy detector reconciling the states of the thingies with their parkings.
+ * @returns {OccupancyDetector} The occupancy detector, consuming the readings of the thingies.
+ */
+exports.createOccupancyDetector = () => {
+  const detector = new OccupancyDetector({
+    reconcile: exports.reconcileOccupancy,
+    gracePeriod: OCCUPANCY_GRACE_PERIOD,
+  });
+
+  detector.on('reconcileError', (err, deviceId) =>
+    console.error(
+      `Failed to reconcile the occupancy detected by ${deviceId}:`,
+      err.message,
+    ),
+  );
+
+  return detector;
+};
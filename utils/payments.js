@@ -0,0 +1,372 @@
+/**
+ * Functions used to handle the payment of the parking occupations through the configured payment provider.
+ * @module payments
+ */
+const Payment = require('../models/paymentModel');
+const Occupation = require('../models/occupationModel');
+const AppError = require('./classes/AppError');
+const {
+  PAYMENT_PROVIDER,
+  PAYMENT_CURRENCY,
+  PREAUTHORIZATION_DURATION,
+} = require('./globals');
+const { payWithWallet, refundWithWallet } = require('./wallet');
+const { recordEarning, recordRefund } = require('./payouts');
+const { computePrice } = require('./pricing');
+
+/**
+ * Function used to round an amount of money to the centime.
+ * @param {number} amount The amount we want to round.
+ * @returns {number} The rounded amount.
+ */
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Tolerance below the centime used when comparing the amounts incremented in the database, absorbing their floating point errors.
+ * @type {number}
+ */
+const AMOUNT_TOLERANCE = 0.001;
+
+/**
+ * Function used to extract the public information of a payment that can be sent back to the client.
+ * @param {Payment|null} payment The payment we want to summarize.
+ * @returns {Object|undefined} The summary of the payment, or undefined if there is no payment.
+ */
+exports.getPaymentSummary = payment => {
+  if (!payment) return undefined;
+
+  const {
+    _id,
+    method,
+    status,
+    currency,
+    amountAuthorized,
+    amountCaptured,
+    amountRefunded,
+    amountOutstanding,
+  } = payment;
+
+  return {
+    _id,
+    method,
+    status,
+    currency,
+    amountAuthorized,
+    amountCaptured,
+    amountRefunded,
+    amountOutstanding,
+  };
+};
+
+/**
+ * Function used to pre-authorize on the payment method of a client the price of the pre-authorization duration of a parking, according to its pricing rules.
+ * @param {string} paymentMethod The id of the payment method (i.e. card) of the client.
+ * @param {import('../models/parkingModel').Parking} parking The parking the client wants to reserve.
+ * @param {Object} metadata The metadata associated with the payment.
+ * @returns {Promise<import('./classes/PaymentProvider').PaymentIntent>} The pre-authorized payment intent.
+ */
+exports.authorizePayment = async (paymentMethod, parking, metadata = {}) => {
+  const start = Date.now();
+  const { total } = computePrice(
+    parking,
+    start,
+    start + PREAUTHORIZATION_DURATION * 60 * 60 * 1000,
+  );
+
+  return PAYMENT_PROVIDER.createPaymentIntent({
+    amount: roundAmount(Math.max(total, 1)),
+    currency: PAYMENT_CURRENCY,
+    paymentMethod,
+    capture: false,
+    metadata: { parking: parking._id, ...metadata },
+  });
+};
+
+/**
+ * Function used to release a pre-authorized payment intent that won't be used (i.e. the reservation couldn't be created).
+ * @param {string} intentId The id of the pre-authorized payment intent.
+ */
+exports.releaseAuthorization = async intentId => {
+  try {
+    await PAYMENT_PROVIDER.cancelPaymentIntent(intentId);
+  } catch (err) {
+    console.error(
+      `Error while trying to release the payment authorization ${intentId}.`,
+    );
+    console.error(err);
+  }
+};
+
+/**
+ * Function used to charge the bill of a finished occupation on the payment pre-authorized at its start.
+ * If the bill exceeds the pre-authorized amount, the difference is charged in an additional payment, kept as outstanding if it fails.
+ * If the occupation is paid with the wallet of the client, the bill is transferred from his wallet to the one of the owner of the parking, or kept as outstanding if his balance doesn't cover it.
+ * @param {import('../models/occupationModel').Occupation} occupation The finished occupation.
+ * @param {number} bill The bill of the occupation.
+ * @param {mongoose.Types.ObjectId} ownerId The id of the owner of the parking.
+ * @returns {Promise<Payment|null>} The updated payment, or null if the occupation wasn't paid with the payment provider.
+ */
+exports.capturePayment = async (occupation, bill, ownerId) => {
+  const payment = await Payment.findOne({
+    occupation: occupation._id,
+    status: 'authorized',
+  }).select('+intentId +paymentMethod +charges');
+
+  if (!payment) return null;
+
+  try {
+    if (payment.method === 'wallet') {
+      if (bill > 0) {
+        try {
+          await payWithWallet(occupation, bill, ownerId);
+          payment.amountCaptured = bill;
+          payment.status = 'captured';
+        } catch (err) {
+          if (err.statusCode !== 402) throw err;
+
+          // The stay cost more than the balance checked at its start: the whole bill is kept as outstanding
+          console.error(
+            `The wallet of the client doesn't cover the bill of the occupation ${occupation._id}.`,
+          );
+          payment.amountOutstanding = roundAmount(bill);
+          payment.status = 'failed';
+        }
+      } else payment.status = 'cancelled';
+    } else if (bill <= 0) {
+      await PAYMENT_PROVIDER.cancelPaymentIntent(payment.intentId);
+      payment.status = 'cancelled';
+    } else {
+      const captured = Math.min(bill, payment.amountAuthorized);
+
+      await PAYMENT_PROVIDER.capturePaymentIntent(payment.intentId, captured);
+      payment.charges.push({ intentId: payment.intentId, amount: captured });
+      payment.amountCaptured = captured;
+      payment.status = 'captured';
+
+      if (bill > captured) {
+        const remaining = roundAmount(bill - captured);
+
+        // The pre-authorized part is already collected, so only the additional charge is lost if it fails
+        try {
+          const { id } = await PAYMENT_PROVIDER.createPaymentIntent({
+            amount: remaining,
+            currency: payment.currency,
+            paymentMethod: payment.paymentMethod,
+            capture: true,
+            metadata: { occupation: occupation._id },
+          });
+
+          payment.charges.push({ intentId: id, amount: remaining });
+          payment.amountCaptured = roundAmount(captured + remaining);
+        } catch (err) {
+          console.error(
+            `Error while trying to charge the remaining amount of the occupation ${occupation._id}.`,
+          );
+          console.error(err);
+          payment.amountOutstanding = remaining;
+        }
+      }
+    }
+  } catch (err) {
+    console.error(
+      `Error while trying to capture the payment of the occupation ${occupation._id}.`,
+    );
+    console.error(err);
+    payment.status = 'failed';
+  }
+
+  await payment.save();
+
+  // Split the captured amount between the earnings of the owner and the commission of the platform
+  if (payment.status === 'captured') {
+    try {
+      await recordEarning(occupation, payment, ownerId);
+    } catch (err) {
+      console.error(
+        `Error while trying to record the earnings of the occupation ${occupation._id}.`,
+      );
+      console.error(err);
+    }
+  }
+
+  return payment;
+};
+
+/**
+ * Function used to refund (partially or totally) a captured payment, either on the payment method of the client or on his wallet.
+ * The refunded amount is reserved on the payment before calling the payment provider, such that simultaneous refunds can't exceed the captured amount,
+ * and the part of it that couldn't be refunded is released if the payment provider fails.
+ * @param {Payment} payment The captured payment, with its charges selected.
+ * @param {number} amount The amount we want to refund (the whole non refunded amount if not specified).
+ * @returns {Promise<Payment>} The updated payment.
+ */
+exports.refundPayment = async (payment, amount) => {
+  const refundable = roundAmount(
+    payment.amountCaptured - payment.amountRefunded,
+  );
+  const toRefund = roundAmount(amount ?? refundable);
+
+  if (
+    !['captured', 'refunded'].includes(payment.status) ||
+    toRefund <= 0 ||
+    toRefund > refundable
+  )
+    throw new AppError(
+      `Please provide an amount between 0 and ${refundable} ${payment.currency.toUpperCase()}.`,
+      400,
+    );
+
+  const reservedPayment = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: ['captured', 'refunded'] },
+      amountRefunded: {
+        $lte: roundAmount(payment.amountCaptured - toRefund) + AMOUNT_TOLERANCE,
+      },
+    },
+    { $inc: { amountRefunded: toRefund } },
+    { new: true },
+  ).select('+intentId +charges');
+
+  if (!reservedPayment)
+    throw new AppError(
+      'The payment was refunded by another request in the meantime. Please check its refundable amount and retry.',
+      409,
+    );
+
+  const occupation = await Occupation.findById(payment.occupation).populate({
+    path: 'parking',
+    select: '_id owner',
+  });
+  let remaining = toRefund;
+
+  try {
+    if (payment.method === 'wallet') {
+      await refundWithWallet(occupation, toRefund, occupation.parking.owner);
+      remaining = 0;
+    }
+
+    for (const charge of reservedPayment.charges) {
+      const chargeRefund = Math.min(
+        remaining,
+        roundAmount(charge.amount - charge.refunded),
+      );
+
+      if (chargeRefund <= 0) continue;
+
+      await PAYMENT_PROVIDER.refundPaymentIntent(charge.intentId, chargeRefund);
+      await Payment.updateOne(
+        { _id: payment._id, 'charges.intentId': charge.intentId },
+        { $inc: { 'charges.$.refunded': chargeRefund } },
+      );
+
+      remaining = roundAmount(remaining - chargeRefund);
+
+      if (remaining <= 0) break;
+    }
+  } finally {
+    // Release the reserved amount that wasn't refunded
+    if (remaining > 0)
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $inc: { amountRefunded: -remaining } },
+      );
+
+    // Deduct the refunded amount from the earnings of the owner
+    if (remaining < toRefund)
+      await recordRefund(
+        occupation,
+        payment,
+        roundAmount(toRefund - remaining),
+        occupation.parking.owner,
+      );
+  }
+
+  // Round the incremented amount and mark the payment as refunded once the whole captured amount is refunded
+  return Payment.findByIdAndUpdate(
+    payment._id,
+    [
+      { $set: { amountRefunded: { $round: ['$amountRefunded', 2] } } },
+      {
+        $set: {
+          status: {
+            $cond: [
+              { $gte: ['$amountRefunded', '$amountCaptured'] },
+              'refunded',
+              '$status',
+            ],
+          },
+        },
+      },
+    ],
+    { new: true },
+  );
+};
+
+/**
+ * Function used to synchronize the payments stored in the database with the events notified by the webhooks of the payment provider.
+ * @param {import('./classes/PaymentProvider').PaymentEvent} event The event sent by the payment provider.
+ * @returns {Promise<Payment|null>} The updated payment, or null if the event doesn't concern a known payment.
+ */
+exports.handlePaymentEvent = async ({ type, data: { object } }) => {
+  const intentId = object.payment_intent || object.id;
+
+  const payment = await Payment.findOne({
+    $or: [{ intentId }, { 'charges.intentId': intentId }],
+  }).select('+intentId +charges');
+
+  if (!payment) return null;
+
+  const alreadyRefunded = payment.amountRefunded;
+
+  switch (type) {
+    case 'payment_intent.canceled':
+      if (payment.status === 'authorized') payment.status = 'cancelled';
+      break;
+    case 'payment_intent.payment_failed':
+      // A captured payment keeps its collected charges
+      if (payment.status === 'authorized') payment.status = 'failed';
+      break;
+    case 'charge.refunded': {
+      const charge = payment.charges.find(
+        element => element.intentId === intentId,
+      );
+
+      // The refunds made through the API are already counted, possibly before their notification
+      if (charge)
+        charge.refunded = Math.max(
+          charge.refunded,
+          object.amount_refunded / 100,
+        );
+
+      payment.amountRefunded = Math.max(
+        payment.amountRefunded,
+        roundAmount(
+          payment.charges.reduce((total, { refunded }) => total + refunded, 0),
+        ),
+      );
+
+      if (payment.amountRefunded >= payment.amountCaptured)
+        payment.status = 'refunded';
+      break;
+    }
+    default:
+      return payment;
+  }
+
+  await payment.save();
+
+  // Deduct the refunds made directly in the payment provider from the earnings of the owner, the ones made through the API being already recorded
+  const refunded = roundAmount(payment.amountRefunded - alreadyRefunded);
+
+  if (refunded > 0) {
+    const occupation = await Occupation.findById(payment.occupation).populate({
+      path: 'parking',
+      select: '_id owner',
+    });
+
+    await recordRefund(occupation, payment, refunded, occupation.parking.owner);
+  }
+
+  return payment;
+};
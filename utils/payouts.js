@@ -0,0 +1,187 @@
+/**
+ * Functions used to split the collected payments between the providers and the platform, and to generate the payout statements of the providers.
+ * @module payouts
+ */
+const Earning = require('../models/earningModel');
+const Payout = require('../models/payoutModel');
+const AppError = require('./classes/AppError');
+const { runTransaction } = require('./utils');
+const { PLATFORM_FEE_RATE, PAYMENT_CURRENCY } = require('./globals');
+
+/**
+ * Function used to round an amount of money to the centime.
+ * @param {number} amount The amount we want to round.
+ * @returns {number} The rounded amount.
+ */
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Function used to split an amount paid by a client between the commission of the platform and the earnings of the provider.
+ * @param {number} gross The amount paid by the client.
+ * @returns {{gross: number, commission: number, net: number, commissionRate: number}} The split amount.
+ */
+const splitAmount = gross => {
+  const commission = roundAmount(gross * PLATFORM_FEE_RATE);
+
+  return {
+    gross: roundAmount(gross),
+    commission,
+    net: roundAmount(gross - commission),
+    commissionRate: PLATFORM_FEE_RATE,
+  };
+};
+
+exports.splitAmount = splitAmount;
+
+/**
+ * Function used to record the earnings of a provider on a captured payment.
+ * The earnings paid with the wallet are directly credited to the wallet of the provider, and are therefore already settled.
+ * @param {import('../models/occupationModel').Occupation} occupation The paid occupation.
+ * @param {import('../models/paymentModel').Payment} payment The captured payment.
+ * @param {mongoose.Types.ObjectId} providerId The id of the owner of the parking.
+ * @returns {Promise<Earning>} The recorded earning.
+ */
+exports.recordEarning = async (occupation, payment, providerId) =>
+  Earning.create({
+    occupation: occupation._id,
+    parking: occupation.parking,
+    provider: providerId,
+    type: 'occupation',
+    method: payment.method,
+    ...splitAmount(payment.amountCaptured),
+    status: payment.method === 'wallet' ? 'settled' : 'pending',
+  });
+
+/**
+ * Function used to record the deduction of a refunded amount from the earnings of a provider.
+ * @param {import('../models/occupationModel').Occupation} occupation The refunded occupation.
+ * @param {import('../models/paymentModel').Payment} payment The refunded payment.
+ * @param {number} amount The refunded amount.
+ * @param {mongoose.Types.ObjectId} providerId The id of the owner of the parking.
+ * @returns {Promise<Earning>} The recorded earning.
+ */
+exports.recordRefund = async (occupation, payment, amount, providerId) => {
+  const { gross, commission, net, commissionRate } = splitAmount(amount);
+
+  return Earning.create({
+    occupation: occupation._id,
+    parking: occupation.parking._id || occupation.parking,
+    provider: providerId,
+    type: 'refund',
+    method: payment.method,
+    gross: -gross,
+    commission: -commission,
+    net: -net,
+    commissionRate,
+    status: payment.method === 'wallet' ? 'settled' : 'pending',
+  });
+};
+
+/**
+ * Function used to generate the payout statements of all providers having pending earnings created before the end of the period.
+ * The providers whose pending earnings don't sum up to a positive amount keep them for the next period.
+ * @param {Date} periodEnd The end of the period covered by the payouts.
+ * @returns {Promise<Payout[]>} The generated payouts.
+ */
+exports.generatePayouts = async periodEnd => {
+  const totals = await Earning.aggregate([
+    { $match: { status: 'pending', creationDate: { $lt: periodEnd } } },
+    {
+      $group: {
+        _id: '$provider',
+        periodStart: { $min: '$creationDate' },
+        gross: { $sum: '$gross' },
+        commission: { $sum: '$commission' },
+        net: { $sum: '$net' },
+        earnings: { $push: '$_id' },
+      },
+    },
+  ]);
+
+  const payouts = [];
+
+  for (const { _id: provider, earnings, ...total } of totals) {
+    if (roundAmount(total.net) <= 0) continue;
+
+    payouts.push(
+      await runTransaction(async (session, onRollback) => {
+        const [payout] = await Payout.create(
+          [
+            {
+              provider,
+              periodStart: total.periodStart,
+              periodEnd,
+              nbEarnings: earnings.length,
+              gross: roundAmount(total.gross),
+              commission: roundAmount(total.commission),
+              net: roundAmount(total.net),
+              currency: PAYMENT_CURRENCY,
+            },
+          ],
+          { session },
+        );
+
+        onRollback(() => Payout.deleteOne({ _id: payout._id }));
+
+        const { modifiedCount } = await Earning.updateMany(
+          { _id: { $in: earnings }, status: 'pending' },
+          { status: 'included', payout: payout._id },
+          { session },
+        );
+
+        onRollback(() =>
+          Earning.updateMany(
+            { payout: payout._id },
+            { status: 'pending', $unset: { payout: 1 } },
+          ),
+        );
+
+        // Another generation included some of the earnings in the meantime
+        if (modifiedCount !== earnings.length)
+          throw new AppError(
+            'The payouts are already being generated, please try again later.',
+            409,
+          );
+
+        return payout;
+      }),
+    );
+  }
+
+  return payouts;
+};
+
+/**
+ * Function used to mark a pending payout (and the earnings it includes) as settled.
+ * @param {mongoose.Types.ObjectId} payoutId The id of the settled payout.
+ * @param {string} reference The reference of the transfer made to the provider.
+ * @returns {Promise<Payout>} The settled payout.
+ */
+exports.settlePayout = async (payoutId, reference) =>
+  runTransaction(async (session, onRollback) => {
+    const payout = await Payout.findOneAndUpdate(
+      { _id: payoutId, status: 'pending' },
+      { status: 'settled', reference, settlementDate: Date.now() },
+      { session, new: true },
+    );
+
+    if (!payout) throw new AppError('This payout was already settled.', 400);
+
+    onRollback(() =>
+      Payout.updateOne(
+        { _id: payoutId },
+        {
+          status: 'pending',
+          $unset: { reference: 1, settlementDate: 1 },
+        },
+      ),
+    );
+
+    await Earning.updateMany(
+      { payout: payoutId },
+      { status: 'settled' },
+      { session },
+    );
+
+    return payout;
+  });
@@ -0,0 +1,80 @@
+/**
+ * Functions related to the permissions of the users, i.e. the actions they can perform on the resources of the API.
+ * @module permissions
+ */
+const { ROLE_PERMISSIONS } = require('./globals');
+
+/**
+ * Ownership rules of the resources, giving the users owning a document (populated or not) of each resource.
+ * The resources whose owners depend on the action (i.e. the author of a review creates it, the owner of the reviewed parking replies to it) have a rule per action.
+ * @type {Object<string, function(Object): Array | Object<string, function(Object): Array>>}
+ */
+const OWNERSHIP_RULES = {
+  parking: ({ owner }) => [owner],
+  booking: ({ client, parking }) => [client, parking?.owner],
+  occupation: ({ client, parking }) => [client, parking?.owner],
+  incident: ({ owner }) => [owner],
+  review: {
+    create: ({ client }) => [client],
+    reply: ({ parking }) => [parking?.owner],
+  },
+};
+
+/**
+ * Function used to check if a role has a permission.
+ * @param {string} role The role.
+ * @param {string} permission The permission (i.e. update:parking or update:parking:own).
+ * @returns {boolean} True if the permission set of the role contains the permission, false otherwise.
+ */
+exports.hasPermission = (role, permission) =>
+  ROLE_PERMISSIONS[role]?.includes(permission) ?? false;
+
+/**
+ * Function used to check if an user owns a document of a resource.
+ * @param {import('../models/userModel').User} user The user.
+ * @param {string} resource The resource of the document.
+ * @param {Object} document The document.
+ * @param {string} [action] The action performed on the document, selecting the rule of the resources having a rule per action.
+ * @returns {boolean} True if the ownership rule of the resource gives the user as owner of the document, false otherwise.
+ */
+exports.isOwner = (user, resource, document, action) => {
+  const rules = OWNERSHIP_RULES[resource];
+  const rule = typeof rules === 'function' ? rules : rules?.[action];
+
+  if (!rule || !document) return false;
+
+  // The ObjectId and the populated documents both have an _id
+  return rule(document).some(
+    owner => owner && owner._id.valueOf() === user._id.valueOf(),
+  );
+};
+
+/**
+ * Function used to check if an user can perform an action on a resource. Without document, only the permissions on every document of the resource are considered.
+ * @param {import('../models/userModel').User} user The user, undefined if the client isn't connected.
+ * @param {string} action The action (i.e. read, manage, cancel).
+ * @param {string} resource The resource (i.e. parking, booking).
+ * @param {Object} [document] The document the action is performed on.
+ * @returns {boolean} True if the user can perform the action, false otherwise.
+ */
+exports.can = (user, action, resource, document) => {
+  if (!user) return false;
+
+  if (exports.hasPermission(user.role, `${action}:${resource}`)) return true;
+
+  return (
+    exports.hasPermission(user.role, `${action}:${resource}:own`) &&
+    exports.isOwner(user, resource, document, action)
+  );
+};
+
+/**
+ * Function used to check if a role can perform an action on at least some documents of a resource (i.e. on the ones he owns).
+ * @param {string} role The role.
+ * @param {string} action The action.
+ * @param {string} resource The resource.
+ * @returns {boolean} True if the role has a permission for the action on the resource, false otherwise.
+ */
+exports.canPerform = (role, action, resource) =>
+  exports.hasPermission(role, `${action}:${resource}`) ||
+  exports.hasPermission(role, `${action}:${resource}:own`);
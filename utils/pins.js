@@ -0,0 +1,100 @@
+/**
+ * Functions related to the PIN codes sent to the users for the 2-step authentication.
+ * @module pins
+ */
+const { phone: parsePhone } = require('phone');
+const AppError = require('./classes/AppError');
+const Email = require('./classes/Email');
+const {
+  SMS_GATEWAY,
+  SMS_DEFAULT_COUNTRY,
+  CONFIRMATION_DELAY,
+  PIN_RESEND_INTERVAL,
+  PIN_RESEND_LIMIT,
+  PIN_RESEND_WINDOW,
+} = require('./globals');
+
+/**
+ * Moments where a PIN code was sent during the resend window, indexed by phone number (or email address).
+ * @type {Map<string, number[]>}
+ */
+const pinSendings = new Map();
+
+/**
+ * Function used to normalize a phone number in the E.164 format, the numbers without international prefix being considered as local.
+ * @param {string} number The phone number.
+ * @returns {string|null} The normalized phone number, or null if it is invalid.
+ */
+exports.normalizePhone = number => {
+  if (!number) return null;
+
+  const { isValid, phoneNumber } = `${number}`.trim().startsWith('+')
+    ? parsePhone(number)
+    : parsePhone(number, { country: SMS_DEFAULT_COUNTRY });
+
+  return isValid ? phoneNumber : null;
+};
+
+/**
+ * Function used to check that a new PIN code can be sent to a recipient, and record the sending.
+ * It is limited to one PIN code per resend interval and to a maximum number of PIN codes per resend window.
+ * @param {string} recipient The phone number (or email address) the PIN code is sent to.
+ * @param {number} now The current moment.
+ */
+exports.recordPinSending = (recipient, now = Date.now()) => {
+  const sendings = (pinSendings.get(recipient) || []).filter(
+    date => date > now - PIN_RESEND_WINDOW,
+  );
+  const lastSending = sendings[sendings.length - 1];
+
+  if (lastSending && now - lastSending < PIN_RESEND_INTERVAL)
+    throw new AppError(
+      `Please wait ${Math.ceil(
+        (lastSending + PIN_RESEND_INTERVAL - now) / 1000,
+      )} seconds before requesting a new PIN code.`,
+      429,
+    );
+
+  if (sendings.length >= PIN_RESEND_LIMIT)
+    throw new AppError(
+      `Too many PIN codes were requested. Please retry in ${Math.ceil(
+        (sendings[0] + PIN_RESEND_WINDOW - now) / 60000,
+      )} minutes.`,
+      429,
+    );
+
+  sendings.push(now);
+  pinSendings.set(recipient, sendings);
+
+  // Forget the recipients whose sendings are all out of the window
+  if (pinSendings.size > 10000)
+    pinSendings.forEach((dates, key) => {
+      if (dates[dates.length - 1] <= now - PIN_RESEND_WINDOW)
+        pinSendings.delete(key);
+    });
+};
+
+/**
+ * Async function used to generate a new PIN code for a user and send it by SMS, or by email if he didn't provide a valid phone number.
+ * @param {import('../models/userModel').User} user The user to whom we want to send a PIN code.
+ * @returns {Promise<Date>} The expiration date of the sent PIN code.
+ */
+exports.sendPinCode = async user => {
+  const phoneNumber = exports.normalizePhone(user.phone);
+
+  exports.recordPinSending(phoneNumber || user.email);
+
+  const [pinCode, pinCodeExpires] = user.createPinCode();
+  await user.save({ validateBeforeSave: false });
+
+  const validity = Math.round(CONFIRMATION_DELAY / 60000);
+
+  if (phoneNumber)
+    await SMS_GATEWAY.sendSms(
+      phoneNumber,
+      `Your Park'N'Share PIN code is ${pinCode}. It is valid for ${validity} minutes.`,
+    );
+  else await new Email(user).sendPinCode(pinCode, validity);
+
+  return pinCodeExpires;
+};
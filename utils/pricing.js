@@ -0,0 +1,205 @@
+/**
+ * Pricing engine, computing the price of a parking occupation according to the pricing rules published by the owner of the parking.
+ * The same engine is used for the quotes given to the clients and for the final bill of their reservations, so both always agree.
+ * @module pricing
+ */
+const moment = require('moment-timezone');
+
+/**
+ * Number of milliseconds in an hour.
+ * @type {number}
+ */
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Number of milliseconds in a minute.
+ * @type {number}
+ */
+const MINUTE = 60 * 1000;
+
+/**
+ * The representation of a price computed by the pricing engine
+ * @typedef Price
+ * @property {number} total The total price of the occupation.
+ * @property {number} duration The duration of the occupation, in minutes.
+ * @property {number} billedDuration The duration of the occupation after rounding, in minutes.
+ * @property {number} freeDuration The free duration offered at the beginning of the occupation, in minutes.
+ * @property {number} flatDays The number of full days charged at the daily flat rate.
+ * @property {Object[]} days The price charged for each calendar day (in the timezone of the parking) outside the flat rate days.
+ * @property {boolean} minimumCharged true if the minimum charge was applied, false otherwise.
+ */
+
+/**
+ * Function used to round an amount of money to the centime.
+ * @param {number} amount The amount we want to round.
+ * @returns {number} The rounded amount.
+ */
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Function used to check if an optional pricing rule is defined.
+ * @param {*} value The value of the pricing rule.
+ * @returns {boolean} true if the rule is defined, false otherwise.
+ */
+const isSet = value => value !== undefined && value !== null;
+
+/**
+ * Function used to convert a time of the day in the HH:mm format in a number of minutes since midnight.
+ * @param {string} time The time of the day in the HH:mm format.
+ * @returns {number} The number of minutes since midnight.
+ */
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(value => parseInt(value, 10));
+  return hours * 60 + minutes;
+};
+
+/**
+ * Function used to check if a moment is in the night period defined in the pricing rules.
+ * @param {moment.Moment} date The moment we want to check.
+ * @param {Object} night The night period, with its start and end times in the HH:mm format (the end can be before the start if it spans midnight).
+ * @returns {boolean} true if the moment is in the night period, false otherwise.
+ */
+const isNight = (date, { start, end }) => {
+  const minutes = date.hours() * 60 + date.minutes();
+  const [nightStart, nightEnd] = [toMinutes(start), toMinutes(end)];
+
+  return nightStart < nightEnd
+    ? nightStart <= minutes && minutes < nightEnd
+    : minutes >= nightStart || minutes < nightEnd;
+};
+
+/**
+ * Function used to get the hourly price applied at a given moment: the night price takes precedence over the weekend price, which takes precedence over the base price.
+ * @param {moment.Moment} date The moment we want to get the hourly price of.
+ * @param {number} price The base hourly price of the parking.
+ * @param {Object} pricing The pricing rules of the parking.
+ * @returns {number} The hourly price applied at that moment.
+ */
+const getHourlyPrice = (date, price, { night, weekendPrice }) => {
+  if (isSet(night?.price) && night.start && isNight(date, night))
+    return night.price;
+
+  if (isSet(weekendPrice) && [0, 6].includes(date.day())) return weekendPrice;
+
+  return price;
+};
+
+/**
+ * Function used to get the next moment where the hourly price can change (midnight, start or end of the night period) after a given moment.
+ * @param {moment.Moment} date The moment after which we search the next change.
+ * @param {Object} pricing The pricing rules of the parking.
+ * @returns {moment.Moment} The next moment where the hourly price can change.
+ */
+const getNextBoundary = (date, { night }) => {
+  const boundaries = [date.clone().startOf('day').add(1, 'day')];
+
+  if (night?.start && night?.end)
+    [night.start, night.end].forEach(time => {
+      const boundary = date
+        .clone()
+        .startOf('day')
+        .add(toMinutes(time), 'minutes');
+
+      if (boundary.isAfter(date)) boundaries.push(boundary);
+    });
+
+  return moment.min(boundaries);
+};
+
+/**
+ * Function used to compute the hourly-based price of a time window, grouped by calendar day and capped by the daily cap of the parking.
+ * @param {number} start The start of the time window, in ms.
+ * @param {number} end The end of the time window, in ms.
+ * @param {number} price The base hourly price of the parking.
+ * @param {Object} pricing The pricing rules of the parking.
+ * @param {string} timezone The timezone of the parking.
+ * @returns {Object[]} The price charged for each calendar day of the time window.
+ */
+const computeDays = (start, end, price, pricing, timezone) => {
+  const days = [];
+  let cursor = moment.tz(start, timezone);
+
+  while (cursor.valueOf() < end) {
+    const boundary = Math.min(getNextBoundary(cursor, pricing).valueOf(), end);
+    const amount =
+      ((boundary - cursor.valueOf()) / HOUR) *
+      getHourlyPrice(cursor, price, pricing);
+    const date = cursor.format('YYYY-MM-DD');
+
+    if (days.length === 0 || days[days.length - 1].date !== date)
+      days.push({ date, amount: 0, capped: false });
+
+    days[days.length - 1].amount += amount;
+
+    cursor = moment.tz(boundary, timezone);
+  }
+
+  return days.map(({ date, amount }) => {
+    const capped = isSet(pricing.dailyCap) && amount > pricing.dailyCap;
+
+    return {
+      date,
+      amount: roundAmount(capped ? pricing.dailyCap : amount),
+      capped,
+    };
+  });
+};
+
+/**
+ * Function used to compute the price of an occupation of a parking during a time window, according to its pricing rules:
+ * - the duration is rounded up to the configured number of minutes;
+ * - the free minutes are offered at the beginning of the occupation;
+ * - every full day (24 hours) is charged at the daily flat rate, if any;
+ * - the remaining time is charged at the hourly price applied at each moment (night, weekend or base price), capped for each calendar day by the daily cap (and by the daily flat rate);
+ * - the minimum charge is applied to every occupation exceeding the free minutes.
+ * @param {import('../models/parkingModel').Parking} parking The occupied parking.
+ * @param {Date|number} start The start of the occupation.
+ * @param {Date|number} end The end of the occupation.
+ * @returns {Price} The computed price.
+ */
+exports.computePrice = (parking, start, end) => {
+  const { price, pricing = {}, availability } = parking;
+  const { dailyFlatRate } = pricing;
+  const freeMinutes = pricing.freeMinutes || 0;
+  const minimumCharge = pricing.minimumCharge || 0;
+  const roundingMinutes = pricing.roundingMinutes || 0;
+  const timezone = availability?.timezone || 'Europe/Zurich';
+
+  const startTime = new Date(start).getTime();
+  const duration = Math.max(new Date(end).getTime() - startTime, 0);
+  const rounding = roundingMinutes * MINUTE;
+  const billedDuration =
+    rounding > 0 ? Math.ceil(duration / rounding) * rounding : duration;
+  const freeDuration = Math.min(freeMinutes * MINUTE, billedDuration);
+  const chargedDuration = billedDuration - freeDuration;
+
+  const flatDays = isSet(dailyFlatRate)
+    ? Math.floor(chargedDuration / (24 * HOUR))
+    : 0;
+  const hourlyStart = startTime + freeDuration + flatDays * 24 * HOUR;
+  const days = computeDays(
+    hourlyStart,
+    startTime + billedDuration,
+    price,
+    pricing,
+    timezone,
+  );
+
+  let hourlyAmount = days.reduce((total, { amount }) => total + amount, 0);
+  if (isSet(dailyFlatRate))
+    hourlyAmount = Math.min(hourlyAmount, dailyFlatRate);
+
+  let total = roundAmount(flatDays * (dailyFlatRate || 0) + hourlyAmount);
+  const minimumCharged = chargedDuration > 0 && total < minimumCharge;
+  if (minimumCharged) total = minimumCharge;
+
+  return {
+    total,
+    duration: roundAmount(duration / MINUTE),
+    billedDuration: roundAmount(billedDuration / MINUTE),
+    freeDuration: roundAmount(freeDuration / MINUTE),
+    flatDays,
+    days,
+    minimumCharged,
+  };
+};
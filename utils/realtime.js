@@ -0,0 +1,200 @@
+/**
+ * Functions related to the real-time channel pushing the parking events to the clients over WebSockets.
+ * @module realtime
+ */
+const { Server } = require('socket.io');
+const cookieParser = require('cookie-parser');
+const User = require('../models/userModel');
+const Thingy = require('../models/thingyModel');
+const Parking = require('../models/parkingModel');
+const AppError = require('./classes/AppError');
+const {
+  getToken,
+  connectUser,
+  queryById,
+  handleJWTError,
+  handleJWTExpiredError,
+} = require('./utils');
+const {
+  EVENT_BUS,
+  FRONTEND_URL,
+  REALTIME_DEVICE_CACHE_DURATION,
+} = require('./globals');
+
+/**
+ * Parkings of the thingies whose readings were recently forwarded, indexed by device id.
+ * @type {Map<string, {parking: *, expiration: number}>}
+ */
+const deviceParkings = new Map();
+
+/**
+ * Function used to get the name of the room of the clients subscribed to a parking.
+ * @param {*} parking The id of the parking.
+ * @returns {string} The name of the room.
+ */
+const getParkingRoom = parking => `parking:${parking}`;
+
+/**
+ * Function used to get the name of the room of the connections of a user.
+ * @param {*} user The id of the user.
+ * @returns {string} The name of the room.
+ */
+const getUserRoom = user => `user:${user}`;
+
+/**
+ * Function used to get the name of the room of the connections authenticated by the access tokens of a session.
+ * @param {*} session The id of the session.
+ * @returns {string} The name of the room.
+ */
+const getSessionRoom = session => `session:${session}`;
+
+/**
+ * Async function used to publish a reading of a thingy on the event bus, such that it is forwarded to the subscribers of its parking.
+ * Only the environmental properties are published, and the parking of each thingy is cached for a short duration.
+ * @param {import('./classes/MqttIngestion').Reading} reading The validated reading sent by the thingy.
+ */
+exports.publishReading = async ({
+  deviceId,
+  appId,
+  kind,
+  value,
+  timestamp,
+}) => {
+  if (kind !== 'property') return;
+
+  let cached = deviceParkings.get(deviceId);
+
+  if (!cached || cached.expiration < Date.now()) {
+    cached = {
+      parking: await Thingy.getParkingByDevice(deviceId),
+      expiration: Date.now() + REALTIME_DEVICE_CACHE_DURATION,
+    };
+    deviceParkings.set(deviceId, cached);
+  }
+
+  if (!cached.parking) return;
+
+  EVENT_BUS.publish('sensor:reading', {
+    parking: cached.parking,
+    data: { property: appId, value, timestamp },
+  });
+};
+
+/**
+ * Async middleware function used to authenticate the WebSocket connections with the jwt token sent in the handshake (auth payload, authorization header or cookie).
+ * @param {import('socket.io').Socket} socket The socket trying to connect.
+ * @param {Function} next The function called to accept or reject the connection.
+ */
+const authenticate = async (socket, next) => {
+  const token = socket.handshake.auth?.token || getToken(socket.request);
+
+  if (!token) {
+    next(
+      new AppError(
+        'You are not logged in! Please log in to get access to this route.',
+        401,
+      ),
+    );
+    return;
+  }
+
+  try {
+    socket.data.user = await connectUser(User, token);
+    next();
+  } catch (err) {
+    if (err.name === 'JsonWebTokenError') next(handleJWTError());
+    else if (err.name === 'TokenExpiredError') next(handleJWTExpiredError());
+    else next(err);
+  }
+};
+
+/**
+ * Function used to handle a new authenticated connection, letting it subscribe to the live events of the parkings.
+ * @param {import('socket.io').Socket} socket The connected socket.
+ */
+const handleConnection = socket => {
+  const {
+    data: { user },
+  } = socket;
+
+  // The owners receive the reservations of their parkings on all their connections
+  socket.join(getUserRoom(user._id));
+  // The connection is ended when its session is revoked (i.e. logout, password change) or its access token expires
+  socket.join(getSessionRoom(user.$locals.sessionId));
+
+  const expiration = setTimeout(() => {
+    socket.emit('session:end', { reason: 'expired' });
+    socket.disconnect();
+  }, user.$locals.tokenExpires - Date.now());
+
+  socket.on('disconnect', () => clearTimeout(expiration));
+
+  socket.on('parking:subscribe', async (parkingId, ack = () => {}) => {
+    try {
+      const parking = await queryById(Parking, parkingId, {
+        isValidated: true,
+      });
+
+      if (!parking) {
+        ack({
+          status: 'fail',
+          message: "The requested parking doesn't exist.",
+        });
+        return;
+      }
+
+      socket.join(getParkingRoom(parking._id));
+      ack({ status: 'success' });
+    } catch (err) {
+      ack({ status: 'error', message: 'Something went wrong!' });
+    }
+  });
+
+  socket.on('parking:unsubscribe', (parkingId, ack = () => {}) => {
+    socket.leave(getParkingRoom(parkingId));
+    ack({ status: 'success' });
+  });
+};
+
+/**
+ * Function used to attach the real-time channel to the HTTP server: the occupancy changes are pushed to all the connected clients,
+ * the reservation steps to the owners of the parkings and the sensor readings to the subscribers of their parking.
+ * The connections of the revoked sessions are ended with a session:end event.
+ * @param {import('http').Server} server The HTTP server of the application.
+ * @returns {Server} The socket.io server.
+ */
+exports.createRealtimeServer = server => {
+  const io = new Server(server, {
+    cors: { credentials: true, origin: FRONTEND_URL },
+  });
+
+  io.engine.use(cookieParser());
+  io.use(authenticate);
+  io.on('connection', handleConnection);
+
+  EVENT_BUS.on('parking:occupancy', event =>
+    io.emit('parking:occupancy', event),
+  );
+
+  ['reservation:start', 'reservation:confirm', 'reservation:end'].forEach(
+    type =>
+      EVENT_BUS.on(type, event =>
+        io.to(getUserRoom(event.owner)).emit(type, event),
+      ),
+  );
+
+  EVENT_BUS.on('session:revoked', sessionIds =>
+    sessionIds.forEach(sessionId => {
+      const room = io.to(getSessionRoom(sessionId));
+
+      room.emit('session:end', { reason: 'revoked' });
+      room.disconnectSockets();
+    }),
+  );
+
+  EVENT_BUS.on('sensor:reading', event =>
+    io.to(getParkingRoom(event.parking)).emit('sensor:reading', event),
+  );
+
+  return io;
+};
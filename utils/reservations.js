@@ -0,0 +1,282 @@
+/**
+ * Functions related to the lifecycle of the reservations, confirmed by pressing the button of the thingy of the parking.
+ * @module reservations
+ */
+const Thingy = require('../models/thingyModel');
+const Parking = require('../models/parkingModel');
+const Occupation = require('../models/occupationModel');
+const Email = require('./classes/Email');
+const AppError = require('./classes/AppError');
+const { runTransaction } = require('./utils');
+const { capturePayment } = require('./payments');
+const { computePrice } = require('./pricing');
+const { getOrCreateInvoice, renderInvoicePdf } = require('./invoices');
+const { CONFIRMATION_SWEEP_INTERVAL, EVENT_BUS } = require('./globals');
+
+/**
+ * Async function used to end an occupation, release its parking, charge its bill and send its invoice to the owner of the parking.
+ * @param {import('../models/occupationModel').Occupation} occupation The ended occupation.
+ * @param {import('../models/parkingModel').Parking} parking The parking of the occupation, with its populated owner.
+ * @param {Date|number} end The end time of the occupation.
+ * @param {string} username The username of the client of the occupation.
+ * @returns {Promise<{occupation: import('../models/occupationModel').Occupation, payment: import('../models/paymentModel').Payment, invoice: import('../models/invoiceModel').Invoice}>} The finished occupation, its payment and its invoice.
+ */
+exports.finishOccupation = async (occupation, parking, end, username) => {
+  const { total: bill } = computePrice(parking, occupation.start, end);
+
+  // End the occupation and release the parking atomically, such that simultaneous requests can't end the same occupation twice
+  const updatedOccupation = await runTransaction(
+    async (session, onRollback) => {
+      const endedOccupation = await Occupation.findOneAndUpdate(
+        { _id: occupation._id, end: undefined },
+        {
+          end,
+          bill,
+          status: 'finished',
+          $unset: { confirmationDeadline: 1 },
+        },
+        { session, new: true },
+      );
+
+      if (!endedOccupation)
+        throw new AppError("You haven't reserved this parking.", 400);
+
+      onRollback(() =>
+        Occupation.updateOne(
+          { _id: occupation._id },
+          {
+            status: occupation.status,
+            $unset: { end: 1, bill: 1 },
+          },
+        ),
+      );
+
+      await Parking.updateOne(
+        { _id: parking._id },
+        { isOccupied: false, isPending: false },
+        { session, runValidators: false },
+      );
+
+      return endedOccupation;
+    },
+  );
+
+  EVENT_BUS.publishOccupancy(parking._id, false);
+  EVENT_BUS.publishReservation('end', updatedOccupation, parking.owner._id);
+
+  // Charge the bill on the payment pre-authorized at the start of the reservation or on the wallet of the client
+  const payment = await capturePayment(
+    updatedOccupation,
+    bill,
+    parking.owner._id,
+  );
+
+  // Generate the numbered invoice of the finished occupation
+  let invoice, invoicePdf;
+  try {
+    invoice = await getOrCreateInvoice(updatedOccupation._id);
+    invoicePdf = await renderInvoicePdf(invoice);
+  } catch (err) {
+    console.error(
+      `Error while trying to generate the invoice of the occupation ${updatedOccupation._id}.`,
+    );
+    console.error(err);
+  }
+
+  try {
+    await new Email(parking.owner).sendParkingEndReservation(
+      username,
+      invoice,
+      invoicePdf,
+    );
+  } catch (err) {
+    console.error(
+      'Error while trying to send the parking reservation end to the owner.',
+    );
+    console.error(err);
+  }
+
+  return { occupation: updatedOccupation, payment, invoice };
+};
+
+/**
+ * Async function used to confirm the pending arrival or departure of the client of a parking, when the button of its thingy is pressed.
+ * A confirmed arrival starts the occupation, a confirmed departure finishes it at the moment where the client requested it.
+ * @param {string} deviceId The id of the thingy whose button was pressed.
+ * @param {Date} date The moment where the button was pressed.
+ * @returns {Promise<import('../models/occupationModel').Occupation|null>} The confirmed occupation, or null if nothing had to be confirmed on the parking.
+ */
+exports.confirmWithButton = async (deviceId, date = new Date()) => {
+  const parkingId = await Thingy.getParkingByDevice(deviceId);
+
+  if (!parkingId) return null;
+
+  const occupation = await Occupation.findOne({
+    parking: parkingId,
+    end: undefined,
+    status: { $in: ['pending', 'ending'] },
+    confirmationDeadline: { $gt: date },
+  }).populate({ path: 'client', select: '_id username' });
+
+  if (!occupation) return null;
+
+  if (occupation.status === 'ending') {
+    const parking = await Parking.findById(parkingId).populate({
+      path: 'owner',
+      select: '_id username email',
+    });
+    const { occupation: finishedOccupation } = await exports.finishOccupation(
+      occupation,
+      parking,
+      occupation.endRequestDate,
+      occupation.client.username,
+    );
+
+    return finishedOccupation;
+  }
+
+  // The occupation (and its billing) starts when the client confirms his arrival
+  const activatedOccupation = await Occupation.findOneAndUpdate(
+    { _id: occupation._id, status: 'pending' },
+    { status: 'active', start: date, $unset: { confirmationDeadline: 1 } },
+    { new: true },
+  );
+
+  if (activatedOccupation) {
+    const { owner } = await Parking.findByIdAndUpdate(
+      parkingId,
+      { isPending: false },
+      { runValidators: false },
+    ).select('owner');
+
+    EVENT_BUS.publishReservation('confirm', activatedOccupation, owner);
+  }
+
+  return activatedOccupation;
+};
+
+/**
+ * Function used to handle a reading sent by a thingy, confirming the pending reservation of its parking if its button was pressed.
+ * @param {import('./classes/MqttIngestion').Reading} reading The validated reading sent by the thingy.
+ */
+exports.handleButtonReading = ({ deviceId, appId, value }) => {
+  if (appId !== 'BUTTON' || value !== true) return;
+
+  exports
+    .confirmWithButton(deviceId)
+    .catch(err =>
+      console.error(
+        `Error while trying to confirm the reservation with the button of ${deviceId}:`,
+        err.message,
+      ),
+    );
+};
+
+/**
+ * Async function used to expire the arrivals and departures that weren't confirmed in time: the pending occupations are expired without being charged
+ * and their parking is released, the departures are cancelled and their occupation goes on.
+ * @param {Date} date The current moment.
+ * @returns {Promise<{expired: number, resumed: number}>} The number of expired occupations and of cancelled departures.
+ */
+exports.expireConfirmations = async (date = new Date()) => {
+  const occupations = await Occupation.find({
+    end: undefined,
+    status: { $in: ['pending', 'ending'] },
+    confirmationDeadline: { $lte: date },
+  }).populate({ path: 'parking', select: '_id owner' });
+
+  let expired = 0;
+  let resumed = 0;
+
+  for (const occupation of occupations) {
+    const {
+      parking: { _id: parkingId, owner },
+    } = occupation;
+
+    if (occupation.status === 'ending') {
+      const { modifiedCount } = await Occupation.updateOne(
+        { _id: occupation._id, status: 'ending' },
+        {
+          status: 'active',
+          $unset: { confirmationDeadline: 1, endRequestDate: 1 },
+        },
+      );
+
+      if (modifiedCount === 0) continue;
+
+      await Parking.updateOne(
+        { _id: parkingId },
+        { isPending: false },
+        { runValidators: false },
+      );
+      resumed += 1;
+      continue;
+    }
+
+    const expiredOccupation = await runTransaction(
+      async (session, onRollback) => {
+        const updatedOccupation = await Occupation.findOneAndUpdate(
+          { _id: occupation._id, status: 'pending', end: undefined },
+          {
+            status: 'expired',
+            end: date,
+            bill: 0,
+            $unset: { confirmationDeadline: 1 },
+          },
+          { session, new: true },
+        );
+
+        if (!updatedOccupation) return null;
+
+        onRollback(() =>
+          Occupation.updateOne(
+            { _id: occupation._id },
+            {
+              status: 'pending',
+              confirmationDeadline: occupation.confirmationDeadline,
+              $unset: { end: 1, bill: 1 },
+            },
+          ),
+        );
+
+        await Parking.updateOne(
+          { _id: parkingId },
+          { isOccupied: false, isPending: false },
+          { session, runValidators: false },
+        );
+
+        return updatedOccupation;
+      },
+    );
+
+    if (!expiredOccupation) continue;
+
+    EVENT_BUS.publishOccupancy(parkingId, false);
+    EVENT_BUS.publishReservation('end', expiredOccupation, owner);
+
+    // Release the amount pre-authorized at the start of the reservation
+    await capturePayment(expiredOccupation, 0, owner);
+    expired += 1;
+  }
+
+  return { expired, resumed };
+};
+
+/**
+ * Function used to periodically expire the arrivals and departures that weren't confirmed in time.
+ * @param {number} interval The interval (in ms) between two sweeps.
+ * @returns {NodeJS.Timeout} The timer of the sweeper.
+ */
+exports.startConfirmationSweeper = (interval = CONFIRMATION_SWEEP_INTERVAL) =>
+  setInterval(
+    () =>
+      exports
+        .expireConfirmations()
+        .catch(err =>
+          console.error(
+            'Error while trying to expire the unconfirmed reservations:',
+            err.message,
+          ),
+        ),
+    interval,
+  );
@@ -0,0 +1,159 @@
+/**
+ * Functions related to the sessions of the users, i.e. their rotating refresh tokens stored server-side.
+ * @module sessions
+ */
+const crypto = require('crypto');
+const Session = require('../models/sessionModel');
+const AppError = require('./classes/AppError');
+const {
+  EVENT_BUS,
+  REFRESH_TOKEN_DURATION,
+  SESSION_TOUCH_INTERVAL,
+} = require('./globals');
+
+/**
+ * Function used to hash a refresh token before storing or querying it.
+ * @param {string} refreshToken The refresh token.
+ * @returns {string} The hashed token.
+ */
+const hashToken = refreshToken =>
+  crypto.createHash('sha256').update(`${refreshToken}`).digest('hex');
+
+/**
+ * Function used to generate a new refresh token.
+ * @returns {string[]} The refresh token given to the user and its hashed version that will be stored in the database.
+ */
+const createRefreshToken = () => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  return [refreshToken, hashToken(refreshToken)];
+};
+
+/**
+ * Function used to get the description of the device sending a request.
+ * @param {import('express').Request} req The request object of the Express framework.
+ * @returns {{userAgent: string, ip: string}} The user agent and the IP address of the device.
+ */
+const getDevice = req => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
+/**
+ * Async function used to open a new session for an user, when he logs in on a device.
+ * @param {import('express').Request} req The request object of the Express framework, used to get the device of the user.
+ * @param {*} user The id of the user.
+ * @returns {Promise<Array>} The created session and its refresh token.
+ */
+exports.createSession = async (req, user) => {
+  const [refreshToken, hashedRefreshToken] = createRefreshToken();
+
+  const session = await Session.create({
+    user,
+    refreshToken: hashedRefreshToken,
+    ...getDevice(req),
+    expirationDate: Date.now() + REFRESH_TOKEN_DURATION,
+  });
+
+  return [session, refreshToken];
+};
+
+/**
+ * Async function used to exchange a refresh token against a new one. The session of a refresh token that was already exchanged is revoked,
+ * since the token was probably stolen.
+ * @param {import('express').Request} req The request object of the Express framework, used to get the device of the user.
+ * @param {string} refreshToken The refresh token sent by the user.
+ * @returns {Promise<Array>} The session and its new refresh token.
+ */
+exports.rotateSession = async (req, refreshToken) => {
+  const hashedToken = hashToken(refreshToken);
+  const [newRefreshToken, hashedNewRefreshToken] = createRefreshToken();
+  const now = Date.now();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshToken: hashedToken,
+      revocationDate: { $exists: false },
+      expirationDate: { $gt: now },
+    },
+    {
+      refreshToken: hashedNewRefreshToken,
+      previousRefreshToken: hashedToken,
+      ...getDevice(req),
+      lastUsedDate: now,
+      expirationDate: now + REFRESH_TOKEN_DURATION,
+    },
+    { new: true },
+  );
+
+  if (session) return [session, newRefreshToken];
+
+  const reusedSession = await Session.findOneAndUpdate(
+    { previousRefreshToken: hashedToken, revocationDate: { $exists: false } },
+    { revocationDate: now },
+  );
+
+  if (reusedSession)
+    throw new AppError(
+      'This refresh token was already used. Please log in again.',
+      401,
+    );
+
+  throw new AppError(
+    'Your session has expired or was revoked. Please log in again.',
+    401,
+  );
+};
+
+/**
+ * Async function used to check that a session is still active, and update its last usage date.
+ * @param {*} sessionId The id of the session.
+ * @param {*} user The id of the user the session must belong to.
+ * @returns {Promise<boolean>} True if the session exists and wasn't revoked nor expired, false otherwise.
+ */
+exports.isSessionActive = async (sessionId, user) => {
+  if (!sessionId) return false;
+
+  const now = Date.now();
+  const session = await Session.findOne({
+    _id: sessionId,
+    user,
+    revocationDate: { $exists: false },
+    expirationDate: { $gt: now },
+  });
+
+  if (!session) return false;
+
+  if (now - session.lastUsedDate > SESSION_TOUCH_INTERVAL)
+    await Session.updateOne({ _id: session._id }, { lastUsedDate: now });
+
+  return true;
+};
+
+/**
+ * Async function used to revoke the active sessions matching a filter.
+ * The revoked sessions are announced on the event bus (session:revoked), so that the open event streams of their access tokens are closed.
+ * @param {Object} filter The filter of the revoked sessions (i.e. { user } to revoke all the sessions of an user).
+ * @returns {Promise<number>} The number of revoked sessions.
+ */
+exports.revokeSessions = async filter => {
+  const query = { ...filter, revocationDate: { $exists: false } };
+  const sessionIds = await Session.find(query).distinct('_id');
+
+  const { modifiedCount } = await Session.updateMany(query, {
+    revocationDate: Date.now(),
+  });
+
+  if (sessionIds.length > 0)
+    EVENT_BUS.emit(
+      'session:revoked',
+      sessionIds.map(id => `${id}`),
+    );
+
+  return modifiedCount;
+};
+
+/**
+ * Async function used to revoke the session of a refresh token.
+ * @param {string} refreshToken The refresh token.
+ * @returns {Promise<number>} The number of revoked sessions.
+ */
+exports.revokeRefreshToken = refreshToken =>
+  exports.revokeSessions({ refreshToken: hashToken(refreshToken) });
@@ -0,0 +1,126 @@
+/**
+ * Functions related to the Server-Sent Events streams, forwarding the parking events to the clients that can't use WebSockets.
+ * @module sse
+ */
+const EventBuffer = require('./classes/EventBuffer');
+const {
+  EVENT_BUS,
+  SSE_BUFFER_SIZE,
+  SSE_HEARTBEAT_INTERVAL,
+  SSE_RETRY_DELAY,
+} = require('./globals');
+
+/**
+ * Types of the events forwarded on the event streams.
+ * @type {string[]}
+ */
+const STREAMED_EVENTS = [
+  'parking:occupancy',
+  'reservation:start',
+  'reservation:confirm',
+  'reservation:end',
+];
+
+/**
+ * Buffer of the last streamed events, replayed to the clients resuming their stream.
+ * @type {EventBuffer}
+ */
+const buffer = new EventBuffer(SSE_BUFFER_SIZE);
+
+STREAMED_EVENTS.forEach(type =>
+  EVENT_BUS.on(type, event => buffer.push(event)),
+);
+
+/**
+ * Function used to write an event on an event stream.
+ * @param {import('express').Response} res The response of the event stream.
+ * @param {string} message The formatted message of the event.
+ */
+const write = (res, message) => {
+  res.write(message);
+  // Send the message right away instead of waiting for the compression middleware to fill its buffer
+  if (res.flush) res.flush();
+};
+
+/**
+ * Function used to format an event following the Server-Sent Events format.
+ * @param {import('./classes/EventBus').BusEvent} event The formatted event.
+ * @returns {string} The formatted message.
+ */
+const formatEvent = event =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+/**
+ * Function used to open an event stream on a response, forwarding the streamed events accepted by the given filter until the client disconnects.
+ * If the client resumes a stream (Last-Event-ID header or lastEventId query parameter), the buffered events it missed are sent first.
+ * The stream is ended with a session:end event when the access token of the connected user expires or when its session is revoked (i.e. logout, password change).
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to handle the response we will give back to the end user.
+ * @param {function(import('./classes/EventBus').BusEvent): boolean} filter The function selecting the events sent to the client.
+ */
+exports.openEventStream = (req, res, filter) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  write(res, `retry: ${SSE_RETRY_DELAY}\n\n`);
+
+  const lastEventId = parseInt(
+    req.get('Last-Event-ID') || req.query.lastEventId,
+    10,
+  );
+
+  if (!Number.isNaN(lastEventId))
+    buffer
+      .since(lastEventId)
+      .filter(filter)
+      .forEach(event => write(res, formatEvent(event)));
+
+  const listener = event => {
+    if (filter(event)) write(res, formatEvent(event));
+  };
+
+  STREAMED_EVENTS.forEach(type => EVENT_BUS.on(type, listener));
+
+  const heartbeat = setInterval(
+    () => write(res, ': heartbeat\n\n'),
+    SSE_HEARTBEAT_INTERVAL,
+  );
+
+  // End the stream once the access token authenticating it expires or its session is revoked
+  const { sessionId, tokenExpires } = req.user.$locals;
+
+  const expiration = setTimeout(
+    () => end('expired'),
+    tokenExpires - Date.now(),
+  );
+
+  const revocationListener = sessionIds => {
+    if (sessionIds.includes(`${sessionId}`)) end('revoked');
+  };
+
+  EVENT_BUS.on('session:revoked', revocationListener);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiration);
+    STREAMED_EVENTS.forEach(type => EVENT_BUS.off(type, listener));
+    EVENT_BUS.off('session:revoked', revocationListener);
+  };
+
+  /**
+   * Function used to end the stream, telling the client why it must authenticate again before reconnecting.
+   * @param {string} reason The reason of the end of the stream (expired or revoked).
+   */
+  const end = reason => {
+    close();
+    write(res, `event: session:end\ndata: ${JSON.stringify({ reason })}\n\n`);
+    res.end();
+  };
+
+  req.on('close', close);
+};
@@ -37,6 +37,16 @@ const options = {
         name: 'User',
         description: 'All operations related to user management',
       },
+      {
+        name: 'Session',
+        description:
+          'All operations related to the sessions of the connected user on his devices',
+      },
+      {
+        name: 'Two-factor authentication',
+        description:
+          'All operations related to the two-factor authentication of the connected user with an authenticator app',
+      },
       {
         name: 'Parking',
         description: 'All operations related to parking management',
@@ -45,10 +55,28 @@ const options = {
         name: 'Thingy',
         description: 'All operations related to thingy management',
       },
+      {
+        name: 'Incident',
+        description:
+          'All operations related to the incidents detected by the thingies',
+      },
+      {
+        name: 'Webhook',
+        description:
+          'All operations related to the webhooks notifying the systems of the users',
+      },
       {
         name: 'Occupation',
         description: 'All operations related to occupation management',
       },
+      {
+        name: 'Payment',
+        description: 'All operations related to payment management',
+      },
+      {
+        name: 'Payout',
+        description: 'All operations related to provider payout management',
+      },
     ],
     components: {
       securitySchemes: {
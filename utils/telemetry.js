@@ -0,0 +1,74 @@
+/**
+ * Functions related to the ingestion of the telemetry sent by the thingies.
+ * @module telemetry
+ */
+const Thingy = require('../models/thingyModel');
+const MqttIngestion = require('./classes/MqttIngestion');
+const thingDescription = require('./thingDescription');
+const { INFLUX, INFLUX_MEASUREMENT, MQTT_TOPIC } = require('./globals');
+
+/**
+ * Async function used to update the last moment where the thingies that sent the given readings were seen.
+ * @param {import('./classes/MqttIngestion').Reading[]} readings The readings written in InfluxDB.
+ */
+exports.updateLastSeen = async readings => {
+  const lastSeen = new Map();
+
+  readings.forEach(({ deviceId, timestamp }) => {
+    if (!lastSeen.has(deviceId) || lastSeen.get(deviceId) < timestamp)
+      lastSeen.set(deviceId, timestamp);
+  });
+
+  await Thingy.bulkWrite(
+    [...lastSeen.entries()].map(([deviceId, timestamp]) => ({
+      updateOne: {
+        filter: { deviceId },
+        update: { $max: { lastSeen: timestamp } },
+      },
+    })),
+  );
+};
+
+/**
+ * Function used to create the ingestion service writing the telemetry of the thingies in InfluxDB, and keeping their last seen date up to date.
+ * @param {string} brokerUrl The url of the MQTT broker.
+ * @param {import('mqtt').IClientOptions} mqttOptions Additional options given to the MQTT client (credentials, client id...).
+ * @returns {MqttIngestion} The ingestion service, that has to be started.
+ */
+exports.createIngestion = (brokerUrl, mqttOptions = {}) => {
+  const ingestion = new MqttIngestion({
+    brokerUrl,
+    mqttOptions,
+    thingDescription,
+    topic: MQTT_TOPIC,
+    measurement: INFLUX_MEASUREMENT,
+    writeClient: INFLUX.writeClient,
+  });
+
+  ingestion.on('flush', readings =>
+    exports
+      .updateLastSeen(readings)
+      .catch(err => console.error('Thingy update failed:', err.message)),
+  );
+  ingestion.on('invalid', ({ topic, error }) =>
+    console.warn(`Invalid message received on ${topic}: ${error}`),
+  );
+  ingestion.on('writeError', (err, readings) =>
+    console.error(
+      `Failed to write ${readings.length} readings in InfluxDB, retrying later:`,
+      err.message,
+    ),
+  );
+  ingestion.on('drop', readings =>
+    console.error(
+      `Dropped ${readings.length} readings that couldn't be written in InfluxDB.`,
+    ),
+  );
+  ingestion.on('offline', ({ attempt, delay }) =>
+    console.warn(
+      `MQTT broker unreachable, reconnection attempt ${attempt} in ${delay} ms.`,
+    ),
+  );
+
+  return ingestion;
+};
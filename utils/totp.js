@@ -0,0 +1,222 @@
+/**
+ * Functions related to the time-based one-time passwords (TOTP, RFC 6238) generated by the authenticator apps of the users.
+ * @module totp
+ */
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const {
+  TOTP_ISSUER,
+  TOTP_PERIOD,
+  TOTP_DIGITS,
+  TOTP_WINDOW,
+  RECOVERY_CODES_NUMBER,
+} = require('./globals');
+
+/**
+ * Alphabet of the base32 encoding (RFC 4648) of the TOTP secrets.
+ * @type {string}
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Function used to encode a buffer in base32, the format of the secrets entered in the authenticator apps.
+ * @param {Buffer} buffer The buffer to encode.
+ * @returns {string} The base32 string, without padding.
+ */
+const base32Encode = buffer => {
+  let bits = '';
+  let encoded = '';
+
+  buffer.forEach(byte => (bits += byte.toString(2).padStart(8, '0')));
+
+  for (let i = 0; i < bits.length; i += 5)
+    encoded +=
+      BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+
+  return encoded;
+};
+
+/**
+ * Function used to decode a base32 string.
+ * @param {string} encoded The base32 string (case insensitive, padding and spaces allowed).
+ * @returns {Buffer} The decoded buffer.
+ */
+const base32Decode = encoded => {
+  let bits = '';
+
+  encoded
+    .toUpperCase()
+    .replace(/[\s=]/g, '')
+    .split('')
+    .forEach(char => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+      bits += value.toString(2).padStart(5, '0');
+    });
+
+  const bytes = [];
+
+  for (let i = 0; i + 8 <= bits.length; i += 8)
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Function used to get the time step of a moment.
+ * @param {number} time The moment (in ms).
+ * @returns {number} The number of TOTP periods elapsed since the epoch.
+ */
+const getTimestep = time => Math.floor(time / 1000 / TOTP_PERIOD);
+
+/**
+ * Function used to generate a new random TOTP secret.
+ * @returns {string} The base32 encoded secret.
+ */
+exports.generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Function used to get the provisioning uri of a TOTP secret, encoded in the QR code scanned by the authenticator apps.
+ * @param {string} secret The base32 encoded secret.
+ * @param {string} account The name of the account in the authenticator app (i.e. the email of the user).
+ * @returns {string} The otpauth:// uri.
+ */
+exports.getTotpUri = (secret, account) => {
+  const issuer = encodeURIComponent(TOTP_ISSUER);
+
+  return `otpauth://totp/${issuer}:${encodeURIComponent(
+    account,
+  )}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+};
+
+/**
+ * Function used to generate the TOTP code of a time step (HOTP algorithm of RFC 4226 applied to the time step).
+ * @param {string} secret The base32 encoded secret.
+ * @param {number} timestep The time step.
+ * @returns {string} The code, padded with zeros.
+ */
+exports.generateTotpCode = (secret, timestep = getTimestep(Date.now())) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(timestep));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return `${binary % 10 ** TOTP_DIGITS}`.padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Function used to verify a TOTP code typed by an user, accepting the codes of the adjacent time steps to tolerate clock drifts.
+ * A code can't be used twice, so only the time steps following the last used one are accepted.
+ * @param {string} secret The base32 encoded secret.
+ * @param {string} code The typed code.
+ * @param {number} lastTimestep The time step of the last code used by the user.
+ * @param {number} time The current moment (in ms).
+ * @returns {number|null} The time step of the code, or null if it is invalid.
+ */
+exports.verifyTotpCode = (
+  secret,
+  code,
+  lastTimestep = -1,
+  time = Date.now(),
+) => {
+  const typedCode = `${code}`.replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(typedCode)) return null;
+
+  const currentTimestep = getTimestep(time);
+
+  for (let delta = -TOTP_WINDOW; delta <= TOTP_WINDOW; delta++) {
+    const timestep = currentTimestep + delta;
+
+    if (
+      timestep > lastTimestep &&
+      crypto.timingSafeEqual(
+        Buffer.from(exports.generateTotpCode(secret, timestep)),
+        Buffer.from(typedCode),
+      )
+    )
+      return timestep;
+  }
+
+  return null;
+};
+
+/**
+ * Function used to hash a recovery code before storing or querying it.
+ * @param {string} code The recovery code.
+ * @returns {string} The hashed code.
+ */
+exports.hashRecoveryCode = code =>
+  crypto
+    .createHash('sha256')
+    .update(`${code}`.trim().toLowerCase())
+    .digest('hex');
+
+/**
+ * Function used to generate the one-time recovery codes of an user, used to sign in if he lost his authenticator app.
+ * @returns {string[][]} The recovery codes given to the user and their hashed versions that will be stored in the database.
+ */
+exports.createRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODES_NUMBER }, () =>
+    crypto
+      .randomBytes(5)
+      .toString('hex')
+      .replace(/^(.{5})/, '$1-'),
+  );
+
+  return [codes, codes.map(exports.hashRecoveryCode)];
+};
+
+/**
+ * Async function used to consume a TOTP code typed by an user. The time step of the code is atomically stored, so that the code can only be used once.
+ * @param {import('../models/userModel').User} user The user, with his totpSecret and totpLastTimestep fields selected.
+ * @param {string} code The typed code.
+ * @returns {Promise<boolean>} True if the code was valid and unused, false otherwise.
+ */
+exports.consumeTotpCode = async (user, code) => {
+  const { _id: userId, totpSecret, totpLastTimestep } = user;
+
+  if (!totpSecret) return false;
+
+  const timestep = exports.verifyTotpCode(totpSecret, code, totpLastTimestep);
+
+  if (timestep === null) return false;
+
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { totpLastTimestep: { $exists: false } },
+        { totpLastTimestep: { $lt: timestep } },
+      ],
+    },
+    { totpLastTimestep: timestep },
+  );
+
+  return modifiedCount === 1;
+};
+
+/**
+ * Async function used to consume a recovery code of an user, that can only be used once.
+ * @param {*} userId The id of the user.
+ * @param {string} recoveryCode The typed recovery code.
+ * @returns {Promise<number|null>} The number of recovery codes left to the user, or null if the code is invalid.
+ */
+exports.consumeRecoveryCode = async (userId, recoveryCode) => {
+  const hashedCode = exports.hashRecoveryCode(recoveryCode);
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, recoveryCodes: hashedCode },
+    { $pull: { recoveryCodes: hashedCode } },
+    { new: true },
+  ).select('+recoveryCodes');
+
+  return user ? user.recoveryCodes.length : null;
+};
@@ -5,7 +5,13 @@
 const AppError = require('./classes/AppError');
 
 const { Point } = require('@influxdata/influxdb-client');
-const { INFLUX } = require('./globals');
+const {
+  INFLUX,
+  API_ROUTE,
+  CONFIRMATION_DELAY,
+  ACCESS_TOKEN_DURATION,
+} = require('./globals');
+const { createSession, isSessionActive } = require('./sessions');
 const { once } = require('events');
 
 const crypto = require('crypto');
@@ -15,6 +21,7 @@ const { Server } = require('http');
 const multer = require('multer');
 const { promisify } = require('util');
 const axios = require('axios');
+const moment = require('moment-timezone');
 
 const {
   env: { JWT_SECRET },
@@ -149,6 +156,53 @@ exports.catchAsync = fn => (req, res, next) => {
   fn(req, res, next).catch(err => next(err));
 };
 
+/**
+ * Function used to check if an error was generated because the MongoDB server doesn't support transactions (i.e. standalone server).
+ * @param {Error} error The error generated by the database operation.
+ * @returns {boolean} true if the error is due to missing transaction support, false otherwise.
+ */
+const isTransactionUnsupported = error =>
+  error?.code === 20 ||
+  error?.codeName === 'IllegalOperation' ||
+  /Transaction numbers are only allowed/.test(error?.message);
+
+/**
+ * Function used to run a set of database operations atomically in a MongoDB transaction.
+ * On standalone MongoDB servers not supporting transactions, the operations are executed without session
+ * and the compensation functions registered by them are run in reverse order if one of them fails.
+ * @param {(session: mongoose.ClientSession | undefined, onRollback: (compensation: Function) => void) => Promise<any>} operations The async function executing the database operations, using the given session and registering the compensation of each completed operation.
+ * @returns {Promise<any>} The value returned by the operations function.
+ */
+exports.runTransaction = async operations => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+
+    await session.withTransaction(async () => {
+      result = await operations(session, () => {});
+    });
+
+    return result;
+  } catch (err) {
+    if (!isTransactionUnsupported(err)) throw err;
+  } finally {
+    await session.endSession();
+  }
+
+  const compensations = [];
+
+  try {
+    return await operations(undefined, compensation =>
+      compensations.push(compensation),
+    );
+  } catch (err) {
+    for (const compensation of compensations.reverse()) await compensation();
+
+    throw err;
+  }
+};
+
 /**
  * Sends query results from InfluxDB to the client.
  * @param {import('express').Response} res - The response object to send data back to the client.
@@ -292,39 +346,108 @@ exports.constructStatisticalQueryOnProperty = (
 };
 
 /**
- * Function used to generate a jwt authentication for an user.
- * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
- * @param {string} id the id of the user for whom we want to create a jwt authentication token.
- * @returns {Object} an object containing the response object that will be sent to the user and the cookie options for setting the jwt as httpOnly cookie.
+ * Constructs a Flux query aggregating property data from InfluxDB over time windows.
+ * @param {string} bucket - The InfluxDB bucket.
+ * @param {string} interval - The time interval for the query.
+ * @param {string} measurement - The measurement (e.g., 'thingy91').
+ * @param {string} deviceId - The device ID to filter data by.
+ * @param {string} field - The field (e.g., 'TEMP').
+ * @param {string} window - The duration of the aggregation windows (e.g., '1h').
+ * @param {string} statistic - The statistical function applied on each window (e.g., 'mean' 'stddev').
+ * @returns {string} The constructed Flux query.
+ * @function
  */
-exports.createSendToken = (req, id) => {
-  const token = jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
-  });
+exports.constructAggregatedQueryOnProperty = (
+  bucket,
+  interval,
+  measurement,
+  deviceId,
+  field,
+  window,
+  statistic,
+) => {
+  return `from(bucket: "${bucket}")
+  |> range(start: -${interval})
+  |> filter(fn: (r) => r._measurement == "${measurement}" and r._field == "${field}" and r.device == "${deviceId}")
+  |> aggregateWindow(every: ${window}, fn: ${statistic}, createEmpty: false)`;
+};
 
+/**
+ * Function used to get the options of the cookies containing the tokens of an user.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @returns {Object[]} The options of the access token cookie and the ones of the refresh token cookie, only sent to the user routes.
+ */
+const getCookieOptions = req => {
   const cookieOptions = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 60 * 600 * 1000,
-    ),
     httpOnly: true,
     sameSite: 'none',
     secure: req.secure || req.header('x-forwarded-proto') === 'https',
   };
 
-  return { resObject: { status: 'success', token }, cookieOptions };
+  return [cookieOptions, { ...cookieOptions, path: `${API_ROUTE}/users` }];
 };
 
 /**
- * Function used to send a SMS to an user.
- * @param {User} user The user to whom we want to send a SMS.
+ * Function used to send the tokens of a session to an user: a short-lived jwt access token and the refresh token used to get a new one, both set as httpOnly cookies.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to set the cookies.
+ * @param {import('../models/sessionModel').Session} session The session of the user.
+ * @param {string} refreshToken The current refresh token of the session.
+ * @returns {Object} the response object that will be sent to the user.
  */
-exports.sendPinCode = async user => {
-  const [pinCode, pinCodeExpires] = user.createPinCode();
-  await user.save({ validateBeforeSave: false });
+exports.sendSessionTokens = (req, res, session, refreshToken) => {
+  const token = jwt.sign({ id: session.user, sid: session._id }, JWT_SECRET, {
+    expiresIn: Math.round(ACCESS_TOKEN_DURATION / 1000),
+  });
+  const [cookieOptions, refreshCookieOptions] = getCookieOptions(req);
+
+  res.cookie('jwt', token, {
+    ...cookieOptions,
+    expires: new Date(Date.now() + ACCESS_TOKEN_DURATION),
+  });
+  res.cookie('refreshToken', refreshToken, {
+    ...refreshCookieOptions,
+    expires: session.expirationDate,
+  });
 
-  return [pinCode, pinCodeExpires];
+  return { status: 'success', token, refreshToken };
 };
 
+/**
+ * Function used to open a new session for an user and send him its tokens.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to set the cookies.
+ * @param {string} id the id of the user for whom we want to create a jwt authentication token.
+ * @returns {Promise<Object>} the response object that will be sent to the user.
+ */
+exports.createSendToken = async (req, res, id) => {
+  const [session, refreshToken] = await createSession(req, id);
+
+  return exports.sendSessionTokens(req, res, session, refreshToken);
+};
+
+/**
+ * Function used to remove the cookies containing the tokens of an user.
+ * @param {import('express').Request} req The request object of the Express framework, used to handle the request sent by the client.
+ * @param {import('express').Response} res The response object of the Express framework, used to clear the cookies.
+ */
+exports.clearSessionCookies = (req, res) => {
+  const [cookieOptions, refreshCookieOptions] = getCookieOptions(req);
+
+  res.clearCookie('jwt', cookieOptions);
+  res.clearCookie('refreshToken', refreshCookieOptions);
+};
+
+/**
+ * Function used to generate the short-lived pre-authentication token given to an user after the first step of the signin / signup process, only allowing him to confirm his PIN code.
+ * @param {string} id the id of the user for whom we want to create a pre-authentication token.
+ * @returns {string} the pre-authentication jwt token, expiring with the PIN code.
+ */
+exports.createPreAuthToken = id =>
+  jwt.sign({ id, scope: 'pre-auth' }, JWT_SECRET, {
+    expiresIn: Math.round(CONFIRMATION_DELAY / 1000),
+  });
+
 /**
  * Function used to generate a random token link that will be sent among an email.
  * @returns {string[]} The token that will be contained in the link and its hashed version that will be stored in the database.
@@ -402,6 +525,32 @@ exports.checkNumber = (field, errMessage, next) => {
   return true;
 };
 
+/**
+ * Function used to check if a string expression corresponds to a valid ISO 8601 date.
+ * @param {string} expr The expression in string format we want to check if it is a date.
+ * @returns {boolean} true if the expression is a valid date, false otherwise.
+ */
+exports.isDate = expr => {
+  return (
+    typeof expr === 'string' && moment(expr, moment.ISO_8601, true).isValid()
+  );
+};
+
+/**
+ * Function used to check the date validity of a field in a request and throw an error if it is not the case.
+ * @param {string} field The field value we want to check if it is a date.
+ * @param {string} errMessage The error message returned by the route if the field value isn't a date.
+ * @param {import('express').NextFunction} next The next function of the Express framework, used to handle the next middleware function passed to the express pipeline.
+ * @returns {boolean} true if the field value corresponds to a date, false otherwise.
+ */
+exports.checkDate = (field, errMessage, next) => {
+  if (!exports.isDate(field)) {
+    next(new AppError(errMessage, 400));
+    return false;
+  }
+  return true;
+};
+
 /**
  *Function used to check the validity of the sent coordinates when creating a new parking.
  * @param {number[]} coordinates An array containing the latitude and the longitude of the parking
@@ -473,31 +622,55 @@ exports.getToken = req => {
  * Function used to verify the jwt token sent by an user and authenticate him if it is valid.
  * @param {mongoose.Model<User>} userModel the user model from which we want to query the decoded jwt token and authentify
  * @param {string} token the jwt token we want to verify
+ * @param {string} [scope] the scope the token must have (i.e. pre-auth), none for a session token
  * @returns {mongoose.Document<User>} the document representing the user in the database if the checking process is valid
  */
-exports.connectUser = async (userModel, token) => {
+exports.connectUser = async (userModel, token, scope) => {
   // 1) Verify the token : errors that can be thrown in the process and catched by catchAsync
   //  JSONWebTokenError : invalid token
   //  TokenExpiredError : the token has expired
   const decoded = await promisify(jwt.verify)(token, JWT_SECRET);
 
-  // 2) Check if the user still exists
+  // 2) Check that the token is allowed on the requested route
+  if (decoded.scope !== scope)
+    throw new AppError(
+      decoded.scope === 'pre-auth'
+        ? 'Please confirm the PIN code sent to you to access this route.'
+        : 'Invalid token! Please log in again.',
+      401,
+    );
+
+  // 3) Check that the session of an access token wasn't revoked
+  if (!scope && !(await isSessionActive(decoded.sid, decoded.id)))
+    throw new AppError(
+      'Your session has expired or was revoked. Please log in again.',
+      401,
+    );
+
+  // 4) Check if the user still exists
   const currentUser = await userModel
     .findById(decoded.id)
-    .select('+role +passwordChangedAt +isConfirmed +isEmailConfirmed');
+    .select(
+      '+role +passwordChangedAt +isConfirmed +isEmailConfirmed +isTotpEnabled',
+    );
   if (!currentUser)
     throw new AppError(
       "The requested account doesn't exist or was deleted.",
       401,
     );
 
-  // 3) Check if the user has changed password after the token was issued
+  // 5) Check if the user has changed password after the token was issued
   if (currentUser.changedPasswordAfter(decoded.iat))
     throw new AppError(
       'User recently changed password! Please log in again.',
       401,
     );
 
+  // Keep the session of the token, used to identify the current device of the user
+  currentUser.$locals.sessionId = decoded.sid;
+  // Keep the expiration of the token, used to end the long-lived requests (i.e. event streams) authenticated by it
+  currentUser.$locals.tokenExpires = decoded.exp * 1000;
+
   return currentUser;
 };
 
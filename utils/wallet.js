@@ -0,0 +1,216 @@
+/**
+ * Functions used to handle the prepaid wallets of the users and their ledger.
+ * @module wallet
+ */
+const User = require('../models/userModel');
+const WalletTransaction = require('../models/walletTransactionModel');
+const AppError = require('./classes/AppError');
+const { runTransaction } = require('./utils');
+const { splitAmount } = require('./payouts');
+
+/**
+ * Function used to round an amount of money to the centime.
+ * @param {number} amount The amount we want to round.
+ * @returns {number} The rounded amount.
+ */
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Function used to get the balance of the wallet of an user.
+ * @param {mongoose.Types.ObjectId} userId The id of the owner of the wallet.
+ * @returns {Promise<number>} The balance of the wallet.
+ */
+exports.getBalance = async userId => {
+  const user = await User.findById(userId).select('+walletBalance');
+
+  if (!user)
+    throw new AppError(
+      "The requested account doesn't exist or was deleted.",
+      404,
+    );
+
+  return roundAmount(user.walletBalance);
+};
+
+/**
+ * Function used to update the balance of the wallet of an user and record the corresponding entry in the ledger.
+ * @param {mongoose.Types.ObjectId} userId The id of the owner of the wallet.
+ * @param {number} amount The signed amount of the transaction (positive for credits, negative for debits).
+ * @param {string} type The type of the transaction (top-up, debit, credit, refund, reversal).
+ * @param {Object} details The additional details of the transaction (occupation, description, fee).
+ * @param {import('mongoose').ClientSession} session The session of the transaction in which the operation is done.
+ * @param {boolean} [isBalanceRequired] true if a debit must be covered by the balance of the wallet, false if it can make it negative.
+ * @returns {Promise<WalletTransaction>} The recorded ledger entry.
+ */
+const recordTransaction = async (
+  userId,
+  amount,
+  type,
+  details,
+  session,
+  isBalanceRequired = false,
+) => {
+  const roundedAmount = roundAmount(amount);
+
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      ...(isBalanceRequired && roundedAmount < 0
+        ? { walletBalance: { $gte: -roundedAmount } }
+        : {}),
+    },
+    { $inc: { walletBalance: roundedAmount } },
+    { new: true, session, runValidators: false },
+  ).select('+walletBalance');
+
+  if (!user) {
+    if (isBalanceRequired && (await User.exists({ _id: userId })))
+      throw new AppError(
+        "The balance of the wallet doesn't cover the debited amount.",
+        402,
+      );
+
+    throw new AppError(
+      "The requested account doesn't exist or was deleted.",
+      404,
+    );
+  }
+
+  const [transaction] = await WalletTransaction.create(
+    [
+      {
+        user: userId,
+        type,
+        amount: roundedAmount,
+        balance: roundAmount(user.walletBalance),
+        ...details,
+      },
+    ],
+    { session },
+  );
+
+  return transaction;
+};
+
+/**
+ * Function used to record a set of wallet transactions atomically.
+ * @param {Object[]} transactions The list of transactions, each one containing the user, amount, type, details and isBalanceRequired fields.
+ * @returns {Promise<WalletTransaction[]>} The recorded ledger entries.
+ */
+const recordTransactions = transactions =>
+  runTransaction(async (session, onRollback) => {
+    const recorded = [];
+
+    for (const {
+      user,
+      amount,
+      type,
+      details = {},
+      isBalanceRequired,
+    } of transactions) {
+      recorded.push(
+        await recordTransaction(
+          user,
+          amount,
+          type,
+          details,
+          session,
+          isBalanceRequired,
+        ),
+      );
+
+      onRollback(() =>
+        recordTransaction(user, -amount, 'reversal', {
+          occupation: details.occupation,
+          description: `Reversal of an incomplete ${type} transaction.`,
+        }),
+      );
+    }
+
+    return recorded;
+  });
+
+/**
+ * Function used to credit the wallet of an user with a top-up.
+ * @param {mongoose.Types.ObjectId} userId The id of the owner of the wallet.
+ * @param {number} amount The topped-up amount.
+ * @param {string} description The description of the top-up.
+ * @returns {Promise<WalletTransaction>} The recorded ledger entry.
+ */
+exports.topUpWallet = async (userId, amount, description) => {
+  const [transaction] = await recordTransactions([
+    { user: userId, amount, type: 'top-up', details: { description } },
+  ]);
+
+  return transaction;
+};
+
+/**
+ * Function used to pay the bill of an occupation with the wallet of the client: the bill is debited from the wallet of the client,
+ * and credited to the wallet of the owner of the parking minus the platform fee.
+ * The payment is refused (402) if the balance of the client doesn't cover the bill, the wallets being left unchanged.
+ * @param {import('../models/occupationModel').Occupation} occupation The finished occupation.
+ * @param {number} bill The bill of the occupation.
+ * @param {mongoose.Types.ObjectId} ownerId The id of the owner of the parking.
+ * @returns {Promise<WalletTransaction[]>} The recorded ledger entries.
+ */
+exports.payWithWallet = async (occupation, bill, ownerId) => {
+  const { commission: fee, net } = splitAmount(bill);
+
+  return recordTransactions([
+    {
+      user: occupation.client,
+      amount: -bill,
+      type: 'debit',
+      details: {
+        occupation: occupation._id,
+        description: 'Payment of a parking occupation.',
+      },
+      isBalanceRequired: true,
+    },
+    {
+      user: ownerId,
+      amount: net,
+      type: 'credit',
+      details: {
+        occupation: occupation._id,
+        fee,
+        description: 'Earnings of a parking occupation.',
+      },
+    },
+  ]);
+};
+
+/**
+ * Function used to refund (partially or totally) an occupation paid with the wallet of the client: the amount is credited back to the client,
+ * and the corresponding earnings (minus the proportional platform fee) are debited from the owner of the parking.
+ * @param {import('../models/occupationModel').Occupation} occupation The refunded occupation.
+ * @param {number} amount The refunded amount.
+ * @param {mongoose.Types.ObjectId} ownerId The id of the owner of the parking.
+ * @returns {Promise<WalletTransaction[]>} The recorded ledger entries.
+ */
+exports.refundWithWallet = async (occupation, amount, ownerId) => {
+  const { commission: fee, net } = splitAmount(amount);
+
+  return recordTransactions([
+    {
+      user: occupation.client,
+      amount,
+      type: 'refund',
+      details: {
+        occupation: occupation._id,
+        description: 'Refund of a parking occupation.',
+      },
+    },
+    {
+      user: ownerId,
+      amount: -net,
+      type: 'refund',
+      details: {
+        occupation: occupation._id,
+        fee: -fee,
+        description: 'Refund of the earnings of a parking occupation.',
+      },
+    },
+  ]);
+};
@@ -0,0 +1,241 @@
+/**
+ * Functions related to the delivery of the events of the application to the webhooks registered by the users.
+ * @module webhooks
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const Webhook = require('../models/webhookModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const { isPublicUrl, PUBLIC_AGENTS } = require('./network');
+const {
+  EVENT_BUS,
+  WEBHOOK_CLAIM_DURATION,
+  WEBHOOK_MAXIMUM_ATTEMPTS,
+  WEBHOOK_RETRY_DELAY,
+  WEBHOOK_RETRY_INTERVAL,
+  WEBHOOK_TIMEOUT,
+} = require('./globals');
+
+/**
+ * Webhook events corresponding to the events of the event bus, with the function selecting the users notified of each event.
+ * @type {Object<string, {type: string, getRecipients: function(import('./classes/EventBus').BusEvent): string[]}>}
+ */
+const BUS_EVENTS = {
+  'reservation:start': {
+    type: 'reservation.started',
+    getRecipients: ({ owner, data }) => [owner, `${data.occupation.client}`],
+  },
+  'reservation:confirm': {
+    type: 'reservation.confirmed',
+    getRecipients: ({ owner, data }) => [owner, `${data.occupation.client}`],
+  },
+  'reservation:end': {
+    type: 'reservation.ended',
+    getRecipients: ({ owner, data }) => [owner, `${data.occupation.client}`],
+  },
+  'parking:validated': {
+    type: 'parking.validated',
+    getRecipients: ({ owner }) => [owner],
+  },
+  'review:created': {
+    type: 'review.created',
+    getRecipients: ({ owner }) => [owner],
+  },
+};
+
+/**
+ * Function used to compute the signature of a payload sent to a webhook, following the format of the payment provider webhooks.
+ * @param {string} secret The signing secret of the webhook.
+ * @param {string} payload The raw payload posted to the webhook.
+ * @param {number} timestamp The timestamp (in seconds) of the signature.
+ * @returns {string} The signature header value (t=timestamp,v1=hmac).
+ */
+exports.signPayload = (
+  secret,
+  payload,
+  timestamp = Math.floor(Date.now() / 1000),
+) => {
+  const hmac = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${hmac}`;
+};
+
+/**
+ * Function used to compute the delay before the next attempt of a failed delivery (exponential backoff).
+ * @param {number} attempts The number of attempts already made.
+ * @returns {number} The delay in ms.
+ */
+exports.getRetryDelay = attempts => WEBHOOK_RETRY_DELAY * 2 ** (attempts - 1);
+
+/**
+ * Function used to build the query object matching the deliveries whose next attempt is due, including the delivering ones whose claim expired.
+ * @param {Date} date The current moment.
+ * @returns {Object} The query object matching the due deliveries.
+ */
+const dueQuery = date => ({
+  status: { $in: ['pending', 'delivering'] },
+  nextAttemptDate: { $lte: date },
+});
+
+/**
+ * Async function used to make an attempt to deliver an event to its webhook, and schedule the next attempt if it failed.
+ * The delivery is first claimed, such that simultaneous attempts (i.e. overlapping retries) only post it once.
+ * @param {import('../models/webhookDeliveryModel').WebhookDelivery} delivery The pending delivery.
+ * @param {Date} date The current moment.
+ * @returns {Promise<import('../models/webhookDeliveryModel').WebhookDelivery|null>} The updated delivery, null if it was already claimed by another attempt.
+ */
+exports.attemptDelivery = async (delivery, date = new Date()) => {
+  const claimedDelivery = await WebhookDelivery.findOneAndUpdate(
+    {
+      _id: delivery._id,
+      $or: [
+        { status: 'pending', nextAttemptDate: { $exists: false } },
+        dueQuery(date),
+      ],
+    },
+    {
+      status: 'delivering',
+      nextAttemptDate: Date.now() + WEBHOOK_CLAIM_DURATION,
+    },
+    { new: true },
+  );
+
+  if (!claimedDelivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  const attempts = claimedDelivery.attempts + 1;
+  const update = { attempts, lastAttemptDate: new Date() };
+
+  if (!webhook || !webhook.isActive) {
+    update.status = 'failed';
+    update.error = 'The webhook was deleted or deactivated.';
+    update.$unset = { nextAttemptDate: 1 };
+  } else {
+    const payload = JSON.stringify(delivery.payload);
+
+    try {
+      // The host of the webhook is checked again, its DNS records having possibly changed since its registration
+      if (!(await isPublicUrl(webhook.url)))
+        throw new Error('The url of the webhook is not a public address.');
+
+      const { status } = await axios.post(webhook.url, payload, {
+        ...PUBLIC_AGENTS,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ParkNShare-Webhooks/1.0',
+          'X-PNS-Event': delivery.eventType,
+          'X-PNS-Delivery': `${delivery._id}`,
+          'X-PNS-Signature': exports.signPayload(webhook.secret, payload),
+        },
+        timeout: WEBHOOK_TIMEOUT,
+        maxRedirects: 0,
+      });
+
+      update.status = 'succeeded';
+      update.responseStatus = status;
+      update.$unset = { error: 1, nextAttemptDate: 1 };
+    } catch (err) {
+      update.responseStatus = err.response?.status;
+      update.error = err.response
+        ? `The webhook responded with the status ${err.response.status}.`
+        : err.message;
+
+      if (attempts >= WEBHOOK_MAXIMUM_ATTEMPTS) {
+        update.status = 'failed';
+        update.$unset = { nextAttemptDate: 1 };
+      } else {
+        update.status = 'pending';
+        update.nextAttemptDate = Date.now() + exports.getRetryDelay(attempts);
+      }
+    }
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, update, {
+    new: true,
+  });
+};
+
+/**
+ * Async function used to deliver an event to the active webhooks of the given users that are subscribed to it.
+ * @param {string} type The type of the event (i.e. reservation.started).
+ * @param {string[]} users The ids of the users notified of the event.
+ * @param {Object} data The content of the event.
+ * @returns {Promise<import('../models/webhookDeliveryModel').WebhookDelivery[]>} The deliveries of the event, after their first attempt.
+ */
+exports.dispatchEvent = async (type, users, data) => {
+  const webhooks = await Webhook.find({
+    user: { $in: users.filter(user => user) },
+    events: type,
+    isActive: true,
+  });
+
+  if (webhooks.length === 0) return [];
+
+  const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+  const payload = { id: eventId, type, date: new Date(), data };
+
+  const deliveries = await WebhookDelivery.create(
+    webhooks.map(webhook => ({
+      webhook: webhook._id,
+      user: webhook.user,
+      eventId,
+      eventType: type,
+      payload,
+    })),
+  );
+
+  return Promise.all(deliveries.map(exports.attemptDelivery));
+};
+
+/**
+ * Async function used to retry the pending deliveries whose next attempt is due.
+ * @param {Date} date The current moment.
+ * @returns {Promise<number>} The number of retried deliveries.
+ */
+exports.retryDeliveries = async (date = new Date()) => {
+  const deliveries = await WebhookDelivery.find(dueQuery(date));
+  let retried = 0;
+
+  for (const delivery of deliveries)
+    if (await exports.attemptDelivery(delivery, date)) retried++;
+
+  return retried;
+};
+
+/**
+ * Function used to deliver the events published on the event bus to the webhooks, and to periodically retry the failed deliveries.
+ * @param {number} interval The interval (in ms) between two retries.
+ * @returns {NodeJS.Timeout} The timer of the retries.
+ */
+exports.startWebhookDispatcher = (interval = WEBHOOK_RETRY_INTERVAL) => {
+  Object.entries(BUS_EVENTS).forEach(([busEvent, { type, getRecipients }]) =>
+    EVENT_BUS.on(busEvent, event => {
+      const { parking, data } = event;
+
+      exports
+        .dispatchEvent(type, getRecipients(event), { parking, ...data })
+        .catch(err =>
+          console.error(
+            `Error while trying to deliver the ${type} event to the webhooks:`,
+            err.message,
+          ),
+        );
+    }),
+  );
+
+  return setInterval(
+    () =>
+      exports
+        .retryDeliveries()
+        .catch(err =>
+          console.error(
+            'Error while trying to retry the webhook deliveries:',
+            err.message,
+          ),
+        ),
+    interval,
+  );
+};